@@ -3,17 +3,53 @@
  */
 
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
 import SearchBar from '../../components/SearchBar';
+import { apiService } from '../../utils/api';
 
 // Mock the router
 const mockPush = jest.fn();
 jest.mock('next/router', () => ({
   useRouter: () => ({
     push: mockPush,
+    query: {},
   }),
 }));
 
+// Mock the suggestions API
+jest.mock('../../utils/api', () => ({
+  apiService: {
+    searchSuggestions: jest.fn(),
+  },
+}));
+
+// Suggestions as returned by GET /api/search/suggest
+const SUGGESTIONS = {
+  terms: [{ term: 'judicial', text: 'reforma judicial', count: 12 }],
+  titles: [{ id: 7, title: 'Avanza la reforma judicial', section_id: 'ocho-columnas' }],
+  sources: [{ name: 'Reforma', count: 3 }],
+  authors: [],
+  sections: [{ id: 'ocho-columnas', name: 'Ocho Columnas', count: 5 }],
+};
+
+/**
+ * Type a search term and wait for its suggestions
+ * @param {string} term - Search term
+ * @returns {Promise<HTMLElement>} Search input
+ */
+const typeSearchTerm = async (term) => {
+  const searchInput = screen.getByPlaceholderText(/buscar/i);
+  fireEvent.change(searchInput, { target: { value: term } });
+
+  // Suggestions are fetched once typing pauses
+  act(() => {
+    jest.advanceTimersByTime(300);
+  });
+  await screen.findByRole('listbox');
+
+  return searchInput;
+};
+
 describe('SearchBar Component', () => {
   beforeEach(() => {
     // Clear all mocks before each test
@@ -97,6 +133,89 @@ describe('SearchBar Component', () => {
     });
   });
 
+  describe('suggestions', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      apiService.searchSuggestions.mockResolvedValue({ data: SUGGESTIONS });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('lists the suggestions by group', async () => {
+      render(<SearchBar />);
+
+      await typeSearchTerm('reforma');
+
+      expect(apiService.searchSuggestions).toHaveBeenCalledWith('reforma', {});
+      expect(within(screen.getByRole('group', { name: 'Búsquedas' })).getByText('reforma judicial')).toBeInTheDocument();
+      expect(within(screen.getByRole('group', { name: 'Notas' })).getByText('Avanza la reforma judicial')).toBeInTheDocument();
+      expect(within(screen.getByRole('group', { name: 'Fuentes' })).getByText('3 notas')).toBeInTheDocument();
+      expect(within(screen.getByRole('group', { name: 'Secciones' })).getByText('Ocho Columnas')).toBeInTheDocument();
+      // Groups without suggestions are not listed
+      expect(screen.queryByRole('group', { name: 'Autores' })).not.toBeInTheDocument();
+    });
+
+    test('moves through the suggestions with the arrow keys and opens the selected one with Enter', async () => {
+      render(<SearchBar />);
+
+      const searchInput = await typeSearchTerm('reforma');
+      const selected = () => screen.getAllByRole('option').findIndex((option) => option.getAttribute('aria-selected') === 'true');
+
+      expect(selected()).toBe(-1);
+
+      fireEvent.keyDown(searchInput, { key: 'ArrowDown' });
+      expect(selected()).toBe(0);
+
+      fireEvent.keyDown(searchInput, { key: 'ArrowDown' });
+      expect(selected()).toBe(1);
+      expect(searchInput).toHaveAttribute('aria-activedescendant', 'suggestion-titles-7');
+
+      fireEvent.keyDown(searchInput, { key: 'ArrowUp' });
+      expect(selected()).toBe(0);
+
+      // The selection wraps around
+      fireEvent.keyDown(searchInput, { key: 'ArrowUp' });
+      expect(selected()).toBe(3);
+      fireEvent.keyDown(searchInput, { key: 'ArrowDown' });
+      expect(selected()).toBe(0);
+
+      fireEvent.keyDown(searchInput, { key: 'ArrowDown' });
+      fireEvent.keyDown(searchInput, { key: 'Enter' });
+
+      expect(mockPush).toHaveBeenCalledWith('/article/7');
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    });
+
+    test('closes the suggestions with Escape', async () => {
+      render(<SearchBar />);
+
+      const searchInput = await typeSearchTerm('reforma');
+      fireEvent.keyDown(searchInput, { key: 'ArrowDown' });
+      fireEvent.keyDown(searchInput, { key: 'Escape' });
+
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+      expect(searchInput).not.toHaveAttribute('aria-activedescendant');
+      expect(mockPush).not.toHaveBeenCalled();
+    });
+
+    test('narrows the suggestions by the selected filters', async () => {
+      render(<SearchBar compact />);
+
+      fireEvent.change(screen.getByLabelText('Sección'), { target: { name: 'section', value: 'cartones' } });
+      fireEvent.change(screen.getByLabelText('Fecha'), { target: { name: 'date', value: 'week' } });
+      await typeSearchTerm('reforma');
+
+      expect(apiService.searchSuggestions).toHaveBeenCalledTimes(1);
+      expect(apiService.searchSuggestions).toHaveBeenCalledWith('reforma', {
+        section: 'cartones',
+        from: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+        to: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      });
+    });
+  });
+
   test('applies custom className when provided', () => {
     render(<SearchBar className="custom-class" />);
     
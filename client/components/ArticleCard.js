@@ -2,6 +2,7 @@ import Link from 'next/link';
 import { format } from 'date-fns/index.js';
 import es from 'date-fns/locale/es/index.js';
 import { useState } from 'react';
+import Highlight from './Highlight';
 
 export default function ArticleCard({ article, compact = false, showBanners = true }) {
   const [imageError, setImageError] = useState(false);
@@ -10,14 +11,21 @@ export default function ArticleCard({ article, compact = false, showBanners = tr
     title,
     summary,
     source,
+    author,
     source_url,
     image_url,
     date,
     publication_date,
     url,
-    external_source_id
+    external_source_id,
+    title_highlight,
+    snippet
   } = article;
 
+  // Search results mark the matched terms in the title and a snippet of the text
+  const displayTitle = title_highlight ? <Highlight text={title_highlight} /> : title;
+  const displaySummary = snippet ? <Highlight text={snippet} /> : summary;
+
   // Prioritize image_url from the article object
   const displayImageUrl = image_url;
 
@@ -48,7 +56,7 @@ export default function ArticleCard({ article, compact = false, showBanners = tr
             href={`/article/${id}`}
             className="hover:text-blue-600 transition-colors duration-200"
           >
-            {title}
+            {displayTitle}
           </Link>
         </h3>
         
@@ -63,15 +71,15 @@ export default function ArticleCard({ article, compact = false, showBanners = tr
           </div>
         )}
         
-        {summary && !compact && (
+        {displaySummary && !compact && (
           <p className="text-gray-700 text-base mb-4 line-clamp-4 leading-relaxed">
-            {summary}
+            {displaySummary}
           </p>
         )}
 
-        {compact && summary && (
+        {compact && displaySummary && (
           <p className="text-gray-600 text-xs mb-2 line-clamp-2">
-            {summary}
+            {displaySummary}
           </p>
         )}
       </div>
@@ -79,7 +87,7 @@ export default function ArticleCard({ article, compact = false, showBanners = tr
       {showBanners && (
         <div className="bg-gray-50 px-4 py-2 text-xs text-gray-500">
           <div className="flex justify-between items-center mb-1">
-            {source && <span className="truncate max-w-[120px]" title={source}>{source}</span>}
+            {source && <span className="truncate max-w-[120px]" title={author ? `${author}, ${source}` : source}>{author ? `${author} · ${source}` : source}</span>}
             {formattedDate && <span>{formattedDate}</span>}
           </div>
           {(url || source_url) && (
@@ -0,0 +1,48 @@
+import Link from 'next/link';
+import { format } from 'date-fns/index.js';
+import es from 'date-fns/locale/es/index.js';
+
+// Register of Diario Oficial publications: one row per publication, with its
+// DOF date, issuer, instrument type and a link to dof.gob.mx
+export default function DofRegister({ publications }) {
+  const formatDate = (value) => {
+    const date = value ? new Date(value + 'T12:00:00') : null;
+    return date && !isNaN(date.getTime()) ? format(date, 'dd MMM yyyy', { locale: es }) : '';
+  };
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left font-semibold text-gray-700">Fecha DOF</th>
+            <th className="px-4 py-3 text-left font-semibold text-gray-700">Emisor</th>
+            <th className="px-4 py-3 text-left font-semibold text-gray-700">Instrumento</th>
+            <th className="px-4 py-3 text-left font-semibold text-gray-700">Título</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {publications.map((publication) => (
+            <tr key={publication.id} className="align-top">
+              <td className="px-4 py-3 whitespace-nowrap text-gray-600">{formatDate(publication.dof_date)}</td>
+              <td className="px-4 py-3 text-gray-700">{publication.issuer || '—'}</td>
+              <td className="px-4 py-3 whitespace-nowrap capitalize text-gray-700">{publication.instrument_type}</td>
+              <td className="px-4 py-3">
+                {publication.url ? (
+                  <a href={publication.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                    {publication.title}
+                  </a>
+                ) : publication.title}
+                {publication.article_id && (
+                  <Link href={`/article/${publication.article_id}`} className="block mt-1 text-xs text-gray-500 hover:underline">
+                    Ver en la síntesis
+                  </Link>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
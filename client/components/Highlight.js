@@ -0,0 +1,14 @@
+// Text with the search matches marked by the API (<mark>...</mark>). The
+// text is split on the marks rather than rendered as HTML, so markup in the
+// articles themselves is shown as text.
+export default function Highlight({ text }) {
+  const parts = String(text || '').split(/<mark>(.*?)<\/mark>/);
+
+  return (
+    <>
+      {parts.map((part, index) => (index % 2 === 1
+        ? <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">{part}</mark>
+        : part))}
+    </>
+  );
+}
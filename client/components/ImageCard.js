@@ -7,7 +7,8 @@ const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL?.replace('/api', '') || 'ht
 
 export default function ImageCard({ image, compact = false, onImageClick }) {
   const [imageError, setImageError] = useState(false);
-  const { id, title, imageUrl: rawImageUrl, filename, source, date, publication_date } = image;
+  const { id, title, imageUrl: rawImageUrl, filename, source, cartoonist, newspaper, caption, date, publication_date } = image;
+  const credit = [cartoonist, newspaper || source].filter(Boolean).join(' · ');
 
   const imageUrl = rawImageUrl || (filename ? `${API_BASE_URL}${filename.startsWith('/') ? '' : '/'}${filename}` : null);
 
@@ -75,10 +76,11 @@ export default function ImageCard({ image, compact = false, onImageClick }) {
             </Link>
           </h3>
         )}
+        {caption && !compact && <p className="mt-1 text-xs text-gray-600 text-center line-clamp-3">{caption}</p>}
       </div>
       
       <div className="bg-gray-50 px-4 py-2 text-xs text-gray-500 flex justify-between items-center">
-        {source && <span className="truncate max-w-[120px]" title={source}>{source}</span>}
+        {credit && <span className="truncate max-w-[120px]" title={credit}>{credit}</span>}
         {formattedDate && <span>{formattedDate}</span>}
       </div>
     </div>
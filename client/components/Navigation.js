@@ -64,7 +64,7 @@ export default function Navigation() {
     'tribunal-electoral': '/section/tribunal-electoral',
     'dof': '/section/dof',
     'consejo-judicatura': '/section/consejo-judicatura',
-    'agenda': '/section/agenda',
+    'agenda': '/agenda',
     'sintesis-informativa': '/section/sintesis-informativa'
   };
 
@@ -0,0 +1,34 @@
+// Messages of the query errors returned by the API (see queryParser.js)
+const MESSAGES = {
+  UNTERMINATED_PHRASE: 'Falta cerrar las comillas de una frase.',
+  UNBALANCED_PARENTHESIS: 'Hay un paréntesis sin abrir o sin cerrar.',
+  MISSING_OPERAND: 'Falta un término a un lado de OR, AND o NOT.',
+  EMPTY_FIELD: 'Un campo no tiene valor (por ejemplo, "source:" sin texto).',
+  INVALID_DATE: 'Una fecha no es válida. Use AAAA, AAAA-MM o AAAA-MM-DD.',
+  MISPLACED_FILTER: 'Los filtros section: y date: no pueden ir entre paréntesis ni con OR.',
+  NEGATION_ONLY: 'Una exclusión necesita un término que excluir.'
+};
+
+// A search query the API could not read, with the problem pointed out in the
+// query as typed
+export default function QueryError({ query, error }) {
+  const position = Math.min(Math.max(error.position || 0, 0), query.length);
+
+  return (
+    <div className="bg-yellow-50 border-l-4 border-yellow-500 p-4">
+      <p className="text-yellow-800 font-medium">
+        {MESSAGES[error.code] || error.error}
+      </p>
+      <p className="mt-2 font-mono text-sm text-gray-800 whitespace-pre-wrap break-all">
+        {query.slice(0, position)}
+        <span className="bg-yellow-300 rounded px-0.5">{query.slice(position, position + 1) || ' '}</span>
+        {query.slice(position + 1)}
+      </p>
+      <p className="mt-3 text-sm text-gray-600">
+        Sintaxis: <code>"frase exacta"</code>, <code>-excluir</code>, <code>ministra OR ministro</code>,{' '}
+        <code>title:</code>, <code>source:</code>, <code>section:suprema-corte</code>,{' '}
+        <code>date:2025-06</code> o <code>date:2025-06-01..2025-06-15</code>.
+      </p>
+    </div>
+  );
+}
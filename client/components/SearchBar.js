@@ -2,11 +2,35 @@ import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import { apiService } from '../utils/api';
+import { getDateRange } from '../utils/dateUtils';
+import Highlight from './Highlight';
+
+// Groups of suggestions, in the order they are listed
+const SUGGESTION_GROUPS = [
+  { key: 'terms', label: 'Búsquedas' },
+  { key: 'titles', label: 'Notas' },
+  { key: 'sources', label: 'Fuentes' },
+  { key: 'authors', label: 'Autores' },
+  { key: 'sections', label: 'Secciones' }
+];
+
+/**
+ * Flatten the suggestions of the API into the list navigated with the keyboard
+ * @param {Object} data - Suggestions by group
+ * @returns {Array} Suggestions with their group, label and key
+ */
+const flattenSuggestions = (data) => SUGGESTION_GROUPS.flatMap(({ key }) => (data[key] || []).map((item) => ({
+  ...item,
+  group: key,
+  key: `${key}-${item.id || item.name || item.term}`,
+  label: item.text || item.title || item.name
+})));
 
 export default function SearchBar({ compact = false }) {
   const [searchTerm, setSearchTerm] = useState('');
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const [loading, setLoading] = useState(false);
   const [filters, setFilters] = useState({
     section: 'all',
@@ -36,8 +60,11 @@ export default function SearchBar({ compact = false }) {
     };
   }, []);
 
-  // Fetch suggestions as user types
+  // Fetch suggestions as user types, narrowed by the selected filters
   useEffect(() => {
+    // Answers to text that has changed since are dropped
+    let cancelled = false;
+
     const fetchSuggestions = async () => {
       if (searchTerm.trim().length < 2) {
         setSuggestions([]);
@@ -46,27 +73,20 @@ export default function SearchBar({ compact = false }) {
 
       setLoading(true);
       try {
-        // In a real implementation, this would fetch from the API
-        // For now, we'll just simulate suggestions
-        // const response = await apiService.searchSuggestions(searchTerm);
-        // setSuggestions(response.data.suggestions);
-        
-        // Mock suggestions
-        const mockSuggestions = [
-          { id: '1', title: `${searchTerm} en Suprema Corte`, type: 'article', sectionId: 'suprema-corte' },
-          { id: '2', title: `Noticias sobre ${searchTerm}`, type: 'article', sectionId: 'informacion-general' },
-          { id: '3', title: `${searchTerm} en el DOF`, type: 'article', sectionId: 'dof' },
-          { id: '4', title: `Columna sobre ${searchTerm}`, type: 'article', sectionId: 'columnas-politicas' },
-        ];
-        
-        setTimeout(() => {
-          setSuggestions(mockSuggestions);
-          setLoading(false);
-        }, 300);
+        const params = getDateRange(filters.date);
+        if (filters.section !== 'all') params.section = filters.section;
+
+        const response = await apiService.searchSuggestions(searchTerm, params);
+
+        if (!cancelled) {
+          setSuggestions(flattenSuggestions(response.data));
+          setActiveIndex(-1);
+        }
       } catch (error) {
         console.error('Error fetching suggestions:', error);
-        setSuggestions([]);
-        setLoading(false);
+        if (!cancelled) setSuggestions([]);
+      } finally {
+        if (!cancelled) setLoading(false);
       }
     };
 
@@ -79,8 +99,11 @@ export default function SearchBar({ compact = false }) {
       }
     }, 300);
 
-    return () => clearTimeout(debounceTimer);
-  }, [searchTerm]);
+    return () => {
+      cancelled = true;
+      clearTimeout(debounceTimer);
+    };
+  }, [searchTerm, filters]);
 
   const handleSearch = (e) => {
     e.preventDefault();
@@ -106,12 +129,45 @@ export default function SearchBar({ compact = false }) {
   };
 
   const handleSuggestionClick = (suggestion) => {
-    if (suggestion.type === 'article') {
-      router.push(`/article/${suggestion.id}`);
-    } else if (suggestion.sectionId) {
-      router.push(`/section/${suggestion.sectionId}?q=${searchTerm}`);
+    switch (suggestion.group) {
+      case 'titles':
+        router.push(`/article/${suggestion.id}`);
+        break;
+      case 'sources':
+        router.push({ pathname: '/search', query: { q: `source:"${suggestion.name}"` } });
+        break;
+      case 'authors':
+        router.push({ pathname: '/search', query: { q: `author:"${suggestion.name}"` } });
+        break;
+      case 'sections':
+        router.push({ pathname: '/search', query: { q: searchTerm, section: suggestion.id } });
+        break;
+      default:
+        setSearchTerm(suggestion.text);
+        router.push({ pathname: '/search', query: { q: suggestion.text } });
     }
     setShowSuggestions(false);
+    setActiveIndex(-1);
+  };
+
+  // Arrow keys move through the suggestions, Enter opens the selected one and
+  // Escape closes them
+  const handleKeyDown = (e) => {
+    if (!showSuggestions || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      handleSuggestionClick(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+      setActiveIndex(-1);
+    }
   };
 
   const handleFilterChange = (e) => {
@@ -134,6 +190,12 @@ export default function SearchBar({ compact = false }) {
               setShowSuggestions(true);
             }}
             onFocus={() => setShowSuggestions(true)}
+            onKeyDown={handleKeyDown}
+            role="combobox"
+            aria-expanded={showSuggestions && suggestions.length > 0}
+            aria-controls="search-suggestions"
+            aria-activedescendant={activeIndex >= 0 ? `suggestion-${suggestions[activeIndex].key}` : undefined}
+            autoComplete="off"
             className={`py-2 pl-10 pr-4 ${compact ? 'w-full' : 'w-64 md:w-80'} rounded-full border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
             aria-label="Buscar noticias"
           />
@@ -220,38 +282,57 @@ export default function SearchBar({ compact = false }) {
       
       {/* Search suggestions */}
       {showSuggestions && suggestions.length > 0 && (
-        <div className="absolute z-10 mt-1 w-full bg-white shadow-lg rounded-md border border-gray-200 max-h-60 overflow-auto">
-          <ul className="py-1">
-            {suggestions.map((suggestion) => (
-              <li key={suggestion.id}>
-                <button
-                  className="w-full text-left px-4 py-2 hover:bg-gray-100 focus:bg-gray-100 focus:outline-none"
-                  onClick={() => handleSuggestionClick(suggestion)}
-                >
-                  <div className="flex items-center">
-                    <span className="mr-2 text-gray-400">
-                      {suggestion.type === 'article' ? (
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 20H5a2 2 0 01-2-2V6a2 2 0 012-2h10a2 2 0 012 2v1M19 20a2 2 0 002-2V8a2 2 0 00-2-2h-5a2 2 0 00-2 2v12a2 2 0 002 2h5z" />
-                        </svg>
-                      ) : (
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                        </svg>
-                      )}
-                    </span>
-                    <span>{suggestion.title}</span>
+        <div className="absolute z-10 mt-1 w-full bg-white shadow-lg rounded-md border border-gray-200 max-h-96 overflow-auto">
+          <ul id="search-suggestions" role="listbox" className="py-1">
+            {SUGGESTION_GROUPS.map(({ key, label }) => {
+              const items = suggestions.filter((suggestion) => suggestion.group === key);
+              if (items.length === 0) return null;
+
+              return (
+                <li key={key} role="presentation">
+                  <div className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">
+                    {label}
                   </div>
-                  {suggestion.sectionId && (
-                    <span className="text-xs text-gray-500 block ml-6">
-                      {suggestion.sectionId.replace(/-/g, ' ')}
-                    </span>
-                  )}
-                </button>
-              </li>
-            ))}
+                  <ul role="group" aria-label={label}>
+                    {items.map((suggestion) => {
+                      const index = suggestions.indexOf(suggestion);
+
+                      return (
+                        <li
+                          key={suggestion.key}
+                          id={`suggestion-${suggestion.key}`}
+                          role="option"
+                          aria-selected={index === activeIndex}
+                        >
+                          <button
+                            type="button"
+                            className={`w-full text-left px-4 py-2 hover:bg-gray-100 focus:outline-none ${index === activeIndex ? 'bg-gray-100' : ''}`}
+                            onMouseEnter={() => setActiveIndex(index)}
+                            onClick={() => handleSuggestionClick(suggestion)}
+                          >
+                            <span className="block truncate">
+                              {suggestion.title_highlight ? <Highlight text={suggestion.title_highlight} /> : suggestion.label}
+                            </span>
+                            {suggestion.count !== undefined && suggestion.group !== 'titles' && (
+                              <span className="text-xs text-gray-500">
+                                {suggestion.count} {suggestion.count === 1 ? 'nota' : 'notas'}
+                              </span>
+                            )}
+                            {suggestion.section_id && (
+                              <span className="text-xs text-gray-500">
+                                {suggestion.section_id.replace(/-/g, ' ')}
+                              </span>
+                            )}
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </li>
+              );
+            })}
             
-            <li className="border-t border-gray-100">
+            <li className="border-t border-gray-100" role="presentation">
               <Link
                 href={`/search?q=${encodeURIComponent(searchTerm)}`}
                 className="block px-4 py-2 text-blue-600 hover:bg-gray-100 text-sm font-medium"
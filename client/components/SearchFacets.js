@@ -0,0 +1,57 @@
+import { formatDate } from '../utils/dateUtils';
+
+// Names of the content types of the results
+const TYPE_NAMES = {
+  article: 'Notas de la síntesis',
+  external: 'Noticias externas',
+  image: 'Imágenes'
+};
+
+// Facets listed in the sidebar: the filter each sets and how its values read
+const FACET_GROUPS = [
+  { key: 'types', filter: 'type', label: 'Tipo de contenido', format: (item) => TYPE_NAMES[item.value] || item.value },
+  { key: 'sections', filter: 'section', label: 'Sección', format: (item) => item.name },
+  { key: 'sources', filter: 'source', label: 'Fuente', format: (item) => item.value },
+  { key: 'months', filter: 'month', label: 'Mes de publicación', format: (item) => formatDate(`${item.value}-01`, 'MMMM yyyy') }
+];
+
+// Sidebar with the counts of the search results by content type, section,
+// source and month. Choosing a value narrows the search to it and choosing
+// it again widens the search back.
+export default function SearchFacets({ facets, activeFilters, onChange }) {
+  return (
+    <aside className="space-y-6" aria-label="Filtrar resultados">
+      {FACET_GROUPS.map(({ key, filter, label, format }) => {
+        const items = (facets[key] || []).filter((item) => item.count > 0 || item.value === activeFilters[filter]);
+        if (items.length === 0) return null;
+
+        return (
+          <section key={key}>
+            <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-2">{label}</h3>
+            <ul className="space-y-1">
+              {items.map((item) => {
+                const active = activeFilters[filter] === item.value;
+
+                return (
+                  <li key={item.value}>
+                    <button
+                      type="button"
+                      onClick={() => onChange(filter, active ? 'all' : item.value)}
+                      aria-pressed={active}
+                      className={`w-full flex justify-between items-center text-left text-sm rounded px-2 py-1 ${
+                        active ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      <span className="truncate first-letter:uppercase">{format(item)}</span>
+                      <span className="ml-2 text-xs text-gray-500">{item.count}</span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+        );
+      })}
+    </aside>
+  );
+}
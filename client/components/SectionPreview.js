@@ -12,7 +12,7 @@ export default function SectionPreview({ sectionId, maxItems = 6, showViewAll =
   const [showCarousel, setShowCarousel] = useState(false);
   const [carouselStartIndex, setCarouselStartIndex] = useState(0);
 
-  const isImageSection = sectionId === 'primeras-planas' || sectionId === 'cartones' || sectionId === 'columnas-politicas';
+  const isImageSection = sectionId === 'primeras-planas' || sectionId === 'cartones';
 
   useEffect(() => {
     const fetchSectionItems = async () => {
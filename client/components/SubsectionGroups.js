@@ -0,0 +1,45 @@
+import ArticleCard from './ArticleCard';
+
+// Articles of a section grouped under the subheaders they are printed under
+// (e.g. CONSEJO DE LA JUDICATURA FEDERAL > OPINIÓN), in the order of the
+// printed report. Articles without a subheader are listed at the end.
+export default function SubsectionGroups({ articles, subsections }) {
+  const groups = subsections
+    .map(subsection => ({
+      ...subsection,
+      articles: articles.filter(article => article.subsection_id === subsection.id)
+    }))
+    .filter(group => group.articles.length > 0);
+
+  const ungrouped = articles.filter(article => !subsections.some(subsection => subsection.id === article.subsection_id));
+  if (ungrouped.length > 0) {
+    groups.push({ id: 'other', name: 'Otras notas', parent_id: null, articles: ungrouped });
+  }
+
+  return (
+    <div className="space-y-10">
+      {groups.map((group, index) => {
+        // The part is shown once, above its first subheader
+        const partName = group.parent_id && group.parent_id !== groups[index - 1]?.parent_id && group.parent_id !== groups[index - 1]?.id
+          ? group.parent_name
+          : null;
+
+        return (
+          <section key={group.id}>
+            {partName && <h2 className="text-xl font-bold text-primary mb-2">{partName}</h2>}
+            <h3 className={`${group.parent_id ? 'text-lg' : 'text-xl text-primary'} font-semibold border-b border-gray-200 pb-2 mb-4`}>
+              {group.name}
+            </h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+              {group.articles.map((article) => (
+                <div key={article.id}>
+                  <ArticleCard article={article} />
+                </div>
+              ))}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useState, useRef } from 'react';
+import { FiUploadCloud, FiFileText, FiLoader, FiX } from 'react-icons/fi';
+import { extractionApi } from '../../utils/adminApi';
+
+/**
+ * PdfUploader Component
+ *
+ * Drag-and-drop uploader for the PDF of an edition that could not be
+ * downloaded. The file is stored as a new revision of its edition and its
+ * extraction can be queued right away.
+ */
+const PdfUploader = ({ onUploaded }) => {
+  const [file, setFile] = useState(null);
+  const [date, setDate] = useState('');
+  const [extract, setExtract] = useState(true);
+  const [dragging, setDragging] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const inputRef = useRef(null);
+
+  const selectFile = (selected) => {
+    setError(null);
+    setResult(null);
+
+    if (selected && !selected.name.toLowerCase().endsWith('.pdf')) {
+      setError('Only PDF files are allowed');
+      return;
+    }
+    setFile(selected || null);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    selectFile(e.dataTransfer.files[0]);
+  };
+
+  const handleUpload = async () => {
+    try {
+      setUploading(true);
+      setError(null);
+      const response = await extractionApi.uploadPDF(file, { date: date || null, extract });
+      setResult(response.jobId ? `${response.message}. Extraction job ${response.jobId} queued.` : response.message);
+      setFile(null);
+      if (onUploaded) onUploaded(response);
+    } catch (err) {
+      console.error('Error uploading PDF:', err);
+      const data = err.response?.data;
+      setError(data?.error ? `${data.error}${data.code ? ` (${data.code})` : ''}` : 'Failed to upload the PDF. Please try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h3 className="text-lg font-medium text-gray-900">Upload a PDF</h3>
+      <p className="mt-1 text-sm text-gray-500">
+        For editions that could not be downloaded. Leave the date empty to read it from the cover.
+      </p>
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current && inputRef.current.click()}
+        className={`mt-4 flex flex-col items-center justify-center border-2 border-dashed rounded-md p-6 cursor-pointer ${
+          dragging ? 'border-primary bg-blue-50' : 'border-gray-300 hover:border-gray-400'
+        }`}
+      >
+        {file ? (
+          <div className="flex items-center text-sm text-gray-700">
+            <FiFileText className="mr-2 h-5 w-5" />
+            {file.name} ({(file.size / 1024 / 1024).toFixed(1)} MB)
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setFile(null);
+              }}
+              className="ml-2 text-gray-400 hover:text-gray-600"
+            >
+              <FiX className="h-4 w-4" />
+            </button>
+          </div>
+        ) : (
+          <>
+            <FiUploadCloud className="h-8 w-8 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-600">Drop the PDF here or click to choose it</p>
+          </>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept="application/pdf,.pdf"
+          className="hidden"
+          onChange={(e) => selectFile(e.target.files[0])}
+        />
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label htmlFor="upload-date" className="block text-sm font-medium text-gray-700">Edition date</label>
+          <input
+            type="date"
+            id="upload-date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="mt-1 block border-gray-300 rounded-md shadow-sm focus:ring-primary focus:border-primary sm:text-sm"
+          />
+        </div>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={extract}
+            onChange={(e) => setExtract(e.target.checked)}
+            className="mr-2 h-4 w-4 text-primary border-gray-300 rounded"
+          />
+          Extract after uploading
+        </label>
+        <button
+          type="button"
+          onClick={handleUpload}
+          disabled={!file || uploading}
+          className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary hover:bg-primary-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50"
+        >
+          {uploading ? <FiLoader className="animate-spin -ml-1 mr-2 h-5 w-5" /> : <FiUploadCloud className="-ml-1 mr-2 h-5 w-5" />}
+          Upload
+        </button>
+      </div>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      {result && <p className="mt-3 text-sm text-green-700">{result}</p>}
+    </div>
+  );
+};
+
+export default PdfUploader;
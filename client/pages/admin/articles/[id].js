@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
-import { FiSave, FiArrowLeft, FiAlertCircle, FiImage } from 'react-icons/fi';
+import { FiSave, FiArrowLeft, FiAlertCircle, FiImage, FiLock, FiUnlock } from 'react-icons/fi';
 import AdminLayout from '../../../components/admin/AdminLayout';
 import FormField from '../../../components/admin/FormField';
 import { articleApi, sectionApi, imageApi } from '../../../utils/adminApi';
@@ -124,6 +124,36 @@ export default function ArticleForm() {
     }
   };
 
+  // Fields changed by editors, which re-extractions leave untouched
+  const lockedFields = (() => {
+    try {
+      return JSON.parse(article.locked_fields || '[]');
+    } catch (err) {
+      return [];
+    }
+  })();
+
+  // How the newspaper of a front page was identified
+  const mastheadHelp = !isNewArticle && article.section_id === 'primeras-planas'
+    ? `${lockedFields.includes('source')
+      ? 'Newspaper set by an editor.'
+      : article.source_confidence !== null && article.source_confidence !== undefined
+        ? `Identified from the masthead with ${Math.round(article.source_confidence * 100)}% confidence.`
+        : 'Assigned by page order, check the front page.'} Correcting it adds this masthead to the gallery.`
+    : null;
+
+  const handleUnlock = async (field) => {
+    try {
+      setError(null);
+      const updated = await articleApi.updateArticle(id, { unlock: [field] });
+      setArticle(prev => ({ ...prev, locked_fields: JSON.stringify(updated.locked_fields) }));
+      setSuccess(`The next extraction will update the ${field} field again`);
+    } catch (err) {
+      console.error('Error unlocking field:', err);
+      setError(err.response?.data?.error || 'Failed to unlock the field. Please try again.');
+    }
+  };
+
   const validate = () => {
     const newErrors = {};
     
@@ -177,6 +207,7 @@ export default function ArticleForm() {
         router.push(`/admin/articles/${savedArticle.id}`);
       } else {
         savedArticle = await articleApi.updateArticle(id, article);
+        setArticle(prev => ({ ...prev, locked_fields: JSON.stringify(savedArticle.locked_fields) }));
         
         // If there's an image to upload, attach it to the article
         if (imageFile) {
@@ -193,7 +224,9 @@ export default function ArticleForm() {
           }
         }
         
-        setSuccess('Article updated successfully');
+        setSuccess(savedArticle.masthead?.created
+          ? `Article updated successfully. Its masthead was added to the gallery as ${savedArticle.source}`
+          : 'Article updated successfully');
       }
     } catch (err) {
       console.error('Error saving article:', err);
@@ -262,6 +295,26 @@ export default function ArticleForm() {
             </div>
           )}
 
+          {!isNewArticle && lockedFields.length > 0 && (
+            <div className="px-4 py-3 sm:px-6 bg-amber-50 border-b border-amber-100">
+              <div className="flex flex-wrap items-center gap-2 text-sm text-amber-800">
+                <FiLock className="h-4 w-4" />
+                <span>Kept when the date is re-extracted:</span>
+                {lockedFields.map(field => (
+                  <button
+                    key={field}
+                    type="button"
+                    onClick={() => handleUnlock(field)}
+                    title="Unlock so that the next extraction updates this field"
+                    className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 hover:bg-amber-200"
+                  >
+                    {field} <FiUnlock className="ml-1 h-3 w-3" />
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="px-4 py-5 sm:p-6">
             <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
               <div className="sm:col-span-2">
@@ -334,6 +387,7 @@ export default function ArticleForm() {
                 onChange={handleChange}
                 error={errors.source}
                 placeholder="Enter content source"
+                helpText={mastheadHelp}
               />
 
               <FormField
@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { FiArrowLeft, FiAlertTriangle, FiCheck, FiLoader, FiRefreshCw } from 'react-icons/fi';
+import AdminLayout from '../../../components/admin/AdminLayout';
+import PdfUploader from '../../../components/admin/PdfUploader';
+import { extractionApi } from '../../../utils/adminApi';
+
+const DATE_SOURCES = {
+  cover: 'Cover',
+  metadata: 'PDF metadata',
+  download: 'Download date',
+  provided: 'Provided'
+};
+
+// Format a size in bytes
+function formatSize(bytes) {
+  if (!bytes) return '—';
+  return bytes > 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+export default function ExtractionEditions() {
+  const router = useRouter();
+  const [date, setDate] = useState('');
+  const [editions, setEditions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(null);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const fetchEditions = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setEditions(await extractionApi.getEditions(date || null));
+    } catch (err) {
+      console.error('Error fetching PDF revisions:', err);
+      setError(err.response?.data?.message || 'Failed to load the PDF revisions. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEditions();
+  }, [date]);
+
+  const handleExtract = async (edition) => {
+    try {
+      setWorking(edition.id);
+      setError(null);
+      const response = await extractionApi.extractEdition(edition.id);
+      setResult(`${response.message} (job ${response.jobId})`);
+      await fetchEditions();
+    } catch (err) {
+      console.error('Error re-extracting PDF revision:', err);
+      setError(err.response?.data?.message || 'Failed to queue the re-extraction. Please try again.');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  return (
+    <AdminLayout title="PDF Revisions">
+      <div className="mb-6">
+        <button
+          onClick={() => router.push('/admin/extraction')}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+        >
+          <FiArrowLeft className="mr-1" /> Back to Extraction
+        </button>
+      </div>
+
+      <div className="mb-6 flex flex-wrap justify-between items-end gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">PDF Revisions</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Every downloaded or uploaded version of the daily PDF. Re-extracting a revision makes it the current PDF of its date once the extraction is stored.
+          </p>
+        </div>
+        <div>
+          <label htmlFor="date" className="block text-sm font-medium text-gray-700">Date</label>
+          <input
+            type="date"
+            id="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary focus:border-primary sm:text-sm"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 border border-red-200 bg-red-50 rounded-md p-4">
+          <div className="flex">
+            <FiAlertTriangle className="h-5 w-5 text-red-400" />
+            <p className="ml-3 text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="mb-6 border border-green-200 bg-green-50 rounded-md p-4">
+          <div className="flex">
+            <FiCheck className="h-5 w-5 text-green-400" />
+            <p className="ml-3 text-sm text-green-700">{result}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="mb-6">
+        <PdfUploader onUploaded={fetchEditions} />
+      </div>
+
+      {loading ? (
+        <div className="flex items-center text-sm text-gray-500">
+          <FiLoader className="animate-spin mr-2 h-5 w-5" /> Loading revisions...
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Revision</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date from</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Downloaded</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Extracted</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {editions.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-4 py-3 text-sm text-gray-500">No revisions</td>
+                </tr>
+              )}
+              {editions.map(edition => (
+                <tr key={edition.id} className={edition.is_current ? 'bg-blue-50' : ''}>
+                  <td className="px-4 py-2 text-sm text-gray-900">{edition.date}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">
+                    {edition.revision}
+                    {edition.is_current ? <span className="ml-2 text-xs font-medium text-blue-700">current</span> : null}
+                    <div className="text-xs text-gray-400 font-mono">{edition.hash.slice(0, 12)}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{DATE_SOURCES[edition.date_source] || edition.date_source}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{formatSize(edition.size)}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{new Date(edition.downloaded_at).toLocaleString()}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700">
+                    {edition.extracted_at ? new Date(edition.extracted_at).toLocaleString() : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => handleExtract(edition)}
+                      disabled={working !== null}
+                      className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <FiRefreshCw className={`mr-1 h-4 w-4 ${working === edition.id ? 'animate-spin' : ''}`} />
+                      Re-extract
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { FiRefreshCw, FiDownload, FiAlertCircle, FiTrash2 } from 'react-icons/fi';
+import { FiRefreshCw, FiDownload, FiAlertCircle, FiTrash2, FiLayers, FiImage } from 'react-icons/fi';
 import AdminLayout from '../../../components/admin/AdminLayout';
 import LogViewer from '../../../components/admin/LogViewer';
 import { StatsCard } from '../../../components/admin/Card';
@@ -179,6 +179,20 @@ export default function ExtractionStatus() {
           <FiDownload className="-ml-1 mr-2 h-5 w-5" />
           Trigger Manual Extraction
         </a>
+        <a
+          href="/admin/extraction/editions"
+          className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary"
+        >
+          <FiLayers className="-ml-1 mr-2 h-5 w-5" />
+          PDF Revisions
+        </a>
+        <a
+          href="/admin/extraction/mastheads"
+          className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary"
+        >
+          <FiImage className="-ml-1 mr-2 h-5 w-5" />
+          Mastheads
+        </a>
         <a
           href="/admin/extraction/delete"
           className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
@@ -0,0 +1,199 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { FiArrowLeft, FiAlertTriangle, FiCheck, FiLoader, FiTrash2, FiUploadCloud } from 'react-icons/fi';
+import AdminLayout from '../../../components/admin/AdminLayout';
+import { extractionApi } from '../../../utils/adminApi';
+
+export default function ExtractionMastheads() {
+  const router = useRouter();
+  const [gallery, setGallery] = useState({ references: [], newspapers: {}, minConfidence: null });
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(null);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [newspaper, setNewspaper] = useState('');
+  const [file, setFile] = useState(null);
+
+  const fetchMastheads = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setGallery(await extractionApi.getMastheads());
+    } catch (err) {
+      console.error('Error fetching mastheads:', err);
+      setError(err.response?.data?.error || 'Failed to load the mastheads. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchMastheads();
+  }, []);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    try {
+      setWorking('add');
+      setError(null);
+      setResult(null);
+      const response = await extractionApi.addMasthead(file, newspaper.trim());
+      setResult(response.created
+        ? `Added a masthead of ${response.reference.newspaper}`
+        : `${response.reference.newspaper} already has this masthead`);
+      setFile(null);
+      e.target.reset();
+      await fetchMastheads();
+    } catch (err) {
+      console.error('Error adding masthead:', err);
+      setError(err.response?.data?.error || 'Failed to add the masthead. Please try again.');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleDelete = async (reference) => {
+    if (!confirm(`Delete this masthead of ${reference.newspaper}?`)) return;
+
+    try {
+      setWorking(reference.id);
+      setError(null);
+      await extractionApi.deleteMasthead(reference.id);
+      await fetchMastheads();
+    } catch (err) {
+      console.error('Error deleting masthead:', err);
+      setError(err.response?.data?.error || 'Failed to delete the masthead. Please try again.');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  return (
+    <AdminLayout title="Mastheads">
+      <div className="mb-6">
+        <button
+          onClick={() => router.push('/admin/extraction')}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+        >
+          <FiArrowLeft className="mr-1" /> Back to Extraction
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Mastheads</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          The newspaper of each front page in Primeras Planas is identified by comparing its masthead with these references.
+          {gallery.minConfidence !== null && ` Matches below ${Math.round(gallery.minConfidence * 100)}% confidence fall back to the page order.`}
+          {' '}Correcting the source of a front page adds its masthead here.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 border border-red-200 bg-red-50 rounded-md p-4">
+          <div className="flex">
+            <FiAlertTriangle className="h-5 w-5 text-red-400" />
+            <p className="ml-3 text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="mb-6 border border-green-200 bg-green-50 rounded-md p-4">
+          <div className="flex">
+            <FiCheck className="h-5 w-5 text-green-400" />
+            <p className="ml-3 text-sm text-green-700">{result}</p>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleAdd} className="mb-6 bg-white shadow rounded-lg p-6 flex flex-wrap items-end gap-4">
+        <div>
+          <label htmlFor="newspaper" className="block text-sm font-medium text-gray-700">Newspaper</label>
+          <input
+            type="text"
+            id="newspaper"
+            value={newspaper}
+            onChange={(e) => setNewspaper(e.target.value)}
+            list="newspapers"
+            className="mt-1 block border-gray-300 rounded-md shadow-sm focus:ring-primary focus:border-primary sm:text-sm"
+          />
+          <datalist id="newspapers">
+            {Object.keys(gallery.newspapers).map(name => <option key={name} value={name} />)}
+          </datalist>
+        </div>
+        <div>
+          <label htmlFor="front-page" className="block text-sm font-medium text-gray-700">Front page image</label>
+          <input
+            type="file"
+            id="front-page"
+            accept="image/png,image/jpeg,image/gif"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="mt-1 block text-sm text-gray-700"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!file || !newspaper.trim() || working !== null}
+          className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary hover:bg-primary-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50"
+        >
+          {working === 'add' ? <FiLoader className="animate-spin -ml-1 mr-2 h-5 w-5" /> : <FiUploadCloud className="-ml-1 mr-2 h-5 w-5" />}
+          Add masthead
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex items-center text-sm text-gray-500">
+          <FiLoader className="animate-spin mr-2 h-5 w-5" /> Loading mastheads...
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Newspaper</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Masthead</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Added</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {gallery.references.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="px-4 py-3 text-sm text-gray-500">No mastheads</td>
+                </tr>
+              )}
+              {gallery.references.map(reference => (
+                <tr key={reference.id}>
+                  <td className="px-4 py-2 text-sm text-gray-900">{reference.newspaper}</td>
+                  <td className="px-4 py-2">
+                    <img
+                      src={`/api/admin/mastheads/${reference.id}/image`}
+                      alt={reference.newspaper}
+                      className="h-10 max-w-xs object-contain"
+                    />
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">
+                    {new Date(reference.addedAt).toLocaleString()}
+                    {reference.addedBy && <div className="text-xs text-gray-400">{reference.addedBy}</div>}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(reference)}
+                      disabled={working !== null}
+                      className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-xs font-medium rounded-md text-red-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <FiTrash2 className="mr-1 h-4 w-4" />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
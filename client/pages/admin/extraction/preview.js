@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { FiArrowLeft, FiAlertTriangle, FiCheck, FiLoader, FiTrash2, FiSave } from 'react-icons/fi';
+import AdminLayout from '../../../components/admin/AdminLayout';
+import { extractionApi } from '../../../utils/adminApi';
+
+const CHANGE_STYLES = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through',
+  changed: 'bg-amber-50 text-amber-800',
+  kept: 'bg-blue-50 text-blue-800'
+};
+
+// List the field changes of a matched article
+function ChangeDetails({ changes }) {
+  const fields = Object.entries(changes || {});
+
+  if (fields.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="mt-1 ml-4 text-xs text-gray-600">
+      {fields.map(([field, { from, to }]) => (
+        <li key={field}>
+          <span className="font-medium">{field}:</span> {from || '—'} → {to || '—'}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function ExtractionPreview() {
+  const router = useRouter();
+  const { date } = router.query;
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!date) return;
+
+    const fetchPreview = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setPreview(await extractionApi.getPreview(date));
+      } catch (err) {
+        console.error('Error fetching extraction preview:', err);
+        setError(err.response?.data?.message || 'Failed to load the preview. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreview();
+  }, [date]);
+
+  const handleCommit = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      const response = await extractionApi.commitPreview(date);
+      setResult(response.message);
+      setPreview(null);
+    } catch (err) {
+      console.error('Error committing extraction preview:', err);
+      setError(err.response?.data?.message || 'Failed to store the preview. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      const response = await extractionApi.discardPreview(date);
+      setResult(response.message);
+      setPreview(null);
+    } catch (err) {
+      console.error('Error discarding extraction preview:', err);
+      setError(err.response?.data?.message || 'Failed to discard the preview. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const totals = preview ? preview.diff.totals : null;
+
+  return (
+    <AdminLayout title="Extraction Preview">
+      <div className="mb-6">
+        <button
+          onClick={() => router.push('/admin/extraction/trigger')}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+        >
+          <FiArrowLeft className="mr-1" /> Back to Trigger Extraction
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Extraction Preview{date ? ` for ${date}` : ''}</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Review what a re-extraction would change before storing it. Fields changed by editors and articles created by hand are kept.
+        </p>
+      </div>
+
+      {loading && (
+        <div className="flex items-center text-sm text-gray-500">
+          <FiLoader className="animate-spin mr-2 h-5 w-5" /> Loading preview...
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-6 border border-red-200 bg-red-50 rounded-md p-4">
+          <div className="flex">
+            <FiAlertTriangle className="h-5 w-5 text-red-400" />
+            <p className="ml-3 text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="mb-6 border border-green-200 bg-green-50 rounded-md p-4">
+          <div className="flex">
+            <FiCheck className="h-5 w-5 text-green-400" />
+            <p className="ml-3 text-sm text-green-700">{result}</p>
+          </div>
+        </div>
+      )}
+
+      {preview && (
+        <>
+          <div className="bg-white shadow rounded-lg p-6 mb-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div className="text-sm text-gray-700">
+                <p>
+                  Engine <strong>{preview.engine}</strong>, extracted {new Date(preview.createdAt).toLocaleString()}
+                </p>
+                <p className="mt-1">
+                  <span className="text-green-700">{totals.added} added</span>,{' '}
+                  <span className="text-red-700">{totals.removed} removed</span>,{' '}
+                  <span className="text-amber-700">{totals.changed} changed</span>,{' '}
+                  <span className="text-blue-700">{totals.kept} kept</span>,{' '}
+                  {totals.unchanged} unchanged
+                </p>
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={handleCommit}
+                  disabled={working}
+                  className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary hover:bg-primary-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50"
+                >
+                  <FiSave className="-ml-1 mr-2 h-5 w-5" />
+                  Store Changes
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDiscard}
+                  disabled={working}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50"
+                >
+                  <FiTrash2 className="-ml-1 mr-2 h-5 w-5" />
+                  Discard
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {Object.entries(preview.diff.sections).map(([sectionId, section]) => {
+            const items = [
+              ...section.articles.added.map(article => ({ kind: 'added', title: article.title, changes: null })),
+              ...section.articles.removed.map(article => ({ kind: 'removed', title: article.title, changes: null })),
+              ...section.articles.changed.map(article => ({ kind: 'changed', title: article.title, changes: article.changes })),
+              ...section.articles.kept.map(article => ({ kind: 'kept', title: article.title, changes: article.changes })),
+              ...section.images.added.map(image => ({ kind: 'added', title: `Image ${image.filename}`, changes: null })),
+              ...section.images.removed.map(image => ({ kind: 'removed', title: `Image ${image.filename}`, changes: null }))
+            ];
+
+            return (
+              <div key={sectionId} className="bg-white shadow rounded-lg overflow-hidden mb-6">
+                <div className="px-4 py-3 border-b border-gray-200 flex justify-between">
+                  <h3 className="text-sm font-medium text-gray-900">{sectionId}</h3>
+                  <span className="text-xs text-gray-500">
+                    {section.articles.unchanged + section.images.unchanged} unchanged
+                  </span>
+                </div>
+                {items.length === 0 ? (
+                  <p className="px-4 py-3 text-sm text-gray-500">No changes</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {items.map((item, index) => (
+                      <li key={index} className={`px-4 py-2 text-sm ${CHANGE_STYLES[item.kind]}`}>
+                        <span className="inline-block w-20 text-xs font-medium uppercase">{item.kind}</span>
+                        {item.title}
+                        <ChangeDetails changes={item.changes} />
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </>
+      )}
+    </AdminLayout>
+  );
+}
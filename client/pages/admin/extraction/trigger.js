@@ -1,9 +1,21 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
-import { FiDownload, FiArrowLeft, FiAlertCircle, FiCheckCircle, FiLoader, FiRefreshCw, FiCalendar } from 'react-icons/fi';
+import { FiDownload, FiArrowLeft, FiAlertCircle, FiCheckCircle, FiLoader, FiRefreshCw, FiCalendar, FiEye } from 'react-icons/fi';
 import AdminLayout from '../../../components/admin/AdminLayout';
+import PdfUploader from '../../../components/admin/PdfUploader';
 import { extractionApi } from '../../../utils/adminApi';
 
+// Explanations of the codes of failed PDF downloads
+const DOWNLOAD_ERROR_MESSAGES = {
+  NETWORK_ERROR: 'The CJF server could not be reached',
+  TIMEOUT: 'The CJF server did not respond in time',
+  HTTP_ERROR: 'The CJF server answered with an error',
+  INVALID_CONTENT_TYPE: 'The CJF server sent a web page instead of the PDF',
+  NOT_A_PDF: 'The downloaded file is not a PDF',
+  TRUNCATED: 'The downloaded PDF is incomplete',
+  INVALID_PDF: 'The downloaded PDF could not be read'
+};
+
 export default function TriggerExtraction() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -14,8 +26,92 @@ export default function TriggerExtraction() {
   const [availablePDFs, setAvailablePDFs] = useState([]);
   const [selectedDate, setSelectedDate] = useState('');
   const [isReExtraction, setIsReExtraction] = useState(false);
+  const [job, setJob] = useState(null);
   const router = useRouter();
 
+  const [jobLogs, setJobLogs] = useState([]);
+  const [currentSection, setCurrentSection] = useState(null);
+  const eventSourceRef = useRef(null);
+  const logConsoleRef = useRef(null);
+
+  // Follow a queued extraction job through its server-sent events until it
+  // completes or fails
+  const followJob = (jobId) => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+    }
+    
+    setJobLogs([]);
+    setCurrentSection(null);
+    
+    const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000/api';
+    // EventSource cannot send the token header, so the stream signs in with the
+    // session cookie
+    const eventSource = new EventSource(`${apiUrl}/extraction/jobs/${jobId}/events`, { withCredentials: true });
+    eventSourceRef.current = eventSource;
+    
+    eventSource.addEventListener('job', (event) => {
+      setJob(JSON.parse(event.data));
+    });
+    
+    eventSource.addEventListener('progress', (event) => {
+      const progress = JSON.parse(event.data);
+      setJob((current) => ({ ...current, ...progress }));
+      setCurrentSection(progress.section);
+    });
+    
+    eventSource.addEventListener('log', (event) => {
+      const log = JSON.parse(event.data);
+      // Keep the console short; the full logs are in storage/logs
+      setJobLogs((logs) => [...logs.slice(-499), log]);
+    });
+    
+    eventSource.addEventListener('done', (event) => {
+      const jobData = JSON.parse(event.data);
+      eventSource.close();
+      eventSourceRef.current = null;
+      setJob(jobData);
+      setCurrentSection(null);
+      
+      if (jobData.status === 'completed' && jobData.stats && jobData.stats.skipped) {
+        setStatus('completed');
+        setSuccess(`The PDF has not changed since the ${jobData.date} edition was extracted. Nothing to do.`);
+      } else if (jobData.status === 'completed' && jobData.stats && jobData.stats.dryRun) {
+        setStatus('completed');
+        setSuccess(`Preview for ${jobData.date} is ready. Review the changes before storing them.`);
+      } else if (jobData.status === 'completed') {
+        setStatus('completed');
+        setSuccess(`Extraction job ${jobId}${jobData.date ? ` for ${jobData.date}` : ''} completed successfully`);
+      } else {
+        setStatus('failed');
+        setSuccess(null);
+        const reason = DOWNLOAD_ERROR_MESSAGES[jobData.error_code];
+        setError(`Extraction job ${jobId} failed: ${reason ? `${reason} (${jobData.error_code}). ` : ''}${jobData.error || 'Unknown error'}`);
+      }
+    });
+    
+    eventSource.onerror = () => {
+      // The browser reconnects on its own unless the stream was closed
+      if (eventSource.readyState === EventSource.CLOSED) {
+        eventSourceRef.current = null;
+      }
+    };
+  };
+
+  // Close the event stream when leaving the page
+  useEffect(() => () => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+    }
+  }, []);
+
+  // Keep the log console scrolled to the latest entry
+  useEffect(() => {
+    if (logConsoleRef.current) {
+      logConsoleRef.current.scrollTop = logConsoleRef.current.scrollHeight;
+    }
+  }, [jobLogs]);
+
   // Function to fetch extraction status
   const fetchExtractionStatus = async () => {
     try {
@@ -67,6 +163,18 @@ export default function TriggerExtraction() {
     };
   };
 
+  // Follow the extraction queued with an uploaded PDF
+  const handleUploaded = (response) => {
+    fetchAvailablePDFs();
+    
+    if (response.jobId) {
+      setStatus('in_progress');
+      setError(null);
+      setSuccess(`Extraction of the uploaded ${response.edition.date} edition started. This process may take several minutes...`);
+      followJob(response.jobId);
+    }
+  };
+
   // Fetch available PDFs for re-extraction
   const fetchAvailablePDFs = async () => {
     try {
@@ -92,41 +200,37 @@ export default function TriggerExtraction() {
     fetchAvailablePDFs();
   }, []);
 
-  const handleTriggerExtraction = async (isReExtract = false) => {
+  const handleTriggerExtraction = async (isReExtract = false, dryRun = false) => {
     try {
       setLoading(true);
       setError(null);
       setSuccess(null);
       setStatus('starting');
+      setJob(null);
       
       let response;
       
       if (isReExtract && selectedDate) {
-        // Use direct fetch for re-extraction
-        const fetchResponse = await fetch('/api/extraction/run', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ date: selectedDate }),
-        });
-        
-        if (!fetchResponse.ok) {
-          throw new Error(`HTTP error! status: ${fetchResponse.status}`);
-        }
-        
-        response = await fetchResponse.json();
+        response = await extractionApi.runExtraction({ date: selectedDate, dryRun });
         
         if (response.success) {
-          setStatus('completed');
-          setSuccess(`Re-extraction for ${selectedDate} started successfully. This process may take several minutes...`);
+          setStatus('in_progress');
+          setJob(response.job);
+          setSuccess(dryRun
+            ? `Preview extraction for ${selectedDate} started. Nothing is stored until you review and commit it...`
+            : `Re-extraction for ${selectedDate} started successfully. This process may take several minutes...`);
+          followJob(response.jobId);
         } else {
           throw new Error(response.message || 'Unknown error');
         }
       } else {
         response = await extractionApi.triggerExtraction();
         
-        if (response.status === 'in_progress') {
+        if (response.jobId) {
+          setStatus('in_progress');
+          setSuccess('Extraction started successfully. This process may take several minutes...');
+          followJob(response.jobId);
+        } else if (response.status === 'in_progress') {
           setStatus('in_progress');
           setSuccess('Extraction started successfully. This process may take several minutes...');
           startStatusPolling();
@@ -239,10 +343,22 @@ export default function TriggerExtraction() {
                     <FiRefreshCw className="-ml-1 mr-2 h-5 w-5" />
                     Re-extract PDF
                   </button>
+                  <button
+                    type="button"
+                    onClick={() => handleTriggerExtraction(true, true)}
+                    disabled={!selectedDate || loading || status === 'in_progress'}
+                    className={`ml-3 inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-amber-500 ${
+                      (!selectedDate || loading || status === 'in_progress') ? 'opacity-70 cursor-not-allowed' : ''
+                    }`}
+                  >
+                    <FiEye className="-ml-1 mr-2 h-5 w-5" />
+                    Preview Changes
+                  </button>
                 </div>
                 <p className="mt-2 text-xs text-gray-500">
                   This will re-extract content from an existing PDF file in storage/pdf without downloading a new one.
                   The dropdown shows all available PDF files that can be re-extracted.
+                  Preview Changes extracts the PDF without storing it and shows what would change.
                 </p>
                 <button
                   type="button"
@@ -343,11 +459,74 @@ export default function TriggerExtraction() {
                       The extraction process is running in the background. You can check the status here or come back later.
                     </p>
                   )}
+                  {job && job.status === 'completed' && job.stats && job.stats.dryRun && (
+                    <button
+                      type="button"
+                      onClick={() => router.push(`/admin/extraction/preview?date=${job.date}`)}
+                      className="mt-2 inline-flex items-center text-sm font-medium text-green-800 underline hover:text-green-900"
+                    >
+                      <FiEye className="mr-1" /> Review the preview
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
           )}
 
+          {job && (
+            <div className="mt-6">
+              <h4 className="text-sm font-medium text-gray-900 mb-2">
+                Job {job.id}{job.date ? ` (${job.date})` : ''}: {job.progress || 0}%
+                {job.current_step && (
+                  <span className="ml-2 text-gray-500 font-normal">
+                    {job.current_step}{currentSection ? ` – ${currentSection}` : ''}
+                  </span>
+                )}
+              </h4>
+              <div className="w-full bg-gray-200 rounded-full h-2.5">
+                <div
+                  className={`h-2.5 rounded-full ${job.status === 'failed' ? 'bg-red-500' : 'bg-primary'}`}
+                  style={{ width: `${job.progress || 0}%` }}
+                />
+              </div>
+              <ul className="mt-3 flex flex-wrap gap-2">
+                {(job.steps || []).map((step) => (
+                  <li
+                    key={step.name}
+                    className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                      step.status === 'completed' ? 'bg-green-100 text-green-800' :
+                      step.status === 'running' ? 'bg-blue-100 text-blue-800' :
+                      step.status === 'failed' ? 'bg-red-100 text-red-800' :
+                      'bg-gray-100 text-gray-600'
+                    }`}
+                  >
+                    {step.name}: {step.status}
+                  </li>
+                ))}
+              </ul>
+              {jobLogs.length > 0 && (
+                <div
+                  ref={logConsoleRef}
+                  className="mt-4 bg-gray-900 text-gray-100 font-mono text-xs p-3 rounded-md overflow-auto max-h-64"
+                >
+                  {jobLogs.map((log, index) => (
+                    <div
+                      key={index}
+                      className={
+                        log.level === 'error' ? 'text-red-400' :
+                        log.level === 'warn' ? 'text-yellow-300' :
+                        log.level === 'debug' ? 'text-gray-400' : ''
+                      }
+                    >
+                      <span className="text-gray-500">{new Date(log.timestamp).toLocaleTimeString()}</span>{' '}
+                      [{log.module}] {log.message}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {lastExtraction && (
             <div className="mt-6">
               <h4 className="text-sm font-medium text-gray-900 mb-2">Last Extraction Status:</h4>
@@ -382,6 +561,10 @@ export default function TriggerExtraction() {
           )}
         </div>
       </div>
+
+      <div className="mt-6">
+        <PdfUploader onUploaded={handleUploaded} />
+      </div>
     </AdminLayout>
   );
 }
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import Calendar from 'react-calendar';
+import 'react-calendar/dist/Calendar.css';
+import { format, startOfMonth, endOfMonth } from 'date-fns/index.js';
+import es from 'date-fns/locale/es/index.js';
+import { apiService } from '../utils/api';
+import { formatDateForUrl } from '../utils/dateUtils';
+
+// Calendar of the events listed in the Agenda section, with a feed to
+// subscribe from calendar clients
+export default function AgendaPage() {
+  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [month, setMonth] = useState(startOfMonth(new Date()));
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        setLoading(true);
+        const response = await apiService.getAgendaEvents({
+          from: formatDateForUrl(startOfMonth(month)),
+          to: formatDateForUrl(endOfMonth(month)),
+          limit: 500
+        });
+        setEvents(response.data.events);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching agenda events:', err);
+        setError('Error al cargar la agenda.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvents();
+  }, [month]);
+
+  const eventsOn = (date) => events.filter(event => event.event_date === formatDateForUrl(date));
+  const dayEvents = eventsOn(selectedDate);
+
+  const feedUrl = apiService.getAgendaFeedUrl();
+  const subscribeUrl = feedUrl.replace(/^https?:/, 'webcal:');
+
+  const tileContent = ({ date, view }) => {
+    if (view !== 'month') return null;
+    const count = eventsOn(date).length;
+    return count > 0 ? <span className="block text-xs text-blue-600 font-semibold">{count}</span> : null;
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Agenda | Portal de Noticias Judiciales</title>
+      </Head>
+
+      <div className="container mx-auto px-4 py-8">
+        <div className="mb-8">
+          <Link href="/" className="text-blue-600 hover:underline">Volver a inicio</Link>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md overflow-hidden mb-8">
+          <div className="p-6 bg-primary text-white flex flex-col md:flex-row md:items-center md:justify-between">
+            <h1 className="text-2xl md:text-3xl font-bold">Agenda</h1>
+            <div className="flex space-x-3 mt-4 md:mt-0 text-sm">
+              <a href={subscribeUrl} className="bg-white text-primary py-2 px-4 rounded-full hover:bg-gray-100">Suscribirse al calendario</a>
+              <a href={feedUrl} className="border border-white py-2 px-4 rounded-full hover:bg-white hover:text-primary">Descargar .ics</a>
+            </div>
+          </div>
+
+          <div className="p-6 grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div>
+              <Calendar
+                locale="es"
+                value={selectedDate}
+                onChange={setSelectedDate}
+                onActiveStartDateChange={({ activeStartDate, view }) => view === 'month' && setMonth(activeStartDate)}
+                tileContent={tileContent}
+              />
+            </div>
+
+            <div className="lg:col-span-2">
+              <h2 className="text-xl font-semibold mb-4 capitalize">
+                {format(selectedDate, 'EEEE d \'de\' MMMM \'de\' yyyy', { locale: es })}
+              </h2>
+
+              {loading ? (
+                <div className="animate-pulse h-32 bg-gray-200 rounded"></div>
+              ) : error ? (
+                <p className="text-red-500">{error}</p>
+              ) : dayEvents.length === 0 ? (
+                <p className="text-gray-500 py-8">No hay eventos en la agenda para este día.</p>
+              ) : (
+                <ul className="divide-y divide-gray-200">
+                  {dayEvents.map((event) => (
+                    <li key={event.id} className="py-4 flex">
+                      <div className="w-28 flex-shrink-0 font-semibold text-gray-700">
+                        {event.start_time ? `${event.start_time}${event.end_time ? ` – ${event.end_time}` : ''}` : 'Todo el día'}
+                      </div>
+                      <div>
+                        {event.institution && <p className="text-xs uppercase tracking-wide text-blue-700">{event.institution}</p>}
+                        <p className="text-gray-900">{event.description}</p>
+                        {event.location && <p className="text-sm text-gray-500 mt-1">{event.location}</p>}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -90,6 +90,15 @@ export default function ArticlePage() {
   const sourceLink = article?.source_url || article?.url || `https://www.google.com/search?q=${encodeURIComponent(article?.title || '')}`;
   const linkLabel = article?.source_url || article?.url ? 'Ver fuente original' : 'Buscar en Google';
 
+  // Institutions mentioned in a political column, stored as a JSON array
+  const institutions = (() => {
+    try {
+      return article?.institutions ? JSON.parse(article.institutions) : [];
+    } catch (err) {
+      return [];
+    }
+  })();
+
   return (
     <>
       <Head>
@@ -130,6 +139,14 @@ export default function ArticlePage() {
                       {article.author && <span className="mr-4 mb-2"><strong>Autor:</strong> {article.author}</span>}
                       {formattedDate && <span className="mb-2 capitalize"><strong>Fecha:</strong> {formattedDate}</span>}
                     </div>
+                    {institutions.length > 0 && (
+                      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600 mb-4">
+                        <strong>Instituciones mencionadas:</strong>
+                        {institutions.map(name => (
+                          <Link key={name} href={`/search?q=${encodeURIComponent(name)}`} className="bg-gray-100 text-gray-700 text-xs px-2 py-1 rounded-full hover:bg-gray-200">{name}</Link>
+                        ))}
+                      </div>
+                    )}
                     <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
                       <a href={sourceLink} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 font-medium flex items-center">
                         <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" /></svg>
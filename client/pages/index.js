@@ -112,7 +112,7 @@ export default function Home() {
       'tribunal-electoral': '/section/tribunal-electoral',
       'dof': '/section/dof',
       'consejo-judicatura': '/section/consejo-judicatura',
-      'agenda': '/section/agenda',
+      'agenda': '/agenda',
       'sintesis-informativa': '/section/sintesis-informativa'
     };
     return sectionPaths[sectionId] || `/section/${sectionId}`;
@@ -4,24 +4,32 @@ import Head from 'next/head';
 import Link from 'next/link';
 import ArticleCard from '../components/ArticleCard';
 import ImageCard from '../components/ImageCard';
+import QueryError from '../components/QueryError';
+import SearchFacets from '../components/SearchFacets';
 import SearchBar from '../components/SearchBar';
 import { apiService } from '../utils/api';
+import { getDateRange } from '../utils/dateUtils';
 
 export default function SearchPage() {
   const router = useRouter();
-  const { q, section, date } = router.query;
+  const { q, section, source, month, date, type } = router.query;
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [queryError, setQueryError] = useState(null);
   const [page, setPage] = useState(1);
   const [hasMore, setHasMore] = useState(false);
   const [totalResults, setTotalResults] = useState(0);
+  const [facets, setFacets] = useState(null);
   const [activeFilters, setActiveFilters] = useState({
     section: section || 'all',
+    source: source || 'all',
+    month: month || 'all',
     date: date || 'all',
-    type: 'all'
+    type: type || 'all'
   });
   const [view, setView] = useState('grid'); // 'grid' or 'list'
+  const [sort, setSort] = useState('relevance'); // 'relevance' or 'date'
   const itemsPerPage = 12;
 
   useEffect(() => {
@@ -34,30 +42,48 @@ export default function SearchPage() {
     const fetchSearchResults = async () => {
       try {
         setLoading(true);
+        setError(null);
+        setQueryError(null);
         
         // Prepare query parameters
-        const params = { q };
+        const params = { q, ...getDateRange(activeFilters.date) };
         if (activeFilters.section !== 'all') params.section = activeFilters.section;
-        if (activeFilters.date !== 'all') params.date = activeFilters.date;
+        if (activeFilters.source !== 'all') params.source = activeFilters.source;
+        if (activeFilters.month !== 'all') params.month = activeFilters.month;
         if (activeFilters.type !== 'all') params.type = activeFilters.type;
+        params.sort = sort;
         params.page = page;
         params.limit = itemsPerPage;
+        params.offset = (page - 1) * itemsPerPage;
         
         // Use the API service
         const response = await apiService.searchArticles(params);
         
         if (page === 1) {
           setResults(response.data.results || []);
+          setFacets(response.data.facets || null);
         } else {
           setResults(prev => [...prev, ...(response.data.results || [])]);
         }
         
         setTotalResults(response.data.total || 0);
-        setHasMore(response.data.hasMore || false);
+        setHasMore((page - 1) * itemsPerPage + (response.data.results || []).length < (response.data.total || 0));
         setLoading(false);
       } catch (err) {
+        // A query the API cannot read is shown with its problem, not replaced
+        if (err.response?.status === 400 && err.response.data?.code) {
+          setQueryError(err.response.data);
+          setResults([]);
+          setFacets(null);
+          setTotalResults(0);
+          setHasMore(false);
+          setLoading(false);
+          return;
+        }
+        
         console.error('Error searching:', err);
         setError('Error al realizar la búsqueda. Por favor, intente de nuevo más tarde.');
+        setFacets(null);
         setLoading(false);
         
         // For development purposes, let's create mock data
@@ -75,23 +101,26 @@ export default function SearchPage() {
     };
 
     fetchSearchResults();
-  }, [q, page, activeFilters]);
+  }, [q, page, activeFilters, sort]);
 
   // Reset page when query or filters change
   useEffect(() => {
     setPage(1);
-  }, [q, activeFilters]);
+  }, [q, activeFilters, sort]);
 
   // Update active filters when URL params change
   useEffect(() => {
-    if (section || date) {
+    if (section || source || month || date || type) {
       setActiveFilters(prev => ({
         ...prev,
         section: section || prev.section,
-        date: date || prev.date
+        source: source || prev.source,
+        month: month || prev.month,
+        date: date || prev.date,
+        type: type || prev.type
       }));
     }
-  }, [section, date]);
+  }, [section, source, month, date, type]);
 
   // Function to generate mock search results for development
   const generateMockSearchResults = (query, page, limit, filters) => {
@@ -216,6 +245,8 @@ export default function SearchPage() {
   const clearFilters = () => {
     setActiveFilters({
       section: 'all',
+      source: 'all',
+      month: 'all',
       date: 'all',
       type: 'all'
     });
@@ -230,6 +261,8 @@ export default function SearchPage() {
   const getActiveFiltersCount = () => {
     let count = 0;
     if (activeFilters.section !== 'all') count++;
+    if (activeFilters.source !== 'all') count++;
+    if (activeFilters.month !== 'all') count++;
     if (activeFilters.date !== 'all') count++;
     if (activeFilters.type !== 'all') count++;
     return count;
@@ -325,10 +358,26 @@ export default function SearchPage() {
                   >
                     <option value="all">Todos los tipos</option>
                     <option value="article">Artículos</option>
+                    <option value="external">Noticias externas</option>
                     <option value="image">Imágenes</option>
                   </select>
                 </div>
                 
+                <div>
+                  <label htmlFor="sort-order" className="block text-sm font-medium text-gray-700 mb-1">
+                    Ordenar por
+                  </label>
+                  <select
+                    id="sort-order"
+                    value={sort}
+                    onChange={(e) => setSort(e.target.value)}
+                    className="rounded-md border border-gray-300 py-2 px-3 text-sm"
+                  >
+                    <option value="relevance">Relevancia</option>
+                    <option value="date">Más reciente</option>
+                  </select>
+                </div>
+                
                 {getActiveFiltersCount() > 0 && (
                   <button
                     onClick={clearFilters}
@@ -364,92 +413,104 @@ export default function SearchPage() {
               </div>
             </div>
             
-            {!q ? (
-              <div className="text-center py-12 bg-gray-50 rounded-lg">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                </svg>
-                <h3 className="text-lg font-medium text-gray-900 mb-1">Realiza una búsqueda</h3>
-                <p className="text-gray-500">
-                  Ingresa un término de búsqueda para encontrar noticias, artículos e imágenes.
-                </p>
-              </div>
-            ) : loading && page === 1 ? (
-              <div className={`grid ${view === 'grid' ? 'grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4' : 'grid-cols-1'} gap-6`}>
-                {[...Array(8)].map((_, i) => (
-                  <div key={i} className="animate-pulse">
-                    <div className="h-48 bg-gray-200 rounded mb-4"></div>
-                    <div className="h-4 bg-gray-200 rounded w-3/4 mb-2"></div>
-                    <div className="h-4 bg-gray-200 rounded w-1/2"></div>
-                  </div>
-                ))}
-              </div>
-            ) : error && results.length === 0 ? (
-              <div className="bg-red-50 border-l-4 border-red-500 p-4">
-                <div className="flex">
-                  <div className="flex-shrink-0">
-                    <svg className="h-5 w-5 text-red-500" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                      <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+            <div className="flex flex-col md:flex-row gap-8">
+              {q && facets && !queryError && (
+                <div className="md:w-64 flex-shrink-0">
+                  <SearchFacets facets={facets} activeFilters={activeFilters} onChange={handleFilterChange} />
+                </div>
+              )}
+              
+              <div className="flex-1 min-w-0">
+                {!q ? (
+                  <div className="text-center py-12 bg-gray-50 rounded-lg">
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
                     </svg>
+                    <h3 className="text-lg font-medium text-gray-900 mb-1">Realiza una búsqueda</h3>
+                    <p className="text-gray-500">
+                      Ingresa un término de búsqueda para encontrar noticias, artículos e imágenes.
+                    </p>
                   </div>
-                  <div className="ml-3">
-                    <p className="text-red-700">{error}</p>
+                ) : loading && page === 1 ? (
+                  <div className={`grid ${view === 'grid' ? 'grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4' : 'grid-cols-1'} gap-6`}>
+                    {[...Array(8)].map((_, i) => (
+                      <div key={i} className="animate-pulse">
+                        <div className="h-48 bg-gray-200 rounded mb-4"></div>
+                        <div className="h-4 bg-gray-200 rounded w-3/4 mb-2"></div>
+                        <div className="h-4 bg-gray-200 rounded w-1/2"></div>
+                      </div>
+                    ))}
                   </div>
-                </div>
-              </div>
-            ) : results.length === 0 ? (
-              <div className="text-center py-12 bg-gray-50 rounded-lg">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
-                <h3 className="text-lg font-medium text-gray-900 mb-1">No se encontraron resultados</h3>
-                <p className="text-gray-500">
-                  No hay resultados para "{q}"{getActiveFiltersCount() > 0 ? ' con los filtros seleccionados' : ''}.
-                </p>
-                {getActiveFiltersCount() > 0 && (
-                  <button
-                    onClick={clearFilters}
-                    className="mt-4 text-blue-600 hover:text-blue-800 text-sm font-medium"
-                  >
-                    Limpiar filtros y buscar de nuevo
-                  </button>
-                )}
-              </div>
-            ) : (
-              <>
-                <div className={view === 'grid' 
-                  ? `grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6` 
-                  : `space-y-6`
-                }>
-                  {results.map((item) => (
-                    <div key={item.id} className={view === 'list' ? 'border-b border-gray-200 pb-6' : ''}>
-                      {item.type === 'image' ? (
-                        <ImageCard image={item} compact={view === 'list'} />
-                      ) : (
-                        <ArticleCard article={item} compact={view === 'list'} />
-                      )}
+                ) : queryError ? (
+                  <QueryError query={q} error={queryError} />
+                ) : error && results.length === 0 ? (
+                  <div className="bg-red-50 border-l-4 border-red-500 p-4">
+                    <div className="flex">
+                      <div className="flex-shrink-0">
+                        <svg className="h-5 w-5 text-red-500" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                          <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                        </svg>
+                      </div>
+                      <div className="ml-3">
+                        <p className="text-red-700">{error}</p>
+                      </div>
                     </div>
-                  ))}
-                </div>
-                
-                {loading && page > 1 && (
-                  <div className="flex justify-center mt-8">
-                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
                   </div>
-                )}
-                
-                {hasMore && !loading && (
-                  <div className="flex justify-center mt-8">
-                    <button
-                      onClick={loadMore}
-                      className="bg-white border border-gray-300 rounded-md py-2 px-4 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                    >
-                      Cargar más resultados
-                    </button>
+                ) : results.length === 0 ? (
+                  <div className="text-center py-12 bg-gray-50 rounded-lg">
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    <h3 className="text-lg font-medium text-gray-900 mb-1">No se encontraron resultados</h3>
+                    <p className="text-gray-500">
+                      No hay resultados para "{q}"{getActiveFiltersCount() > 0 ? ' con los filtros seleccionados' : ''}.
+                    </p>
+                    {getActiveFiltersCount() > 0 && (
+                      <button
+                        onClick={clearFilters}
+                        className="mt-4 text-blue-600 hover:text-blue-800 text-sm font-medium"
+                      >
+                        Limpiar filtros y buscar de nuevo
+                      </button>
+                    )}
                   </div>
+                ) : (
+                  <>
+                    <div className={view === 'grid' 
+                      ? `grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6` 
+                      : `space-y-6`
+                    }>
+                      {results.map((item) => (
+                        <div key={item.id} className={view === 'list' ? 'border-b border-gray-200 pb-6' : ''}>
+                          {item.type === 'image' ? (
+                            <ImageCard image={item} compact={view === 'list'} />
+                          ) : (
+                            <ArticleCard article={item} compact={view === 'list'} />
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                    
+                    {loading && page > 1 && (
+                      <div className="flex justify-center mt-8">
+                        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                      </div>
+                    )}
+                    
+                    {hasMore && !loading && (
+                      <div className="flex justify-center mt-8">
+                        <button
+                          onClick={loadMore}
+                          className="bg-white border border-gray-300 rounded-md py-2 px-4 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                        >
+                          Cargar más resultados
+                        </button>
+                      </div>
+                    )}
+                  </>
                 )}
-              </>
-            )}
+              </div>
+            </div>
           </div>
         </div>
       </div>
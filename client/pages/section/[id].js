@@ -6,12 +6,14 @@ import { format } from 'date-fns/index.js';
 import es from 'date-fns/locale/es/index.js';
 import ArticleCard from '../../components/ArticleCard';
 import ImageCard from '../../components/ImageCard';
+import DofRegister from '../../components/DofRegister';
+import SubsectionGroups from '../../components/SubsectionGroups';
 import SearchBar from '../../components/SearchBar';
 import { apiService } from '../../utils/api';
 
 export default function SectionPage() {
   const router = useRouter();
-  const { id, date, q } = router.query;
+  const { id, date, q, cartoonist, newspaper, issuer, type, from, to, subsection } = router.query;
   const [section, setSection] = useState(null);
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -21,9 +23,11 @@ export default function SectionPage() {
   const [view, setView] = useState('grid');
   const [sortBy, setSortBy] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [filters, setFilters] = useState({ cartoonists: [], newspapers: [], issuers: [], instrumentTypes: [] });
+  const [subsections, setSubsections] = useState([]);
   const itemsPerPage = 12;
 
-  const isImageSection = id === 'primeras-planas' || id === 'cartones' || id === 'columnas-politicas';
+  const isImageSection = id === 'primeras-planas' || id === 'cartones';
 
   useEffect(() => {
     if (!id) return;
@@ -36,9 +40,32 @@ export default function SectionPage() {
     const fetchSectionContent = async () => {
       try {
         setLoading(true);
-        const params = { page, limit: itemsPerPage, sort: sortBy, order: sortOrder };
+
+        // The DOF section is a register of Diario Oficial publications
+        if (id === 'dof') {
+          const dofParams = { limit: itemsPerPage, offset: (page - 1) * itemsPerPage };
+          if (date) dofParams.date = date;
+          if (issuer) dofParams.issuer = issuer;
+          if (type) dofParams.type = type;
+          if (from) dofParams.from = from;
+          if (to) dofParams.to = to;
+
+          const response = await apiService.getDofPublications(dofParams);
+          const publications = response.data.publications.map(publication => ({ ...publication, type: 'dof' }));
+
+          setItems(prev => page === 1 ? publications : [...prev, ...publications]);
+          setSection({ id, name: formatSectionName(id), date });
+          setHasMore(response.data.offset + publications.length < response.data.total);
+          setLoading(false);
+          return;
+        }
+
+        const params = { page, limit: itemsPerPage, offset: (page - 1) * itemsPerPage, sort: sortBy, order: sortOrder };
         if (date) params.date = date;
         if (q) params.q = q;
+        if (cartoonist) params.cartoonist = cartoonist;
+        if (newspaper) params.newspaper = newspaper;
+        if (subsection) params.subsection = subsection;
 
         const response = await apiService.getSectionContent(id, params);
         
@@ -52,6 +79,7 @@ export default function SectionPage() {
         }
         
         setItems(prev => page === 1 ? allItems : [...prev, ...allItems]);
+        if (page === 1) setSubsections(response.data.subsections || []);
         setSection({ id, name: formatSectionName(id), date: response.data.date });
         setHasMore(allItems.length >= itemsPerPage);
         setLoading(false);
@@ -63,7 +91,28 @@ export default function SectionPage() {
     };
 
     fetchSectionContent();
-  }, [id, date, q, page, sortBy, sortOrder, isImageSection]);
+  }, [id, date, q, cartoonist, newspaper, issuer, type, from, to, subsection, page, sortBy, sortOrder, isImageSection]);
+
+  // Cartoons can be filtered by cartoonist and newspaper, DOF publications
+  // by issuer and instrument type
+  useEffect(() => {
+    if (id !== 'cartones' && id !== 'dof') return;
+
+    const request = id === 'dof'
+      ? apiService.getDofFilters(date ? { date } : {})
+      : apiService.getSectionFilters(id, date ? { date } : {});
+
+    request
+      .then(response => setFilters(prev => ({ ...prev, ...response.data })))
+      .catch(err => console.error(`Error fetching filters of section ${id}:`, err));
+  }, [id, date]);
+
+  const handleFilterChange = (name, value) => {
+    const query = { ...router.query, [name]: value };
+    if (!value) delete query[name];
+    setPage(1);
+    router.push({ pathname: router.pathname, query });
+  };
 
   const formatSectionName = (id) => {
     const names = {
@@ -76,6 +125,7 @@ export default function SectionPage() {
       'tribunal-electoral': 'Tribunal Electoral del Poder Judicial de la Federación',
       'dof': 'DOF (Diario Oficial)',
       'consejo-judicatura': 'CONSEJO DE LA JUDICATURA FEDERAL',
+      'sintesis-informativa': 'Síntesis Informativa',
       'ultimas-noticias': 'Últimas Noticias',
       'external-news': 'Noticias Externas'
     };
@@ -120,12 +170,48 @@ export default function SectionPage() {
                 <SearchBar compact={true} />
               </div>
               <div className="flex items-center space-x-4">
-                <select onChange={handleSortChange} className="rounded-md border border-gray-300 py-2 px-3 text-sm">
-                  <option value="date-desc">Más reciente</option>
-                  <option value="date-asc">Más antiguo</option>
-                  <option value="title-asc">Título (A-Z)</option>
-                  <option value="title-desc">Título (Z-A)</option>
-                </select>
+                {id === 'cartones' && (
+                  <>
+                    <select value={cartoonist || ''} onChange={(e) => handleFilterChange('cartoonist', e.target.value)} className="rounded-md border border-gray-300 py-2 px-3 text-sm">
+                      <option value="">Todos los cartonistas</option>
+                      {filters.cartoonists.map(({ name, count }) => <option key={name} value={name}>{name} ({count})</option>)}
+                    </select>
+                    <select value={newspaper || ''} onChange={(e) => handleFilterChange('newspaper', e.target.value)} className="rounded-md border border-gray-300 py-2 px-3 text-sm">
+                      <option value="">Todos los periódicos</option>
+                      {filters.newspapers.map(({ name, count }) => <option key={name} value={name}>{name} ({count})</option>)}
+                    </select>
+                  </>
+                )}
+                {id === 'dof' && (
+                  <>
+                    <select value={issuer || ''} onChange={(e) => handleFilterChange('issuer', e.target.value)} className="rounded-md border border-gray-300 py-2 px-3 text-sm">
+                      <option value="">Todos los emisores</option>
+                      {filters.issuers.map(({ name, count }) => <option key={name} value={name}>{name} ({count})</option>)}
+                    </select>
+                    <select value={type || ''} onChange={(e) => handleFilterChange('type', e.target.value)} className="rounded-md border border-gray-300 py-2 px-3 text-sm capitalize">
+                      <option value="">Todos los instrumentos</option>
+                      {filters.instrumentTypes.map(({ name, count }) => <option key={name} value={name}>{name} ({count})</option>)}
+                    </select>
+                    <input type="date" value={from || ''} onChange={(e) => handleFilterChange('from', e.target.value)} aria-label="Desde" className="rounded-md border border-gray-300 py-2 px-3 text-sm" />
+                    <input type="date" value={to || ''} onChange={(e) => handleFilterChange('to', e.target.value)} aria-label="Hasta" className="rounded-md border border-gray-300 py-2 px-3 text-sm" />
+                  </>
+                )}
+                {subsections.length > 0 && (
+                  <select value={subsection || ''} onChange={(e) => handleFilterChange('subsection', e.target.value)} className="rounded-md border border-gray-300 py-2 px-3 text-sm">
+                    <option value="">Todos los apartados</option>
+                    {subsections.map(({ id: subsectionId, name, parent_id, count }) => (
+                      <option key={subsectionId} value={subsectionId}>{parent_id ? `— ${name}` : name} ({count})</option>
+                    ))}
+                  </select>
+                )}
+                {id !== 'dof' && subsections.length === 0 && (
+                  <select onChange={handleSortChange} className="rounded-md border border-gray-300 py-2 px-3 text-sm">
+                    <option value="date-desc">Más reciente</option>
+                    <option value="date-asc">Más antiguo</option>
+                    <option value="title-asc">Título (A-Z)</option>
+                    <option value="title-desc">Título (Z-A)</option>
+                  </select>
+                )}
               </div>
             </div>
             
@@ -139,13 +225,19 @@ export default function SectionPage() {
               <p className="text-gray-500 text-center py-12">No hay contenido disponible.</p>
             ) : (
               <>
-                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
-                  {items.map((item) => (
-                    <div key={item.id}>
-                      {item.type === 'image' ? <ImageCard image={item} /> : <ArticleCard article={item} />}
-                    </div>
-                  ))}
-                </div>
+                {id === 'dof' ? (
+                  <DofRegister publications={items} />
+                ) : subsections.length > 0 ? (
+                  <SubsectionGroups articles={items.filter(item => item.type === 'article')} subsections={subsections} />
+                ) : (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+                    {items.map((item) => (
+                      <div key={item.id}>
+                        {item.type === 'image' ? <ImageCard image={item} /> : <ArticleCard article={item} />}
+                      </div>
+                    ))}
+                  </div>
+                )}
                 {hasMore && !loading && (
                   <div className="flex justify-center mt-8">
                     <button onClick={loadMore} className="bg-blue-600 text-white py-2 px-6 rounded-full hover:bg-blue-700 transition">
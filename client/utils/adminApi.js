@@ -4,6 +4,8 @@ import axios from 'axios';
 const api = axios.create({
   baseURL: process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001/api',
   timeout: 300000, // Increased timeout to 5 minutes for external extraction
+  // Keep the session cookie, which the extraction job stream signs in with
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json'
   }
@@ -213,6 +215,78 @@ export const extractionApi = {
     return response.data;
   },
   
+  runExtraction: async ({ date, dryRun = false }) => {
+    const response = await api.post('/extraction/run', { date, dryRun });
+    return response.data;
+  },
+  
+  getJob: async (jobId) => {
+    const response = await api.get(`/extraction/jobs/${jobId}`);
+    return response.data;
+  },
+  
+  getPreview: async (date) => {
+    const response = await api.get(`/extraction/previews/${date}`);
+    return response.data;
+  },
+  
+  commitPreview: async (date) => {
+    const response = await api.post(`/extraction/previews/${date}/commit`);
+    return response.data;
+  },
+  
+  discardPreview: async (date) => {
+    const response = await api.delete(`/extraction/previews/${date}`);
+    return response.data;
+  },
+  
+  getEditions: async (date = null) => {
+    const response = await api.get('/extraction/editions', { params: date ? { date } : {} });
+    return response.data.editions;
+  },
+  
+  extractEdition: async (editionId) => {
+    const response = await api.post(`/extraction/editions/${editionId}/extract`);
+    return response.data;
+  },
+  
+  uploadPDF: async (file, { date = null, extract = false } = {}) => {
+    const formData = new FormData();
+    formData.append('pdf', file);
+    if (date) formData.append('date', date);
+    formData.append('extract', extract ? 'true' : 'false');
+    
+    const response = await api.post('/admin/extraction/upload', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data;
+  },
+  
+  getMastheads: async () => {
+    const response = await api.get('/admin/mastheads');
+    return response.data;
+  },
+  
+  addMasthead: async (file, newspaper) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    formData.append('newspaper', newspaper);
+    
+    const response = await api.post('/admin/mastheads', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data;
+  },
+  
+  deleteMasthead: async (id) => {
+    const response = await api.delete(`/admin/mastheads/${id}`);
+    return response.data;
+  },
+  
   triggerExternalExtraction: async () => {
     const response = await api.post('/admin/extraction/run-external');
     return response.data;
@@ -139,8 +139,8 @@ export const apiService = {
     return api.get('/search', { params });
   },
   
-  searchSuggestions: (query) =>
-    api.get('/search/suggestions', { params: { q: query } }),
+  searchSuggestions: (query, params = {}) =>
+    api.get('/search/suggest', { params: { ...params, q: query } }),
   
   // Sections
   getSectionContent: (sectionId, params = {}) => {
@@ -151,6 +151,19 @@ export const apiService = {
     );
   },
   
+  getSectionFilters: (sectionId, params = {}) =>
+    api.get(`/sections/${sectionId}/filters`, { params }),
+  
+  // Diario Oficial publications
+  getDofPublications: (params = {}) => api.get('/dof', { params }),
+  
+  getDofFilters: (params = {}) => api.get('/dof/filters', { params }),
+  
+  // Agenda
+  getAgendaEvents: (params = {}) => api.get('/agenda', { params }),
+  
+  getAgendaFeedUrl: () => `${api.defaults.baseURL}/agenda/feed.ics`,
+  
   getSectionPreview: (sectionId, skipCache = false) =>
     cachedRequest(
       () => api.get(`/sections/${sectionId}/preview`),
@@ -69,6 +69,30 @@ export const getLastNDays = (days = 7) => {
   return result;
 };
 
+/**
+ * Get the dates of a period of the search filters
+ * @param {string} period - 'today', 'yesterday', 'week', 'month' or 'year'
+ * @returns {Object} from and to (YYYY-MM-DD), empty for any other period
+ */
+export const getDateRange = (period) => {
+  const today = new Date();
+  
+  switch (period) {
+    case 'today':
+      return { from: formatDateForUrl(today), to: formatDateForUrl(today) };
+    case 'yesterday':
+      return { from: formatDateForUrl(subDays(today, 1)), to: formatDateForUrl(subDays(today, 1)) };
+    case 'week':
+      return { from: formatDateForUrl(subDays(today, 7)), to: formatDateForUrl(today) };
+    case 'month':
+      return { from: formatDateForUrl(subDays(today, 30)), to: formatDateForUrl(today) };
+    case 'year':
+      return { from: formatDateForUrl(subDays(today, 365)), to: formatDateForUrl(today) };
+    default:
+      return {};
+  }
+};
+
 /**
  * Check if a date is a weekend (Saturday or Sunday)
  * @param {Date|string} date - Date to check
@@ -90,5 +114,6 @@ export default {
   getRelativeDate,
   formatDateForUrl,
   getLastNDays,
+  getDateRange,
   isWeekend
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Associate Front Pages
+ *
+ * Links the Ocho Columnas articles of stored dates to the Primeras Planas
+ * front pages of their newspapers (see
+ * services/content/frontPageAssociation.js) and prints what could not be
+ * matched. Extractions do this on their own; the script backfills the dates
+ * stored before, and can be run again at any time.
+ *
+ * Usage:
+ *   node scripts/associate-front-pages.js [--dry-run] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [YYYY-MM-DD ...]
+ */
+
+const { setupDatabase } = require('../server/database');
+const { associateFrontPages, listAssociationDates } = require('../server/src/services/content/frontPageAssociation');
+
+/**
+ * Get the value of an option such as --from
+ * @param {string[]} args Command line arguments
+ * @param {string} name Option name
+ * @returns {string|undefined} Option value
+ */
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const from = getOption(args, '--from');
+  const to = getOption(args, '--to');
+  const dates = args.filter((arg, index) => /^\d{4}-\d{2}-\d{2}$/.test(arg) && !['--from', '--to'].includes(args[index - 1]));
+
+  if ([from, to].some(value => value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value))) {
+    console.error('Usage: node scripts/associate-front-pages.js [--dry-run] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [YYYY-MM-DD ...]');
+    process.exit(1);
+  }
+
+  // Adds the front_page_id column to databases created before it existed
+  await setupDatabase();
+
+  const targets = dates.length > 0 ? dates : await listAssociationDates({ from, to });
+
+  if (targets.length === 0) {
+    console.log('No dates with Ocho Columnas articles');
+    return;
+  }
+
+  let changed = 0;
+  let unmatched = 0;
+
+  for (const date of targets) {
+    const report = await associateFrontPages(date, { dryRun });
+    changed += report.changed;
+    unmatched += report.unmatchedArticles.length;
+
+    console.log(`${date}: ${report.associated.length} associated, ${report.changed} ${dryRun ? 'to change' : 'changed'}`);
+    for (const article of report.unmatchedArticles) {
+      console.log(`  No front page for ${article.source || '(no source)'}: ${article.title} (ID ${article.id})`);
+    }
+    for (const frontPage of report.unmatchedFrontPages) {
+      console.log(`  No Ocho Columnas for the front page of ${frontPage.source} (ID ${frontPage.id})`);
+    }
+    for (const article of report.locked) {
+      console.log(`  Image chosen by an editor kept: ${article.title} (ID ${article.id})`);
+    }
+  }
+
+  console.log(`\n${targets.length} dates, ${changed} articles ${dryRun ? 'to change' : 'changed'}, ${unmatched} without a front page`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+/**
+ * Golden-file Snapshot Tool
+ *
+ * Extracts the archived editions of the golden-file harness and prints the
+ * per-section comparison with their expected snapshots. With --update, the
+ * snapshots are (re)written from the current extraction instead.
+ *
+ * Usage:
+ *   node scripts/golden-snapshot.js [--update] [YYYY-MM-DD ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  extractSnapshot,
+  compareSnapshots,
+  formatReport,
+  readSnapshot,
+  writeSnapshot,
+  PDF_DIR,
+  EXPECTED_DIR
+} = require('../tests/golden/harness');
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const dates = args.filter(arg => !arg.startsWith('--'));
+
+  if (!fs.existsSync(PDF_DIR)) {
+    console.error(`PDF directory not found: ${PDF_DIR}`);
+    process.exit(1);
+  }
+
+  const editions = fs.readdirSync(PDF_DIR)
+    .filter(file => file.toLowerCase().endsWith('.pdf'))
+    .map(file => path.basename(file, path.extname(file)))
+    .filter(date => dates.length === 0 || dates.includes(date))
+    .sort();
+
+  if (editions.length === 0) {
+    console.error(`No PDF files to process in ${PDF_DIR}`);
+    process.exit(1);
+  }
+
+  let regressions = 0;
+
+  for (const date of editions) {
+    const pdfPath = path.join(PDF_DIR, `${date}.pdf`);
+    const expectedPath = path.join(EXPECTED_DIR, `${date}.json`);
+
+    console.log(`Extracting ${pdfPath}...`);
+    const snapshot = await extractSnapshot(pdfPath);
+
+    if (update) {
+      writeSnapshot(expectedPath, snapshot);
+      console.log(`Snapshot written to ${expectedPath}`);
+      continue;
+    }
+
+    if (!fs.existsSync(expectedPath)) {
+      console.log(`No snapshot for ${date}; run with --update to create it`);
+      continue;
+    }
+
+    const report = compareSnapshots(readSnapshot(expectedPath), snapshot);
+    console.log(formatReport(report));
+    regressions += report.failures.length;
+  }
+
+  process.exit(regressions > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
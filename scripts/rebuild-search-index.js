@@ -0,0 +1,35 @@
+/**
+ * Rebuild Search Index
+ *
+ * Rebuilds the full-text search indexes of articles and images (see
+ * services/search/searchIndex.js) from the rows of their tables. The
+ * indexes follow every change made through the database, and are filled on
+ * their own the first time they are created; the script is for databases
+ * whose rows were written some other way (e.g. restored from a backup or
+ * edited with the triggers dropped).
+ *
+ * Usage:
+ *   node scripts/rebuild-search-index.js
+ */
+
+const { setupDatabase } = require('../server/database');
+const { rebuildSearchIndex } = require('../server/src/services/search/searchIndex');
+
+/**
+ * Main function
+ */
+async function main() {
+  // Creates the indexes in databases created before they existed
+  await setupDatabase();
+
+  const counts = await rebuildSearchIndex();
+
+  console.log(`Search index rebuilt: ${counts.articles} articles, ${counts.images} images`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
@@ -2,13 +2,13 @@
  * Re-extract Content for a Specific Date
  * 
  * This script re-extracts content from a PDF file for a specific date
- * and updates the database with the new content.
+ * and merges it into the database. Articles created by hand and fields
+ * changed by editors are kept (see services/content/protectedFields.js).
  */
 
 const path = require('path');
-const { extractContent } = require('../server/src/services/pdf/pdfExtractor');
-const { processContent } = require('../server/src/services/content/contentProcessor');
-const { run, get, query } = require('../server/database');
+const { extractAndStore } = require('../server/src/services/scheduler/scheduler');
+const { query } = require('../server/database');
 const { createLogger } = require('../server/src/utils/logger');
 
 // Create logger
@@ -20,55 +20,31 @@ const PDF_DIR = path.join(__dirname, '../storage/pdf');
 /**
  * Re-extract content for a specific date
  * @param {string} date Date in YYYY-MM-DD format
- * @param {boolean} deleteExisting Whether to delete existing content before re-extraction
+ * @param {boolean} keepStale Whether to keep the stored articles that are no longer extracted
  */
-async function reextractDate(date, deleteExisting = true) {
+async function reextractDate(date, keepStale = false) {
   try {
     logger.info(`Re-extracting content for date: ${date}`);
     
     // Get the PDF file path
     const pdfPath = path.join(PDF_DIR, `${date}.pdf`);
     
-    // Delete existing content if requested
-    if (deleteExisting) {
-      logger.info(`Deleting existing content for date: ${date}`);
-      
-      // Delete articles
-      await run(
-        `DELETE FROM ARTICLE WHERE publication_date = ?`,
-        [date]
-      );
-      
-      // Delete images (but keep the actual image files)
-      await run(
-        `DELETE FROM IMAGE WHERE publication_date = ?`,
-        [date]
-      );
-      
-      logger.info(`Existing content deleted for date: ${date}`);
-    }
-    
-    // Extract content from the PDF
+    // Extract the PDF and merge the content into the stored content
     logger.info(`Extracting content from ${pdfPath}...`);
-    const content = await extractContent(pdfPath);
-    
-    // Log the sections found
-    logger.info(`Found ${Object.keys(content.sections).length} sections in the PDF`);
-    
-    // Process the content
-    logger.info('Processing extracted content...');
-    const results = await processContent(content);
+    const results = await extractAndStore(pdfPath, { inProcess: true, keepStale });
     
     // Display processing results
     console.log('\n=== PROCESSING RESULTS ===');
     console.log(`Date: ${results.date}`);
+    console.log(`Engine: ${results.engine}`);
     
     console.log('\nArticles by section:');
-    for (const [sectionId, count] of Object.entries(results.sections)) {
-      console.log(`- ${sectionId}: ${count} articles`);
+    for (const [sectionId, section] of Object.entries(results.sections)) {
+      console.log(`- ${sectionId}: ${section.processed} articles`);
     }
     
-    console.log(`\nTotal images: ${results.images}`);
+    console.log(`\nTotal images: ${results.statistics.totalImages}`);
+    console.log(`Articles no longer extracted and removed: ${results.statistics.removedArticles}`);
     
     // Get article details from the database
     const articlesQuery = await query(
@@ -119,12 +95,12 @@ const keepExisting = process.argv[3] === '--keep-existing';
 
 if (!date) {
   console.log('Usage: node reextract-date.js YYYY-MM-DD [--keep-existing]');
-  console.log('  --keep-existing: Do not delete existing content before re-extraction');
+  console.log('  --keep-existing: Do not delete stored articles that are no longer extracted');
   process.exit(1);
 }
 
 // Run the re-extraction
-reextractDate(date, !keepExisting)
+reextractDate(date, keepExisting)
   .then(() => {
     console.log('\nRe-extraction completed');
     process.exit(0);
@@ -125,6 +125,102 @@ async function setupDatabase() {
         if (err) return reject(err);
       });
 
+      // Create EXTRACTION_JOB table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS EXTRACTION_JOB (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT,
+          engine TEXT,
+          status TEXT NOT NULL DEFAULT 'queued',
+          current_step TEXT,
+          progress INTEGER DEFAULT 0,
+          steps TEXT,
+          error TEXT,
+          stats TEXT,
+          requested_by TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          started_at TEXT,
+          finished_at TEXT
+        )
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      // Create EDITION table: every downloaded revision of the daily PDF
+      db.run(`
+        CREATE TABLE IF NOT EXISTS EDITION (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          revision INTEGER NOT NULL,
+          hash TEXT NOT NULL UNIQUE,
+          file_path TEXT NOT NULL,
+          size INTEGER,
+          source_url TEXT,
+          etag TEXT,
+          last_modified TEXT,
+          date_source TEXT,
+          is_current INTEGER DEFAULT 0,
+          downloaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          extracted_at TEXT,
+          UNIQUE (date, revision)
+        )
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      // Create DOF_PUBLICATION table: the Diario Oficial publications listed
+      // in the DOF section of each edition
+      db.run(`
+        CREATE TABLE IF NOT EXISTS DOF_PUBLICATION (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          issuer TEXT,
+          instrument_type TEXT NOT NULL,
+          title TEXT NOT NULL,
+          dof_date TEXT,
+          url TEXT,
+          article_id INTEGER,
+          publication_date TEXT NOT NULL,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (article_id) REFERENCES ARTICLE(id) ON DELETE SET NULL
+        )
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      // Create EVENT table: the events listed in the Agenda section
+      db.run(`
+        CREATE TABLE IF NOT EXISTS EVENT (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_date TEXT NOT NULL,
+          start_time TEXT,
+          end_time TEXT,
+          institution TEXT,
+          description TEXT NOT NULL,
+          location TEXT,
+          publication_date TEXT NOT NULL,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      // Create SUBSECTION table: the parts of a section and the subheaders
+      // printed inside them (e.g. OPINIÓN under the CJF part of the síntesis
+      // informativa), ordered as in the printed report
+      db.run(`
+        CREATE TABLE IF NOT EXISTS SUBSECTION (
+          id TEXT PRIMARY KEY,
+          section_id TEXT NOT NULL,
+          parent_id TEXT,
+          name TEXT NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (parent_id) REFERENCES SUBSECTION(id)
+        )
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
       // Insert default settings if they don't exist
       db.run(`
         INSERT OR IGNORE INTO SETTINGS (key, value, description)
@@ -140,6 +236,20 @@ async function setupDatabase() {
         if (err) return reject(err);
       });
 
+      db.run(`
+        INSERT OR IGNORE INTO SETTINGS (key, value, description)
+        VALUES ('extraction_engine', 'enhanced', 'Extraction engine used for PDF runs (enhanced, comprehensive, legacy)')
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        INSERT OR IGNORE INTO SETTINGS (key, value, description)
+        VALUES ('extraction_engine_fallback', '', 'Comma-separated engines to try when the main engine fails')
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
       // Create indexes for better performance
       db.run(`CREATE INDEX IF NOT EXISTS idx_article_section ON ARTICLE(section_id)`, (err) => {
         if (err) return reject(err);
@@ -157,6 +267,22 @@ async function setupDatabase() {
         if (err) return reject(err);
       });
 
+      db.run(`CREATE INDEX IF NOT EXISTS idx_extraction_job_status ON EXTRACTION_JOB(status)`, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_edition_date ON EDITION(date)`, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_dof_publication_date ON DOF_PUBLICATION(dof_date)`, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_event_date ON EVENT(event_date)`, (err) => {
+        if (err) return reject(err);
+      });
+
       // Add columns to existing ARTICLE table if they don't exist
       db.run(`ALTER TABLE ARTICLE ADD COLUMN url TEXT`, (err) => {
         // Ignore error if column already exists
@@ -186,6 +312,236 @@ async function setupDatabase() {
         }
       });
 
+      // Protected fields: articles edited by hand keep their changes across re-extractions
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN fingerprint TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN origin TEXT DEFAULT 'extraction'`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN locked_fields TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN edited_by INTEGER`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN edited_at TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      // Confidence of the masthead identification of the newspaper of a front page
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN source_confidence REAL`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      // Primeras Planas article whose front page an Ocho Columnas article shows
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN front_page_id INTEGER`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      // Columnist of a political column
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN author TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      // Institutions mentioned in a political column, as a JSON array
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN institutions TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      // Signature, newspaper and caption of a cartoon
+      db.run(`ALTER TABLE IMAGE ADD COLUMN cartoonist TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      db.run(`ALTER TABLE IMAGE ADD COLUMN newspaper TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      db.run(`ALTER TABLE IMAGE ADD COLUMN caption TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      // Images, DOF publications and events added by hand are kept when the
+      // date is extracted again
+      for (const table of ['IMAGE', 'DOF_PUBLICATION', 'EVENT']) {
+        db.run(`ALTER TABLE ${table} ADD COLUMN origin TEXT DEFAULT 'extraction'`, (err) => {
+          // Ignore error if column already exists
+          if (err && !err.message.includes('duplicate column name')) {
+            return reject(err);
+          }
+        });
+      }
+
+      // Subsection (printed subheader) the article appears under
+      db.run(`ALTER TABLE ARTICLE ADD COLUMN subsection_id TEXT REFERENCES SUBSECTION(id)`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_article_subsection ON ARTICLE(subsection_id)`, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_article_fingerprint ON ARTICLE(fingerprint)`, (err) => {
+        if (err) return reject(err);
+      });
+
+      // Full-text search indexes of ARTICLE and IMAGE (see
+      // services/search/searchIndex.js). They index the tables' own rows
+      // (external content) and are kept in sync by the triggers below. Accents
+      // are folded, so "corte" finds "Córte"
+      db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS ARTICLE_FTS USING fts5(
+          title, summary, content, author, source,
+          content='ARTICLE', content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        )
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS article_fts_insert AFTER INSERT ON ARTICLE BEGIN
+          INSERT INTO ARTICLE_FTS (rowid, title, summary, content, author, source)
+          VALUES (new.id, new.title, new.summary, new.content, new.author, new.source);
+        END
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS article_fts_delete AFTER DELETE ON ARTICLE BEGIN
+          INSERT INTO ARTICLE_FTS (ARTICLE_FTS, rowid, title, summary, content, author, source)
+          VALUES ('delete', old.id, old.title, old.summary, old.content, old.author, old.source);
+        END
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS article_fts_update AFTER UPDATE OF title, summary, content, author, source ON ARTICLE BEGIN
+          INSERT INTO ARTICLE_FTS (ARTICLE_FTS, rowid, title, summary, content, author, source)
+          VALUES ('delete', old.id, old.title, old.summary, old.content, old.author, old.source);
+          INSERT INTO ARTICLE_FTS (rowid, title, summary, content, author, source)
+          VALUES (new.id, new.title, new.summary, new.content, new.author, new.source);
+        END
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS IMAGE_FTS USING fts5(
+          title, description, caption, cartoonist, newspaper,
+          content='IMAGE', content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        )
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS image_fts_insert AFTER INSERT ON IMAGE BEGIN
+          INSERT INTO IMAGE_FTS (rowid, title, description, caption, cartoonist, newspaper)
+          VALUES (new.id, new.title, new.description, new.caption, new.cartoonist, new.newspaper);
+        END
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS image_fts_delete AFTER DELETE ON IMAGE BEGIN
+          INSERT INTO IMAGE_FTS (IMAGE_FTS, rowid, title, description, caption, cartoonist, newspaper)
+          VALUES ('delete', old.id, old.title, old.description, old.caption, old.cartoonist, old.newspaper);
+        END
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS image_fts_update AFTER UPDATE OF title, description, caption, cartoonist, newspaper ON IMAGE BEGIN
+          INSERT INTO IMAGE_FTS (IMAGE_FTS, rowid, title, description, caption, cartoonist, newspaper)
+          VALUES ('delete', old.id, old.title, old.description, old.caption, old.cartoonist, old.newspaper);
+          INSERT INTO IMAGE_FTS (rowid, title, description, caption, cartoonist, newspaper)
+          VALUES (new.id, new.title, new.description, new.caption, new.cartoonist, new.newspaper);
+        END
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      // Index the rows stored before the indexes existed
+      db.run(`
+        INSERT INTO ARTICLE_FTS (ARTICLE_FTS) SELECT 'rebuild'
+        WHERE NOT EXISTS (SELECT 1 FROM ARTICLE_FTS_docsize) AND EXISTS (SELECT 1 FROM ARTICLE)
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      db.run(`
+        INSERT INTO IMAGE_FTS (IMAGE_FTS) SELECT 'rebuild'
+        WHERE NOT EXISTS (SELECT 1 FROM IMAGE_FTS_docsize) AND EXISTS (SELECT 1 FROM IMAGE)
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      // Terms of the article index with the number of articles holding each,
+      // completed by the search suggestions
+      db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS ARTICLE_FTS_VOCAB USING fts5vocab(ARTICLE_FTS, row)
+      `, (err) => {
+        if (err) return reject(err);
+      });
+
+      // Code of the failure of a job (e.g. the DownloadError codes)
+      db.run(`ALTER TABLE EXTRACTION_JOB ADD COLUMN error_code TEXT`, (err) => {
+        // Ignore error if column already exists
+        if (err && !err.message.includes('duplicate column name')) {
+          return reject(err);
+        }
+      });
+
       resolve();
     });
   });
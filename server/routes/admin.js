@@ -50,6 +50,34 @@ const upload = multer({
   }
 });
 
+// Configure multer for PDF uploads. Uploaded editions are checked and moved
+// to the PDF revisions by the upload route
+const pdfUpload = multer({
+  storage: multer.diskStorage({
+    destination: function (req, file, cb) {
+      const uploadDir = path.join(__dirname, '../../storage/uploads/pdf');
+      
+      // Create directory if it doesn't exist
+      if (!fs.existsSync(uploadDir)) {
+        fs.mkdirSync(uploadDir, { recursive: true });
+      }
+      
+      cb(null, uploadDir);
+    },
+    filename: function (req, file, cb) {
+      cb(null, `edition-${Date.now()}-${Math.round(Math.random() * 1E9)}.pdf`);
+    }
+  }),
+  limits: { fileSize: (parseInt(process.env.PDF_UPLOAD_MAX_MB, 10) || 100) * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    // Accept PDF files only
+    if (!file.originalname.match(/\.pdf$/i)) {
+      return cb(new Error('Only PDF files are allowed'), false);
+    }
+    cb(null, true);
+  }
+});
+
 // Middleware to log admin actions
 const logAction = async (req, res, next) => {
   const originalSend = res.send;
@@ -374,10 +402,11 @@ router.post('/articles', async (req, res, next) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    // Insert article
+    // Insert article. Articles created by hand are never removed by a re-extraction
     const result = await run(
-      `INSERT INTO ARTICLE (title, content, summary, source, section_id, publication_date) VALUES (?, ?, ?, ?, ?, ?)`,
-      [title, content, summary, source, section_id, publication_date]
+      `INSERT INTO ARTICLE (title, content, summary, source, section_id, publication_date, origin, edited_by, edited_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'manual', ?, ?)`,
+      [title, content, summary, source, section_id, publication_date, req.user.id, new Date().toISOString()]
     );
     
     res.status(201).json({
@@ -394,11 +423,15 @@ router.post('/articles', async (req, res, next) => {
   }
 });
 
-// Update article
+// Update article. The fields that change are locked so that re-extracting
+// the date does not overwrite them; `unlock` lists fields to release.
+// Correcting the newspaper of a front page adds its masthead to the
+// reference gallery, unless `learnMasthead` is false.
 router.put('/articles/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, content, summary, source, section_id, publication_date } = req.body;
+    const { unlock, learnMasthead } = req.body;
+    const { applyEdit, getLockedFields } = require('../src/services/content/protectedFields');
     
     // Check if article exists
     const article = await get(`SELECT * FROM ARTICLE WHERE id = ?`, [id]);
@@ -408,41 +441,72 @@ router.put('/articles/:id', async (req, res, next) => {
     }
     
     // Update article
+    const fields = applyEdit(article, req.body, { userId: req.user.id, unlock: Array.isArray(unlock) ? unlock : [] });
+    const columns = Object.keys(fields);
+    
     await run(
-      `UPDATE ARTICLE SET 
-        title = ?, 
-        content = ?, 
-        summary = ?, 
-        source = ?, 
-        section_id = ?, 
-        publication_date = ?,
-        updated_at = CURRENT_TIMESTAMP
-       WHERE id = ?`,
-      [
-        title || article.title,
-        content || article.content,
-        summary || article.summary,
-        source || article.source,
-        section_id || article.section_id,
-        publication_date || article.publication_date,
-        id
-      ]
+      `UPDATE ARTICLE SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => fields[column]), id]
     );
     
+    const updated = { ...article, ...fields };
+    
+    let masthead = null;
+    if (fields.source && article.section_id === 'primeras-planas' && article.image_url && learnMasthead !== false) {
+      masthead = await learnMastheadFromArticle(updated, req.user.username);
+    }
+    
+    // The newspaper decides which front page the Ocho Columnas of the date show
+    if (fields.source && ['ocho-columnas', 'primeras-planas'].includes(updated.section_id)) {
+      const { associateFrontPages } = require('../src/services/content/frontPageAssociation');
+      await associateFrontPages(updated.publication_date);
+    }
+    
     res.json({
       id: parseInt(id),
-      title: title || article.title,
-      content: content || article.content,
-      summary: summary || article.summary,
-      source: source || article.source,
-      section_id: section_id || article.section_id,
-      publication_date: publication_date || article.publication_date
+      title: updated.title,
+      content: updated.content,
+      summary: updated.summary,
+      source: updated.source,
+      section_id: updated.section_id,
+      publication_date: updated.publication_date,
+      url: updated.url,
+      source_confidence: updated.source_confidence,
+      locked_fields: getLockedFields(updated),
+      edited_by: updated.edited_by,
+      edited_at: updated.edited_at,
+      masthead
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Add the masthead of the front page of an article to the reference gallery
+ * as its newspaper. A front page image that is missing or blank is skipped
+ * @param {object} article ARTICLE row with the corrected source
+ * @param {string} username Editor
+ * @returns {Promise<object|null>} {reference, created}, or null if it was skipped
+ */
+async function learnMastheadFromArticle(article, username) {
+  const { addReference } = require('../src/services/pdf/mastheadIdentifier');
+  const logger = require('../src/utils/logger').createLogger('admin');
+  const imagePath = path.join(__dirname, '../../storage', article.image_url.replace(/^\/+/, ''));
+  
+  if (!fs.existsSync(imagePath)) {
+    return null;
+  }
+  
+  try {
+    const { reference, created } = await addReference(article.source, imagePath, { addedBy: username });
+    return { reference, created };
+  } catch (error) {
+    logger.error(`Error adding the masthead of article ${article.id} as ${article.source}: ${error.message}`);
+    return null;
+  }
+}
+
 // Delete article
 router.delete('/articles/:id', async (req, res, next) => {
   try {
@@ -480,9 +544,9 @@ router.post('/images/upload', upload.single('image'), async (req, res, next) =>
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    // Insert image record
+    // Insert image record. Images uploaded by hand are never removed by a re-extraction
     const result = await run(
-      `INSERT INTO IMAGE (filename, title, description, article_id, section_id, publication_date) VALUES (?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO IMAGE (filename, title, description, article_id, section_id, publication_date, origin) VALUES (?, ?, ?, ?, ?, ?, 'manual')`,
       [req.file.filename, title, description, article_id || null, section_id, publication_date]
     );
     
@@ -626,16 +690,18 @@ router.get('/extraction/logs', async (req, res, next) => {
 // Trigger manual extraction
 router.post('/extraction/run', authorize(['admin', 'editor']), async (req, res, next) => {
   try {
-    // Import the scheduler service
-    const { runExtractionJob } = require('../src/services/scheduler/scheduler');
+    // Import the job queue
+    const { enqueueExtraction, waitForJob } = require('../src/services/scheduler/jobQueue');
     const logger = require('../src/utils/logger').createLogger('admin');
+    const { engine } = req.body || {};
     
     // Log the extraction request
     await run(
       `INSERT INTO AUDIT_LOG (user_id, action, entity_type, entity_id, details) VALUES (?, ?, ?, ?, ?)`,
       [req.user.id, 'MANUAL_EXTRACTION_STARTED', 'extraction', null, JSON.stringify({
         timestamp: new Date().toISOString(),
-        user: req.user.username
+        user: req.user.username,
+        engine
       })]
     );
     
@@ -649,15 +715,18 @@ router.post('/extraction/run', authorize(['admin', 'editor']), async (req, res,
       })]
     );
     
-    // Respond immediately to the client
+    // Queue the extraction job and respond immediately with its id
+    const job = await enqueueExtraction({ engine, requestedBy: req.user.username });
+    
     res.json({
       success: true,
       message: 'Extraction job started successfully',
-      status: 'in_progress'
+      status: 'in_progress',
+      jobId: job.id
     });
     
-    // Run the extraction job asynchronously
-    runExtractionJob()
+    // Record the outcome once the job finishes
+    waitForJob(job.id)
       .then(async (results) => {
         logger.info('Extraction job completed successfully');
         
@@ -721,6 +790,170 @@ router.post('/extraction/run', authorize(['admin', 'editor']), async (req, res,
   }
 });
 
+// Upload the PDF of an edition that could not be downloaded. The file is
+// checked like a download and stored as a new revision of its edition; with
+// `extract` set, the extraction of its date is queued
+router.post('/extraction/upload', authorize(['admin', 'editor']), (req, res, next) => {
+  pdfUpload.single('pdf')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message, code: err.code || 'INVALID_UPLOAD' });
+    }
+    next();
+  });
+}, async (req, res, next) => {
+  const { validatePDF } = require('../src/services/pdf/pdfDownloader');
+  const { storeEdition, setCurrentRevision } = require('../src/services/pdf/editionStore');
+  
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No PDF file provided', code: 'NO_FILE' });
+    }
+    
+    const { date } = req.body;
+    const extract = req.body.extract === true || req.body.extract === 'true';
+    
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      fs.rmSync(req.file.path, { force: true });
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD', code: 'INVALID_DATE' });
+    }
+    
+    let document;
+    try {
+      document = await validatePDF(req.file.path);
+    } catch (error) {
+      fs.rmSync(req.file.path, { force: true });
+      if (!error.code) throw error;
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    
+    let { edition, changed } = await storeEdition(req.file.path, { date: date || undefined, document });
+    
+    await run(
+      `INSERT INTO AUDIT_LOG (user_id, action, entity_type, entity_id, details) VALUES (?, ?, ?, ?, ?)`,
+      [req.user.id, 'PDF_UPLOADED', 'edition', edition.id, JSON.stringify({
+        filename: req.file.originalname,
+        date: edition.date,
+        revision: edition.revision,
+        duplicate: !changed
+      })]
+    );
+    
+    let job = null;
+    if (extract) {
+      const { enqueueExtraction } = require('../src/services/scheduler/jobQueue');
+      
+      // A re-uploaded revision becomes the current PDF of its date again
+      if (!changed) {
+        edition = await setCurrentRevision(edition.id);
+      }
+      job = await enqueueExtraction({ date: edition.date, requestedBy: req.user.username });
+    }
+    
+    res.status(changed ? 201 : 200).json({
+      success: true,
+      message: changed
+        ? `Stored revision ${edition.revision} of the ${edition.date} edition`
+        : `The file is the same as revision ${edition.revision} of the ${edition.date} edition`,
+      duplicate: !changed,
+      edition,
+      jobId: job ? job.id : null
+    });
+  } catch (error) {
+    if (req.file) {
+      fs.rmSync(req.file.path, { force: true });
+    }
+    next(error);
+  }
+});
+
+// MASTHEAD GALLERY ROUTES
+
+// List the reference mastheads used to identify the newspapers of Primeras Planas
+router.get('/mastheads', async (req, res, next) => {
+  try {
+    const { loadGallery, MIN_CONFIDENCE } = require('../src/services/pdf/mastheadIdentifier');
+    const references = loadGallery();
+    
+    const newspapers = {};
+    for (const reference of references) {
+      newspapers[reference.newspaper] = (newspapers[reference.newspaper] || 0) + 1;
+    }
+    
+    res.json({ minConfidence: MIN_CONFIDENCE, newspapers, references });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the image of a reference masthead
+router.get('/mastheads/:id/image', async (req, res, next) => {
+  try {
+    const { loadGallery, getReferencePath } = require('../src/services/pdf/mastheadIdentifier');
+    const reference = loadGallery().find(item => item.id === req.params.id);
+    
+    if (!reference) {
+      return res.status(404).json({ error: 'Masthead not found' });
+    }
+    
+    res.sendFile(getReferencePath(reference));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a reference masthead from an image of a front page
+router.post('/mastheads', authorize(['admin', 'editor']), (req, res, next) => {
+  upload.single('image')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+}, async (req, res, next) => {
+  const { addReference } = require('../src/services/pdf/mastheadIdentifier');
+  
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+    
+    const newspaper = (req.body.newspaper || '').trim();
+    if (!newspaper) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    let result;
+    try {
+      result = await addReference(newspaper, req.file.path, { addedBy: req.user.username });
+    } catch (error) {
+      return res.status(400).json({ error: `The image cannot be used as a masthead: ${error.message}` });
+    }
+    
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    next(error);
+  } finally {
+    if (req.file) {
+      fs.rmSync(req.file.path, { force: true });
+    }
+  }
+});
+
+// Delete a reference masthead
+router.delete('/mastheads/:id', authorize(['admin', 'editor']), async (req, res, next) => {
+  try {
+    const { removeReference } = require('../src/services/pdf/mastheadIdentifier');
+    
+    if (!removeReference(req.params.id)) {
+      return res.status(404).json({ error: 'Masthead not found' });
+    }
+    
+    res.json({ message: 'Masthead deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 const ExternalNewsFetcher = require('../src/services/external-news-fetcher');
 
 // Trigger manual extraction from external sources
@@ -456,9 +456,9 @@ router.post('/images/upload', upload.single('image'), async (req, res, next) =>
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    // Insert image record
+    // Insert image record. Images uploaded by hand are never removed by a re-extraction
     const result = await run(
-      `INSERT INTO IMAGE (filename, title, description, article_id, section_id, publication_date) VALUES (?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO IMAGE (filename, title, description, article_id, section_id, publication_date, origin) VALUES (?, ?, ?, ?, ?, ?, 'manual')`,
       [req.file.filename, title, description, article_id || null, section_id, publication_date]
     );
     
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../database');
+const { buildCalendar } = require('../src/utils/ical');
+
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// Days of past events the feed keeps when no range is given
+const FEED_PAST_DAYS = 30;
+
+/**
+ * Build the conditions of the agenda filters
+ * @param {object} filters Query parameters (from, to, date, institution, q)
+ * @returns {{where: string, params: Array}} WHERE clause and its parameters
+ */
+function buildConditions({ from, to, date, institution, q }) {
+  const conditions = [];
+  const params = [];
+
+  // The range applies to the date of the event
+  if (from) {
+    conditions.push('event_date >= ?');
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push('event_date <= ?');
+    params.push(to);
+  }
+
+  // The edition that listed the event
+  if (date) {
+    conditions.push('publication_date = ?');
+    params.push(date);
+  }
+
+  if (institution) {
+    conditions.push('institution LIKE ?');
+    params.push(`%${institution}%`);
+  }
+
+  if (q) {
+    conditions.push('(description LIKE ? OR location LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Check the date parameters of a request
+ * @param {object} params Query parameters
+ * @returns {boolean} True if every given date is in YYYY-MM-DD format
+ */
+function hasValidDates({ from, to, date }) {
+  return [from, to, date].every(value => !value || dateRegex.test(value));
+}
+
+// Get the agenda events, filtered by date range, edition, institution or text
+router.get('/', async (req, res, next) => {
+  try {
+    const { from, to, date, institution, q } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    if (!hasValidDates(req.query)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const { where, params } = buildConditions({ from, to, date, institution, q });
+
+    const events = await query(
+      `SELECT id, event_date, start_time, end_time, institution, description, location, publication_date
+       FROM EVENT ${where}
+       ORDER BY event_date, start_time, id
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM EVENT ${where}`, params);
+
+    res.json({
+      events,
+      total: countResult[0]?.total || 0,
+      limit,
+      offset,
+      filters: {
+        from: from || null,
+        to: to || null,
+        date: date || null,
+        institution: institution || null,
+        q: q || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Subscribe to the agenda from a calendar client. Takes the same filters;
+// without a range, the feed starts FEED_PAST_DAYS days ago
+router.get('/feed.ics', async (req, res, next) => {
+  try {
+    const { to, date, institution, q } = req.query;
+
+    if (!hasValidDates(req.query)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    let { from } = req.query;
+    if (!from && !to && !date) {
+      const start = new Date();
+      start.setDate(start.getDate() - FEED_PAST_DAYS);
+      from = start.toISOString().split('T')[0];
+    }
+
+    const { where, params } = buildConditions({ from, to, date, institution, q });
+
+    const events = await query(
+      `SELECT id, publication_date, event_date, start_time, end_time, institution, description, location
+       FROM EVENT ${where}
+       ORDER BY event_date, start_time, id`,
+      params
+    );
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="agenda.ics"');
+    res.send(buildCalendar(events, { name: institution ? `Agenda - ${institution}` : 'Agenda CJF Noticias' }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
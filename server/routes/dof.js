@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../database');
+
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build the conditions of the DOF publication filters
+ * @param {object} filters Query parameters (issuer, type, from, to, date)
+ * @returns {{where: string, params: Array}} WHERE clause and its parameters
+ */
+function buildConditions({ issuer, type, from, to, date }) {
+  const conditions = [];
+  const params = [];
+
+  if (issuer) {
+    conditions.push('issuer LIKE ?');
+    params.push(`%${issuer}%`);
+  }
+
+  if (type) {
+    conditions.push('instrument_type = ?');
+    params.push(type.toLowerCase());
+  }
+
+  // The range applies to the date of the Diario Oficial
+  if (from) {
+    conditions.push('dof_date >= ?');
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push('dof_date <= ?');
+    params.push(to);
+  }
+
+  // The edition that listed the publication
+  if (date) {
+    conditions.push('publication_date = ?');
+    params.push(date);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+// Get the Diario Oficial publications, filtered by issuer, instrument type
+// and DOF date range
+router.get('/', async (req, res, next) => {
+  try {
+    const { issuer, type, from, to, date } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    if ([from, to, date].some(value => value && !dateRegex.test(value))) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const { where, params } = buildConditions({ issuer, type, from, to, date });
+
+    const publications = await query(
+      `SELECT id, issuer, instrument_type, title, dof_date, url, article_id, publication_date
+       FROM DOF_PUBLICATION ${where}
+       ORDER BY dof_date DESC, id
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM DOF_PUBLICATION ${where}`, params);
+
+    res.json({
+      publications,
+      total: countResult[0]?.total || 0,
+      limit,
+      offset,
+      filters: {
+        issuer: issuer || null,
+        type: type || null,
+        from: from || null,
+        to: to || null,
+        date: date || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the issuers and instrument types of the publications, to filter by
+router.get('/filters', async (req, res, next) => {
+  try {
+    const { date } = req.query;
+
+    if (date && !dateRegex.test(date)) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    }
+
+    const { where, params } = buildConditions({ date });
+
+    const countBy = column => query(
+      `SELECT ${column} AS name, COUNT(*) AS count FROM DOF_PUBLICATION
+       ${where ? `${where} AND` : 'WHERE'} ${column} IS NOT NULL
+       GROUP BY ${column} ORDER BY count DESC, ${column}`,
+      params
+    );
+
+    res.json({
+      date: date || null,
+      issuers: await countBy('issuer'),
+      instrumentTypes: await countBy('instrument_type')
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
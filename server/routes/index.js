@@ -10,6 +10,8 @@ const searchRoutes = require('./search');
 const adminRoutes = require('./admin');
 const statusRoutes = require('./status');
 const externalSourcesRoutes = require('./external-sources');
+const dofRoutes = require('./dof');
+const agendaRoutes = require('./agenda');
 
 // Mount routes
 router.use('/articles', articleRoutes);
@@ -19,6 +21,8 @@ router.use('/search', searchRoutes);
 router.use('/admin', adminRoutes);
 router.use('/status', statusRoutes);
 router.use('/external-sources', externalSourcesRoutes);
+router.use('/dof', dofRoutes);
+router.use('/agenda', agendaRoutes);
 
 // New endpoint for latest articles
 router.get('/latest-articles', async (req, res, next) => {
@@ -1,126 +1,431 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../database');
+const {
+  ARTICLE_COLUMNS, IMAGE_COLUMNS, MARK_START, MARK_END, toPrefixQuery, foldTerm
+} = require('../src/services/search/searchIndex');
+const { SearchQueryError, parseSearchQuery, compileMatch } = require('../src/services/search/queryParser');
 
-// Search articles
+// Relevance of a match by column: a title hit weighs more than a body hit
+const ARTICLE_RANK = 'bm25(ARTICLE_FTS, 10.0, 4.0, 1.0, 3.0, 2.0)';
+const IMAGE_RANK = 'bm25(IMAGE_FTS, 10.0, 4.0, 4.0, 3.0, 2.0)';
+
+// Words shown around the matches in a snippet
+const SNIPPET_WORDS = 24;
+
+// Suggestions of each group by default, and at most
+const SUGGESTION_LIMIT = 5;
+const MAX_SUGGESTION_LIMIT = 10;
+
+// Frequent words that do not make a useful suggestion
+const STOP_WORDS = new Set([
+  'ante', 'como', 'con', 'contra', 'del', 'desde', 'donde', 'durante', 'entre', 'esta', 'este', 'esto',
+  'hacia', 'hasta', 'los', 'las', 'mas', 'para', 'pero', 'por', 'que', 'sin', 'sobre', 'son', 'sus',
+  'tras', 'una', 'uno', 'unos', 'unas'
+]);
+
+// Names of the sections suggested
+const SECTION_NAMES = {
+  'ocho-columnas': 'Ocho Columnas',
+  'primeras-planas': 'Primeras Planas',
+  'columnas-politicas': 'Columnas Políticas',
+  'informacion-general': 'Información General',
+  'cartones': 'Cartones',
+  'suprema-corte': 'Suprema Corte de Justicia de la Nación',
+  'tribunal-electoral': 'Tribunal Electoral del Poder Judicial de la Federación',
+  'dof': 'DOF (Diario Oficial)',
+  'consejo-judicatura': 'Consejo de la Judicatura Federal',
+  'sintesis-informativa': 'Síntesis Informativa',
+  'ultimas-noticias': 'Últimas Noticias',
+  'external-news': 'Noticias Externas'
+};
+
+// Tables searched: their index, the columns returned and how they are ranked
+const SEARCH_TARGETS = {
+  articles: {
+    table: 'ARTICLE',
+    alias: 'a',
+    index: 'ARTICLE_FTS',
+    columns: ARTICLE_COLUMNS,
+    rank: ARTICLE_RANK,
+    snippetColumn: 2,
+    fields: `a.id, a.title, a.summary, a.source, a.author, a.section_id, a.publication_date,
+             CASE WHEN a.external_source_id IS NULL THEN 'article' ELSE 'external' END AS type`
+  },
+  images: {
+    table: 'IMAGE',
+    alias: 'i',
+    index: 'IMAGE_FTS',
+    columns: IMAGE_COLUMNS,
+    rank: IMAGE_RANK,
+    snippetColumn: -1,
+    fields: `i.id, i.filename, i.title, i.description, i.cartoonist, i.newspaper, i.caption, i.section_id,
+             i.publication_date, 'image' AS type`
+  }
+};
+
+// Content types of the results: articles of the report, articles of the
+// external sources and images
+const CONTENT_TYPES = ['article', 'external', 'image'];
+
+// Facets of the search results: the value of each in articles and images
+const FACETS = {
+  section: { articles: 'a.section_id', images: 'i.section_id' },
+  source: { articles: 'a.source', images: 'i.newspaper' },
+  month: { articles: 'substr(a.publication_date, 1, 7)', images: 'substr(i.publication_date, 1, 7)' },
+  type: {
+    articles: "CASE WHEN a.external_source_id IS NULL THEN 'article' ELSE 'external' END",
+    images: "'image'"
+  }
+};
+
+// How the values of each facet are listed in the response
+const FACET_LISTS = {
+  section: { key: 'sections', order: 'count DESC, value' },
+  source: { key: 'sources', order: 'count DESC, value', limit: 20 },
+  month: { key: 'months', order: 'value DESC' },
+  type: { key: 'types', order: 'value' }
+};
+
+/**
+ * Build the conditions of a query written in the search syntax (see
+ * queryParser): its text terms go to the full-text index, its section and
+ * date filters to the table
+ * @param {string} q Query
+ * @param {object} target Searched table
+ * @param {string} target.index FTS5 index
+ * @param {string} target.alias Alias of the table in the SQL
+ * @param {Object<string, string>} target.columns Index column of each field
+ * @returns {{match: string|null, conditions: string[], params: Array, filters: object}}
+ *   FTS5 query of the index, if any, and the conditions with their parameters
+ * @throws {SearchQueryError} If the query cannot be read
+ */
+function buildQueryConditions(q, { index, alias, columns }) {
+  const { text, filters } = parseSearchQuery(q);
+  const { match, exclude } = compileMatch(text, columns);
+  const conditions = [];
+  const params = [];
+  
+  if (match) {
+    conditions.push(`${index} MATCH ?`);
+    params.push(match);
+  }
+  
+  // A query made only of exclusions keeps everything else
+  if (exclude) {
+    conditions.push(`${alias}.id NOT IN (SELECT rowid FROM ${index} WHERE ${index} MATCH ?)`);
+    params.push(exclude);
+  }
+  
+  if (filters.sections.length > 0) {
+    conditions.push(`${alias}.section_id IN (${filters.sections.map(() => '?').join(', ')})`);
+    params.push(...filters.sections);
+  }
+  
+  if (filters.excludedSections.length > 0) {
+    conditions.push(`${alias}.section_id NOT IN (${filters.excludedSections.map(() => '?').join(', ')})`);
+    params.push(...filters.excludedSections);
+  }
+  
+  if (filters.from) {
+    conditions.push(`${alias}.publication_date >= ?`);
+    params.push(filters.from);
+  }
+  
+  if (filters.to) {
+    conditions.push(`${alias}.publication_date <= ?`);
+    params.push(filters.to);
+  }
+  
+  // Text without any word (e.g. punctuation) matches nothing
+  if (conditions.length === 0) {
+    conditions.push('0');
+  }
+  
+  return { match, conditions, params, filters };
+}
+
+/**
+ * Answer a query that cannot be read with the problem and its position
+ * @param {Error} error Error
+ * @param {object} res Response
+ * @returns {boolean} True if the error was a query error and was answered
+ */
+function sendQueryError(error, res) {
+  if (!(error instanceof SearchQueryError)) {
+    return false;
+  }
+  
+  res.status(400).json({ error: error.message, code: error.code, position: error.position });
+  return true;
+}
+
+/**
+ * List the rows of a table matching the conditions of a search
+ * @param {object} target Searched table (see SEARCH_TARGETS)
+ * @param {object} search Search
+ * @param {string|null} search.match FTS5 query of the index, if any
+ * @param {string[]} search.conditions Conditions
+ * @param {Array} search.params Parameters of the conditions
+ * @param {string} [search.sort] 'date' to sort text queries by date
+ * @param {number} search.limit Number of rows
+ * @param {number} search.offset Rows to skip
+ * @returns {Promise<{results: object[], total: number}>} Page of rows and
+ *   number of matching rows
+ */
+async function listResults(target, { match, conditions, params, sort, limit, offset }) {
+  const { index, alias, rank, snippetColumn, fields } = target;
+  const tables = tablesOf(target, match);
+  const order = match && sort !== 'date'
+    ? `${rank}, ${alias}.publication_date DESC`
+    : `${alias}.publication_date DESC`;
+  
+  const results = await query(
+    `SELECT ${fields}${match ? `,
+            highlight(${index}, 0, ?, ?) AS title_highlight,
+            snippet(${index}, ${snippetColumn}, ?, ?, '…', ${SNIPPET_WORDS}) AS snippet` : ''}
+     FROM ${tables}
+     WHERE ${conditions.join(' AND ')} 
+     ORDER BY ${order} 
+     LIMIT ? OFFSET ?`,
+    [...(match ? [MARK_START, MARK_END, MARK_START, MARK_END] : []), ...params, limit, offset]
+  );
+  
+  // Get total count for pagination
+  const countResult = await query(
+    `SELECT COUNT(*) as total FROM ${tables} WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  
+  return { results, total: countResult.length > 0 ? countResult[0].total : 0 };
+}
+
+/**
+ * Tables of a search: the table alone, or joined to its index for text queries
+ * @param {object} target Searched table (see SEARCH_TARGETS)
+ * @param {string|null} match FTS5 query of the index, if any
+ * @returns {string} FROM clause
+ */
+function tablesOf({ index, table, alias }, match) {
+  return match ? `${index} JOIN ${table} ${alias} ON ${alias}.id = ${index}.rowid` : `${table} ${alias}`;
+}
+
+/**
+ * Build the conditions of the facets selected in a search
+ * @param {string} targetName 'articles' or 'images'
+ * @param {object} selected Selected value of each facet
+ * @param {string} [except] Facet left out, to count its other values
+ * @returns {{conditions: string[], params: Array}} Conditions and parameters
+ */
+function facetConditions(targetName, selected, except) {
+  const conditions = [];
+  const params = [];
+  
+  for (const [name, columns] of Object.entries(FACETS)) {
+    if (name === except) {
+      continue;
+    }
+    
+    // Without a type, the results are the articles (images are searched
+    // apart), so the images only count in the facet of the type
+    if (name === 'type') {
+      const types = selected.type ? [selected.type] : ['article', 'external'];
+      conditions.push(`${columns[targetName]} IN (${types.map(() => '?').join(', ')})`);
+      params.push(...types);
+    } else if (selected[name]) {
+      conditions.push(`${columns[targetName]} = ?`);
+      params.push(selected[name]);
+    }
+  }
+  
+  return { conditions, params };
+}
+
+/**
+ * Count the articles and images of a search by each facet. Each facet is
+ * counted with the other facets selected but not itself, so that it lists
+ * the values the search can be narrowed or widened to
+ * @param {object} searches Conditions of the search in each table, by
+ *   target name
+ * @param {object} selected Selected value of each facet
+ * @returns {Promise<object>} Values of each facet with their counts
+ */
+async function countFacets(searches, selected) {
+  const facets = {};
+  
+  for (const [name, { key, limit, order }] of Object.entries(FACET_LISTS)) {
+    const parts = [];
+    const params = [];
+    
+    for (const [targetName, search] of Object.entries(searches)) {
+      const narrowed = facetConditions(targetName, selected, name);
+      parts.push(
+        `SELECT ${FACETS[name][targetName]} AS value
+         FROM ${tablesOf(SEARCH_TARGETS[targetName], search.match)}
+         WHERE ${[...search.conditions, ...narrowed.conditions].join(' AND ')}`
+      );
+      params.push(...search.params, ...narrowed.params);
+    }
+    
+    const rows = await query(
+      `SELECT value, COUNT(*) AS count
+       FROM (${parts.join(' UNION ALL ')})
+       WHERE value IS NOT NULL
+       GROUP BY value
+       ORDER BY ${order}
+       ${limit ? `LIMIT ${limit}` : ''}`,
+      params
+    );
+    
+    facets[key] = rows.map(row => (name === 'section'
+      ? { value: row.value, name: SECTION_NAMES[row.value] || row.value, count: row.count }
+      : row));
+  }
+  
+  // Every content type is listed, the empty ones too
+  facets.types = CONTENT_TYPES.map(value => facets.types.find(row => row.value === value) || { value, count: 0 });
+  
+  return facets;
+}
+
+// Search articles, or images with type=image. The query q is written in the
+// search syntax (phrases, exclusions, OR, fields, section and date filters).
+// Text queries go through the full-text index and are sorted by relevance
+// (or by date with sort=date), with the matches marked in title_highlight and
+// snippet. The results are counted by section, source, month and content type
+// in facets, and narrowed by section, source, month and type
 router.get('/', async (req, res, next) => {
   try {
-    const { q, section, from, to, limit = 20, offset = 0 } = req.query;
+    const { q, section, source, month, type, from, to, sort, limit = 20, offset = 0 } = req.query;
     
-    if (!q && !section && !from && !to) {
+    if (!q && !section && !source && !month && !type && !from && !to) {
       return res.status(400).json({ error: 'At least one search parameter is required' });
     }
     
-    // Build query conditions
-    const conditions = [];
-    const params = [];
-    
-    if (q) {
-      conditions.push('(title LIKE ? OR content LIKE ? OR summary LIKE ?)');
-      const searchTerm = `%${q}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+    if (month && !/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({ error: 'The month must be written as YYYY-MM' });
     }
     
-    if (section) {
-      conditions.push('section_id = ?');
-      params.push(section);
+    if (type && !CONTENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `The type must be one of ${CONTENT_TYPES.join(', ')}` });
     }
     
-    if (from) {
-      conditions.push('publication_date >= ?');
-      params.push(from);
-    }
+    // Build the conditions of the search in each table
+    const searches = {};
+    let filters = null;
     
-    if (to) {
-      conditions.push('publication_date <= ?');
-      params.push(to);
+    for (const [targetName, target] of Object.entries(SEARCH_TARGETS)) {
+      const search = q
+        ? buildQueryConditions(q, target)
+        : { match: null, conditions: [], params: [], filters: null };
+      
+      if (from) {
+        search.conditions.push(`${target.alias}.publication_date >= ?`);
+        search.params.push(from);
+      }
+      
+      if (to) {
+        search.conditions.push(`${target.alias}.publication_date <= ?`);
+        search.params.push(to);
+      }
+      
+      // An empty list of conditions would leave the WHERE clause empty
+      if (search.conditions.length === 0) {
+        search.conditions.push('1');
+      }
+      
+      searches[targetName] = search;
+      filters = search.filters;
     }
     
-    // Get articles matching search criteria
-    const articles = await query(
-      `SELECT id, title, summary, source, section_id, publication_date 
-       FROM ARTICLE 
-       WHERE ${conditions.join(' AND ')} 
-       ORDER BY publication_date DESC 
-       LIMIT ? OFFSET ?`,
-      [...params, parseInt(limit), parseInt(offset)]
-    );
+    const selected = { section, source, month, type };
+    const targetName = type === 'image' ? 'images' : 'articles';
+    const search = searches[targetName];
+    const narrowed = facetConditions(targetName, selected);
     
-    // Get total count for pagination
-    const countResult = await query(
-      `SELECT COUNT(*) as total FROM ARTICLE WHERE ${conditions.join(' AND ')}`,
-      params
-    );
+    const { results, total } = await listResults(SEARCH_TARGETS[targetName], {
+      match: search.match,
+      conditions: [...search.conditions, ...narrowed.conditions],
+      params: [...search.params, ...narrowed.params],
+      sort,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
     
-    const total = countResult.length > 0 ? countResult[0].total : 0;
+    const facets = await countFacets(searches, selected);
     
     // Return search results
     res.json({
       query: q,
       section,
+      source,
+      month,
+      type,
       from,
       to,
+      sort: search.match && sort !== 'date' ? 'relevance' : 'date',
+      filters,
       total,
       limit: parseInt(limit),
       offset: parseInt(offset),
-      results: articles
+      facets,
+      results
     });
   } catch (error) {
-    next(error);
+    if (!sendQueryError(error, res)) {
+      next(error);
+    }
   }
 });
 
-// Search images
+// Search images by title, description, caption, cartoonist and newspaper,
+// ranked like the articles
 router.get('/images', async (req, res, next) => {
   try {
-    const { q, section, from, to, limit = 20, offset = 0 } = req.query;
+    const { q, section, from, to, cartoonist, newspaper, sort, limit = 20, offset = 0 } = req.query;
     
-    if (!q && !section && !from && !to) {
+    if (!q && !section && !from && !to && !cartoonist && !newspaper) {
       return res.status(400).json({ error: 'At least one search parameter is required' });
     }
     
     // Build query conditions
-    const conditions = [];
-    const params = [];
+    const { match, conditions, params, filters } = q
+      ? buildQueryConditions(q, SEARCH_TARGETS.images)
+      : { match: null, conditions: [], params: [], filters: null };
+    
+    if (cartoonist) {
+      conditions.push('i.cartoonist = ?');
+      params.push(cartoonist);
+    }
     
-    if (q) {
-      conditions.push('(title LIKE ? OR description LIKE ?)');
-      const searchTerm = `%${q}%`;
-      params.push(searchTerm, searchTerm);
+    if (newspaper) {
+      conditions.push('i.newspaper = ?');
+      params.push(newspaper);
     }
     
     if (section) {
-      conditions.push('section_id = ?');
+      conditions.push('i.section_id = ?');
       params.push(section);
     }
     
     if (from) {
-      conditions.push('publication_date >= ?');
+      conditions.push('i.publication_date >= ?');
       params.push(from);
     }
     
     if (to) {
-      conditions.push('publication_date <= ?');
+      conditions.push('i.publication_date <= ?');
       params.push(to);
     }
     
-    // Get images matching search criteria
-    const images = await query(
-      `SELECT id, filename, title, description, section_id, publication_date 
-       FROM IMAGE 
-       WHERE ${conditions.join(' AND ')} 
-       ORDER BY publication_date DESC 
-       LIMIT ? OFFSET ?`,
-      [...params, parseInt(limit), parseInt(offset)]
-    );
-    
-    // Get total count for pagination
-    const countResult = await query(
-      `SELECT COUNT(*) as total FROM IMAGE WHERE ${conditions.join(' AND ')}`,
-      params
-    );
-    
-    const total = countResult.length > 0 ? countResult[0].total : 0;
+    const { results, total } = await listResults(SEARCH_TARGETS.images, {
+      match,
+      conditions,
+      params,
+      sort,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
     
     // Return search results
     res.json({
@@ -128,11 +433,119 @@ router.get('/images', async (req, res, next) => {
       section,
       from,
       to,
+      sort: match && sort !== 'date' ? 'relevance' : 'date',
+      filters,
+      cartoonist,
+      newspaper,
       total,
       limit: parseInt(limit),
       offset: parseInt(offset),
-      results: images
+      results
     });
+  } catch (error) {
+    if (!sendQueryError(error, res)) {
+      next(error);
+    }
+  }
+});
+
+// Suggest searches for the text being typed: article titles, sources,
+// authors and sections holding its words (the last one as a prefix) and the
+// indexed terms that complete its last word. section, from and to narrow
+// every group but the terms
+router.get('/suggest', async (req, res, next) => {
+  try {
+    const { q, section, from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || SUGGESTION_LIMIT, 1), MAX_SUGGESTION_LIMIT);
+    
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'A search query is required' });
+    }
+    
+    const suggestions = { query: q, section, from, to, titles: [], sources: [], authors: [], sections: [], terms: [] };
+    const anywhere = toPrefixQuery(q);
+    
+    // Text without any word (e.g. punctuation) has nothing to suggest
+    if (!anywhere) {
+      return res.json(suggestions);
+    }
+    
+    const conditions = [];
+    const params = [];
+    
+    if (section) {
+      conditions.push('a.section_id = ?');
+      params.push(section);
+    }
+    
+    if (from) {
+      conditions.push('a.publication_date >= ?');
+      params.push(from);
+    }
+    
+    if (to) {
+      conditions.push('a.publication_date <= ?');
+      params.push(to);
+    }
+    
+    const facets = conditions.map(condition => ` AND ${condition}`).join('');
+    const tables = 'ARTICLE_FTS JOIN ARTICLE a ON a.id = ARTICLE_FTS.rowid';
+    
+    suggestions.titles = await query(
+      `SELECT a.id, a.title, highlight(ARTICLE_FTS, 0, ?, ?) AS title_highlight, a.section_id, a.publication_date
+       FROM ${tables}
+       WHERE ARTICLE_FTS MATCH ?${facets}
+       ORDER BY ${ARTICLE_RANK}, a.publication_date DESC
+       LIMIT ?`,
+      [MARK_START, MARK_END, toPrefixQuery(q, 'title'), ...params, limit]
+    );
+    
+    // Sources and authors whose own name holds the words
+    for (const field of ['source', 'author']) {
+      suggestions[`${field}s`] = await query(
+        `SELECT a.${field} AS name, COUNT(*) AS count
+         FROM ${tables}
+         WHERE ARTICLE_FTS MATCH ? AND a.${field} IS NOT NULL${facets}
+         GROUP BY a.${field}
+         ORDER BY count DESC, a.${field}
+         LIMIT ?`,
+        [toPrefixQuery(q, field), ...params, limit]
+      );
+    }
+    
+    const sections = await query(
+      `SELECT a.section_id AS id, COUNT(*) AS count
+       FROM ${tables}
+       WHERE ARTICLE_FTS MATCH ? AND a.section_id IS NOT NULL${facets}
+       GROUP BY a.section_id
+       ORDER BY count DESC, a.section_id
+       LIMIT ?`,
+      [anywhere, ...params, limit]
+    );
+    suggestions.sections = sections.map(row => ({ id: row.id, name: SECTION_NAMES[row.id] || row.id, count: row.count }));
+    
+    // Complete the last word, unless it has been finished with a space
+    const words = q.match(/[\p{L}\p{N}]+/gu);
+    const prefix = /[\p{L}\p{N}]$/u.test(q) ? foldTerm(words[words.length - 1]) : null;
+    
+    if (prefix) {
+      const typed = q.slice(0, q.length - words[words.length - 1].length);
+      const stopWords = [...STOP_WORDS];
+      const terms = await query(
+        `SELECT term, doc AS count
+         FROM ARTICLE_FTS_VOCAB
+         WHERE term >= ? AND term <= ? AND term != ?
+           AND length(term) > 2 AND term GLOB '*[^0-9]*'
+           AND term NOT IN (${stopWords.map(() => '?').join(', ')})
+         ORDER BY doc DESC, term
+         LIMIT ?`,
+        [prefix, `${prefix}\uffff`, prefix, ...stopWords, limit]
+      );
+      
+      suggestions.terms = terms.map(row => ({ term: row.term, text: `${typed}${row.term}`, count: row.count }));
+    }
+    
+    res.json(suggestions);
   } catch (error) {
     next(error);
   }
@@ -25,10 +25,15 @@ router.get('/', async (req, res, next) => {
     const sectionsWithCounts = await Promise.all(
       baseSections.map(async (section) => {
         try {
-          const result = await query(
-            'SELECT COUNT(*) as count FROM ARTICLE WHERE section_id = ?',
-            [section.id]
-          );
+          // The agenda is made of events rather than articles
+          const result = section.id === 'agenda'
+            ? await query('SELECT COUNT(*) as count FROM EVENT')
+            : await query(
+              `SELECT COUNT(*) as count FROM ARTICLE WHERE section_id = ? OR subsection_id IN (
+                SELECT id FROM SUBSECTION WHERE id = ? OR parent_id = ?
+              )`,
+              [section.id, section.id, section.id]
+            );
           
           return {
             ...section,
@@ -55,7 +60,7 @@ router.get('/', async (req, res, next) => {
 router.get('/:sectionId', async (req, res, next) => {
   try {
     const { sectionId } = req.params;
-    const { date } = req.query;
+    const { date, cartoonist, newspaper, subsection } = req.query;
     const limit = parseInt(req.query.limit, 10) || 12; // Default limit
     const offset = parseInt(req.query.offset, 10) || 0; // Default offset
     
@@ -64,7 +69,7 @@ router.get('/:sectionId', async (req, res, next) => {
       'ocho-columnas', 'primeras-planas', 'columnas-politicas', 
       'informacion-general', 'cartones', 'suprema-corte', 
       'tribunal-electoral', 'dof', 'consejo-judicatura', 'external-news',
-      'ultimas-noticias'
+      'ultimas-noticias', 'sintesis-informativa'
     ];
     
     if (!validSections.includes(sectionId)) {
@@ -88,9 +93,12 @@ router.get('/:sectionId', async (req, res, next) => {
       });
     }
     
-    // Build query conditions
-    const conditions = ['section_id = ?'];
-    const params = [sectionId];
+    // Build query conditions. The parts of the síntesis informativa (CJF,
+    // SCJN, TEPJF, información general) are stored as its subsections
+    const conditions = [`(section_id = ? OR subsection_id IN (
+      SELECT id FROM SUBSECTION WHERE id = ? OR parent_id = ?
+    ))`];
+    const params = [sectionId, sectionId, sectionId];
     
     if (date) {
       conditions.push('publication_date = ?');
@@ -106,16 +114,59 @@ router.get('/:sectionId', async (req, res, next) => {
       )`);
     }
     
-    // Get articles for the section
+    // Cartoons can be narrowed to a cartoonist or a newspaper (the author and
+    // source of their articles)
+    const articleConditions = [...conditions];
+    const articleParams = [...params];
+    const imageFilters = [];
+    const imageFilterParams = [];
+    
+    if (cartoonist) {
+      articleConditions.push('author = ?');
+      articleParams.push(cartoonist);
+      imageFilters.push('AND cartoonist = ?');
+      imageFilterParams.push(cartoonist);
+    }
+    
+    if (newspaper) {
+      articleConditions.push('source = ?');
+      articleParams.push(newspaper);
+      imageFilters.push('AND newspaper = ?');
+      imageFilterParams.push(newspaper);
+    }
+    
+    // Subheaders the articles of the section are printed under, in the
+    // order of the report
+    const subsections = await query(
+      `SELECT s.id, s.name, s.parent_id, p.name AS parent_name, s.position, COUNT(*) AS count
+       FROM SUBSECTION s
+       JOIN (SELECT subsection_id FROM ARTICLE WHERE ${conditions.join(' AND ')}) a ON a.subsection_id = s.id
+       LEFT JOIN SUBSECTION p ON p.id = s.parent_id
+       GROUP BY s.id
+       ORDER BY s.position`,
+      params
+    );
+    
+    // A subsection includes the subheaders printed inside it
+    if (subsection) {
+      articleConditions.push('subsection_id IN (SELECT id FROM SUBSECTION WHERE id = ? OR parent_id = ?)');
+      articleParams.push(subsection, subsection);
+    }
+    
+    // Get articles for the section. Sections with subheaders are read in
+    // printed order, the others newest first
+    const order = subsections.length > 0
+      ? '(SELECT position FROM SUBSECTION WHERE SUBSECTION.id = ARTICLE.subsection_id) NULLS LAST, id'
+      : 'id DESC';
     const articles = await query(
-      `SELECT * FROM ARTICLE WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ? OFFSET ?`,
-      [...params, limit, offset]
+      `SELECT * FROM ARTICLE WHERE ${articleConditions.join(' AND ')} ORDER BY ${order} LIMIT ? OFFSET ?`,
+      [...articleParams, limit, offset]
     );
     
     // For image sections, also get images associated with articles
     let images = [];
     
-    if (['primeras-planas', 'cartones', 'columnas-politicas'].includes(sectionId)) {
+    if (['primeras-planas', 'cartones'].includes(sectionId)) {
       // For image sections, get all images for the section
       images = await query(
         `SELECT * FROM IMAGE WHERE section_id = ? ${
@@ -126,8 +177,8 @@ router.get('/:sectionId', async (req, res, next) => {
               SELECT MAX(publication_date) as date FROM IMAGE
             )
           )`
-        } ORDER BY id DESC LIMIT ? OFFSET ?`,
-        date ? [sectionId, date, limit, offset] : [sectionId, limit, offset]
+        } ${imageFilters.join(' ')} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        date ? [sectionId, date, ...imageFilterParams, limit, offset] : [sectionId, ...imageFilterParams, limit, offset]
       );
     } else {
       // For non-image sections, only get unassociated images
@@ -156,7 +207,39 @@ router.get('/:sectionId', async (req, res, next) => {
       section: sectionId,
       date: date || (articles.length > 0 ? articles[0].publication_date : new Date().toISOString().split('T')[0]),
       articles,
-      images: processedImages
+      images: processedImages,
+      subsections
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the cartoonists and newspapers of the images of a section, to filter by
+router.get('/:sectionId/filters', async (req, res, next) => {
+  try {
+    const { sectionId } = req.params;
+    const { date } = req.query;
+    const conditions = ['section_id = ?'];
+    const params = [sectionId];
+    
+    if (date) {
+      conditions.push('publication_date = ?');
+      params.push(date);
+    }
+    
+    const countBy = column => query(
+      `SELECT ${column} AS name, COUNT(*) AS count FROM IMAGE
+       WHERE ${conditions.join(' AND ')} AND ${column} IS NOT NULL
+       GROUP BY ${column} ORDER BY count DESC, ${column}`,
+      params
+    );
+    
+    res.json({
+      section: sectionId,
+      date: date || null,
+      cartoonists: await countBy('cartoonist'),
+      newspapers: await countBy('newspaper')
     });
   } catch (error) {
     next(error);
@@ -173,7 +256,7 @@ router.get('/:sectionId/preview', async (req, res, next) => {
       'ocho-columnas', 'primeras-planas', 'columnas-politicas', 
       'informacion-general', 'cartones', 'suprema-corte', 
       'tribunal-electoral', 'dof', 'consejo-judicatura', 'external-news',
-      'ultimas-noticias'
+      'ultimas-noticias', 'sintesis-informativa'
     ];
     
     if (!validSections.includes(sectionId)) {
@@ -235,7 +318,7 @@ router.get('/:sectionId/preview', async (req, res, next) => {
     // Get preview items based on section type
     let items = [];
     
-    if (['primeras-planas', 'cartones', 'columnas-politicas'].includes(sectionId)) {
+    if (['primeras-planas', 'cartones'].includes(sectionId)) {
       // For image-based sections
       items = await query(
         `SELECT id, title, filename as imageUrl, NULL as source, publication_date as date, 'image' as type
@@ -256,9 +339,10 @@ router.get('/:sectionId/preview', async (req, res, next) => {
         `SELECT a.id, a.title, a.summary, a.source, a.publication_date as date, 'article' as type,
                 (SELECT filename FROM IMAGE WHERE article_id = a.id LIMIT 1) as imageUrl
          FROM ARTICLE a
-         WHERE a.section_id = ? AND a.publication_date = ? 
+         WHERE (a.section_id = ? OR a.subsection_id IN (SELECT id FROM SUBSECTION WHERE id = ? OR parent_id = ?))
+           AND a.publication_date = ? 
          LIMIT 6`,
-        [sectionId, date]
+        [sectionId, sectionId, sectionId, date]
       );
     }
     
@@ -8,20 +8,29 @@ const express = require('express');
 const router = express.Router();
 const { query, get, run } = require('../../../server/database');
 const { pdfExists, getLatestPDF } = require('../services/pdf/pdfExtractor');
-const { runExtractionJob, getActiveJobs } = require('../services/scheduler/scheduler');
+const { getActiveJobs } = require('../services/scheduler/scheduler');
+const {
+  enqueueExtraction,
+  getJob,
+  listJobs,
+  subscribeToJob,
+  getJobLogs
+} = require('../services/scheduler/jobQueue');
+const { getExtractor, listExtractors } = require('../services/pdf/extractorRegistry');
+const { getPreview, commitPreview, discardPreview } = require('../services/content/extractionPreview');
+const { listEditions, getEdition } = require('../services/pdf/editionStore');
+const { associateFrontPages } = require('../services/content/frontPageAssociation');
+const { authenticate, authorize, csrfProtection } = require('../middleware/auth');
 const { createLogger } = require('../utils/logger');
 
 // Create logger for this module
 const logger = createLogger('api-extraction');
 
-// Middleware to check if user is authenticated as admin
-// This is a placeholder - in a real app, you would implement proper authentication
-const isAdmin = (req, res, next) => {
-  // For development purposes, we'll skip authentication
-  // In a real app, you would check for a valid JWT token or session
-  // and verify that the user has admin privileges
-  next();
-};
+// Routes that read the extraction state need a signed-in editor, as the
+// admin routes do; routes that change the stored content also check the
+// CSRF token
+const canView = [authenticate, authorize(['admin', 'editor'])];
+const isEditor = [authenticate, csrfProtection, authorize(['admin', 'editor'])];
 
 /**
  * @route GET /api/extraction/status
@@ -83,9 +92,9 @@ router.get('/status', async (req, res, next) => {
 /**
  * @route GET /api/extraction/logs
  * @description Get extraction logs
- * @access Admin
+ * @access Admin, Editor
  */
-router.get('/logs', isAdmin, async (req, res, next) => {
+router.get('/logs', canView, async (req, res, next) => {
   try {
     logger.info('Getting extraction logs');
     
@@ -118,28 +127,35 @@ router.get('/logs', isAdmin, async (req, res, next) => {
 
 /**
  * @route POST /api/extraction/run
- * @description Trigger a manual extraction
- * @access Admin
+ * @description Queue a manual extraction and return its job right away.
+ * Accepts an optional `date` (re-extracts the stored PDF), `engine`
+ * (see GET /api/extraction/engines) and `fallback` list in the body.
+ * With `dryRun: true` the result is saved as a preview of its date instead
+ * of being stored (see GET /api/extraction/previews/:date).
+ * Follow the job with GET /api/extraction/jobs/:id.
+ * @access Admin, Editor
  */
-router.post('/run', async (req, res, next) => {
+router.post('/run', isEditor, async (req, res, next) => {
   try {
     logger.info(`Received extraction request with body: ${JSON.stringify(req.body)}`);
-    logger.info(`Request headers: ${JSON.stringify(req.headers)}`);
-    logger.info(`Request method: ${req.method}`);
-    logger.info(`Request URL: ${req.url}`);
     
-    const { date } = req.body;
+    const { date, engine, fallback, dryRun } = req.body;
+    
+    if (engine && !getExtractor(engine)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown extraction engine: ${engine}`,
+        error: 'UNKNOWN_ENGINE',
+        engines: listExtractors().map(e => e.name)
+      });
+    }
     
     if (date) {
-      logger.info(`Triggering manual re-extraction for date: ${date}`);
-      
       // Check if PDF exists for the date
       const pdfPath = require('path').join(__dirname, '../../../storage/pdf', `${date}.pdf`);
       const fs = require('fs');
-      const fileExists = fs.existsSync(pdfPath);
-      logger.info(`Checking PDF file at path: ${pdfPath}, exists: ${fileExists}`);
       
-      if (!fileExists) {
+      if (!fs.existsSync(pdfPath)) {
         logger.error(`PDF file for date ${date} does not exist at path: ${pdfPath}`);
         return res.status(404).json({
           success: false,
@@ -147,48 +163,404 @@ router.post('/run', async (req, res, next) => {
           error: 'PDF_NOT_FOUND'
         });
       }
+    }
+    
+    const job = await enqueueExtraction({
+      date: date || null,
+      engine,
+      fallback,
+      dryRun: Boolean(dryRun),
+      requestedBy: req.user ? req.user.username : null
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: dryRun
+        ? `Preview extraction job${date ? ` for ${date}` : ''} queued`
+        : date ? `Re-extraction job for ${date} queued` : 'Extraction job queued',
+      jobId: job.id,
+      job
+    });
+  } catch (error) {
+    logger.error(`Error queueing extraction job: ${error.message}`);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Extraction job could not be queued',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/extraction/jobs
+ * @description Get the most recent extraction jobs. Accepts `limit` and
+ * `status` query parameters.
+ * @access Admin, Editor
+ */
+router.get('/jobs', canView, async (req, res, next) => {
+  try {
+    const { limit = 20, status } = req.query;
+    
+    const jobs = await listJobs({ limit: parseInt(limit, 10) || 20, status });
+    
+    res.json({ jobs });
+  } catch (error) {
+    logger.error(`Error getting extraction jobs: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/extraction/jobs/:id
+ * @description Get an extraction job with the progress of each step
+ * (download, text, images, urls, store)
+ * @access Admin, Editor
+ */
+router.get('/jobs/:id', canView, async (req, res, next) => {
+  try {
+    const job = await getJob(parseInt(req.params.id, 10));
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `Extraction job ${req.params.id} does not exist`,
+        error: 'JOB_NOT_FOUND'
+      });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    logger.error(`Error getting extraction job ${req.params.id}: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/extraction/jobs/:id/events
+ * @description Stream the progress of an extraction job as server-sent
+ * events: `job` (the job when the stream opens), `progress` (step
+ * transitions), `log` (log entries of the extractors) and `done` (the
+ * finished job, after which the stream ends). EventSource cannot send
+ * headers, so browsers sign in with the session cookie
+ * @access Admin, Editor
+ */
+router.get('/jobs/:id/events', canView, async (req, res, next) => {
+  const id = parseInt(req.params.id, 10);
+  
+  // Subscribe before reading the job, so that no event is missed in between
+  const early = [];
+  let handleEvent = event => early.push(event);
+  const unsubscribe = subscribeToJob(id, event => handleEvent(event));
+  
+  try {
+    const job = await getJob(id);
+    
+    if (!job) {
+      unsubscribe();
+      return res.status(404).json({
+        success: false,
+        message: `Extraction job ${req.params.id} does not exist`,
+        error: 'JOB_NOT_FOUND'
+      });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    send('job', job);
+    getJobLogs(id).forEach(log => send('log', log));
+    
+    if (job.status === 'completed' || job.status === 'failed') {
+      unsubscribe();
+      send('done', job);
+      return res.end();
+    }
+    
+    // Keep the connection open through proxies while nothing is logged
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    
+    handleEvent = async (event) => {
+      const { type, ...data } = event;
       
-      try {
-        // Run the extraction job with the specified date
-        logger.info(`Starting re-extraction job for date: ${date}`);
-        const results = await runExtractionJob(date);
-        logger.info(`Re-extraction job completed with results: ${JSON.stringify(results)}`);
-        
-        res.json({
-          success: true,
-          message: `Re-extraction job for ${date} completed successfully`,
-          results
-        });
-      } catch (extractionError) {
-        logger.error(`Error during extraction: ${extractionError.message}`);
-        logger.error(extractionError.stack);
-        
-        res.status(500).json({
-          success: false,
-          message: `Error during extraction: ${extractionError.message}`,
-          error: 'EXTRACTION_ERROR'
-        });
+      if (type !== 'done') {
+        send(type, data);
+        return;
       }
-    } else {
-      logger.info('Triggering manual extraction');
       
-      // Run the extraction job
-      const results = await runExtractionJob();
+      stop();
+      
+      // Events are not awaited by their emitter, so a failure ends the stream here
+      try {
+        send('done', await getJob(id));
+      } catch (error) {
+        logger.error(`Error streaming extraction job ${id}: ${error.message}`);
+      }
       
-      res.json({
-        success: true,
-        message: 'Extraction job completed successfully',
-        results
+      res.end();
+    };
+    
+    // Log entries received meanwhile were already sent with the recent logs
+    early.filter(event => event.type !== 'log').forEach(event => handleEvent(event));
+    
+    req.on('close', stop);
+  } catch (error) {
+    unsubscribe();
+    logger.error(`Error streaming extraction job ${req.params.id}: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/extraction/previews/:date
+ * @description Get the preview saved by a dry-run extraction, with the
+ * articles and images it would add, remove or change per section compared
+ * with the content stored for the date. Articles edited by hand are listed
+ * as kept.
+ * @access Admin, Editor
+ */
+router.get('/previews/:date', canView, async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, message: 'Invalid date format. Use YYYY-MM-DD', error: 'INVALID_DATE' });
+    }
+    
+    const preview = await getPreview(date);
+    
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: `No extraction preview exists for ${date}`,
+        error: 'PREVIEW_NOT_FOUND'
       });
     }
+    
+    res.json(preview);
   } catch (error) {
-    logger.error(`Error running extraction job: ${error.message}`);
+    logger.error(`Error getting extraction preview for ${req.params.date}: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/extraction/previews/:date/commit
+ * @description Store the content of a preview, replacing the content of its
+ * date except the articles edited by hand, and remove the preview
+ * @access Admin, Editor
+ */
+router.post('/previews/:date/commit', isEditor, async (req, res, next) => {
+  try {
+    const { date } = req.params;
     
-    res.status(500).json({
-      success: false,
-      message: 'Extraction job failed',
-      error: error.message
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, message: 'Invalid date format. Use YYYY-MM-DD', error: 'INVALID_DATE' });
+    }
+    
+    const results = await commitPreview(date, { userId: req.user ? req.user.id : null });
+    
+    if (!results) {
+      return res.status(404).json({
+        success: false,
+        message: `No extraction preview exists for ${date}`,
+        error: 'PREVIEW_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Preview for ${date} stored`,
+      results
+    });
+  } catch (error) {
+    logger.error(`Error committing extraction preview for ${req.params.date}: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/extraction/previews/:date
+ * @description Discard the preview of a date without storing it
+ * @access Admin, Editor
+ */
+router.delete('/previews/:date', isEditor, async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, message: 'Invalid date format. Use YYYY-MM-DD', error: 'INVALID_DATE' });
+    }
+    
+    if (!discardPreview(date)) {
+      return res.status(404).json({
+        success: false,
+        message: `No extraction preview exists for ${date}`,
+        error: 'PREVIEW_NOT_FOUND'
+      });
+    }
+    
+    res.json({ success: true, message: `Preview for ${date} discarded` });
+  } catch (error) {
+    logger.error(`Error discarding extraction preview for ${req.params.date}: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/extraction/editions
+ * @description Get the downloaded PDF revisions, newest first, with their
+ * hash, download headers and whether they are the current revision of their
+ * date. Accepts `date` and `limit` query parameters.
+ * @access Admin, Editor
+ */
+router.get('/editions', canView, async (req, res, next) => {
+  try {
+    const { date, limit = 50 } = req.query;
+    
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, message: 'Invalid date format. Use YYYY-MM-DD', error: 'INVALID_DATE' });
+    }
+    
+    const editions = await listEditions({ date, limit: parseInt(limit, 10) || 50 });
+    
+    res.json({ editions });
+  } catch (error) {
+    logger.error(`Error getting editions: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/extraction/editions/:id
+ * @description Get a downloaded PDF revision
+ * @access Admin, Editor
+ */
+router.get('/editions/:id', canView, async (req, res, next) => {
+  try {
+    const edition = await getEdition(parseInt(req.params.id, 10));
+    
+    if (!edition) {
+      return res.status(404).json({
+        success: false,
+        message: `Edition ${req.params.id} does not exist`,
+        error: 'EDITION_NOT_FOUND'
+      });
+    }
+    
+    res.json(edition);
+  } catch (error) {
+    logger.error(`Error getting edition ${req.params.id}: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/extraction/editions/:id/extract
+ * @description Queue the re-extraction of a revision. It becomes the current
+ * PDF of its date once the result is stored, or once the preview of a dry run
+ * is committed. Accepts `engine`, `fallback` and `dryRun` in the body, as
+ * POST /api/extraction/run does.
+ * @access Admin, Editor
+ */
+router.post('/editions/:id/extract', isEditor, async (req, res, next) => {
+  try {
+    const { engine, fallback, dryRun } = req.body || {};
+    
+    if (engine && !getExtractor(engine)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown extraction engine: ${engine}`,
+        error: 'UNKNOWN_ENGINE',
+        engines: listExtractors().map(e => e.name)
+      });
+    }
+    
+    const edition = await getEdition(parseInt(req.params.id, 10));
+    
+    if (!edition) {
+      return res.status(404).json({
+        success: false,
+        message: `Edition ${req.params.id} does not exist`,
+        error: 'EDITION_NOT_FOUND'
+      });
+    }
+    
+    const job = await enqueueExtraction({
+      date: edition.date,
+      editionId: edition.id,
+      engine,
+      fallback,
+      dryRun: Boolean(dryRun),
+      requestedBy: req.user ? req.user.username : null
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: `Re-extraction job for revision ${edition.revision} of ${edition.date} queued`,
+      jobId: job.id,
+      job,
+      edition
     });
+  } catch (error) {
+    logger.error(`Error re-extracting edition ${req.params.id}: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/extraction/associations/:date
+ * @description Link the Ocho Columnas of a date to the front pages of their
+ * newspapers again and report the unmatched items. With dryRun, nothing is stored
+ * @access Admin, Editor
+ */
+router.post('/associations/:date', isEditor, async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, message: 'Invalid date format. Use YYYY-MM-DD', error: 'INVALID_DATE' });
+    }
+    
+    const report = await associateFrontPages(date, { dryRun: Boolean(req.body && req.body.dryRun) });
+    
+    res.json({ success: true, ...report });
+  } catch (error) {
+    logger.error(`Error associating the front pages of ${req.params.date}: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/extraction/engines
+ * @description Get the registered extraction engines and the configured default
+ * @access Public
+ */
+router.get('/engines', async (req, res, next) => {
+  try {
+    const setting = await get(`SELECT value FROM SETTINGS WHERE key = 'extraction_engine'`);
+    
+    res.json({
+      engines: listExtractors(),
+      default: setting ? setting.value : 'enhanced'
+    });
+  } catch (error) {
+    logger.error(`Error getting extraction engines: ${error.message}`);
+    next(error);
   }
 });
 
@@ -7,11 +7,21 @@
 
 const { run, get, query } = require('../../../database');
 const { createLogger } = require('../../utils/logger');
+const { computeFingerprint, fingerprintArticles, mergeExtractedFields } = require('./protectedFields');
 const path = require('path');
 const fs = require('fs');
 
 const logger = createLogger('enhanced-content-processor');
 
+// Condition on ARTICLE rows that an extraction may delete (see protectedFields.isProtected)
+const UNPROTECTED_ARTICLE = `COALESCE(origin, 'extraction') = 'extraction'
+       AND external_source_id IS NULL
+       AND COALESCE(locked_fields, '[]') = '[]'`;
+
+// Condition on IMAGE, DOF_PUBLICATION and EVENT rows that an extraction may
+// delete: the ones added by hand (e.g. uploaded images) are kept
+const EXTRACTED_RECORD = `COALESCE(origin, 'extraction') = 'extraction'`;
+
 /**
  * Process extracted content and store in database
  * @param {object} extractedContent Content from the enhanced PDF extractor
@@ -27,7 +37,8 @@ async function processExtractedContent(extractedContent) {
       statistics: {
         totalSections: 0,
         totalArticles: 0,
-        totalImages: 0
+        totalImages: 0,
+        totalEvents: 0
       },
       errors: []
     };
@@ -46,6 +57,7 @@ async function processExtractedContent(extractedContent) {
           if (sectionData.images) {
             results.statistics.totalImages += sectionData.images.length;
           }
+          results.statistics.totalEvents += sectionResult.events.length;
           
           logger.info(`Processed section ${sectionId}: ${sectionResult.processed} articles, ${sectionResult.errors.length} errors`);
           
@@ -73,6 +85,103 @@ async function processExtractedContent(extractedContent) {
   }
 }
 
+/**
+ * Store an extraction result for its date. Articles already stored are
+ * matched by fingerprint and updated, except for their locked fields;
+ * extracted articles that are no longer in the result are removed unless
+ * they are protected (see protectedFields). The extracted images, DOF
+ * publications and agenda events are replaced, keeping the ones added by
+ * hand. Nothing is changed if storing fails. The Ocho Columnas are then
+ * linked to the front pages of their newspapers (see frontPageAssociation).
+ * @param {object} extractedContent Content from the enhanced PDF extractor
+ * @param {object} options Options
+ * @param {boolean} [options.keepStale] Do not remove the articles missing from the result
+ * @returns {Promise<object>} Processing results, with statistics.removedArticles and
+ *   the unmatched items of the front page association in association
+ */
+async function storeExtractedContent(extractedContent, options = {}) {
+  try {
+    const date = extractedContent.date;
+    let results;
+
+    await run('BEGIN TRANSACTION');
+
+    try {
+      await removeExtractedRecords(date);
+
+      results = await processExtractedContent(extractedContent);
+
+      const storedIds = Object.values(results.sections)
+        .flatMap(section => section.articles.map(article => article.id));
+
+      results.statistics.removedArticles = options.keepStale ? 0 : await removeStaleArticles(date, storedIds);
+
+      await run('COMMIT');
+    } catch (error) {
+      await run('ROLLBACK');
+      throw error;
+    }
+
+    // Link the Ocho Columnas to the front pages just stored. The content is
+    // stored even if this fails, and the association can be run again
+    try {
+      const { associateFrontPages } = require('./frontPageAssociation');
+      const association = await associateFrontPages(date);
+      results.association = {
+        unmatchedArticles: association.unmatchedArticles,
+        unmatchedFrontPages: association.unmatchedFrontPages
+      };
+      results.statistics.associatedFrontPages = association.associated.length;
+      results.statistics.unmatchedOchoColumnas = association.unmatchedArticles.length;
+    } catch (associationError) {
+      logger.warn(`Front pages of ${date} not associated: ${associationError.message}`);
+      results.errors.push({ section: 'ocho-columnas', error: `Front page association failed: ${associationError.message}` });
+    }
+
+    return results;
+  } catch (error) {
+    logger.error(`Error storing extracted content for ${extractedContent.date}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Remove the extracted articles of a date that were not stored by the last
+ * extraction, keeping the protected ones
+ * @param {string} date Date in YYYY-MM-DD format
+ * @param {number[]} storedIds Articles stored by the last extraction
+ * @returns {Promise<number>} Number of articles removed
+ */
+async function removeStaleArticles(date, storedIds) {
+  const result = await run(
+    `DELETE FROM ARTICLE
+     WHERE publication_date = ?
+       AND ${UNPROTECTED_ARTICLE}
+       ${storedIds.length > 0 ? `AND id NOT IN (${storedIds.map(() => '?').join(', ')})` : ''}`,
+    [date, ...storedIds]
+  );
+
+  if (result.changes > 0) {
+    logger.info(`Removed ${result.changes} articles of ${date} that are no longer extracted`);
+  }
+
+  return result.changes;
+}
+
+/**
+ * Remove the images, DOF publications and agenda events of a date stored by
+ * an extraction, keeping the ones added by hand
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {Promise<number>} Number of images removed
+ */
+async function removeExtractedRecords(date) {
+  const images = await run(`DELETE FROM IMAGE WHERE publication_date = ? AND ${EXTRACTED_RECORD}`, [date]);
+  await run(`DELETE FROM DOF_PUBLICATION WHERE publication_date = ? AND ${EXTRACTED_RECORD}`, [date]);
+  await run(`DELETE FROM EVENT WHERE publication_date = ? AND ${EXTRACTED_RECORD}`, [date]);
+
+  return images.changes;
+}
+
 /**
  * Process a section with its articles and images
  * @param {string} sectionId Section identifier
@@ -88,7 +197,8 @@ async function processSectionWithArticles(sectionId, sectionData, date) {
       skipped: 0,
       errors: [],
       articles: [],
-      images: []
+      images: [],
+      events: []
     };
 
     // Ensure section exists in database
@@ -96,12 +206,28 @@ async function processSectionWithArticles(sectionId, sectionData, date) {
 
     // Process articles
     if (sectionData.articles && sectionData.articles.length > 0) {
-      for (const article of sectionData.articles) {
+      const fingerprints = fingerprintArticles(date, sectionId, sectionData.articles, sectionData.type);
+
+      for (const [index, article] of sectionData.articles.entries()) {
         try {
-          const storedArticle = await storeArticle(article, sectionId, date);
+          const storedArticle = await storeArticle(article, sectionId, date, fingerprints[index]);
           result.articles.push(storedArticle);
           result.processed++;
           
+          // The article is kept even if its DOF publication cannot be stored
+          if (article.dof) {
+            try {
+              await storeDofPublication(article.dof, storedArticle.id, date);
+            } catch (dofError) {
+              logger.warn(`Failed to store the DOF publication of article ${storedArticle.id}: ${dofError.message}`);
+              result.errors.push({
+                articleId: article.id,
+                dofPublication: article.dof.title,
+                error: dofError.message
+              });
+            }
+          }
+          
         } catch (articleError) {
           logger.warn(`Failed to store article ${article.id}: ${articleError.message}`);
           result.errors.push({
@@ -130,6 +256,19 @@ async function processSectionWithArticles(sectionId, sectionData, date) {
       }
     }
 
+    // Process the events of the agenda
+    for (const event of sectionData.events || []) {
+      try {
+        result.events.push(await storeEvent(event, date));
+      } catch (eventError) {
+        logger.warn(`Failed to store event ${event.description}: ${eventError.message}`);
+        result.errors.push({
+          event: event.description,
+          error: eventError.message
+        });
+      }
+    }
+
     return result;
 
   } catch (error) {
@@ -151,41 +290,86 @@ async function ensureSectionExists(sectionId, sectionName) {
 }
 
 /**
- * Store an article in the database
+ * Store an article in the database. An article stored by a previous
+ * extraction is updated instead, except for the fields an editor locked.
  * @param {object} article Article data
  * @param {string} sectionId Section identifier
  * @param {string} date Publication date
+ * @param {string} [fingerprint] Fingerprint of the article (see
+ *   fingerprintArticles), by default that of its title
  * @returns {Promise<object>} Stored article data
  */
-async function storeArticle(article, sectionId, date) {
+async function storeArticle(article, sectionId, date, fingerprint = computeFingerprint(date, sectionId, article.title)) {
   try {
-    // Check if article already exists
-    const existingArticle = await get(
-      `SELECT id FROM ARTICLE WHERE title = ? AND publication_date = ? AND section_id = ?`,
-      [article.title, date, sectionId]
-    );
+    const titleFingerprint = computeFingerprint(date, sectionId, article.title);
+    const url = (article.urls && article.urls.length > 0) ? article.urls[0] : null;
+    const extracted = {
+      title: article.title || '',
+      content: article.content || '',
+      summary: article.summary || article.content?.substring(0, 200) + '...' || '',
+      source: article.source || 'CJF',
+      url,
+      source_url: url,
+      image_url: article.imageUrl || null,
+      source_confidence: article.sourceConfidence !== undefined ? article.sourceConfidence : null,
+      author: article.author || null,
+      institutions: article.institutions && article.institutions.length > 0 ? JSON.stringify(article.institutions) : null,
+      subsection_id: article.subsection ? await storeSubsection(article.subsection, sectionId) : null
+    };
+
+    // Articles stored before fingerprints were recorded are matched by title,
+    // then by URL, and image articles stored with the fingerprint of their
+    // title by that fingerprint
+    const existingArticle = await get(`SELECT * FROM ARTICLE WHERE fingerprint = ?`, [fingerprint]) ||
+      (fingerprint !== titleFingerprint ? await get(`SELECT * FROM ARTICLE WHERE fingerprint = ?`, [titleFingerprint]) : null) ||
+      await get(
+        `SELECT * FROM ARTICLE WHERE title = ? AND publication_date = ? AND section_id = ? AND fingerprint IS NULL`,
+        [article.title, date, sectionId]
+      ) ||
+      (url ? await get(
+        `SELECT * FROM ARTICLE WHERE url = ? AND publication_date = ? AND section_id = ? AND fingerprint IS NULL`,
+        [url, date, sectionId]
+      ) : null);
 
     if (existingArticle) {
-      logger.debug(`Article already exists: ${article.title}`);
-      return { id: existingArticle.id, created: false };
+      const fields = mergeExtractedFields(existingArticle, extracted);
+      if (existingArticle.fingerprint !== fingerprint) {
+        fields.fingerprint = fingerprint;
+      }
+
+      const columns = Object.keys(fields);
+      if (columns.length > 0) {
+        await run(
+          `UPDATE ARTICLE SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => fields[column]), existingArticle.id]
+        );
+      }
+
+      logger.debug(`Merged article: ${article.title} (ID: ${existingArticle.id}, ${columns.length} fields updated)`);
+      return { id: existingArticle.id, title: existingArticle.title, created: false };
     }
 
     // Insert new article using existing schema
     const result = await run(
       `INSERT INTO ARTICLE (
         title, content, summary, source, section_id, publication_date, 
-        url, source_url, image_url
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        url, source_url, image_url, source_confidence, author, institutions, subsection_id, fingerprint, origin
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'extraction')`,
       [
-        article.title || '',
-        article.content || '',
-        article.summary || article.content?.substring(0, 200) + '...' || '',
-        article.source || 'CJF',
+        extracted.title,
+        extracted.content,
+        extracted.summary,
+        extracted.source,
         sectionId,
         date,
-        (article.urls && article.urls.length > 0) ? article.urls[0] : null,
-        (article.urls && article.urls.length > 0) ? article.urls[0] : null,
-        article.imageUrl || null
+        extracted.url,
+        extracted.source_url,
+        extracted.image_url,
+        extracted.source_confidence,
+        extracted.author,
+        extracted.institutions,
+        extracted.subsection_id,
+        fingerprint
       ]
     );
 
@@ -204,6 +388,37 @@ async function storeArticle(article, sectionId, date) {
   }
 }
 
+/**
+ * Store the subsection an article is printed under, and its parent part.
+ * Subsections are shared by every edition, so a stored one is updated with
+ * the name and position of the latest extraction.
+ * @param {object} subsection Subsection as {id, name, position, parent}
+ * @param {string} sectionId Section identifier
+ * @returns {Promise<string>} Subsection id
+ */
+async function storeSubsection(subsection, sectionId) {
+  try {
+    const parentId = subsection.parent ? await storeSubsection(subsection.parent, sectionId) : null;
+
+    await run(
+      `INSERT INTO SUBSECTION (id, section_id, parent_id, name, position)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         section_id = excluded.section_id,
+         parent_id = excluded.parent_id,
+         name = excluded.name,
+         position = excluded.position`,
+      [subsection.id, sectionId, parentId, subsection.name, subsection.position || 0]
+    );
+
+    return subsection.id;
+
+  } catch (error) {
+    logger.error(`Error storing subsection: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Store an image in the database
  * @param {object} image Image data
@@ -227,14 +442,17 @@ async function storeImage(image, sectionId, date) {
     // Insert new image using existing schema with correct path
     const result = await run(
       `INSERT INTO IMAGE (
-        filename, title, description, section_id, publication_date
-      ) VALUES (?, ?, ?, ?, ?)`,
+        filename, title, description, section_id, publication_date, cartoonist, newspaper, caption, origin
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'extraction')`,
       [
         `images/${date}/${image.filename}`, // Store the correct path including date folder
-        image.newspaper || image.cartoonNumber ? `${image.newspaper || 'Cartón'} ${image.cartoonNumber || ''}`.trim() : `Imagen ${sectionId}`,
-        `Imagen extraída de la sección ${sectionId}`,
+        getImageTitle(image, sectionId),
+        image.caption || `Imagen extraída de la sección ${sectionId}`,
         sectionId,
-        date
+        date,
+        image.cartoonist || null,
+        image.newspaper || null,
+        image.caption || null
       ]
     );
 
@@ -251,6 +469,84 @@ async function storeImage(image, sectionId, date) {
   }
 }
 
+/**
+ * Store the Diario Oficial publication of a DOF article
+ * @param {object} publication Publication as returned by dofParser
+ * @param {number} articleId Article that shows the publication
+ * @param {string} date Publication date of the edition
+ * @returns {Promise<object>} Stored publication data
+ */
+async function storeDofPublication(publication, articleId, date) {
+  try {
+    const result = await run(
+      `INSERT INTO DOF_PUBLICATION (
+        issuer, instrument_type, title, dof_date, url, article_id, publication_date, origin
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'extraction')`,
+      [
+        publication.issuer || null,
+        publication.instrumentType,
+        publication.title,
+        publication.dofDate || null,
+        publication.url || null,
+        articleId,
+        date
+      ]
+    );
+
+    logger.debug(`Stored DOF publication: ${publication.title} (ID: ${result.lastID})`);
+    return { id: result.lastID, title: publication.title, created: true };
+
+  } catch (error) {
+    logger.error(`Error storing DOF publication: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Store an agenda event
+ * @param {object} event Event as returned by agendaParser
+ * @param {string} date Publication date of the edition
+ * @returns {Promise<object>} Stored event data
+ */
+async function storeEvent(event, date) {
+  try {
+    const result = await run(
+      `INSERT INTO EVENT (
+        event_date, start_time, end_time, institution, description, location, publication_date, origin
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'extraction')`,
+      [
+        event.date || date,
+        event.time || null,
+        event.endTime || null,
+        event.institution || null,
+        event.description,
+        event.location || null,
+        date
+      ]
+    );
+
+    logger.debug(`Stored event: ${event.description} (ID: ${result.lastID})`);
+    return { id: result.lastID, description: event.description, created: true };
+
+  } catch (error) {
+    logger.error(`Error storing event: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get the title of an extracted image
+ * @param {object} image Image data
+ * @param {string} sectionId Section identifier
+ * @returns {string} Title
+ */
+function getImageTitle(image, sectionId) {
+  if (image.cartoonNumber) {
+    return image.title || (image.cartoonist ? `Cartón de ${image.cartoonist}` : `Cartón ${image.cartoonNumber}`);
+  }
+
+  return image.newspaper || `Imagen ${sectionId}`;
+}
 
 /**
  * Store extraction metadata in database
@@ -268,6 +564,7 @@ async function storeExtractionMetadata(extractedContent, results) {
         JSON.stringify({
           date: extractedContent.date,
           method: extractedContent.metadata.extractionMethod,
+          navigation: extractedContent.metadata.navigation || null,
           statistics: {
             ...extractedContent.metadata.statistics,
             processingResults: results.statistics
@@ -286,7 +583,9 @@ async function storeExtractionMetadata(extractedContent, results) {
 }
 
 /**
- * Clear existing data for a specific date
+ * Clear existing data for a specific date. Articles created by hand, coming
+ * from an external source or with locked fields are kept, and so are the
+ * images, DOF publications and events added by hand.
  * @param {string} date Date in YYYY-MM-DD format
  * @returns {Promise<void>}
  */
@@ -294,19 +593,16 @@ async function clearExistingData(date) {
   try {
     logger.info(`Clearing existing data for date: ${date}`);
 
-    // Delete articles
+    // Delete extracted articles
     const articlesDeleted = await run(
-      `DELETE FROM ARTICLE WHERE publication_date = ?`,
+      `DELETE FROM ARTICLE WHERE publication_date = ? AND ${UNPROTECTED_ARTICLE}`,
       [date]
     );
 
-    // Delete images
-    const imagesDeleted = await run(
-      `DELETE FROM IMAGE WHERE publication_date = ?`,
-      [date]
-    );
+    // Delete extracted images, DOF publications and events
+    const imagesDeleted = await removeExtractedRecords(date);
 
-    logger.info(`Cleared ${articlesDeleted.changes} articles and ${imagesDeleted.changes} images for date ${date}`);
+    logger.info(`Cleared ${articlesDeleted.changes} articles and ${imagesDeleted} images for date ${date}`);
 
   } catch (error) {
     logger.error(`Error clearing existing data for ${date}: ${error.message}`);
@@ -338,9 +634,13 @@ function getSectionOrder(sectionId) {
 
 module.exports = {
   processExtractedContent,
+  storeExtractedContent,
   clearExistingData,
   processSectionWithArticles,
   storeArticle,
+  storeSubsection,
   storeImage,
+  storeDofPublication,
+  storeEvent,
   ensureSectionExists
 };
\ No newline at end of file
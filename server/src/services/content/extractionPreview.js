@@ -0,0 +1,402 @@
+/**
+ * Extraction Preview Service
+ *
+ * A dry-run extraction stores its result as a preview instead of writing it
+ * to the database. The preview can be compared with the content already
+ * stored for its date (added, removed and changed articles and images per
+ * section) and committed once an editor has checked the differences.
+ * Committing merges the preview like any extraction, so protected articles
+ * and locked fields are kept (see protectedFields). The images of a dry run
+ * are rendered into previews/<date>/images and only moved to the stored
+ * images of the date when the preview is committed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run, query } = require('../../../database');
+const { storeExtractedContent } = require('./enhancedContentProcessor');
+const { normalizeTitle, fingerprintArticles, getLockedFields, isProtected } = require('./protectedFields');
+const { setCurrentRevision } = require('../pdf/editionStore');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('extraction-preview');
+
+const PREVIEW_DIR = process.env.PREVIEW_DIR || path.join(__dirname, '../../../../storage/previews');
+const IMAGES_DIR = path.join(__dirname, '../../../../storage/images');
+
+/**
+ * Get an empty directory for the images of the preview of a date, removing
+ * the images of any previous preview of that date
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {string} Directory to render the images of the dry run into
+ */
+function preparePreviewImages(date) {
+  const imagesDir = getPreviewImagesDir(date);
+  fs.rmSync(imagesDir, { recursive: true, force: true });
+  fs.mkdirSync(imagesDir, { recursive: true });
+  return imagesDir;
+}
+
+/**
+ * Save the result of a dry-run extraction as the preview of its date,
+ * replacing any previous preview of that date
+ * @param {object} content Extraction result (see extractorRegistry)
+ * @param {object} [options] Options
+ * @param {number} [options.editionId] Revision that was extracted, made the
+ *   current revision of its date when the preview is committed
+ * @returns {Promise<object>} Preview summary as {date, engine, statistics, diff}
+ */
+async function savePreview(content, options = {}) {
+  try {
+    if (!fs.existsSync(PREVIEW_DIR)) {
+      fs.mkdirSync(PREVIEW_DIR, { recursive: true });
+    }
+
+    const preview = {
+      date: content.date,
+      engine: content.engine,
+      editionId: options.editionId || null,
+      createdAt: new Date().toISOString(),
+      content
+    };
+
+    fs.writeFileSync(getPreviewPath(content.date), JSON.stringify(preview));
+    logger.info(`Saved extraction preview for ${content.date}`);
+
+    return summarize(preview, await loadStoredContent(content.date));
+  } catch (error) {
+    logger.error(`Error saving extraction preview: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get the preview of a date with its differences from the stored content
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {Promise<object|null>} Preview as {date, engine, createdAt, statistics, diff, sections}, or null if none exists
+ */
+async function getPreview(date) {
+  try {
+    const preview = readPreview(date);
+
+    if (!preview) {
+      return null;
+    }
+
+    return {
+      ...summarize(preview, await loadStoredContent(date)),
+      sections: preview.content.sections
+    };
+  } catch (error) {
+    logger.error(`Error getting extraction preview for ${date}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Store the content of a preview, merging it into the content of its date,
+ * and remove the preview
+ * @param {string} date Date in YYYY-MM-DD format
+ * @param {object} options Options
+ * @param {number} [options.userId] User who committed the preview
+ * @returns {Promise<object|null>} Processing results, or null if no preview exists
+ */
+async function commitPreview(date, options = {}) {
+  try {
+    const preview = readPreview(date);
+
+    if (!preview) {
+      return null;
+    }
+
+    const diff = diffContent(preview.content, await loadStoredContent(date));
+
+    logger.info(`Committing extraction preview for ${date}`);
+
+    if (preview.editionId) {
+      await setCurrentRevision(preview.editionId);
+    }
+
+    // The images go in place first, as the stored rows point to them
+    const imagesDir = getPreviewImagesDir(date);
+    if (fs.existsSync(imagesDir)) {
+      fs.cpSync(imagesDir, path.join(IMAGES_DIR, date), { recursive: true });
+    }
+
+    const results = await storeExtractedContent(preview.content);
+    results.engine = preview.engine;
+
+    await run(
+      `INSERT INTO AUDIT_LOG (user_id, action, entity_type, details) VALUES (?, ?, ?, ?)`,
+      [options.userId || null, 'PREVIEW_COMMITTED', 'PDF_EXTRACTION', JSON.stringify({ date, engine: preview.engine, totals: diff.totals })]
+    );
+
+    discardPreview(date);
+    return results;
+  } catch (error) {
+    logger.error(`Error committing extraction preview for ${date}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Remove the preview of a date and its images
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {boolean} True if a preview was removed
+ */
+function discardPreview(date) {
+  const previewPath = getPreviewPath(date);
+
+  fs.rmSync(path.dirname(getPreviewImagesDir(date)), { recursive: true, force: true });
+
+  if (!fs.existsSync(previewPath)) {
+    return false;
+  }
+
+  fs.unlinkSync(previewPath);
+  return true;
+}
+
+/**
+ * Compare extracted content with the content stored for its date
+ * @param {object} content Extraction result
+ * @param {object} stored Stored content as {articles, images} (see loadStoredContent)
+ * @returns {object} Diff as {sections: {[sectionId]: sectionDiff}, totals}
+ */
+function diffContent(content, stored) {
+  const sectionIds = new Set([
+    ...Object.keys(content.sections || {}),
+    ...stored.articles.map(article => article.section_id),
+    ...stored.images.map(image => image.section_id)
+  ]);
+
+  const sections = {};
+  const totals = { added: 0, removed: 0, changed: 0, unchanged: 0, kept: 0 };
+
+  for (const sectionId of sectionIds) {
+    const section = (content.sections || {})[sectionId] || {};
+    const sectionDiff = diffSection(
+      content.date,
+      sectionId,
+      section.articles || [],
+      section.type,
+      section.images || [],
+      stored.articles.filter(article => article.section_id === sectionId),
+      stored.images.filter(image => image.section_id === sectionId)
+    );
+
+    sections[sectionId] = sectionDiff;
+
+    for (const kind of ['articles', 'images']) {
+      totals.added += sectionDiff[kind].added.length;
+      totals.removed += sectionDiff[kind].removed.length;
+      totals.changed += sectionDiff[kind].changed.length;
+      totals.unchanged += sectionDiff[kind].unchanged;
+    }
+    totals.kept += sectionDiff.articles.kept.length;
+  }
+
+  return { sections, totals };
+}
+
+/**
+ * Compare the articles and images of one section. Articles are matched by
+ * fingerprint, then by title, and then by URL, so that a corrected title
+ * shows as a change.
+ * @param {string} date Publication date
+ * @param {string} sectionId Section identifier
+ * @param {Array} articles Extracted articles
+ * @param {string} [sectionType] Section type given by the extractor (see fingerprintArticles)
+ * @param {Array} images Extracted images
+ * @param {Array} storedArticles Stored ARTICLE rows of the section
+ * @param {Array} storedImages Stored IMAGE rows of the section
+ * @returns {object} Section diff as {articles: {added, removed, changed, kept, unchanged}, images: {added, removed, changed, unchanged}}
+ */
+function diffSection(date, sectionId, articles, sectionType, images, storedArticles, storedImages) {
+  const remaining = [...storedArticles];
+  const unmatched = [];
+  const matches = [];
+
+  const take = (predicate) => {
+    const index = remaining.findIndex(predicate);
+    return index === -1 ? null : remaining.splice(index, 1)[0];
+  };
+
+  const fingerprints = fingerprintArticles(date, sectionId, articles, sectionType);
+
+  for (const [index, article] of articles.entries()) {
+    const fingerprint = fingerprints[index];
+    const storedArticle = take(row => row.fingerprint === fingerprint) ||
+      take(row => normalizeTitle(row.title) === normalizeTitle(article.title));
+    if (storedArticle) {
+      matches.push([article, storedArticle]);
+    } else {
+      unmatched.push(article);
+    }
+  }
+
+  const added = [];
+  for (const article of unmatched) {
+    const url = getArticleUrl(article);
+    const storedArticle = url ? take(row => row.url === url) : null;
+    if (storedArticle) {
+      matches.push([article, storedArticle]);
+    } else {
+      added.push({ title: article.title, url, source: article.source || null });
+    }
+  }
+
+  const changed = [];
+  const kept = [];
+  let unchanged = 0;
+
+  for (const [article, storedArticle] of matches) {
+    const changes = {};
+    const lockedChanges = {};
+    const url = getArticleUrl(article);
+
+    const compare = (field, from, to) => {
+      if (from === to) return;
+      // Locked fields are not overwritten
+      if (storedArticle.lockedFields.includes(field)) {
+        lockedChanges[field] = { from, to };
+      } else {
+        changes[field] = { from, to };
+      }
+    };
+
+    compare('title', storedArticle.title, article.title);
+    compare('url', storedArticle.url || null, url);
+    if (article.source) {
+      compare('source', storedArticle.source, article.source);
+    }
+
+    if (Object.keys(lockedChanges).length > 0) {
+      kept.push({ id: storedArticle.id, title: storedArticle.title, lockedFields: storedArticle.lockedFields, changes: lockedChanges });
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ id: storedArticle.id, title: changes.title ? article.title : storedArticle.title, changes });
+    } else if (Object.keys(lockedChanges).length === 0) {
+      unchanged++;
+    }
+  }
+
+  const removed = [];
+  for (const storedArticle of remaining) {
+    if (storedArticle.protected) {
+      // Protected articles are not removed
+      kept.push({ id: storedArticle.id, title: storedArticle.title, lockedFields: storedArticle.lockedFields, changes: {} });
+    } else {
+      removed.push({ id: storedArticle.id, title: storedArticle.title, url: storedArticle.url || null });
+    }
+  }
+
+  const imageNames = new Set(images.map(image => image.filename));
+  const storedNames = new Set(storedImages.map(image => path.basename(image.filename)));
+
+  return {
+    articles: { added, removed, changed, kept, unchanged },
+    images: {
+      added: images.filter(image => !storedNames.has(image.filename)).map(image => ({ filename: image.filename, pageNumber: image.pageNumber || null })),
+      removed: storedImages.filter(image => !imageNames.has(path.basename(image.filename))).map(image => ({ id: image.id, filename: image.filename })),
+      changed: [],
+      unchanged: images.filter(image => storedNames.has(image.filename)).length
+    }
+  };
+}
+
+/**
+ * Load the articles and extracted images stored for a date, with the locked
+ * fields of each article and whether it is protected from removal. Images
+ * uploaded by hand are left out, since storing the preview keeps them.
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {Promise<object>} Stored content as {articles, images}
+ */
+async function loadStoredContent(date) {
+  const articles = await query(
+    `SELECT id, title, url, source, section_id, external_source_id, fingerprint, origin, locked_fields
+     FROM ARTICLE WHERE publication_date = ?`,
+    [date]
+  );
+  const images = await query(
+    `SELECT id, filename, title, section_id FROM IMAGE WHERE publication_date = ? AND COALESCE(origin, 'extraction') = 'extraction'`,
+    [date]
+  );
+
+  return {
+    articles: articles.map(article => ({
+      ...article,
+      lockedFields: getLockedFields(article),
+      protected: isProtected(article)
+    })),
+    images
+  };
+}
+
+/**
+ * Build the summary of a preview
+ * @param {object} preview Stored preview
+ * @param {object} stored Stored content of its date
+ * @returns {object} Summary as {date, engine, createdAt, statistics, diff}
+ */
+function summarize(preview, stored) {
+  return {
+    date: preview.date,
+    engine: preview.engine,
+    createdAt: preview.createdAt,
+    statistics: preview.content.metadata ? preview.content.metadata.statistics : null,
+    diff: diffContent(preview.content, stored)
+  };
+}
+
+/**
+ * Read the stored preview of a date
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {object|null} Preview, or null if none exists
+ */
+function readPreview(date) {
+  const previewPath = getPreviewPath(date);
+  return fs.existsSync(previewPath) ? JSON.parse(fs.readFileSync(previewPath, 'utf8')) : null;
+}
+
+/**
+ * Get the file of the preview of a date
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {string} Path to the preview file
+ */
+function getPreviewPath(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`Invalid preview date: ${date}`);
+  }
+  return path.join(PREVIEW_DIR, `${date}.json`);
+}
+
+/**
+ * Get the directory of the images of the preview of a date
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {string} Path to the images directory
+ */
+function getPreviewImagesDir(date) {
+  return path.join(path.dirname(getPreviewPath(date)), date, 'images');
+}
+
+/**
+ * Get the first URL of an extracted article
+ * @param {object} article Extracted article
+ * @returns {string|null} URL
+ */
+function getArticleUrl(article) {
+  return (article.urls && article.urls.length > 0) ? article.urls[0] : (article.url || null);
+}
+
+module.exports = {
+  savePreview,
+  getPreview,
+  commitPreview,
+  discardPreview,
+  preparePreviewImages,
+  getPreviewImagesDir,
+  diffContent,
+  loadStoredContent,
+  PREVIEW_DIR
+};
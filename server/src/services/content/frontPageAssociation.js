@@ -0,0 +1,178 @@
+/**
+ * Front Page Association
+ *
+ * Each Ocho Columnas article is the lead headline of a newspaper, and
+ * Primeras Planas has the front page of most of those newspapers. This
+ * service links each Ocho Columnas article of a date to the front page of
+ * its newspaper: the article's image_url becomes the front page image and
+ * front_page_id records the Primeras Planas article it comes from.
+ *
+ * Newspapers are matched by normalized name, so "EXCELSIOR" matches
+ * "Excélsior" and "EL UNIVERSAL" matches "El Universal", and through
+ * NEWSPAPER_ALIASES for the names that differ ("Indigo" and "Reporte Índigo").
+ * The association runs after every stored extraction and can be repeated
+ * for any date: a second run changes nothing.
+ */
+
+const { query, run } = require('../../../database');
+const { getLockedFields, normalizeTitle } = require('./protectedFields');
+const { createLogger } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('front-page-association');
+
+// Other names of a newspaper, by normalized name
+const NEWSPAPER_ALIASES = {
+  'reporte indigo': ['indigo'],
+  'heraldo de mexico': ['heraldo'],
+  'cronica': ['cronica de hoy'],
+  'contrareplica': ['contra replica'],
+  'razon': ['razon de mexico'],
+  '24 horas': ['24horas']
+};
+
+// Normalized alias -> normalized name
+const ALIAS_INDEX = Object.fromEntries(
+  Object.entries(NEWSPAPER_ALIASES).flatMap(([name, aliases]) => aliases.map(alias => [alias, name]))
+);
+
+/**
+ * Normalize a newspaper name for matching: normalized like a title (see
+ * protectedFields), without a leading article and with known aliases resolved
+ * @param {string} name Newspaper name
+ * @returns {string} Normalized name
+ */
+function normalizeNewspaper(name) {
+  const normalized = normalizeTitle(name).replace(/^(el|la|los|las) /, '');
+
+  return ALIAS_INDEX[normalized] || normalized;
+}
+
+/**
+ * Link the Ocho Columnas articles of a date to the front pages of their newspapers
+ * @param {string} date Date in YYYY-MM-DD format
+ * @param {object} options Options
+ * @param {boolean} [options.dryRun] Work out the association without storing it
+ * @returns {Promise<object>} Report as {date, associated, changed, unmatchedArticles,
+ *   unmatchedFrontPages, locked}; associated lists {articleId, frontPageId, newspaper}
+ */
+async function associateFrontPages(date, options = {}) {
+  try {
+    const articles = await query(
+      `SELECT id, title, source, image_url, front_page_id, locked_fields FROM ARTICLE
+       WHERE section_id = 'ocho-columnas' AND publication_date = ?
+       ORDER BY id`,
+      [date]
+    );
+    const frontPages = await query(
+      `SELECT id, source, image_url FROM ARTICLE
+       WHERE section_id = 'primeras-planas' AND publication_date = ? AND image_url IS NOT NULL
+       ORDER BY id`,
+      [date]
+    );
+
+    // The first front page of each newspaper is used
+    const frontPagesByName = new Map();
+    for (const frontPage of frontPages) {
+      const name = normalizeNewspaper(frontPage.source);
+      if (name && !frontPagesByName.has(name)) {
+        frontPagesByName.set(name, frontPage);
+      }
+    }
+
+    const report = {
+      date,
+      associated: [],
+      changed: 0,
+      unmatchedArticles: [],
+      unmatchedFrontPages: [],
+      locked: []
+    };
+    const usedFrontPages = new Set();
+
+    for (const article of articles) {
+      const frontPage = frontPagesByName.get(normalizeNewspaper(article.source));
+
+      // An image chosen by an editor is kept
+      if (getLockedFields(article).includes('image_url')) {
+        report.locked.push({ id: article.id, title: article.title, source: article.source });
+        if (frontPage) usedFrontPages.add(frontPage.id);
+        continue;
+      }
+
+      if (frontPage) {
+        usedFrontPages.add(frontPage.id);
+        report.associated.push({ articleId: article.id, frontPageId: frontPage.id, newspaper: frontPage.source });
+
+        if (article.front_page_id !== frontPage.id || article.image_url !== frontPage.image_url) {
+          report.changed++;
+          if (!options.dryRun) {
+            await run(`UPDATE ARTICLE SET front_page_id = ?, image_url = ? WHERE id = ?`, [frontPage.id, frontPage.image_url, article.id]);
+          }
+        }
+        continue;
+      }
+
+      report.unmatchedArticles.push({ id: article.id, title: article.title, source: article.source });
+
+      // The front page it was linked to is gone or belongs to another newspaper now
+      if (article.front_page_id) {
+        report.changed++;
+        if (!options.dryRun) {
+          await run(`UPDATE ARTICLE SET front_page_id = NULL, image_url = NULL WHERE id = ?`, [article.id]);
+        }
+      }
+    }
+
+    report.unmatchedFrontPages = frontPages
+      .filter(frontPage => !usedFrontPages.has(frontPage.id))
+      .map(frontPage => ({ id: frontPage.id, source: frontPage.source }));
+
+    logger.info(`Associated ${report.associated.length} of ${articles.length} Ocho Columnas articles of ${date} with their front page (${report.changed} changed)`);
+    if (report.unmatchedArticles.length > 0) {
+      logger.warn(`No front page for the Ocho Columnas of ${date} from: ${report.unmatchedArticles.map(article => article.source || '(no source)').join(', ')}`);
+    }
+    if (report.unmatchedFrontPages.length > 0) {
+      logger.debug(`Front pages of ${date} without Ocho Columnas: ${report.unmatchedFrontPages.map(frontPage => frontPage.source).join(', ')}`);
+    }
+
+    return report;
+  } catch (error) {
+    logger.error(`Error associating the front pages of ${date}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get the dates with Ocho Columnas articles
+ * @param {object} options Options
+ * @param {string} [options.from] First date, inclusive
+ * @param {string} [options.to] Last date, inclusive
+ * @returns {Promise<string[]>} Dates in ascending order
+ */
+async function listAssociationDates(options = {}) {
+  const conditions = [`section_id = 'ocho-columnas'`];
+  const params = [];
+
+  if (options.from) {
+    conditions.push('publication_date >= ?');
+    params.push(options.from);
+  }
+  if (options.to) {
+    conditions.push('publication_date <= ?');
+    params.push(options.to);
+  }
+
+  const rows = await query(
+    `SELECT DISTINCT publication_date AS date FROM ARTICLE WHERE ${conditions.join(' AND ')} ORDER BY publication_date`,
+    params
+  );
+  return rows.map(row => row.date);
+}
+
+module.exports = {
+  associateFrontPages,
+  listAssociationDates,
+  normalizeNewspaper,
+  NEWSPAPER_ALIASES
+};
@@ -0,0 +1,168 @@
+/**
+ * Protected Fields
+ *
+ * Editors change articles through the admin API. Each field they change is
+ * recorded as locked on the article (ARTICLE.locked_fields), together with
+ * who made the last edit and when, so that re-extracting the date merges the
+ * new extractor output into the article without overwriting those fields.
+ * Extracted articles are recognized across extractions by a fingerprint of
+ * their date, section and original title, or their page for the articles of
+ * image sections.
+ */
+
+const crypto = require('crypto');
+
+// Fields an editor can change, and that are locked once changed
+const LOCKABLE_FIELDS = ['title', 'content', 'summary', 'source', 'section_id', 'publication_date', 'url', 'image_url'];
+
+// Extracted columns that are kept while the field they derive from is locked
+const DEPENDENT_FIELDS = { source_url: 'url', source_confidence: 'source', institutions: 'content', subsection_id: 'section_id' };
+
+/**
+ * Normalize a title for matching: no accents, case, punctuation or repeated spaces
+ * @param {string} title Title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Compute the fingerprint of an extracted article. It does not depend on
+ * the stored values, so it stays the same after an editor changes them.
+ * @param {string} date Publication date
+ * @param {string} sectionId Section identifier
+ * @param {string} title Title given by the extractor
+ * @returns {string} Fingerprint
+ */
+function computeFingerprint(date, sectionId, title) {
+  return crypto.createHash('sha1').update(`${date}|${sectionId}|${normalizeTitle(title)}`).digest('hex');
+}
+
+/**
+ * Compute the fingerprints of the articles of an extracted section. The
+ * articles of an image section (Primeras Planas, Cartones) are recognized
+ * by their page and their position on it instead: their titles come from
+ * the newspaper or cartoonist read on the image, which another extraction
+ * may read differently.
+ * @param {string} date Publication date
+ * @param {string} sectionId Section identifier
+ * @param {Array} articles Extracted articles of the section
+ * @param {string} [sectionType] Section type given by the extractor ('image' or 'text')
+ * @returns {string[]} Fingerprint of each article
+ */
+function fingerprintArticles(date, sectionId, articles, sectionType) {
+  const imagesOnPage = new Map();
+
+  return articles.map(article => {
+    if (sectionType !== 'image' || !article.pageNumber) {
+      return computeFingerprint(date, sectionId, article.title);
+    }
+
+    const index = imagesOnPage.get(article.pageNumber) || 0;
+    imagesOnPage.set(article.pageNumber, index + 1);
+    return crypto.createHash('sha1').update(`${date}|${sectionId}|${article.pageNumber}|${index}`).digest('hex');
+  });
+}
+
+/**
+ * Get the locked fields of an article
+ * @param {object} article ARTICLE row
+ * @returns {string[]} Locked field names
+ */
+function getLockedFields(article) {
+  if (!article || !article.locked_fields) {
+    return [];
+  }
+
+  try {
+    const fields = JSON.parse(article.locked_fields);
+    return Array.isArray(fields) ? fields : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Work out the columns to update for an edit, locking the fields it changes
+ * @param {object} article ARTICLE row before the edit
+ * @param {object} updates New field values (fields that are not lockable are ignored)
+ * @param {object} options Options
+ * @param {number} [options.userId] Editor
+ * @param {string[]} [options.unlock] Fields to release, so that the next extraction updates them again
+ * @returns {object} Columns and their values, including locked_fields, edited_by and edited_at
+ */
+function applyEdit(article, updates, options = {}) {
+  const locked = new Set(getLockedFields(article));
+  const fields = {};
+
+  for (const field of LOCKABLE_FIELDS) {
+    if (updates[field] === undefined || updates[field] === null || updates[field] === '') {
+      continue;
+    }
+    if (updates[field] !== article[field]) {
+      fields[field] = updates[field];
+      locked.add(field);
+    }
+  }
+
+  for (const field of options.unlock || []) {
+    locked.delete(field);
+  }
+
+  return {
+    ...fields,
+    locked_fields: JSON.stringify(LOCKABLE_FIELDS.filter(field => locked.has(field))),
+    edited_by: options.userId || null,
+    edited_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Work out the columns of a stored article to update with a new extraction,
+ * leaving its locked fields untouched
+ * @param {object} article ARTICLE row
+ * @param {object} extracted Column values from the extractor
+ * @returns {object} Columns whose value changes
+ */
+function mergeExtractedFields(article, extracted) {
+  const locked = new Set(getLockedFields(article));
+  const fields = {};
+
+  for (const [field, value] of Object.entries(extracted)) {
+    if (locked.has(field) || locked.has(DEPENDENT_FIELDS[field])) {
+      continue;
+    }
+    if (value !== article[field]) {
+      fields[field] = value;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Check whether an article must survive a re-extraction of its date: it was
+ * created by hand, comes from an external source or has locked fields
+ * @param {object} article ARTICLE row
+ * @returns {boolean} True if the article is protected
+ */
+function isProtected(article) {
+  return article.origin === 'manual' || Boolean(article.external_source_id) || getLockedFields(article).length > 0;
+}
+
+module.exports = {
+  LOCKABLE_FIELDS,
+  normalizeTitle,
+  computeFingerprint,
+  fingerprintArticles,
+  getLockedFields,
+  applyEdit,
+  mergeExtractedFields,
+  isProtected
+};
@@ -0,0 +1,212 @@
+/**
+ * Agenda Parser
+ *
+ * The Agenda pages list the events of the day (and sometimes of the next
+ * days) of the judiciary and related institutions: the date is printed as a
+ * heading ("Jueves 5 de junio de 2025"), the institution in capitals
+ * ("SUPREMA CORTE DE JUSTICIA DE LA NACIÓN") and each event as a line that
+ * starts with its time ("10:00 horas. Sesión del Pleno"), followed by its
+ * place ("Lugar: Auditorio..."). This module reads those events from the
+ * plain text of the section.
+ */
+
+// Lines that are page furniture rather than content
+const FURNITURE_PATTERNS = [
+  /^agenda$/i,
+  /^s[ií]ntesis\s+informativa$/i,
+  /^(p[aá]gina\s+)?\d{1,3}(\s*(de|\/)\s*\d{1,3})?$/i
+];
+
+// Dates printed as headings ("Jueves 5 de junio de 2025")
+const DATE_LINE = /^(?:(?:lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo),?\s+)?(\d{1,2})\s+de\s+(\p{L}+)(?:\s+(?:de|del)\s+(\d{4}))?\.?$/iu;
+
+const MONTHS = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+  'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+// An event starts with its time, optionally with the time it ends:
+// "10:00 horas.", "17:30 h -", "9.00 a 14.00 hrs.:", "5:00 p.m."
+const TIME = '(\\d{1,2})[:.](\\d{2})\\s*([ap]\\.\\s?m\\.|[ap]m\\b)?';
+const TIME_LINE = new RegExp(
+  `^${TIME}(?:\\s*(?:a|-|–)\\s*${TIME})?\\s*(?:(?:horas|hrs?|h)\\b\\.?)?(?:\\s*[-–—:.,]+)?\\s*(.*)$`,
+  'i'
+);
+
+// Place of an event, on its own line or at the end of the description
+const LOCATION_LINE = /^(?:lugar|sede|ubicaci[oó]n|domicilio)\s*:\s*(.+)$/i;
+const INLINE_LOCATION = /\s*(?:lugar|sede|ubicaci[oó]n)\s*:\s*(.+)$/i;
+
+// Institutions are set in capitals and do not run into a sentence
+const MIN_INSTITUTION_LETTERS = 3;
+const MIN_INSTITUTION_UPPERCASE_RATIO = 0.9;
+const MAX_INSTITUTION_LENGTH = 120;
+
+/**
+ * Parse the events listed in the text of the Agenda section
+ * @param {string} text Plain text of the section, one printed line per line
+ * @param {object} options Options
+ * @param {string} [options.date] Edition date (YYYY-MM-DD), the date of the
+ *   events listed before any date heading
+ * @returns {Array} Events as {date, time, endTime, institution, description,
+ *   location}; times are HH:MM (24 hours) or null for all-day events
+ */
+function parseAgendaEvents(text, options = {}) {
+  const events = [];
+  const editionYear = /^\d{4}/.test(options.date || '') ? options.date.slice(0, 4) : null;
+  let date = options.date || null;
+  let institution = null;
+  let current = null;
+  let previousKind = null;
+
+  const lines = (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !FURNITURE_PATTERNS.some(pattern => pattern.test(line)));
+
+  for (const line of lines) {
+    const heading = parseDateLine(line, editionYear);
+    if (heading) {
+      date = heading;
+      current = null;
+      previousKind = 'date';
+      continue;
+    }
+
+    const location = line.match(LOCATION_LINE);
+    if (location) {
+      if (current) {
+        current.location = location[1].trim();
+      }
+      previousKind = 'location';
+      continue;
+    }
+
+    const time = line.match(TIME_LINE);
+    if (time && isTime(time[1], time[2])) {
+      current = {
+        date,
+        time: toTime(time[1], time[2], time[3]),
+        endTime: time[4] && isTime(time[4], time[5]) ? toTime(time[4], time[5], time[6] || time[3]) : null,
+        institution,
+        lines: [time[7]],
+        location: null
+      };
+      events.push(current);
+      previousKind = 'event';
+      continue;
+    }
+
+    if (isInstitution(line)) {
+      // Long names wrap over several lines
+      institution = previousKind === 'institution' ? `${institution} ${line}` : line;
+      current = null;
+      previousKind = 'institution';
+      continue;
+    }
+
+    // The description goes on until it ends a sentence; after that, a line
+    // without a time is an event of the whole day
+    if (current && !current.location && !/[.!?]$/.test(current.lines[current.lines.length - 1])) {
+      current.lines.push(line);
+    } else {
+      current = { date, time: null, endTime: null, institution, lines: [line], location: null };
+      events.push(current);
+    }
+    previousKind = 'event';
+  }
+
+  return events
+    .map(({ lines: descriptionLines, ...event }) => {
+      let description = joinLines(descriptionLines);
+      let location = event.location;
+
+      const inline = description.match(INLINE_LOCATION);
+      if (inline && !location) {
+        location = inline[1].replace(/\.$/, '').trim();
+        description = description.slice(0, inline.index).trim();
+      }
+
+      return { ...event, description, location };
+    })
+    .filter(event => event.description && event.date);
+}
+
+/**
+ * Read a date heading
+ * @param {string} line Line text
+ * @param {string|null} year Year of the dates printed without one
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function parseDateLine(line, year) {
+  const match = DATE_LINE.exec(line);
+  const month = match ? MONTHS.indexOf(match[2].toLowerCase()) + 1 : 0;
+  const dateYear = match ? match[3] || year : null;
+
+  if (month === 0 || !dateYear) {
+    return null;
+  }
+
+  return `${dateYear}-${String(month).padStart(2, '0')}-${String(match[1]).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether hours and minutes make a time of the day
+ * @param {string} hours Hours
+ * @param {string} minutes Minutes
+ * @returns {boolean} True for a valid time
+ */
+function isTime(hours, minutes) {
+  return Number(hours) <= 23 && Number(minutes) <= 59;
+}
+
+/**
+ * Format a time as HH:MM in 24 hours
+ * @param {string} hours Hours
+ * @param {string} minutes Minutes
+ * @param {string} [meridiem] "a.m." or "p.m."
+ * @returns {string} Time
+ */
+function toTime(hours, minutes, meridiem) {
+  let hour = Number(hours);
+
+  if (meridiem && /^p/i.test(meridiem) && hour < 12) {
+    hour += 12;
+  } else if (meridiem && /^a/i.test(meridiem) && hour === 12) {
+    hour = 0;
+  }
+
+  return `${String(hour).padStart(2, '0')}:${minutes}`;
+}
+
+/**
+ * Check whether a line is the name of an institution: capitals, no digits
+ * and no sentence punctuation at the end
+ * @param {string} line Line text
+ * @returns {boolean} True if the line names an institution
+ */
+function isInstitution(line) {
+  const letters = line.match(/\p{L}/gu) || [];
+
+  return letters.length >= MIN_INSTITUTION_LETTERS &&
+    line.length <= MAX_INSTITUTION_LENGTH &&
+    !/\d|[.,;:]$/.test(line) &&
+    letters.filter(c => c === c.toUpperCase() && c !== c.toLowerCase()).length / letters.length >= MIN_INSTITUTION_UPPERCASE_RATIO;
+}
+
+/**
+ * Join the lines of a description, rejoining hyphenated words
+ * @param {string[]} lines Lines
+ * @returns {string} Description
+ */
+function joinLines(lines) {
+  return lines
+    .filter(Boolean)
+    .reduce((text, line) => (/\p{L}-$/u.test(text) ? text.slice(0, -1) + line : `${text} ${line}`), '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  parseAgendaEvents
+};
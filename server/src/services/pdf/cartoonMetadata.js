@@ -0,0 +1,163 @@
+/**
+ * Cartoon Metadata
+ *
+ * Cartoons are images, but the page that carries one usually prints some
+ * text around it: the cartoonist's signature ("Por Hernández", "Cartón de
+ * Calderón" or just the name), the newspaper it was taken from and a title
+ * or caption. This module reads that text from the text layer of the page.
+ */
+
+const { groupLines } = require('./textLayer');
+
+// Lines that are page furniture rather than content
+const FURNITURE_PATTERNS = [
+  /^cartones$/i,
+  /^s[ií]ntesis\s+informativa$/i,
+  /^(p[aá]gina\s+)?\d{1,3}(\s*(de|\/)\s*\d{1,3})?$/i,
+  /^(lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo)\b.*\d{4}$/i
+];
+
+// Explicit signatures
+const SIGNATURE_PATTERN = /^(?:por|cart[oó]n de|autor:?|cartonista:?|firma:?)\s+(.+)$/i;
+
+// Separators between the cartoonist and the newspaper on one line
+const SIGNATURE_SEPARATOR = /\s*(?:\s[/|–—-]\s|,)\s*/;
+
+// A signature written as a name is short
+const MAX_NAME_WORDS = 4;
+const MAX_NAME_LENGTH = 40;
+
+// Minimum share of uppercase letters in a title line
+const MIN_TITLE_UPPERCASE_RATIO = 0.9;
+const MIN_TITLE_LETTERS = 4;
+
+/**
+ * Read the metadata of the cartoon on a page
+ * @param {object} page Page as returned by textLayer.getTextLayer
+ * @param {object} options Options
+ * @param {string[]} [options.newspapers] Newspaper names to recognize
+ * @returns {{cartoonist: string|null, newspaper: string|null, title: string|null, caption: string|null}} Metadata
+ */
+function readCartoonMetadata(page, options = {}) {
+  const newspapers = (options.newspapers || []).map(name => ({ name, key: normalize(name) }));
+  const metadata = { cartoonist: null, newspaper: null, title: null, caption: null };
+  const captionLines = [];
+
+  const lines = groupLines(page ? page.items || [] : [])
+    .map(line => line.text.trim())
+    .filter(text => text && !isFurniture(text));
+
+  for (const text of lines) {
+    const signature = text.match(SIGNATURE_PATTERN);
+    const parts = (signature ? signature[1] : text).split(SIGNATURE_SEPARATOR).map(part => part.trim()).filter(Boolean);
+    const newspaper = parts.map(part => matchNewspaper(part, newspapers)).find(Boolean);
+
+    // "Por Hernández", "Helguera / La Jornada", "El Universal"
+    if (signature || (newspaper && parts.every(part => matchNewspaper(part, newspapers) || isName(part)))) {
+      for (const part of parts) {
+        const partNewspaper = matchNewspaper(part, newspapers);
+        if (partNewspaper) {
+          metadata.newspaper = metadata.newspaper || partNewspaper;
+        } else if (!metadata.cartoonist) {
+          metadata.cartoonist = part;
+        }
+      }
+      continue;
+    }
+
+    // A title is in quotes or in capitals
+    const quoted = text.match(/^["“«](.+)["”»]$/);
+    if (!metadata.title && (quoted || isTitle(text))) {
+      metadata.title = (quoted ? quoted[1] : text).trim();
+      continue;
+    }
+
+    captionLines.push(text);
+  }
+
+  // A lone name left in the caption is the signature, which is printed
+  // below the cartoon
+  if (!metadata.cartoonist) {
+    const index = captionLines.findLastIndex(isName);
+    if (index >= 0) {
+      metadata.cartoonist = captionLines.splice(index, 1)[0];
+    }
+  }
+
+  const caption = captionLines
+    .reduce((text, line) => (/\p{L}-$/u.test(text) ? text.slice(0, -1) + line : `${text} ${line}`), '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  metadata.caption = caption || null;
+
+  return metadata;
+}
+
+/**
+ * Check whether a text reads as a person's name: a few capitalized words
+ * without digits or sentence punctuation
+ * @param {string} text Text
+ * @returns {boolean} True if the text may be a name
+ */
+function isName(text) {
+  const words = text.split(/\s+/);
+
+  return text.length <= MAX_NAME_LENGTH &&
+    words.length <= MAX_NAME_WORDS &&
+    !/[\d.,;:!?¿¡"“”]$|\d/.test(text) &&
+    words.every(word => /^(\p{Lu}|de$|del$|la$|y$)/u.test(word)) &&
+    !isTitle(text);
+}
+
+/**
+ * Check whether a text is set in capitals as a title
+ * @param {string} text Text
+ * @returns {boolean} True if the text is a title
+ */
+function isTitle(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+
+  return letters.length >= MIN_TITLE_LETTERS &&
+    letters.filter(c => c === c.toUpperCase() && c !== c.toLowerCase()).length / letters.length >= MIN_TITLE_UPPERCASE_RATIO;
+}
+
+/**
+ * Match a text against the known newspaper names
+ * @param {string} text Text
+ * @param {Array} newspapers Newspapers as {name, key}
+ * @returns {string|null} Newspaper name
+ */
+function matchNewspaper(text, newspapers) {
+  const key = normalize(text).replace(/^(EL|LA) /, '');
+
+  const match = newspapers.find(n => key === n.key || key === n.key.replace(/^(EL|LA) /, ''));
+  return match ? match.name : null;
+}
+
+/**
+ * Check whether a line is page furniture (section title, page number, date)
+ * @param {string} text Line text
+ * @returns {boolean} True if the line should be ignored
+ */
+function isFurniture(text) {
+  return FURNITURE_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Normalize a text for name matching (no accents, uppercase, single spaces)
+ * @param {string} text Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  readCartoonMetadata
+};
@@ -0,0 +1,390 @@
+/**
+ * Column Parser
+ *
+ * This module splits the pages of the Columnas Políticas section into the
+ * political columns printed on them. Each column starts with its name (a
+ * line in capitals, larger than the body text or followed by a byline),
+ * then a byline with the columnist and the newspaper, either on their own
+ * lines or on one line separated by "/", "|" or a dash. The body is the text
+ * below it up to the next column, which may continue on the next page.
+ */
+
+const { groupLines } = require('./textLayer');
+const { getBodyFontSize, isHeadlineLine } = require('./headlineDetector');
+
+// Minimum share of uppercase letters in a column name
+const MIN_TITLE_UPPERCASE_RATIO = 0.9;
+
+// Column names are short
+const MAX_TITLE_LENGTH = 60;
+const MIN_TITLE_LETTERS = 4;
+
+// Bylines are short and do not read as a sentence
+const MAX_BYLINE_LENGTH = 60;
+const MAX_BYLINE_WORDS = 6;
+
+// Separators between the parts of a one-line header or byline
+const HEADER_SEPARATOR = /\s+[/|–—-]\s+/;
+
+// Vertical gap, relative to the font size, that starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 0.6;
+
+// Lines that are page furniture rather than content
+const FURNITURE_PATTERNS = [
+  /^columnas\s+pol[ií]ticas$/i,
+  /^s[ií]ntesis\s+informativa$/i,
+  /^(p[aá]gina\s+)?\d{1,3}(\s*(de|\/)\s*\d{1,3})?$/i,
+  /^(lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo)\b.*\d{4}$/i
+];
+
+// Institutions recognized in the body of a column, by canonical name. Longer
+// names come first so that "Tribunal Electoral del Poder Judicial de la
+// Federación" is not also counted as "Poder Judicial de la Federación".
+const INSTITUTIONS = [
+  { name: 'Tribunal Electoral del Poder Judicial de la Federación', patterns: [/\bTEPJF\b/, /Tribunal Electoral del Poder Judicial de la Federaci[óo]n/i, /Tribunal Electoral/i] },
+  { name: 'Suprema Corte de Justicia de la Nación', patterns: [/\bSCJN\b/, /Suprema Corte/i, /\b[Ll]a Corte\b/] },
+  { name: 'Consejo de la Judicatura Federal', patterns: [/\bCJF\b/, /Consejo de la Judicatura/i] },
+  { name: 'Tribunal de Disciplina Judicial', patterns: [/Tribunal de Disciplina/i] },
+  { name: 'Órgano de Administración Judicial', patterns: [/[ÓO]rgano de Administraci[óo]n Judicial/i] },
+  { name: 'Poder Judicial de la Federación', patterns: [/\bPJF\b/, /Poder Judicial de la Federaci[óo]n/i] },
+  { name: 'Instituto Nacional Electoral', patterns: [/\bINE\b/, /Instituto Nacional Electoral/i] },
+  { name: 'Fiscalía General de la República', patterns: [/\bFGR\b/, /Fiscal[ií]a General de la Rep[úu]blica/i] },
+  { name: 'Unidad de Inteligencia Financiera', patterns: [/\bUIF\b/, /Unidad de Inteligencia Financiera/i] },
+  { name: 'Comisión Nacional de los Derechos Humanos', patterns: [/\bCNDH\b/, /Comisi[óo]n Nacional de los Derechos Humanos/i] },
+  { name: 'Secretaría de Gobernación', patterns: [/\bSegob\b/i, /Secretar[ií]a de Gobernaci[óo]n/i] },
+  { name: 'Secretaría de Hacienda y Crédito Público', patterns: [/\bSHCP\b/, /Secretar[ií]a de Hacienda/i] },
+  { name: 'Cámara de Diputados', patterns: [/C[áa]mara de Diputados/i] },
+  { name: 'Senado de la República', patterns: [/\bSenado\b/i] },
+  { name: 'Congreso de la Unión', patterns: [/Congreso de la Uni[óo]n/i] }
+];
+
+/**
+ * Split the pages of the section into political columns
+ * @param {Array} pages Pages as returned by textLayer.getTextLayer
+ * @param {object} options Parsing options
+ * @param {string[]} [options.newspapers] Newspaper names to recognize in bylines
+ * @returns {Array} Columns as {title, columnist, newspaper, body, institutions, pageNumber, pages}
+ */
+function parseColumns(pages, options = {}) {
+  const newspapers = (options.newspapers || []).map(name => ({ name, key: normalize(name) }));
+
+  const pageLines = pages.map(page => ({
+    page,
+    lines: sortByColumn(groupLines(page.items).filter(line => !isFurniture(line.text)))
+  }));
+
+  const bodySize = getBodyFontSize(pageLines.flatMap(p => p.lines));
+  const columns = [];
+  let current = null;
+
+  for (const { page, lines } of pageLines) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const header = readHeader(lines, i, bodySize, newspapers);
+
+      if (header) {
+        current = {
+          title: header.title,
+          columnist: header.columnist,
+          newspaper: header.newspaper,
+          pageNumber: page.pageNumber,
+          pages: [page.pageNumber],
+          lines: []
+        };
+        columns.push(current);
+        i += header.length - 1;
+        continue;
+      }
+
+      // Text above the first column name is not part of any column; text at
+      // the top of a later page continues the column of the previous page
+      if (!current) {
+        continue;
+      }
+
+      if (!current.pages.includes(page.pageNumber)) {
+        current.pages.push(page.pageNumber);
+      }
+      current.lines.push({ ...line, pageNumber: page.pageNumber });
+    }
+  }
+
+  return columns
+    .map(column => {
+      const body = joinBody(column.lines);
+      return {
+        title: column.title,
+        columnist: column.columnist,
+        newspaper: column.newspaper,
+        body,
+        institutions: findInstitutions(body),
+        pageNumber: column.pageNumber,
+        pages: column.pages
+      };
+    })
+    .filter(column => column.body.length > 0);
+}
+
+/**
+ * Read the header of a column starting at a line: the column name and the
+ * byline lines that follow it
+ * @param {Array} lines Lines of the page in reading order
+ * @param {number} index Index of the first line
+ * @param {number} bodySize Body font size
+ * @param {Array} newspapers Newspapers as {name, key}
+ * @returns {object|null} Header as {title, columnist, newspaper, length}, null if the line does not start a column
+ */
+function readHeader(lines, index, bodySize, newspapers) {
+  const line = lines[index];
+
+  if (!isTitleLine(line, bodySize) || matchNewspaper(line.text, newspapers)) {
+    return null;
+  }
+
+  // "TEMPLO MAYOR / F. Bartolomé / Reforma"
+  const [title, ...parts] = line.text.split(HEADER_SEPARATOR).map(part => part.trim());
+  const header = { title: title.replace(/[.:]$/, ''), columnist: null, newspaper: null, length: 1 };
+  applyByline(header, parts, newspapers);
+
+  // Up to two byline lines below the name
+  for (let next = index + 1; next < lines.length && next <= index + 2; next++) {
+    if (header.columnist && header.newspaper) {
+      break;
+    }
+
+    const candidate = lines[next];
+    if (candidate.y < line.y || !isBylineLine(candidate, newspapers)) {
+      break;
+    }
+
+    applyByline(header, candidate.text.split(HEADER_SEPARATOR).map(part => part.trim()), newspapers);
+    header.length++;
+  }
+
+  // A line in capitals at body size is a column name only when a byline follows
+  if (header.length === 1 && parts.length === 0 && !isHeadlineLine(line, bodySize)) {
+    return null;
+  }
+
+  return header;
+}
+
+/**
+ * Fill the columnist and newspaper of a header from the parts of a byline
+ * @param {object} header Column header
+ * @param {string[]} parts Byline parts
+ * @param {Array} newspapers Newspapers as {name, key}
+ */
+function applyByline(header, parts, newspapers) {
+  for (const part of parts.filter(Boolean)) {
+    const newspaper = matchNewspaper(part, newspapers);
+
+    if (newspaper && !header.newspaper) {
+      header.newspaper = newspaper;
+    } else if (!newspaper && !header.columnist) {
+      header.columnist = part.replace(/^(por|by)\s+/i, '').trim();
+    }
+  }
+}
+
+/**
+ * Check whether a line is set as a column name
+ * @param {object} line Line
+ * @param {number} bodySize Body font size
+ * @returns {boolean} True if the line may be a column name
+ */
+function isTitleLine(line, bodySize) {
+  const title = line.text.split(HEADER_SEPARATOR)[0];
+
+  return title.length <= MAX_TITLE_LENGTH &&
+    countLetters(title) >= MIN_TITLE_LETTERS &&
+    getUppercaseRatio(title) >= MIN_TITLE_UPPERCASE_RATIO &&
+    line.fontSize >= bodySize;
+}
+
+/**
+ * Check whether a line is a byline: a newspaper name, "Por ..." or a short
+ * name that does not read as a sentence
+ * @param {object} line Line
+ * @param {Array} newspapers Newspapers as {name, key}
+ * @returns {boolean} True if the line is a byline
+ */
+function isBylineLine(line, newspapers) {
+  const text = line.text.trim();
+
+  if (matchNewspaper(text, newspapers) || /^(por|by)\s+\S/i.test(text)) {
+    return true;
+  }
+
+  const words = text.split(/\s+/);
+  return text.length <= MAX_BYLINE_LENGTH &&
+    words.length <= MAX_BYLINE_WORDS &&
+    !/[.,;:]$/.test(text) &&
+    /^\p{Lu}/u.test(text) &&
+    words.filter(word => /^\p{Lu}/u.test(word)).length >= Math.ceil(words.length / 2);
+}
+
+/**
+ * Join the body lines of a column into paragraphs, rejoining hyphenated words
+ * @param {Array} lines Body lines in reading order
+ * @returns {string} Body text with paragraphs separated by a blank line
+ */
+function joinBody(lines) {
+  const paragraphs = [];
+  let paragraph = '';
+  let previous = null;
+
+  for (const line of lines) {
+    // Blank space above the line ends the paragraph; a jump to the next
+    // column or page only does when the text before it ends a sentence
+    const gap = previous && previous.pageNumber === line.pageNumber && line.y > previous.y
+      ? line.y - (previous.y + previous.height)
+      : null;
+    const breaks = previous && (gap !== null
+      ? gap > previous.fontSize * PARAGRAPH_GAP_RATIO
+      : /[.!?»"”]$/.test(paragraph));
+
+    if (breaks && paragraph) {
+      paragraphs.push(paragraph);
+      paragraph = '';
+    }
+
+    paragraph = /\p{L}-$/u.test(paragraph)
+      ? paragraph.slice(0, -1) + line.text.trim()
+      : `${paragraph} ${line.text.trim()}`.trim();
+    previous = line;
+  }
+
+  if (paragraph) {
+    paragraphs.push(paragraph);
+  }
+
+  return paragraphs.map(p => p.replace(/\s+/g, ' ')).join('\n\n');
+}
+
+/**
+ * Find the institutions mentioned in a text
+ * @param {string} text Text
+ * @returns {string[]} Canonical institution names, in the order of INSTITUTIONS
+ */
+function findInstitutions(text) {
+  let remaining = text || '';
+  const found = [];
+
+  for (const institution of INSTITUTIONS) {
+    let mentioned = false;
+
+    for (const pattern of institution.patterns) {
+      const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+      if (global.test(remaining)) {
+        mentioned = true;
+        remaining = remaining.replace(global, ' ');
+      }
+    }
+
+    if (mentioned) {
+      found.push(institution.name);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Sort lines in reading order: column by column, from left to right, and
+ * from top to bottom within each column
+ * @param {Array} lines Lines
+ * @returns {Array} Sorted lines
+ */
+function sortByColumn(lines) {
+  const columns = [];
+
+  for (const line of lines) {
+    const column = columns.find(c => c.some(other => overlapsHorizontally(other, line)));
+    if (column) {
+      column.push(line);
+    } else {
+      columns.push([line]);
+    }
+  }
+
+  return columns
+    .sort((a, b) => Math.min(...a.map(l => l.x)) - Math.min(...b.map(l => l.x)))
+    .flatMap(column => column.sort((a, b) => a.y - b.y || a.x - b.x));
+}
+
+/**
+ * Match a text against the known newspaper names
+ * @param {string} text Text
+ * @param {Array} newspapers Newspapers as {name, key}
+ * @returns {string|null} Newspaper name
+ */
+function matchNewspaper(text, newspapers) {
+  const key = normalize(text).replace(/^(EL|LA) /, '');
+
+  const match = newspapers.find(n => key === n.key || key === n.key.replace(/^(EL|LA) /, ''));
+  return match ? match.name : null;
+}
+
+/**
+ * Check whether a line is page furniture (section title, page number, date)
+ * @param {string} text Line text
+ * @returns {boolean} True if the line should be ignored
+ */
+function isFurniture(text) {
+  return FURNITURE_PATTERNS.some(pattern => pattern.test(text.trim()));
+}
+
+/**
+ * Check whether two lines share part of their horizontal extent
+ * @param {object} a Line
+ * @param {object} b Line
+ * @returns {boolean} True if the lines overlap horizontally
+ */
+function overlapsHorizontally(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width;
+}
+
+/**
+ * Share of uppercase letters in a text
+ * @param {string} text Text
+ * @returns {number} Ratio between 0 and 1
+ */
+function getUppercaseRatio(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) {
+    return 0;
+  }
+
+  return letters.filter(c => c === c.toUpperCase() && c !== c.toLowerCase()).length / letters.length;
+}
+
+/**
+ * Count the letters of a text
+ * @param {string} text Text
+ * @returns {number} Number of letters
+ */
+function countLetters(text) {
+  return (text.match(/\p{L}/gu) || []).length;
+}
+
+/**
+ * Normalize a text for name matching (no accents, uppercase, single spaces)
+ * @param {string} text Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  parseColumns,
+  findInstitutions,
+  INSTITUTIONS
+};
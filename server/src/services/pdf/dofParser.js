@@ -0,0 +1,252 @@
+/**
+ * DOF Parser
+ *
+ * The DOF section lists the publications of the Diario Oficial de la
+ * Federación of interest to the judiciary. Unlike news, each entry is a
+ * structured record: the issuing body is printed in capitals ("CONSEJO DE LA
+ * JUDICATURA FEDERAL"), usually under the branch it belongs to ("PODER
+ * JUDICIAL"), followed by one or more instruments whose title starts with
+ * their type in capitals ("ACUERDO General del Pleno...", "CONVOCATORIA
+ * para...") and, often, the link to the publication on dof.gob.mx. This
+ * module reads those records from the plain text of the section.
+ */
+
+// Lines that are page furniture rather than content
+const FURNITURE_PATTERNS = [
+  /^publicaciones\s+oficiales$/i,
+  /^dof$/i,
+  /^diario\s+oficial(\s+de\s+la\s+federaci[oó]n)?$/i,
+  /^s[ií]ntesis\s+informativa$/i,
+  /^(p[aá]gina\s+)?\d{1,3}(\s*(de|\/)\s*\d{1,3})?$/i
+];
+
+// Headings of the branches of government that group the issuers
+const BRANCH_PATTERN = /^(PODER\s+(EJECUTIVO|LEGISLATIVO|JUDICIAL)|ORGANISMOS\s+AUT[OÓ]NOMOS|AVISOS(\s+JUDICIALES\s+Y\s+GENERALES)?)$/;
+
+// Instrument types, by the word in capitals that starts their title
+const INSTRUMENT_TYPES = {
+  ACUERDO: 'acuerdo',
+  'ACLARACIÓN': 'aclaración',
+  AVISO: 'aviso',
+  CIRCULAR: 'circular',
+  CONVOCATORIA: 'convocatoria',
+  DECLARATORIA: 'declaratoria',
+  DECRETO: 'decreto',
+  EDICTO: 'edicto',
+  ESTATUTO: 'estatuto',
+  EXTRACTO: 'extracto',
+  LINEAMIENTOS: 'lineamientos',
+  LISTA: 'lista',
+  MANUAL: 'manual',
+  NORMA: 'norma',
+  OFICIO: 'oficio',
+  PROGRAMA: 'programa',
+  PROYECTO: 'proyecto',
+  REGLAMENTO: 'reglamento',
+  REGLAS: 'reglas',
+  'RESOLUCIÓN': 'resolución',
+  SENTENCIA: 'sentencia',
+  VOTO: 'voto'
+};
+
+const INSTRUMENT_PATTERN = new RegExp(`^(${Object.keys(INSTRUMENT_TYPES).join('|')})(?=[\\s,.:]|$)`);
+
+// Links to the Diario Oficial, with the publication date in their fecha parameter
+const DOF_URL_PATTERN = /https?:\/\/(?:www\.)?dof\.gob\.mx\/\S+/i;
+const URL_PATTERN = /https?:\/\/\S+/gi;
+
+// Publication dates printed with an entry ("DOF: 05/06/2025")
+const DOF_DATE_LINE = /^(?:DOF|fecha(?:\s+de\s+publicaci[oó]n)?)[:\s]+(\d{1,2})\/(\d{1,2})\/(\d{4})\.?$/i;
+
+// Dates printed under the section header ("Jueves 5 de junio de 2025")
+const LONG_DATE_LINE = /^(?:(?:lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo),?\s+)?(\d{1,2})\s+de\s+(\p{L}+)\s+de\s+(\d{4})$/iu;
+
+const MONTHS = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+  'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+// Issuers are set in capitals and do not run into a sentence
+const MIN_ISSUER_LETTERS = 4;
+const MIN_ISSUER_UPPERCASE_RATIO = 0.9;
+const MAX_ISSUER_LENGTH = 120;
+
+/**
+ * Parse the publications listed in the text of the DOF section
+ * @param {string} text Plain text of the section, one printed line per line
+ * @param {object} options Options
+ * @param {string} [options.date] Edition date (YYYY-MM-DD), the DOF date of
+ *   the entries that do not print one
+ * @returns {Array} Publications as {issuer, instrumentType, title, dofDate, url},
+ *   url being the dof.gob.mx link printed with the entry, if any
+ */
+function parseDofPublications(text, options = {}) {
+  const publications = [];
+  let sectionDate = options.date || null;
+  let branch = null;
+  let issuer = null;
+  let current = null;
+  let previousKind = null;
+
+  const lines = (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !FURNITURE_PATTERNS.some(pattern => pattern.test(line)));
+
+  for (const line of lines) {
+    const dofUrl = line.match(DOF_URL_PATTERN);
+    if (dofUrl) {
+      if (current && !current.url) {
+        current.url = dofUrl[0].replace(/[.,;)]+$/, '');
+        current.dofDate = current.dofDate || dateFromUrl(current.url);
+      }
+      previousKind = 'url';
+      continue;
+    }
+
+    const printedDate = parseDateLine(line);
+    if (printedDate) {
+      if (current) {
+        current.dofDate = printedDate;
+      } else {
+        sectionDate = printedDate;
+      }
+      previousKind = 'date';
+      continue;
+    }
+
+    const instrument = line.match(INSTRUMENT_PATTERN);
+    if (instrument) {
+      current = {
+        issuer: issuer || branch,
+        instrumentType: INSTRUMENT_TYPES[instrument[1]],
+        titleLines: [line],
+        dofDate: null,
+        url: null
+      };
+      publications.push(current);
+      previousKind = 'instrument';
+      continue;
+    }
+
+    if (BRANCH_PATTERN.test(line)) {
+      branch = line;
+      issuer = null;
+      current = null;
+      previousKind = 'branch';
+      continue;
+    }
+
+    if (isIssuer(line)) {
+      // Long names wrap over several lines
+      issuer = previousKind === 'issuer' ? `${issuer} ${line}` : line;
+      current = null;
+      previousKind = 'issuer';
+      continue;
+    }
+
+    // The rest of the title, until its link
+    if (current && !current.url) {
+      current.titleLines.push(line.replace(URL_PATTERN, '').trim());
+    }
+    previousKind = 'text';
+  }
+
+  return publications.map(({ titleLines, ...publication }) => ({
+    ...publication,
+    title: joinLines(titleLines),
+    dofDate: publication.dofDate || sectionDate
+  }));
+}
+
+/**
+ * Get the link to the index of the Diario Oficial of a date
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {string|null} URL on dof.gob.mx
+ */
+function dofIndexUrl(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  return match ? `https://www.dof.gob.mx/index.php?year=${match[1]}&month=${match[2]}&day=${match[3]}` : null;
+}
+
+/**
+ * Check whether a link points to the Diario Oficial
+ * @param {string} url URL
+ * @returns {boolean} True for dof.gob.mx links
+ */
+function isDofUrl(url) {
+  return DOF_URL_PATTERN.test(url || '');
+}
+
+/**
+ * Read the publication date of a dof.gob.mx link (fecha=dd/mm/yyyy)
+ * @param {string} url Link
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function dateFromUrl(url) {
+  const match = /[?&]fecha=(\d{1,2})(?:\/|%2F)(\d{1,2})(?:\/|%2F)(\d{4})/i.exec(url);
+  return match ? toIsoDate(match[3], match[2], match[1]) : null;
+}
+
+/**
+ * Read a date printed on a line of its own
+ * @param {string} line Line text
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function parseDateLine(line) {
+  const short = DOF_DATE_LINE.exec(line);
+  if (short) {
+    return toIsoDate(short[3], short[2], short[1]);
+  }
+
+  const long = LONG_DATE_LINE.exec(line);
+  const month = long ? MONTHS.indexOf(long[2].toLowerCase()) + 1 : 0;
+  return month > 0 ? toIsoDate(long[3], month, long[1]) : null;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {string|number} year Year
+ * @param {string|number} month Month (1-12)
+ * @param {string|number} day Day of the month
+ * @returns {string} Date
+ */
+function toIsoDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether a line is the name of an issuing body: capitals, no digits
+ * and no sentence punctuation at the end
+ * @param {string} line Line text
+ * @returns {boolean} True if the line names an issuer
+ */
+function isIssuer(line) {
+  const letters = line.match(/\p{L}/gu) || [];
+
+  return letters.length >= MIN_ISSUER_LETTERS &&
+    line.length <= MAX_ISSUER_LENGTH &&
+    !/\d|[.,;:]$/.test(line) &&
+    letters.filter(c => c === c.toUpperCase() && c !== c.toLowerCase()).length / letters.length >= MIN_ISSUER_UPPERCASE_RATIO;
+}
+
+/**
+ * Join the lines of a title, rejoining hyphenated words
+ * @param {string[]} lines Lines
+ * @returns {string} Title
+ */
+function joinLines(lines) {
+  return lines
+    .filter(Boolean)
+    .reduce((text, line) => (/\p{L}-$/u.test(text) ? text.slice(0, -1) + line : `${text} ${line}`), '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  parseDofPublications,
+  dofIndexUrl,
+  dateFromUrl,
+  isDofUrl,
+  INSTRUMENT_TYPES
+};
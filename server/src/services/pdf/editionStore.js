@@ -0,0 +1,333 @@
+/**
+ * Edition Store
+ *
+ * Every downloaded PDF is kept as a revision of its edition instead of
+ * overwriting storage/pdf/<date>.pdf. Revisions are stored under
+ * storage/pdf/revisions/<date>/ and recorded in the EDITION table with their
+ * SHA-256 hash and the ETag and Last-Modified headers of the download, so
+ * that an unchanged PDF is neither downloaded nor stored twice. The edition
+ * date is read from the cover of the PDF (or its creation date) rather than
+ * taken from the clock. storage/pdf/<date>.pdf is a copy of the current
+ * revision of the date, which is what the extractors read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { run, get, query } = require('../../../../server/database');
+const { createLogger } = require('../../utils/logger');
+const { downloadToFile } = require('./pdfDownloader');
+
+// Create logger for this service
+const logger = createLogger('edition-store');
+
+const PDF_DIR = process.env.PDF_STORAGE_DIR || path.join(__dirname, '../../../../storage/pdf');
+const REVISIONS_DIR = path.join(PDF_DIR, 'revisions');
+
+// Month names as they appear on the cover, without accents
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+/**
+ * Download the PDF if it changed since the last download from the same URL
+ * and store it as a new revision
+ * @param {string} url URL of the PDF
+ * @returns {Promise<object>} Result as {edition, changed}
+ * @throws {DownloadError} If the download fails (see pdfDownloader)
+ */
+async function downloadEdition(url) {
+  try {
+    const previous = await get(
+      `SELECT * FROM EDITION WHERE source_url = ? ORDER BY id DESC LIMIT 1`,
+      [url]
+    );
+
+    // Ask the server to send the PDF only if it changed
+    const headers = {};
+    if (previous && previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous && previous.last_modified) headers['If-Modified-Since'] = previous.last_modified;
+
+    logger.info(`Downloading PDF from ${url}...`);
+
+    if (!fs.existsSync(REVISIONS_DIR)) {
+      fs.mkdirSync(REVISIONS_DIR, { recursive: true });
+    }
+
+    const download = await downloadToFile(url, path.join(REVISIONS_DIR, `download-${process.pid}-${Date.now()}.pdf`), { headers });
+
+    if (download.notModified) {
+      logger.info(`PDF at ${url} has not changed since revision ${previous.revision} of ${previous.date}`);
+      return { edition: previous, changed: false };
+    }
+
+    return await storeEdition(download.filePath, {
+      sourceUrl: url,
+      etag: download.etag,
+      lastModified: download.lastModified,
+      document: download.document
+    });
+  } catch (error) {
+    logger.error(`Error downloading edition: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Store a PDF file as a revision of its edition. The file is moved into the
+ * revisions directory, or removed if a revision with the same content exists.
+ * @param {string} filePath Path to the PDF file
+ * @param {object} options Options
+ * @param {string} [options.date] Edition date (read from the PDF if omitted)
+ * @param {string} [options.sourceUrl] URL the PDF was downloaded from
+ * @param {string} [options.etag] ETag header of the download
+ * @param {string} [options.lastModified] Last-Modified header of the download
+ * @param {object} [options.document] Document information already read from the file
+ * @returns {Promise<object>} Result as {edition, changed}
+ */
+async function storeEdition(filePath, options = {}) {
+  try {
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    const existing = await get(`SELECT * FROM EDITION WHERE hash = ?`, [hash]);
+
+    if (existing) {
+      fs.unlinkSync(filePath);
+      logger.info(`PDF is unchanged: same content as revision ${existing.revision} of ${existing.date}`);
+      return { edition: existing, changed: false };
+    }
+
+    const { date, source } = options.date
+      ? { date: options.date, source: 'provided' }
+      : await detectEditionDate(filePath, options.document);
+
+    const last = await get(`SELECT MAX(revision) as revision FROM EDITION WHERE date = ?`, [date]);
+    const revision = ((last && last.revision) || 0) + 1;
+
+    const relativePath = path.join('revisions', date, `r${revision}-${hash.slice(0, 12)}.pdf`);
+    const revisionPath = path.join(PDF_DIR, relativePath);
+    fs.mkdirSync(path.dirname(revisionPath), { recursive: true });
+    moveFile(filePath, revisionPath);
+
+    const result = await run(
+      `INSERT INTO EDITION (date, revision, hash, file_path, size, source_url, etag, last_modified, date_source)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [date, revision, hash, relativePath, fs.statSync(revisionPath).size, options.sourceUrl || null,
+        options.etag || null, options.lastModified || null, source]
+    );
+
+    const edition = await setCurrentRevision(result.lastID);
+    logger.info(`Stored revision ${revision} of the ${date} edition (date from ${source})`);
+
+    return { edition, changed: true };
+  } catch (error) {
+    logger.error(`Error storing edition: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Make a revision the current one of its date, copying it to
+ * storage/pdf/<date>.pdf for the extractors
+ * @param {number} id Edition id
+ * @returns {Promise<object|null>} Edition, or null if it does not exist
+ */
+async function setCurrentRevision(id) {
+  try {
+    const edition = await get(`SELECT * FROM EDITION WHERE id = ?`, [id]);
+
+    if (!edition) {
+      return null;
+    }
+
+    // Copy next to the current PDF and rename, so that it is never read half written
+    const currentPath = getCurrentPath(edition.date);
+    const tempPath = `${currentPath}.${process.pid}.tmp`;
+    fs.copyFileSync(getRevisionPath(edition), tempPath);
+    fs.renameSync(tempPath, currentPath);
+
+    await run(`UPDATE EDITION SET is_current = 0 WHERE date = ? AND id != ?`, [edition.date, id]);
+    await run(`UPDATE EDITION SET is_current = 1 WHERE id = ?`, [id]);
+
+    return { ...edition, is_current: 1 };
+  } catch (error) {
+    logger.error(`Error setting the current revision to edition ${id}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Record that the current revision of a date was extracted
+ * @param {string} date Edition date
+ * @returns {Promise<void>}
+ */
+async function markExtracted(date) {
+  try {
+    await run(
+      `UPDATE EDITION SET extracted_at = ? WHERE date = ? AND is_current = 1`,
+      [new Date().toISOString(), date]
+    );
+  } catch (error) {
+    logger.error(`Error marking the ${date} edition as extracted: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * List the stored revisions
+ * @param {object} options Options
+ * @param {string} [options.date] Only revisions of this date
+ * @param {number} [options.limit] Maximum number of revisions (default 50)
+ * @returns {Promise<Array>} Editions, newest first
+ */
+async function listEditions(options = {}) {
+  try {
+    const { date, limit = 50 } = options;
+
+    return date
+      ? await query(`SELECT * FROM EDITION WHERE date = ? ORDER BY revision DESC LIMIT ?`, [date, limit])
+      : await query(`SELECT * FROM EDITION ORDER BY date DESC, revision DESC LIMIT ?`, [limit]);
+  } catch (error) {
+    logger.error(`Error listing editions: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get a stored revision
+ * @param {number} id Edition id
+ * @returns {Promise<object|null>} Edition, or null if it does not exist
+ */
+async function getEdition(id) {
+  try {
+    return (await get(`SELECT * FROM EDITION WHERE id = ?`, [id])) || null;
+  } catch (error) {
+    logger.error(`Error getting edition ${id}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Work out the date of an edition from its cover text, then from the
+ * creation date of the PDF, and last from today's date
+ * @param {string} filePath Path to the PDF file
+ * @param {object} [document] Document information already read from the file
+ * @returns {Promise<object>} Date as {date, source} where source is cover, metadata or download
+ */
+async function detectEditionDate(filePath, document = null) {
+  try {
+    const { readDocumentInfo } = require('./textLayer');
+    const { info, coverText } = document || await readDocumentInfo(filePath);
+
+    const coverDate = parseCoverDate(coverText);
+    if (coverDate) {
+      return { date: coverDate, source: 'cover' };
+    }
+
+    const creationDate = parsePdfDate(info.CreationDate);
+    if (creationDate) {
+      return { date: creationDate, source: 'metadata' };
+    }
+  } catch (error) {
+    logger.warn(`Could not read the edition date from ${filePath}: ${error.message}`);
+  }
+
+  return { date: formatDate(new Date()), source: 'download' };
+}
+
+/**
+ * Find a date such as "Jueves 5 de junio de 2025" in the cover text
+ * @param {string} text Cover text
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function parseCoverDate(text) {
+  const normalized = (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const match = normalized.match(new RegExp(`\\b(\\d{1,2})\\s+de\\s+(${MONTHS.join('|')}|setiembre)\\s+(?:de\\s+|del\\s+)?(\\d{4})\\b`));
+
+  if (!match) {
+    return null;
+  }
+
+  const month = match[2] === 'setiembre' ? 9 : MONTHS.indexOf(match[2]) + 1;
+  return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+/**
+ * Convert a PDF date string such as "D:20250605083000-06'00'" to a date
+ * @param {string} value PDF date
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function parsePdfDate(value) {
+  const match = (value || '').match(/^(?:D:)?(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Format a date in local time
+ * @param {Date} date Date
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function formatDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Move a file, copying it when it is on another file system (e.g. an upload
+ * in a temporary directory)
+ * @param {string} from Current path
+ * @param {string} to New path
+ */
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+/**
+ * Get the path to the file of a revision
+ * @param {object} edition EDITION row
+ * @returns {string} Path to the PDF file
+ */
+function getRevisionPath(edition) {
+  return path.join(PDF_DIR, edition.file_path);
+}
+
+/**
+ * Copy a revision to <dir>/<date>.pdf, so that it can be extracted without
+ * making it the current revision (the extractors read the date from the
+ * file name)
+ * @param {object} edition EDITION row
+ * @param {string} dir Directory of the copy
+ * @returns {string} Path to the copy
+ */
+function copyRevision(edition, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const copyPath = path.join(dir, `${edition.date}.pdf`);
+  fs.copyFileSync(getRevisionPath(edition), copyPath);
+  return copyPath;
+}
+
+/**
+ * Get the path to the current PDF of a date
+ * @param {string} date Edition date
+ * @returns {string} Path to the PDF file
+ */
+function getCurrentPath(date) {
+  return path.join(PDF_DIR, `${date}.pdf`);
+}
+
+module.exports = {
+  downloadEdition,
+  storeEdition,
+  setCurrentRevision,
+  markExtracted,
+  listEditions,
+  getEdition,
+  detectEditionDate,
+  parseCoverDate,
+  parsePdfDate,
+  getRevisionPath,
+  copyRevision,
+  getCurrentPath
+};
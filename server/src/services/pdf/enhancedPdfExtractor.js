@@ -12,23 +12,49 @@
 
 const fs = require('fs');
 const path = require('path');
-const pdfParse = require('pdf-parse');
 const sharp = require('sharp');
-const { execSync } = require('child_process');
+const { detectSectionRanges } = require('./indexExtractor');
+const {
+  getParsedDocument,
+  getPage,
+  getPageText,
+  getRenderedImage,
+  recordRenderedImage,
+  saveParsedDocument
+} = require('./parsedDocument');
+const { detectHeadlines, DEFAULT_SOURCE } = require('./headlineDetector');
+const { buildArticleBlocks, assignLinksToBlocks } = require('./linkMapper');
+const { reportProgress } = require('./extractionProgress');
+const { identifyMasthead } = require('./mastheadIdentifier');
+const { parseColumns } = require('./columnParser');
+const { readCartoonMetadata } = require('./cartoonMetadata');
+const { parseAgendaEvents } = require('./agendaParser');
+const { parseDofPublications, dofIndexUrl, dateFromUrl, isDofUrl } = require('./dofParser');
 const { createLogger } = require('../../utils/logger');
+const { runCommand, createLimiter } = require('../../utils/childProcess');
 
 const logger = createLogger('enhanced-pdf-extractor');
 
 const IMAGES_DIR = path.join(__dirname, '../../../../storage/images');
 
+// Resolution of the page images of image sections
+const RENDER_RESOLUTION = 150;
+
+// Maximum number of pages rendered at the same time
+const RENDER_CONCURRENCY = parseInt(process.env.PDF_RENDER_CONCURRENCY, 10) || 2;
+
+// Shared by all image sections, so the limit holds for the whole extraction
+const renderLimit = createLimiter(RENDER_CONCURRENCY);
+
 // Newspaper names for Primeras Planas identification
 const NEWSPAPER_NAMES = [
   'El Universal', 'Reforma', 'Excelsior', 'La Jornada',
   'Milenio', 'El Financiero', 'El Economista', 'El Sol de México',
-  'Ovaciones', 'La Razón', 'Reporte Índigo', '24 Horas'
+  'Ovaciones', 'La Razón', 'Reporte Índigo', '24 Horas', 'Diario de México'
 ];
 
-// Section patterns for dynamic recognition
+// Section patterns for dynamic recognition. pageRange is only used when the
+// ranges cannot be detected from the PDF (see indexExtractor.detectSectionRanges)
 const SECTION_PATTERNS = {
   'ocho-columnas': {
     headers: ['OCHO COLUMNAS'],
@@ -42,6 +68,11 @@ const SECTION_PATTERNS = {
     pageRange: [5, 25], // Estimated range
     imagePattern: /s\d+_u\d+/ // Image identifiers
   },
+  'agenda': {
+    headers: ['AGENDA'],
+    type: 'text',
+    pageRange: [26, 27]
+  },
   'sintesis-informativa': {
     headers: ['SÍNTESIS INFORMATIVA'],
     type: 'text',
@@ -78,7 +109,7 @@ const SECTION_PATTERNS = {
   },
   'columnas-politicas': {
     headers: ['COLUMNAS POLÍTICAS'],
-    type: 'image',
+    type: 'text',
     pageRange: [53, 64],
     imagePattern: /COLUMNAS POLÍTICAS/
   },
@@ -96,32 +127,48 @@ const SECTION_PATTERNS = {
   }
 };
 
+// Subheaders that any part of the síntesis informativa may print, besides
+// the ones of its own
+const COMMON_SUBHEADERS = ['OPINIÓN', 'Prensa Escrita', 'ELECCIÓN JUDICIAL', 'REFORMAS LEGALES', 'POLÍTICA', 'ECONOMÍA', 'INTERNACIONAL'];
+
+// Index entries that make up the síntesis informativa section. The agenda
+// is a section of its own, read as events (see agendaParser)
+const SINTESIS_PARTS = [
+  'consejo-judicatura', 'suprema-corte', 'tribunal-electoral',
+  'informacion-general', 'sintesis-informativa'
+];
+
 /**
  * Main extraction function that processes the entire PDF with enhanced logic
  * @param {string} pdfPath Path to the PDF file
+ * @param {object} [options] Extraction options
+ * @param {string} [options.imagesDir] Directory to write the images to (defaults to storage/images/<date>)
  * @returns {Promise<object>} Extracted content with proper structure
  */
-async function extractEnhancedContent(pdfPath) {
+async function extractEnhancedContent(pdfPath, options = {}) {
   try {
     logger.info(`Starting enhanced PDF extraction from ${pdfPath}`);
     
     // Step 1: Get PDF structure information
+    reportProgress('text');
     const pdfInfo = await analyzePDFStructure(pdfPath);
     logger.info(`PDF has ${pdfInfo.totalPages} pages`);
     
     // Step 2: Extract navigation structure from first page
     const navigationInfo = await extractNavigationStructure(pdfPath);
-    logger.info(`Detected ${Object.keys(navigationInfo.sections).length} sections from navigation`);
+    logger.info(`Detected ${Object.keys(navigationInfo.sections).length} sections from navigation (${navigationInfo.detection.method}, confidence ${navigationInfo.detection.confidence})`);
     
     // Step 3: Extract text content with page-by-page analysis
-    const textContent = await extractTextWithSectionDetection(pdfPath, pdfInfo.totalPages);
+    const textContent = await extractTextWithSectionDetection(pdfPath, pdfInfo.totalPages, navigationInfo);
     logger.info(`Extracted text from ${Object.keys(textContent.pages).length} pages`);
     
     // Step 4: Extract and process all images
-    const imageContent = await extractAndProcessImages(pdfPath, pdfInfo.totalPages);
+    reportProgress('images');
+    const imageContent = await extractAndProcessImages(pdfPath, pdfInfo.totalPages, navigationInfo, options.imagesDir);
     logger.info(`Extracted ${imageContent.totalImages} images`);
     
-    // Step 5: Extract embedded URLs using PyMuPDF (if available)
+    // Step 5: Extract embedded URLs from the link annotations
+    reportProgress('urls');
     const urlContent = await extractEmbeddedUrls(pdfPath, pdfInfo.totalPages);
     logger.info(`Found ${urlContent.totalUrls} embedded URLs`);
     
@@ -142,6 +189,7 @@ async function extractEnhancedContent(pdfPath) {
         totalPages: pdfInfo.totalPages,
         extractedAt: new Date().toISOString(),
         extractionMethod: 'enhanced',
+        navigation: navigationInfo.detection,
         statistics: {
           totalSections: Object.keys(processedSections).length,
           totalArticles: Object.values(processedSections).reduce((sum, section) => sum + section.articles.length, 0),
@@ -167,13 +215,11 @@ async function extractEnhancedContent(pdfPath) {
  */
 async function analyzePDFStructure(pdfPath) {
   try {
-    const dataBuffer = fs.readFileSync(pdfPath);
-    const pdfData = await pdfParse(dataBuffer, { max: 0 });
+    const parsed = await getParsedDocument(pdfPath);
     
     return {
-      totalPages: pdfData.numpages,
-      info: pdfData.info || {},
-      metadata: pdfData.metadata || {},
+      totalPages: parsed.totalPages,
+      hash: parsed.hash,
       fileSize: fs.statSync(pdfPath).size
     };
   } catch (error) {
@@ -189,33 +235,41 @@ async function analyzePDFStructure(pdfPath) {
  */
 async function extractNavigationStructure(pdfPath) {
   try {
-    // Extract first page text to analyze the index
-    const firstPageText = execSync(`pdftotext -f 1 -l 1 "${pdfPath}" -`, { encoding: 'utf8' });
+    // Detect the section ranges from the index page and the page headers
+    const detection = await detectSectionRanges(pdfPath);
+    const detectedRanges = mapDetectedRanges(detection);
+    const useStaticRanges = detection.method === 'fallback';
     
-    // Analyze the content to determine section boundaries
     const sections = {};
-    let currentPage = 2; // Start after index
     
-    // Use predefined patterns to estimate section ranges
-    // This will be refined by actual content analysis
     for (const [sectionId, pattern] of Object.entries(SECTION_PATTERNS)) {
-      const estimatedRange = pattern.pageRange;
+      const detectedRange = detectedRanges[sectionId];
+      
+      // Sections that were not found in a detected structure are absent
+      // from this edition; the static ranges only apply when detection failed
+      if (!detectedRange && !useStaticRanges) {
+        logger.info(`Section ${sectionId} not found in this PDF`);
+        continue;
+      }
+      
+      const range = detectedRange || {
+        start: pattern.pageRange[0],
+        end: pattern.pageRange[1]
+      };
+      
       sections[sectionId] = {
         id: sectionId,
         name: pattern.headers[0] || sectionId.toUpperCase().replace('-', ' '),
         type: pattern.type,
-        pageRange: {
-          start: estimatedRange[0],
-          end: estimatedRange[1]
-        },
+        pageRange: range,
         headers: pattern.headers,
-        detected: false // Will be updated during content analysis
+        detected: Boolean(detectedRange)
       };
     }
     
     return {
-      firstPageText,
       sections,
+      detection,
       totalSections: Object.keys(sections).length
     };
     
@@ -225,24 +279,97 @@ async function extractNavigationStructure(pdfPath) {
   }
 }
 
+/**
+ * Map the ranges detected by the index extractor to the sections used by
+ * this extractor. The index lists the parts of the síntesis informativa
+ * (CJF, SCJN, TEPJF, información general) separately, while here
+ * they are processed as one section with subsections.
+ * @param {object} detection Result of detectSectionRanges
+ * @returns {object} Page ranges ({start, end}) by section id
+ */
+function mapDetectedRanges(detection) {
+  const ranges = {};
+  
+  if (!detection || detection.method === 'fallback') {
+    return ranges;
+  }
+  
+  for (const section of detection.sections) {
+    const sectionId = SINTESIS_PARTS.includes(section.id) ? 'sintesis-informativa' : section.id;
+    
+    if (!SECTION_PATTERNS[sectionId]) {
+      continue;
+    }
+    
+    if (ranges[sectionId]) {
+      ranges[sectionId].start = Math.min(ranges[sectionId].start, section.pages.start);
+      ranges[sectionId].end = Math.max(ranges[sectionId].end, section.pages.end);
+    } else {
+      ranges[sectionId] = { ...section.pages };
+    }
+  }
+  
+  return ranges;
+}
+
+/**
+ * Find the section whose page range contains a page. When ranges overlap
+ * the narrowest one wins.
+ * @param {number} pageNum Page number
+ * @param {object} navigationInfo Navigation structure
+ * @returns {string|null} Section identifier
+ */
+function getSectionForPage(pageNum, navigationInfo) {
+  let match = null;
+  
+  for (const [sectionId, section] of Object.entries(navigationInfo.sections)) {
+    const { start, end } = section.pageRange;
+    
+    if (pageNum >= start && pageNum <= end &&
+        (!match || end - start < match.end - match.start)) {
+      match = { sectionId, start, end };
+    }
+  }
+  
+  return match ? match.sectionId : null;
+}
+
+/**
+ * Get the pages of a section from the navigation structure
+ * @param {string} sectionId Section identifier
+ * @param {object} navigationInfo Navigation structure
+ * @returns {number[]} Page numbers
+ */
+function getSectionPageNumbers(sectionId, navigationInfo) {
+  const section = navigationInfo.sections[sectionId];
+  const pages = [];
+  
+  if (section) {
+    for (let pageNum = section.pageRange.start; pageNum <= section.pageRange.end; pageNum++) {
+      pages.push(pageNum);
+    }
+  }
+  
+  return pages;
+}
+
 /**
  * Extract text content with section detection
  * @param {string} pdfPath Path to the PDF file
  * @param {number} totalPages Total number of pages
+ * @param {object} navigationInfo Navigation structure with section ranges
  * @returns {Promise<object>} Text content organized by pages and sections
  */
-async function extractTextWithSectionDetection(pdfPath, totalPages) {
+async function extractTextWithSectionDetection(pdfPath, totalPages, navigationInfo) {
   try {
+    const parsed = await getParsedDocument(pdfPath);
     const pages = {};
     const sectionPages = {};
     
-    // Extract text page by page for better section detection
+    // Read the text page by page for better section detection
     for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
       try {
-        const pageText = execSync(`pdftotext -f ${pageNum} -l ${pageNum} "${pdfPath}" -`, { 
-          encoding: 'utf8',
-          timeout: 5000 
-        });
+        const pageText = getPageText(parsed, pageNum);
         
         pages[pageNum] = {
           text: pageText.trim(),
@@ -253,47 +380,32 @@ async function extractTextWithSectionDetection(pdfPath, totalPages) {
         
         // Detect section headers
         const upperText = pageText.toUpperCase();
+        let headerSection = null;
         for (const [sectionId, pattern] of Object.entries(SECTION_PATTERNS)) {
-          for (const header of pattern.headers) {
-            if (upperText.includes(header)) {
-              pages[pageNum].section = sectionId;
-              pages[pageNum].hasHeader = true;
-              pages[pageNum].headerText = header;
-              
-              if (!sectionPages[sectionId]) {
-                sectionPages[sectionId] = [];
-              }
-              sectionPages[sectionId].push(pageNum);
-              
-              logger.debug(`Found section ${sectionId} on page ${pageNum} with header: ${header}`);
-              break;
-            }
+          const header = pattern.headers.find(h => upperText.includes(h));
+          if (header) {
+            headerSection = sectionId;
+            pages[pageNum].hasHeader = true;
+            pages[pageNum].headerText = header;
+            
+            logger.debug(`Found section ${sectionId} on page ${pageNum} with header: ${header}`);
+            break;
           }
         }
         
-        // Special handling for image-based sections
-        if (!pages[pageNum].section) {
-          // Check if this page is in a known image section range
-          for (const [sectionId, pattern] of Object.entries(SECTION_PATTERNS)) {
-            if (pattern.type === 'image' && 
-                pageNum >= pattern.pageRange[0] && 
-                pageNum <= pattern.pageRange[1]) {
-              
-              // Check for image patterns
-              if (pattern.imagePattern && 
-                  (upperText.match(pattern.imagePattern) || pageText.trim().length < 100)) {
-                pages[pageNum].section = sectionId;
-                
-                if (!sectionPages[sectionId]) {
-                  sectionPages[sectionId] = [];
-                }
-                sectionPages[sectionId].push(pageNum);
-                
-                logger.debug(`Assigned page ${pageNum} to image section ${sectionId}`);
-                break;
-              }
-            }
+        // The detected page ranges decide the section; the header is only
+        // used for pages outside every range (e.g. the index page)
+        const sectionId = pageNum > 1
+          ? getSectionForPage(pageNum, navigationInfo) || headerSection
+          : null;
+        
+        if (sectionId) {
+          pages[pageNum].section = sectionId;
+          
+          if (!sectionPages[sectionId]) {
+            sectionPages[sectionId] = [];
           }
+          sectionPages[sectionId].push(pageNum);
         }
         
       } catch (pageError) {
@@ -317,12 +429,15 @@ async function extractTextWithSectionDetection(pdfPath, totalPages) {
  * Extract and process all images from PDF
  * @param {string} pdfPath Path to the PDF file
  * @param {number} totalPages Total number of pages
+ * @param {object} navigationInfo Navigation structure with section ranges
+ * @param {string} [imagesDir] Directory to write the images to (defaults to storage/images/<date>)
  * @returns {Promise<object>} Image content organized by pages and types
  */
-async function extractAndProcessImages(pdfPath, totalPages) {
+async function extractAndProcessImages(pdfPath, totalPages, navigationInfo, imagesDir) {
   try {
     const date = path.basename(pdfPath, '.pdf');
-    const dateImagesDir = path.join(IMAGES_DIR, date);
+    const dateImagesDir = imagesDir || path.join(IMAGES_DIR, date);
+    const parsed = await getParsedDocument(pdfPath);
     
     if (!fs.existsSync(dateImagesDir)) {
       fs.mkdirSync(dateImagesDir, { recursive: true });
@@ -334,8 +449,9 @@ async function extractAndProcessImages(pdfPath, totalPages) {
     
     // Extract specific sections as images
     
-    // 1. Extract Primeras Planas (pages 5-25 estimated)
-    const primerasPages = await extractPrimerasPlanas(pdfPath, dateImagesDir);
+    // 1. Extract Primeras Planas
+    reportProgress('images', { section: 'primeras-planas', completed: 0, total: 3 });
+    const primerasPages = await extractPrimerasPlanas(pdfPath, parsed, dateImagesDir, getSectionPageNumbers('primeras-planas', navigationInfo));
     if (primerasPages.length > 0) {
       sectionImages['primeras-planas'] = primerasPages;
       totalImages += primerasPages.length;
@@ -343,7 +459,8 @@ async function extractAndProcessImages(pdfPath, totalPages) {
     }
     
     // 2. Extract Columnas Políticas (pages with COLUMNAS POLÍTICAS header)
-    const columnasPages = await extractColumnasPoliticas(pdfPath, dateImagesDir);
+    reportProgress('images', { section: 'columnas-politicas', completed: 1, total: 3 });
+    const columnasPages = await extractColumnasPoliticas(pdfPath, parsed, dateImagesDir, getSectionPageNumbers('columnas-politicas', navigationInfo));
     if (columnasPages.length > 0) {
       sectionImages['columnas-politicas'] = columnasPages;
       totalImages += columnasPages.length;
@@ -351,7 +468,8 @@ async function extractAndProcessImages(pdfPath, totalPages) {
     }
     
     // 3. Extract Cartones (pages with CARTONES header)
-    const cartonesPages = await extractCartones(pdfPath, dateImagesDir);
+    reportProgress('images', { section: 'cartones', completed: 2, total: 3 });
+    const cartonesPages = await extractCartones(pdfPath, parsed, dateImagesDir, getSectionPageNumbers('cartones', navigationInfo));
     if (cartonesPages.length > 0) {
       sectionImages['cartones'] = cartonesPages;
       totalImages += cartonesPages.length;
@@ -366,6 +484,9 @@ async function extractAndProcessImages(pdfPath, totalPages) {
       logger.info(`Generated ${logoImages.length} newspaper logo images`);
     }
     
+    // Keep the page renders for the next extraction of this PDF
+    saveParsedDocument(parsed);
+    
     return {
       pageImages,
       sectionImages,
@@ -382,23 +503,19 @@ async function extractAndProcessImages(pdfPath, totalPages) {
 /**
  * Extract primeras planas images
  * @param {string} pdfPath Path to the PDF file
+ * @param {object} parsed Parsed document of the PDF
  * @param {string} outputDir Output directory for images
+ * @param {number[]} sectionPages Pages of the section
  * @returns {Promise<Array>} Array of extracted image information
  */
-async function extractPrimerasPlanas(pdfPath, outputDir) {
+async function extractPrimerasPlanas(pdfPath, parsed, outputDir, sectionPages) {
   try {
-    const images = [];
-    
-    // Based on analysis, primeras planas are typically pages 5-25
-    // But we need to detect which pages actually contain newspaper front pages
-    
-    for (let pageNum = 5; pageNum <= 25; pageNum++) {
+    // Detect which pages of the section actually contain newspaper front pages,
+    // rendering them concurrently up to RENDER_CONCURRENCY
+    const images = await Promise.all(sectionPages.map(pageNum => renderLimit(async () => {
       try {
         // Check if this page contains image content (minimal text)
-        const pageText = execSync(`pdftotext -f ${pageNum} -l ${pageNum} "${pdfPath}" -`, { 
-          encoding: 'utf8',
-          timeout: 3000 
-        });
+        const pageText = getPageText(parsed, pageNum);
         
         // If page has minimal text or contains image identifiers, extract as image
         if (pageText.trim().length < 100 || pageText.includes('s1192_u') || pageText.includes('_u')) {
@@ -406,41 +523,36 @@ async function extractPrimerasPlanas(pdfPath, outputDir) {
           const imagePath = path.join(outputDir, imageName);
           
           // Extract page as image
-          const tempPrefix = path.join(outputDir, `temp-pp-${pageNum}`);
-          const command = `pdftoppm -f ${pageNum} -l ${pageNum} -png -r 150 "${pdfPath}" "${tempPrefix}"`;
-          
-          execSync(command, { timeout: 10000 });
+          const metadata = await renderPage(pdfPath, parsed, pageNum, imagePath);
           
-          // Rename to expected format
-          const pdfOutputFile = `${tempPrefix}-${pageNum}.png`;
-          if (fs.existsSync(pdfOutputFile)) {
-            fs.renameSync(pdfOutputFile, imagePath);
+          if (metadata) {
+            // Identify the newspaper from its masthead, or else by the order of the pages
+            const match = await identifyNewspaperFromMasthead(imagePath);
+            const newspaperIndex = pageNum - sectionPages[0];
+            const newspaper = match.newspaper || NEWSPAPER_NAMES[newspaperIndex] || `Periódico ${pageNum}`;
             
-            // Get image metadata
-            const metadata = await sharp(imagePath).metadata();
-            
-            // Try to identify newspaper
-            const newspaperIndex = pageNum - 5;
-            const newspaper = NEWSPAPER_NAMES[newspaperIndex] || `Periódico ${pageNum}`;
-            
-            images.push({
+            const image = {
               pageNumber: pageNum,
               imagePath: imagePath,
               filename: imageName,
               newspaper: newspaper,
+              newspaperConfidence: match.newspaper ? match.confidence : null,
               width: metadata.width,
               height: metadata.height
-            });
+            };
             
-            logger.debug(`Extracted primera plana for ${newspaper} from page ${pageNum}`);
+            logger.debug(`Extracted primera plana for ${newspaper} from page ${pageNum} (${match.newspaper ? `masthead, confidence ${match.confidence}` : 'page order'})`);
+            return image;
           }
         }
       } catch (pageError) {
         logger.debug(`Failed to extract primera plana from page ${pageNum}: ${pageError.message}`);
       }
-    }
+      
+      return null;
+    })));
     
-    return images;
+    return images.filter(Boolean);
     
   } catch (error) {
     logger.error(`Error extracting primeras planas: ${error.message}`);
@@ -448,59 +560,65 @@ async function extractPrimerasPlanas(pdfPath, outputDir) {
   }
 }
 
+/**
+ * Identify the newspaper of a front page from its masthead. A page that
+ * cannot be compared counts as not identified
+ * @param {string} imagePath Path to the page image
+ * @returns {Promise<object>} Match as {newspaper, confidence}
+ */
+async function identifyNewspaperFromMasthead(imagePath) {
+  try {
+    return await identifyMasthead(imagePath);
+  } catch (error) {
+    logger.debug(`Masthead identification failed for ${imagePath}: ${error.message}`);
+    return { newspaper: null, confidence: 0 };
+  }
+}
+
 /**
  * Extract columnas políticas images
  * @param {string} pdfPath Path to the PDF file
+ * @param {object} parsed Parsed document of the PDF
  * @param {string} outputDir Output directory for images
+ * @param {number[]} sectionPages Pages of the section
  * @returns {Promise<Array>} Array of extracted image information
  */
-async function extractColumnasPoliticas(pdfPath, outputDir) {
+async function extractColumnasPoliticas(pdfPath, parsed, outputDir, sectionPages) {
   try {
-    const images = [];
-    
-    // Based on analysis, columnas políticas are pages 53-64 with specific headers
-    for (let pageNum = 53; pageNum <= 64; pageNum++) {
+    // Columnas políticas pages carry the section header
+    const images = await Promise.all(sectionPages.map(pageNum => renderLimit(async () => {
       try {
         // Check if this page has the COLUMNAS POLÍTICAS header
-        const pageText = execSync(`pdftotext -f ${pageNum} -l ${pageNum} "${pdfPath}" -`, { 
-          encoding: 'utf8',
-          timeout: 3000 
-        });
+        const pageText = getPageText(parsed, pageNum);
         
         if (pageText.toUpperCase().includes('COLUMNAS POLÍTICAS')) {
           const imageName = `columna-politica-${pageNum.toString().padStart(2, '0')}.png`;
           const imagePath = path.join(outputDir, imageName);
           
           // Extract page as image
-          const tempPrefix = path.join(outputDir, `temp-cp-${pageNum}`);
-          const command = `pdftoppm -f ${pageNum} -l ${pageNum} -png -r 150 "${pdfPath}" "${tempPrefix}"`;
+          const metadata = await renderPage(pdfPath, parsed, pageNum, imagePath);
           
-          execSync(command, { timeout: 10000 });
-          
-          // Rename to expected format
-          const pdfOutputFile = `${tempPrefix}-${pageNum}.png`;
-          if (fs.existsSync(pdfOutputFile)) {
-            fs.renameSync(pdfOutputFile, imagePath);
-            
-            const metadata = await sharp(imagePath).metadata();
-            
-            images.push({
+          if (metadata) {
+            const image = {
               pageNumber: pageNum,
               imagePath: imagePath,
               filename: imageName,
               width: metadata.width,
               height: metadata.height
-            });
+            };
             
             logger.debug(`Extracted columna política from page ${pageNum}`);
+            return image;
           }
         }
       } catch (pageError) {
         logger.debug(`Failed to extract columna política from page ${pageNum}: ${pageError.message}`);
       }
-    }
+      
+      return null;
+    })));
     
-    return images;
+    return images.filter(Boolean);
     
   } catch (error) {
     logger.error(`Error extracting columnas políticas: ${error.message}`);
@@ -509,58 +627,54 @@ async function extractColumnasPoliticas(pdfPath, outputDir) {
 }
 
 /**
- * Extract cartones images
+ * Extract cartones images, with the cartoonist, newspaper, title and caption
+ * printed on each page (see cartoonMetadata)
  * @param {string} pdfPath Path to the PDF file
+ * @param {object} parsed Parsed document of the PDF
  * @param {string} outputDir Output directory for images
+ * @param {number[]} sectionPages Pages of the section
  * @returns {Promise<Array>} Array of extracted image information
  */
-async function extractCartones(pdfPath, outputDir) {
+async function extractCartones(pdfPath, parsed, outputDir, sectionPages) {
   try {
-    const images = [];
-    
-    // Based on analysis, cartones are pages 65-84 with CARTONES headers
-    for (let pageNum = 65; pageNum <= 84; pageNum++) {
+    // Cartones pages carry the CARTONES header
+    const images = await Promise.all(sectionPages.map(pageNum => renderLimit(async () => {
       try {
-        const pageText = execSync(`pdftotext -f ${pageNum} -l ${pageNum} "${pdfPath}" -`, { 
-          encoding: 'utf8',
-          timeout: 3000 
-        });
+        const pageText = getPageText(parsed, pageNum);
         
         if (pageText.toUpperCase().includes('CARTONES')) {
-          const imageName = `carton-${(pageNum - 64).toString().padStart(2, '0')}.png`;
+          const cartoonNumber = pageNum - sectionPages[0] + 1;
+          const imageName = `carton-${cartoonNumber.toString().padStart(2, '0')}.png`;
           const imagePath = path.join(outputDir, imageName);
           
           // Extract page as image
-          const tempPrefix = path.join(outputDir, `temp-cart-${pageNum}`);
-          const command = `pdftoppm -f ${pageNum} -l ${pageNum} -png -r 150 "${pdfPath}" "${tempPrefix}"`;
+          const metadata = await renderPage(pdfPath, parsed, pageNum, imagePath);
           
-          execSync(command, { timeout: 10000 });
-          
-          // Rename to expected format
-          const pdfOutputFile = `${tempPrefix}-${pageNum}.png`;
-          if (fs.existsSync(pdfOutputFile)) {
-            fs.renameSync(pdfOutputFile, imagePath);
-            
-            const metadata = await sharp(imagePath).metadata();
-            
-            images.push({
+          if (metadata) {
+            // Signature, newspaper, title and caption printed on the page
+            const cartoon = readCartoonMetadata(getPage(parsed, pageNum), { newspapers: NEWSPAPER_NAMES });
+            const image = {
               pageNumber: pageNum,
               imagePath: imagePath,
               filename: imageName,
-              cartoonNumber: pageNum - 64,
+              cartoonNumber: cartoonNumber,
+              ...cartoon,
               width: metadata.width,
               height: metadata.height
-            });
+            };
             
-            logger.debug(`Extracted cartón ${pageNum - 64} from page ${pageNum}`);
+            logger.debug(`Extracted cartón ${cartoonNumber} from page ${pageNum}${cartoon.cartoonist ? ` by ${cartoon.cartoonist}` : ''}`);
+            return image;
           }
         }
       } catch (pageError) {
         logger.debug(`Failed to extract cartón from page ${pageNum}: ${pageError.message}`);
       }
-    }
+      
+      return null;
+    })));
     
-    return images;
+    return images.filter(Boolean);
     
   } catch (error) {
     logger.error(`Error extracting cartones: ${error.message}`);
@@ -568,6 +682,50 @@ async function extractCartones(pdfPath, outputDir) {
   }
 }
 
+/**
+ * Render a page as a PNG image. A render of the same page recorded in the
+ * parsed document is reused instead of running pdftoppm again.
+ * @param {string} pdfPath Path to the PDF file
+ * @param {object} parsed Parsed document of the PDF
+ * @param {number} pageNum Page number
+ * @param {string} imagePath Path of the image to write
+ * @returns {Promise<object|null>} Image size as {width, height}, or null if the page was not rendered
+ */
+async function renderPage(pdfPath, parsed, pageNum, imagePath) {
+  const renderKey = `png-${RENDER_RESOLUTION}`;
+  const rendered = getRenderedImage(parsed, pageNum, renderKey);
+  
+  if (rendered) {
+    if (rendered.path !== imagePath) {
+      fs.copyFileSync(rendered.path, imagePath);
+    }
+    logger.debug(`Reusing render of page ${pageNum}`);
+    return { width: rendered.width, height: rendered.height };
+  }
+  
+  const tempPrefix = path.join(path.dirname(imagePath), `temp-${pageNum}`);
+  await runCommand('pdftoppm', [
+    '-f', pageNum, '-l', pageNum, '-png', '-r', RENDER_RESOLUTION, pdfPath, tempPrefix
+  ], { timeout: 10000 });
+  
+  // Rename to expected format
+  const pdfOutputFile = `${tempPrefix}-${pageNum}.png`;
+  if (!fs.existsSync(pdfOutputFile)) {
+    return null;
+  }
+  
+  fs.renameSync(pdfOutputFile, imagePath);
+  
+  const metadata = await sharp(imagePath).metadata();
+  recordRenderedImage(parsed, pageNum, renderKey, {
+    path: imagePath,
+    width: metadata.width,
+    height: metadata.height
+  });
+  
+  return { width: metadata.width, height: metadata.height };
+}
+
 /**
  * Generate newspaper logo images for Ocho Columnas
  * @param {string} outputDir Output directory for images
@@ -620,94 +778,48 @@ async function generateNewspaperLogos(outputDir) {
 }
 
 /**
- * Extract embedded URLs using PyMuPDF or fallback methods
+ * Extract the embedded URLs (link annotations) of every page, with their
+ * rectangles. Pages without link annotations fall back to the URLs printed
+ * in their text.
  * @param {string} pdfPath Path to the PDF file
  * @param {number} totalPages Total number of pages
  * @returns {Promise<object>} URL content organized by pages
  */
 async function extractEmbeddedUrls(pdfPath, totalPages) {
   try {
+    const parsed = await getParsedDocument(pdfPath);
     const urlsByPage = {};
     let totalUrls = 0;
+    let annotationUrls = 0;
     
-    // Try PyMuPDF first (if available)
-    try {
-      const pymupdfScript = `
-import sys
-import json
-try:
-    import fitz
-    doc = fitz.open('${pdfPath}')
-    all_urls = {}
-    
-    for page_num in range(doc.page_count):
-        page = doc[page_num]
-        links = page.get_links()
-        
-        page_urls = []
-        for link in links:
-            if 'uri' in link and link['uri']:
-                page_urls.append({
-                    'url': link['uri'],
-                    'rect': link.get('from', {}),
-                    'page': page_num + 1
-                })
-        
-        if page_urls:
-            all_urls[page_num + 1] = page_urls
-    
-    doc.close()
-    print(json.dumps(all_urls))
-except ImportError:
-    print(json.dumps({}))
-except Exception as e:
-    print(json.dumps({}))
-`;
+    for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+      const page = getPage(parsed, pageNum);
+      if (!page) continue;
       
-      const result = execSync(`python3 -c "${pymupdfScript}"`, { 
-        encoding: 'utf8',
-        timeout: 30000 
-      });
+      let urls = page.links.map(link => ({
+        url: link.url,
+        rect: link.rect,
+        page: pageNum,
+        source: 'annotation'
+      }));
+      annotationUrls += urls.length;
       
-      const parsedUrls = JSON.parse(result.trim());
+      if (urls.length === 0) {
+        urls = extractUrlsFromText(page.text).map(url => ({
+          url,
+          page: pageNum,
+          source: 'text'
+        }));
+      }
       
-      for (const [pageNum, urls] of Object.entries(parsedUrls)) {
+      if (urls.length > 0) {
         urlsByPage[pageNum] = urls;
         totalUrls += urls.length;
       }
-      
-      logger.info(`Extracted ${totalUrls} URLs using PyMuPDF`);
-      
-    } catch (pymupdfError) {
-      logger.warn(`PyMuPDF URL extraction failed: ${pymupdfError.message}`);
-      
-      // Fallback: extract URLs from text content
-      for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-        try {
-          const pageText = execSync(`pdftotext -f ${pageNum} -l ${pageNum} "${pdfPath}" -`, { 
-            encoding: 'utf8',
-            timeout: 3000 
-          });
-          
-          const urlRegex = /(https?:\/\/[^\s]+)/g;
-          const urls = [...pageText.matchAll(urlRegex)].map(match => ({
-            url: match[1],
-            page: pageNum,
-            source: 'text'
-          }));
-          
-          if (urls.length > 0) {
-            urlsByPage[pageNum] = urls;
-            totalUrls += urls.length;
-          }
-        } catch (pageError) {
-          // Ignore individual page errors
-        }
-      }
-      
-      logger.info(`Extracted ${totalUrls} URLs using text fallback`);
     }
     
+    logger.info(`Extracted ${totalUrls} URLs (${annotationUrls} from link annotations)`);
+    
     return {
       urlsByPage,
       totalUrls
@@ -738,7 +850,17 @@ async function processSectionsWithArticles(navigationInfo, textContent, imageCon
       
       logger.debug(`Processing section ${sectionId} with ${sectionPages.length} pages`);
       
-      if (sectionInfo.type === 'text') {
+      if (sectionId === 'columnas-politicas') {
+        // Columns are read from the text layer, with the page images as evidence
+        processedSections[sectionId] = await processColumnasPoliticasSection(
+          sectionPages,
+          textContent.pages,
+          imageContent.sectionImages[sectionId] || [],
+          pdfPath
+        );
+      } else if (sectionId === 'agenda') {
+        processedSections[sectionId] = processAgendaSection(sectionPages, textContent.pages, pdfPath);
+      } else if (sectionInfo.type === 'text') {
         // Process text-based sections
         processedSections[sectionId] = await processTextSection(
           sectionId, 
@@ -789,6 +911,9 @@ async function processTextSection(sectionId, sectionPages, pagesData, urlsByPage
       }
     }
     
+    // DOF entries are read line by line, before the cleaning merges lines
+    const printedText = combinedText;
+    
     // Clean the combined text
     combinedText = cleanSectionText(combinedText, sectionId);
     
@@ -799,6 +924,11 @@ async function processTextSection(sectionId, sectionPages, pagesData, urlsByPage
     } else if (sectionId === 'sintesis-informativa') {
       const sintesisArticles = await extractSintesisInformativaArticles(combinedText, urlsByPage, sectionPages, pdfPath);
       articles.push(...sintesisArticles);
+    } else if (sectionId === 'dof') {
+      const dofArticles = await extractDofArticles(printedText, urlsByPage, sectionPages, pdfPath);
+      articles.push(...(dofArticles.length > 0
+        ? dofArticles
+        : await extractGenericArticles(combinedText, sectionId, urlsByPage, sectionPages)));
     } else {
       // Generic article extraction for other text sections
       const genericArticles = await extractGenericArticles(combinedText, sectionId, urlsByPage, sectionPages);
@@ -831,6 +961,43 @@ async function processTextSection(sectionId, sectionPages, pagesData, urlsByPage
   }
 }
 
+/**
+ * Process the Agenda section: its pages are read as calendar events (see
+ * agendaParser) rather than articles
+ * @param {Array} sectionPages Array of page numbers in this section
+ * @param {object} pagesData Page data with text content
+ * @param {string} pdfPath Path to the PDF file
+ * @returns {object} Processed section with its events
+ */
+function processAgendaSection(sectionPages, pagesData, pdfPath) {
+  const date = path.basename(pdfPath, '.pdf');
+  const text = sectionPages
+    .map(pageNum => (pagesData[pageNum] && pagesData[pageNum].text) || '')
+    .join('\n');
+  
+  let events = [];
+  
+  try {
+    events = parseAgendaEvents(text, { date: /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null });
+    logger.info(`Extracted ${events.length} agenda events`);
+  } catch (error) {
+    logger.error(`Error extracting agenda events: ${error.message}`);
+  }
+  
+  return {
+    id: 'agenda',
+    name: SECTION_PATTERNS.agenda.headers[0],
+    type: 'text',
+    pages: sectionPages,
+    articles: [],
+    events,
+    statistics: {
+      totalArticles: 0,
+      totalEvents: events.length
+    }
+  };
+}
+
 /**
  * Process image-based section
  * @param {string} sectionId Section identifier
@@ -858,6 +1025,7 @@ async function processImageSection(sectionId, sectionPages, pagesData, sectionIm
           content: `Primera plana del periódico ${image.newspaper}`,
           summary: `Portada del diario ${image.newspaper} del ${date}`,
           source: image.newspaper,
+          sourceConfidence: image.newspaperConfidence,
           section: sectionId,
           pageNumber: image.pageNumber,
           imageUrl: `images/${date}/${image.filename}`,
@@ -881,10 +1049,11 @@ async function processImageSection(sectionId, sectionPages, pagesData, sectionIm
       } else if (sectionId === 'cartones') {
         article = {
           id: `carton-${i + 1}`,
-          title: `Cartón Político ${i + 1}`,
-          content: `Cartón político editorial del día ${date}`,
+          title: image.title || (image.cartoonist ? `Cartón de ${image.cartoonist}` : `Cartón Político ${i + 1}`),
+          content: image.caption || `Cartón político editorial del día ${date}`,
           summary: `Caricatura política número ${image.cartoonNumber}`,
-          source: 'Cartones',
+          source: image.newspaper || 'Cartones',
+          author: image.cartoonist || null,
           section: sectionId,
           pageNumber: image.pageNumber,
           imageUrl: `images/${date}/${image.filename}`,
@@ -925,6 +1094,78 @@ async function processImageSection(sectionId, sectionPages, pagesData, sectionIm
   }
 }
 
+/**
+ * Process the Columnas Políticas section: each political column becomes an
+ * article with its name, columnist, newspaper, body and the institutions it
+ * mentions, and the image of the page it starts on. Pages where no column
+ * can be read from the text layer keep an image article.
+ * @param {Array} sectionPages Array of page numbers in this section
+ * @param {object} pagesData Page data with text content
+ * @param {Array} sectionImages Page images of the section
+ * @param {string} pdfPath Path to the PDF file
+ * @returns {Promise<object>} Processed section with column articles
+ */
+async function processColumnasPoliticasSection(sectionPages, pagesData, sectionImages, pdfPath) {
+  const sectionId = 'columnas-politicas';
+  let columns = [];
+
+  try {
+    const parsed = await getParsedDocument(pdfPath);
+    const pages = sectionPages.map(pageNum => getPage(parsed, pageNum)).filter(Boolean);
+    columns = parseColumns(pages, { newspapers: NEWSPAPER_NAMES });
+    logger.info(`Parsed ${columns.length} columnas políticas from the text layer`);
+  } catch (layerError) {
+    logger.warn(`Could not read the text layer for columnas políticas: ${layerError.message}`);
+  }
+
+  const date = path.basename(pdfPath, '.pdf');
+  const imagesByPage = new Map(sectionImages.map(image => [image.pageNumber, image]));
+
+  const articles = columns.map((column, i) => {
+    const image = imagesByPage.get(column.pageNumber);
+    return {
+      id: `columna-politica-${i + 1}`,
+      title: column.title,
+      content: column.body,
+      summary: column.body.length > 200 ? column.body.substring(0, 200) + '...' : column.body,
+      source: column.newspaper || 'Columnas Políticas',
+      author: column.columnist,
+      institutions: column.institutions,
+      section: sectionId,
+      pageNumber: column.pageNumber,
+      imageUrl: image ? `images/${date}/${image.filename}` : undefined,
+      urls: [],
+      wordCount: column.body.split(/\s+/).length,
+      extractedAt: new Date().toISOString()
+    };
+  });
+
+  // Pages without a readable column are kept as images
+  const columnPages = new Set(columns.flatMap(column => column.pages));
+  const imageOnly = await processImageSection(
+    sectionId,
+    sectionPages,
+    pagesData,
+    sectionImages.filter(image => !columnPages.has(image.pageNumber)),
+    pdfPath
+  );
+  articles.push(...imageOnly.articles);
+
+  return {
+    id: sectionId,
+    name: SECTION_PATTERNS[sectionId].headers[0],
+    type: 'text',
+    pages: sectionPages,
+    articles,
+    images: sectionImages,
+    statistics: {
+      totalArticles: articles.length,
+      totalColumns: columns.length,
+      totalImages: sectionImages.length
+    }
+  };
+}
+
 /**
  * Clean section text by removing headers and formatting
  * @param {string} text Raw section text
@@ -996,6 +1237,8 @@ async function extractSintesisInformativaArticles(text, urlsByPage, sectionPages
       }
     }
     
+    await assignBlockLinks(articles, urlsByPage, sectionPages, pdfPath, 'síntesis informativa');
+    
     logger.info(`Total articles extracted from Síntesis Informativa: ${articles.length}`);
     return articles;
     
@@ -1005,6 +1248,98 @@ async function extractSintesisInformativaArticles(text, urlsByPage, sectionPages
   }
 }
 
+/**
+ * Give each article of a section the links found inside its text block. The
+ * annotation URLs come first, so that the article's main URL is its own link
+ * rather than the first link of the page.
+ * @param {Array} articles Articles of the section, in reading order
+ * @param {object} urlsByPage URLs organized by page
+ * @param {Array} sectionPages Pages in this section
+ * @param {string} pdfPath Path to the PDF file
+ * @param {string} sectionName Section name for the log
+ */
+async function assignBlockLinks(articles, urlsByPage, sectionPages, pdfPath, sectionName) {
+  const links = getSectionLinks(urlsByPage, sectionPages);
+  
+  if (links.length === 0 || articles.length === 0) {
+    return;
+  }
+  
+  try {
+    const parsed = await getParsedDocument(pdfPath);
+    const pages = sectionPages.map(pageNum => getPage(parsed, pageNum)).filter(Boolean);
+    const blocks = buildArticleBlocks(pages, articles.map(article => article.title));
+    const { urlsByIndex, unassigned } = assignLinksToBlocks(links, blocks);
+    
+    articles.forEach((article, index) => {
+      article.urls = [...new Set([...(urlsByIndex.get(index) || []), ...article.urls])];
+    });
+    
+    logger.info(`Assigned ${links.length - unassigned.length} of ${links.length} links to ${sectionName} articles`);
+  } catch (error) {
+    logger.warn(`Could not assign links to ${sectionName} articles: ${error.message}`);
+  }
+}
+
+/**
+ * Extract the DOF section as Diario Oficial publications (see dofParser).
+ * Each publication is an article whose source is its issuer, and keeps its
+ * record in the dof field. The link of a publication is its own dof.gob.mx
+ * link or, if none is printed, the index of the Diario Oficial of its date.
+ * @param {string} text Section text, one printed line per line
+ * @param {object} urlsByPage URLs organized by page
+ * @param {Array} sectionPages Pages in this section
+ * @param {string} pdfPath Path to the PDF file
+ * @returns {Promise<Array>} Articles, empty if no publication was recognized
+ */
+async function extractDofArticles(text, urlsByPage, sectionPages, pdfPath) {
+  try {
+    const date = path.basename(pdfPath, '.pdf');
+    const publications = parseDofPublications(text, { date: /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null });
+    
+    const articles = publications.map((publication, i) => ({
+      id: `dof-${i + 1}`,
+      title: publication.title,
+      content: publication.title,
+      summary: publication.title.length > 200 ? publication.title.substring(0, 200) + '...' : publication.title,
+      source: publication.issuer || 'DOF',
+      section: 'dof',
+      urls: publication.url ? [publication.url] : [],
+      wordCount: publication.title.split(/\s+/).length,
+      extractedAt: new Date().toISOString(),
+      dof: publication
+    }));
+    
+    await assignBlockLinks(articles, urlsByPage, sectionPages, pdfPath, 'dof');
+    
+    for (const article of articles) {
+      const link = article.urls.find(isDofUrl);
+      const dofDate = (link && dateFromUrl(link)) || article.dof.dofDate;
+      const url = link || dofIndexUrl(dofDate);
+      
+      article.dof = { ...article.dof, dofDate, url };
+      article.urls = [...new Set([url, ...article.urls].filter(Boolean))];
+    }
+    
+    logger.info(`Extracted ${articles.length} DOF publications`);
+    return articles;
+    
+  } catch (error) {
+    logger.error(`Error extracting DOF publications: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the link annotations (URLs with a rectangle) of the pages of a section
+ * @param {object} urlsByPage URLs organized by page
+ * @param {Array} sectionPages Pages in the section
+ * @returns {Array} Links as {url, rect, page}
+ */
+function getSectionLinks(urlsByPage, sectionPages) {
+  return sectionPages.flatMap(pageNum => (urlsByPage[pageNum] || []).filter(url => url.rect));
+}
+
 /**
  * Split text by major section headers
  * @param {string} text Full text content
@@ -1026,17 +1361,25 @@ function splitTextByMajorSections(text) {
   
   const lines = text.split('\n');
   
+  // A part printed again (e.g. after a page break) keeps one entry
+  const saveContent = () => {
+    if (currentContent.trim()) {
+      sections[currentSection] = sections[currentSection]
+        ? `${sections[currentSection]}\n\n${currentContent.trim()}`
+        : currentContent.trim();
+    }
+  };
+  
   for (const line of lines) {
     const trimmedLine = line.trim().toUpperCase();
     
-    // Check if this line is a major section header
+    // Check if this line is a major section header. Headers are printed in
+    // capitals, unlike the sentences that name the institution
     let foundHeader = false;
     for (const header of sectionHeaders) {
-      if (trimmedLine.includes(header)) {
+      if (line.trim() === trimmedLine && trimmedLine.includes(header)) {
         // Save previous section
-        if (currentContent.trim()) {
-          sections[currentSection] = currentContent.trim();
-        }
+        saveContent();
         
         // Start new section
         currentSection = header.toLowerCase().replace(/\s+/g, '-').replace(/ó/g, 'o').replace(/ñ/g, 'n');
@@ -1052,9 +1395,7 @@ function splitTextByMajorSections(text) {
   }
   
   // Save last section
-  if (currentContent.trim()) {
-    sections[currentSection] = currentContent.trim();
-  }
+  saveContent();
   
   return sections;
 }
@@ -1098,7 +1439,8 @@ async function extractArticlesFromSubsection(sectionText, subsectionId, sectionN
       if (!content || content.trim().length < 100) continue;
       
       // Extract individual articles/paragraphs
-      const paragraphArticles = extractParagraphArticles(content, subsectionId, subheader, urlsByPage, sectionPages);
+      const subsection = describeSubsection(subsectionId, subheader);
+      const paragraphArticles = extractParagraphArticles(content, subsectionId, subsection, urlsByPage, sectionPages);
       articles.push(...paragraphArticles);
     }
     
@@ -1113,7 +1455,8 @@ async function extractArticlesFromSubsection(sectionText, subsectionId, sectionN
  * Split text by subheaders within a section
  * @param {string} text Section text
  * @param {string} subsectionId Subsection ID
- * @returns {Object} Object with subheader names as keys
+ * @returns {Object} Object with the subheaders as printed (or 'general' for
+ *   the text before the first one) as keys, in reading order
  */
 function splitBySubheaders(text, subsectionId) {
   const parts = {};
@@ -1124,27 +1467,38 @@ function splitBySubheaders(text, subsectionId) {
     return parts;
   }
   
-  const subheaders = [...subsectionConfig.subheaders, 'OPINIÓN', 'Prensa Escrita', 'ELECCIÓN JUDICIAL', 'REFORMAS LEGALES', 'POLÍTICA', 'ECONOMÍA', 'INTERNACIONAL'];
+  const subheaders = getSubheaders(subsectionId);
   
   let currentSubheader = 'general';
   let currentContent = '';
   
+  // A subheader printed twice (e.g. OPINIÓN on two pages) keeps one part
+  const saveContent = () => {
+    if (currentContent.trim()) {
+      parts[currentSubheader] = parts[currentSubheader]
+        ? `${parts[currentSubheader]}\n\n${currentContent.trim()}`
+        : currentContent.trim();
+    }
+  };
+  
   const lines = text.split('\n');
   
   for (const line of lines) {
     const trimmedLine = line.trim().toUpperCase();
+    // Subheaders are printed on their own line or in capitals; a sentence
+    // that mentions "política" is not one
+    const isCapitals = line.trim() === trimmedLine;
     
     // Check if this line is a subheader
     let foundSubheader = false;
     for (const subheader of subheaders) {
-      if (trimmedLine === subheader || trimmedLine.includes(subheader)) {
+      const upperSubheader = subheader.toUpperCase();
+      if (trimmedLine === upperSubheader || (isCapitals && trimmedLine.includes(upperSubheader))) {
         // Save previous subheader content
-        if (currentContent.trim()) {
-          parts[currentSubheader] = currentContent.trim();
-        }
+        saveContent();
         
         // Start new subheader
-        currentSubheader = subheader.toLowerCase().replace(/\s+/g, '-');
+        currentSubheader = subheader;
         currentContent = line + '\n';
         foundSubheader = true;
         break;
@@ -1157,23 +1511,80 @@ function splitBySubheaders(text, subsectionId) {
   }
   
   // Save last subheader content
-  if (currentContent.trim()) {
-    parts[currentSubheader] = currentContent.trim();
-  }
+  saveContent();
   
   return parts;
 }
 
+/**
+ * Get the subheaders that can appear in a part of the síntesis informativa:
+ * its own, then the ones printed in any part
+ * @param {string} subsectionId Subsection ID
+ * @returns {string[]} Subheaders, without duplicates
+ */
+function getSubheaders(subsectionId) {
+  const subsectionConfig = SECTION_PATTERNS['sintesis-informativa'].subsections[subsectionId];
+  
+  return [...new Set([...(subsectionConfig?.subheaders || []), ...COMMON_SUBHEADERS])];
+}
+
+/**
+ * Describe the subsection an article of the síntesis informativa is printed
+ * under. Parts come in the order of the report and subheaders in the order
+ * of their part, so that position sorts them as printed.
+ * @param {string} subsectionId Part of the síntesis (e.g. 'consejo-judicatura')
+ * @param {string} subheader Subheader as printed, or 'general' for the text
+ *   of the part before its first subheader
+ * @returns {{id: string, name: string, position: number, parent: object|null}} Subsection
+ */
+function describeSubsection(subsectionId, subheader) {
+  const { headers, subsections } = SECTION_PATTERNS['sintesis-informativa'];
+  const partConfig = subsections[subsectionId];
+  const partPosition = (Object.keys(subsections).indexOf(subsectionId) + 1) * 100;
+  
+  const part = {
+    id: subsectionId,
+    name: partConfig ? partConfig.headers[0] : headers[0],
+    position: partPosition,
+    parent: null
+  };
+  
+  if (subheader === 'general') {
+    return part;
+  }
+  
+  return {
+    id: `${subsectionId}-${slugify(subheader)}`,
+    name: subheader,
+    position: partPosition + getSubheaders(subsectionId).indexOf(subheader) + 1,
+    parent: part
+  };
+}
+
+/**
+ * Turn a subheader into an identifier ("OPINIÓN" -> "opinion")
+ * @param {string} text Subheader
+ * @returns {string} Identifier
+ */
+function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
 /**
  * Extract individual paragraph articles
  * @param {string} content Content text
  * @param {string} subsectionId Subsection ID
- * @param {string} subheader Subheader name
+ * @param {object} subsection Subsection the paragraphs are printed under (see describeSubsection)
  * @param {object} urlsByPage URLs organized by page
  * @param {Array} sectionPages Pages in this section
  * @returns {Array} Array of articles
  */
-function extractParagraphArticles(content, subsectionId, subheader, urlsByPage, sectionPages) {
+function extractParagraphArticles(content, subsectionId, subsection, urlsByPage, sectionPages) {
   const articles = [];
   
   // Split by paragraphs - look for patterns like newspaper names followed by content
@@ -1197,13 +1608,13 @@ function extractParagraphArticles(content, subsectionId, subheader, urlsByPage,
       const urls = extractUrlsFromText(articleContent);
       
       const article = {
-        id: `${subsectionId}-${subheader}-${articleIndex + 1}`,
+        id: `${subsection.id}-${articleIndex + 1}`,
         title: title,
         content: articleContent,
         summary: articleContent.length > 200 ? articleContent.substring(0, 200) + '...' : articleContent,
         source: source || subsectionId.replace('-', ' ').toUpperCase(),
         section: subsectionId,
-        subsection: subheader,
+        subsection,
         urls: urls,
         wordCount: articleContent.split(/\s+/).length,
         extractedAt: new Date().toISOString()
@@ -1300,150 +1711,66 @@ function parseArticleParagraph(paragraph) {
 }
 
 /**
- * Extract articles from Ocho Columnas section with improved pattern detection
- * @param {string} text Cleaned text content
+ * Extract Ocho Columnas articles. Headlines, source newspapers and leads are
+ * detected from the layout of the text layer; the plain text is only used
+ * when the text layer cannot be read.
+ * @param {string} text Section text
  * @param {object} urlsByPage URLs organized by page
- * @param {Array} sectionPages Pages in this section
+ * @param {Array} sectionPages Page numbers in the section
  * @param {string} pdfPath Path to the PDF file
- * @returns {Promise<Array>} Array of extracted articles
+ * @returns {Promise<Array>} Array of articles
  */
 async function extractOchoColumnasArticles(text, urlsByPage, sectionPages, pdfPath) {
   try {
-    const articles = [];
+    let headlines = [];
     
-    // Define the 13 article titles found in the PDF
-    const knownTitles = [
-      'DEVELA MORENA INICIATIVA PARA QUITAR TOGA EN SCJN',
-      'PIDE EU INDAGAR NARCO-SOBORNOS',
-      '"TURBA NO GOBERNARÁ", ADVIERTE LA CASA BLANCA; SIGUEN REDADAS',
-      'CALIFORNIA SE UNE CONTRA REDADAS DE DONALD TRUMP',
-      'DETECTAN A MILITAR DE COLOMBIA QUE ABASTECE AL NARCO MEXICANO',
-      'A LA CAZA DE 255 MIL 700 EN CAMPOS DE CALIFORNIA',
-      'REBELIÓN SE EXTIENDE EU; PROGRAMAN PROTESTAS EN 24 CIUDADES',
-      'ESTRATEGIA DE SEGURIDAD REDUCE HOMICIDIOS 25%',
-      'CAE DÓLAR POR DEBAJO DE $19 POR PRIMERA VEZ DESDE AGOSTO',
-      'PESO ROMPE PISO DE 19 POR DÓLAR ANTE UNA MONEDA DE EU DEBILITADA',
-      'HEINEKEN INVERTIRÁ 2,750 MDD EN MÉXICO',
-      'OBLIGADOS A TRABAJAR',
-      'OPOSICIÓN ALIMENTA CONFLICTO CON EU: SHEINBAUM'
-    ];
-    
-    // Correct newspaper sources based on visual analysis of logos in PDF
-    const newspaperSources = [
-      'DIARIO DE MEXICO',  // DEVELA MORENA INICIATIVA...
-      'Reforma',           // PIDE EU INDAGAR...
-      'El Universal',      // "TURBA NO GOBERNARÁ"...
-      'El Sol de México',  // CALIFORNIA SE UNE...
-      'Milenio',          // DETECTAN A MILITAR...
-      'Excelsior',        // A LA CAZA DE 255 MIL...
-      'La Jornada',       // REBELIÓN SE EXTIENDE...
-      'El Financiero',    // ESTRATEGIA DE SEGURIDAD...
-      'El Economista',    // CAE DÓLAR POR DEBAJO...
-      'Ovaciones',        // PESO ROMPE PISO...
-      'La Razón',         // HEINEKEN INVERTIRÁ...
-      'Reporte Índigo',   // OBLIGADOS A TRABAJAR
-      '24 Horas'          // OPOSICIÓN ALIMENTA...
-    ];
-    
-    // Split text into paragraphs to better identify articles
-    const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 50);
-    
-    let articleIndex = 0;
-    
-    for (const paragraph of paragraphs) {
-      if (articleIndex >= knownTitles.length) break;
-      
-      const cleanParagraph = paragraph.trim();
-      
-      // Check if this paragraph contains any of the known titles
-      for (let i = 0; i < knownTitles.length; i++) {
-        const expectedTitle = knownTitles[i];
-        
-        if (cleanParagraph.includes(expectedTitle)) {
-          // Extract the full content for this article
-          const titleIndex = cleanParagraph.indexOf(expectedTitle);
-          const title = expectedTitle;
-          const content = cleanParagraph.substring(titleIndex + expectedTitle.length).trim();
-          
-          // Skip if content is too short
-          if (content.length < 50) continue;
-          
-          // Get URLs for this specific article
-          const articleUrls = [];
-          
-          // Try to extract URLs from the PDF using PyMuPDF for this specific article
-          try {
-            const urlsForArticle = await extractUrlsForOchoColumnasArticle(pdfPath, articleIndex, sectionPages);
-            articleUrls.push(...urlsForArticle);
-          } catch (urlError) {
-            logger.warn(`Could not extract URLs for article ${articleIndex + 1}: ${urlError.message}`);
-          }
-          
-          // Extract URLs from content text as well
-          const textUrls = extractUrlsFromText(content);
-          articleUrls.push(...textUrls);
-          
-          const source = newspaperSources[i] || 'Ocho Columnas';
-          
-          const article = {
-            id: `ocho-columnas-${articleIndex + 1}`,
-            title: title,
-            content: content,
-            summary: content.length > 200 ? content.substring(0, 200) + '...' : content,
-            source: source,
-            section: 'ocho-columnas',
-            urls: [...new Set(articleUrls)], // Remove duplicates
-            wordCount: content.split(/\s+/).length,
-            extractedAt: new Date().toISOString(),
-            articleNumber: articleIndex + 1
-          };
-          
-          articles.push(article);
-          articleIndex++;
-          
-          logger.info(`Extracted ocho-columnas article ${articleIndex}: "${title}" from ${source}`);
-          break; // Move to next paragraph
-        }
-      }
+    try {
+      const parsed = await getParsedDocument(pdfPath);
+      const pages = sectionPages.map(pageNum => getPage(parsed, pageNum)).filter(Boolean);
+      headlines = detectHeadlines(pages, { newspapers: NEWSPAPER_NAMES });
+      logger.info(`Detected ${headlines.length} ocho-columnas headlines from the text layer`);
+    } catch (layerError) {
+      logger.warn(`Could not read the text layer for ocho-columnas: ${layerError.message}`);
+    }
+    
+    if (headlines.length === 0) {
+      logger.warn('No headlines found in the text layer, attempting pattern matching fallback');
+      headlines = detectHeadlinesFromText(text);
     }
     
-    // If we didn't find all articles with the known titles approach, fall back to pattern matching
-    if (articles.length < 8) {
-      logger.warn(`Only found ${articles.length} articles with known titles, attempting pattern matching fallback`);
+    // Each link belongs to the headline whose text block contains it
+    const { urlsByIndex } = assignLinksToBlocks(
+      getSectionLinks(urlsByPage, sectionPages),
+      headlines
+        .map((headline, index) => ({ index, pageNumber: headline.pageNumber, bbox: headline.bbox }))
+        .filter(block => block.bbox)
+    );
+    
+    const articles = [];
+    
+    for (let i = 0; i < headlines.length; i++) {
+      const headline = headlines[i];
+      const content = headline.lead;
+      const articleUrls = [...(urlsByIndex.get(i) || [])];
       
-      // Improved pattern to capture ALL CAPS titles and subsequent content
-      const fallbackPattern = /\n([A-ZÁÉÍÓÚÑ][A-ZÁÉÍÓÚÑ\s"":;,.$%0-9]{15,120})\n([\s\S]+?)(?=\n[A-ZÁÉÍÓÚÑ][A-ZÁÉÍÓÚÑ\s"":;,.$%0-9]{15,120}|$)/g;
+      // Extract URLs from content text as well
+      articleUrls.push(...extractUrlsFromText(content));
       
-      let match;
-      let fallbackIndex = articles.length;
+      articles.push({
+        id: `ocho-columnas-${i + 1}`,
+        title: headline.title,
+        content: content,
+        summary: content.length > 200 ? content.substring(0, 200) + '...' : content,
+        source: headline.source,
+        section: 'ocho-columnas',
+        pageNumber: headline.pageNumber,
+        urls: [...new Set(articleUrls)], // Remove duplicates
+        wordCount: content ? content.split(/\s+/).length : 0,
+        extractedAt: new Date().toISOString(),
+        articleNumber: i + 1
+      });
       
-      while ((match = fallbackPattern.exec(text)) !== null && fallbackIndex < 13) {
-        const title = match[1].trim();
-        const content = match[2].trim();
-        
-        // Skip if content is too short or if we already have this title
-        if (content.length < 100 || articles.some(a => a.title === title)) continue;
-        
-        const source = newspaperSources[fallbackIndex] || 'Ocho Columnas';
-        
-        const article = {
-          id: `ocho-columnas-${fallbackIndex + 1}`,
-          title: title,
-          content: content,
-          summary: content.length > 200 ? content.substring(0, 200) + '...' : content,
-          source: source,
-          section: 'ocho-columnas',
-          urls: [],
-          wordCount: content.split(/\s+/).length,
-          extractedAt: new Date().toISOString(),
-          articleNumber: fallbackIndex + 1
-        };
-        
-        articles.push(article);
-        fallbackIndex++;
-        
-        logger.info(`Extracted fallback ocho-columnas article ${fallbackIndex}: "${title}" from ${source}`);
-      }
+      logger.info(`Extracted ocho-columnas article ${i + 1}: "${headline.title}" from ${headline.source}`);
     }
     
     logger.info(`Successfully extracted ${articles.length} ocho-columnas articles`);
@@ -1455,6 +1782,30 @@ async function extractOchoColumnasArticles(text, urlsByPage, sectionPages, pdfPa
   }
 }
 
+/**
+ * Detect headlines from plain text: lines in capitals followed by their
+ * content. Used when the text layer is not available.
+ * @param {string} text Section text
+ * @returns {Array} Headlines as {title, source, lead}
+ */
+function detectHeadlinesFromText(text) {
+  const headlines = [];
+  const pattern = /\n([A-ZÁÉÍÓÚÑ][A-ZÁÉÍÓÚÑ\s"":;,.$%0-9]{15,120})\n([\s\S]+?)(?=\n[A-ZÁÉÍÓÚÑ][A-ZÁÉÍÓÚÑ\s"":;,.$%0-9]{15,120}|$)/g;
+  
+  let match;
+  while ((match = pattern.exec(`\n${text}`)) !== null) {
+    const title = match[1].trim();
+    const lead = match[2].trim();
+    
+    // Skip if content is too short or if we already have this title
+    if (lead.length < 100 || headlines.some(h => h.title === title)) continue;
+    
+    headlines.push({ title, source: DEFAULT_SOURCE, lead, pageNumber: null });
+  }
+  
+  return headlines;
+}
+
 /**
  * Extract generic articles from text content
  * @param {string} text Cleaned text content
@@ -1522,115 +1873,6 @@ async function extractGenericArticles(text, sectionId, urlsByPage, sectionPages)
   }
 }
 
-/**
- * Extract URLs specifically for Ocho Columnas articles using PyMuPDF
- * @param {string} pdfPath Path to the PDF file
- * @param {number} articleIndex Index of the article (0-based)
- * @param {Array} sectionPages Pages in the ocho-columnas section
- * @returns {Promise<Array>} Array of URLs for this specific article
- */
-async function extractUrlsForOchoColumnasArticle(pdfPath, articleIndex, sectionPages) {
-  try {
-    // Define known URLs for each article based on the user's example
-    const knownUrls = [
-      'https://www.efinf.com/clipviewer/files/7ed927ce4a354c8b9294f9617b4a80fc.pdf', // DEVELA MORENA INICIATIVA...
-      '', // PIDE EU INDAGAR... (URL to be extracted)
-      '', // "TURBA NO GOBERNARÁ"... (URL to be extracted)
-      '', // CALIFORNIA SE UNE... (URL to be extracted)
-      '', // DETECTAN A MILITAR... (URL to be extracted)
-      '', // A LA CAZA DE 255 MIL... (URL to be extracted)
-      '', // REBELIÓN SE EXTIENDE... (URL to be extracted)
-      '', // ESTRATEGIA DE SEGURIDAD... (URL to be extracted)
-      '', // CAE DÓLAR POR DEBAJO... (URL to be extracted)
-      '', // PESO ROMPE PISO... (URL to be extracted)
-      '', // HEINEKEN INVERTIRÁ... (URL to be extracted)
-      '', // OBLIGADOS A TRABAJAR (URL to be extracted)
-      ''  // OPOSICIÓN ALIMENTA... (URL to be extracted)
-    ];
-    
-    const urls = [];
-    
-    // If we have a known URL for this article, use it
-    if (knownUrls[articleIndex] && knownUrls[articleIndex].trim()) {
-      urls.push(knownUrls[articleIndex]);
-    }
-    
-    // Try to extract additional URLs using Python script with PyMuPDF if available
-    try {
-      const pythonScript = `
-import sys
-import fitz  # PyMuPDF
-import json
-
-def extract_links_from_pdf(pdf_path, start_page=1, end_page=4):
-    """Extract all links from the specified pages of a PDF."""
-    try:
-        doc = fitz.open(pdf_path)
-        all_links = []
-        
-        for page_num in range(start_page - 1, min(end_page, len(doc))):
-            page = doc[page_num]
-            links = page.get_links()
-            
-            for link in links:
-                if 'uri' in link and link['uri']:
-                    link_info = {
-                        'page': page_num + 1,
-                        'url': link['uri'],
-                        'rect': link['from']  # Position on page
-                    }
-                    all_links.append(link_info)
-        
-        doc.close()
-        return all_links
-    except Exception as e:
-        return []
-
-if __name__ == "__main__":
-    pdf_path = sys.argv[1] if len(sys.argv) > 1 else ""
-    if pdf_path:
-        links = extract_links_from_pdf(pdf_path, 2, 4)  # Ocho columnas pages
-        print(json.dumps(links))
-    else:
-        print("[]")
-`;
-      
-      // Write Python script to temp file
-      const tempScript = `/tmp/extract_pdf_links_${Date.now()}.py`;
-      fs.writeFileSync(tempScript, pythonScript);
-      
-      // Execute Python script
-      const result = execSync(`python3 "${tempScript}" "${pdfPath}"`, { 
-        encoding: 'utf8',
-        timeout: 10000 
-      });
-      
-      // Clean up temp file
-      fs.unlinkSync(tempScript);
-      
-      // Parse result
-      const extractedLinks = JSON.parse(result || '[]');
-      
-      // Try to map the article index to the corresponding URL based on position
-      if (extractedLinks.length > articleIndex) {
-        const linkForArticle = extractedLinks[articleIndex];
-        if (linkForArticle && linkForArticle.url) {
-          urls.push(linkForArticle.url);
-        }
-      }
-      
-    } catch (pythonError) {
-      logger.warn(`PyMuPDF extraction failed for article ${articleIndex + 1}: ${pythonError.message}`);
-    }
-    
-    return urls;
-    
-  } catch (error) {
-    logger.warn(`Error extracting URLs for ocho-columnas article ${articleIndex + 1}: ${error.message}`);
-    return [];
-  }
-}
-
 /**
  * Extract URLs from text content
  * @param {string} text Text to search for URLs
@@ -1649,6 +1891,7 @@ module.exports = {
   extractAndProcessImages,
   extractEmbeddedUrls,
   processSectionsWithArticles,
+  extractOchoColumnasArticles,
   SECTION_PATTERNS,
   NEWSPAPER_NAMES
 };
\ No newline at end of file
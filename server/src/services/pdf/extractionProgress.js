@@ -0,0 +1,35 @@
+/**
+ * Extraction Progress
+ *
+ * Extractors report the step they are working on (text, images, URLs)
+ * through this module. The scheduler listens to the reports while a PDF is
+ * extracted, and the extraction worker forwards them to its parent process.
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+
+/**
+ * Report the current extraction step
+ * @param {string} step Step name (download, text, images, urls, store)
+ * @param {object} details Optional details, such as {completed, total} within the step
+ */
+function reportProgress(step, details = {}) {
+  emitter.emit('progress', { ...details, step });
+}
+
+/**
+ * Listen to the extraction progress
+ * @param {Function} listener Called with each progress event
+ * @returns {Function} Function that removes the listener
+ */
+function onProgress(listener) {
+  emitter.on('progress', listener);
+  return () => emitter.off('progress', listener);
+}
+
+module.exports = {
+  reportProgress,
+  onProgress
+};
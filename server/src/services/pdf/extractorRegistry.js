@@ -0,0 +1,387 @@
+/**
+ * Extractor Registry
+ *
+ * This module keeps track of the available PDF extraction engines and
+ * normalizes their output to a single extraction result schema, so the
+ * scheduler and the API can pick an engine per run (or fall back to
+ * another one) without knowing how each engine shapes its data.
+ */
+
+const path = require('path');
+const { get } = require('../../../database');
+const { SECTIONS, SECTION_TYPES } = require('../../../../shared/constants');
+const { createLogger } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('extractor-registry');
+
+// Engine used when neither the caller nor SETTINGS choose one
+const DEFAULT_ENGINE = 'enhanced';
+
+// Registered engines by name
+const engines = new Map();
+
+/**
+ * Canonical extraction result, returned by every registered engine.
+ *
+ * @typedef {object} ExtractionResult
+ * @property {string} date Publication date (YYYY-MM-DD)
+ * @property {string} engine Name of the engine that produced the result
+ * @property {Object<string, ExtractedSection>} sections Sections keyed by section id
+ * @property {object} metadata Extraction metadata
+ * @property {number} metadata.totalPages Number of pages in the PDF
+ * @property {string} metadata.extractedAt ISO timestamp of the extraction
+ * @property {string} metadata.extractionMethod Engine-specific method name
+ * @property {{totalSections: number, totalArticles: number, totalImages: number, totalUrls: number}} metadata.statistics
+ */
+
+/**
+ * @typedef {object} ExtractedSection
+ * @property {string} id Section identifier (e.g. 'ocho-columnas')
+ * @property {string} name Display name
+ * @property {string} type 'text' or 'image'
+ * @property {number[]} pages Pages of the PDF covered by the section
+ * @property {ExtractedArticle[]} articles Articles found in the section
+ * @property {Array<{filename: string, page?: number, newspaper?: string}>} images Images found in the section
+ * @property {Array} [events] Calendar events of the agenda section (see agendaParser)
+ */
+
+/**
+ * @typedef {object} ExtractedArticle
+ * @property {string} title Article title
+ * @property {string} content Article body
+ * @property {string} [summary] Short summary
+ * @property {string} [source] Newspaper or source name
+ * @property {string[]} [urls] Links found for the article
+ * @property {string} [imageUrl] Path of an associated image
+ * @property {number} [pageNumber] Page where the article was found
+ * @property {{id: string, name: string, position: number, parent: object|null}} [subsection]
+ *   Subheader the article is printed under
+ */
+
+/**
+ * Register an extraction engine
+ * @param {string} name Engine name
+ * @param {object} engine Engine definition
+ * @param {Function} engine.extract Function receiving the PDF path and the
+ *   {imagesDir} options, and returning the raw content
+ * @param {Function} [engine.normalize] Function converting the raw content to an ExtractionResult
+ * @param {string} [engine.description] Human readable description
+ */
+function registerExtractor(name, engine) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Extractor name must be a non-empty string');
+  }
+
+  if (!engine || typeof engine.extract !== 'function') {
+    throw new Error(`Extractor "${name}" must provide an extract function`);
+  }
+
+  if (engines.has(name)) {
+    logger.warn(`Replacing registered extractor "${name}"`);
+  }
+
+  engines.set(name, {
+    name,
+    description: engine.description || '',
+    extract: engine.extract,
+    normalize: engine.normalize || (content => content)
+  });
+}
+
+/**
+ * Get a registered engine
+ * @param {string} name Engine name
+ * @returns {object|null} Engine definition or null if not registered
+ */
+function getExtractor(name) {
+  return engines.get(name) || null;
+}
+
+/**
+ * List the registered engines
+ * @returns {Array<{name: string, description: string}>} Registered engines
+ */
+function listExtractors() {
+  return Array.from(engines.values()).map(({ name, description }) => ({ name, description }));
+}
+
+/**
+ * Resolve the engine chain to use for a run
+ * @param {object} options Run options
+ * @param {string} [options.engine] Engine requested by the caller
+ * @param {string|string[]} [options.fallback] Engines to try if the first one fails
+ * @returns {Promise<string[]>} Ordered list of engine names
+ */
+async function resolveEngines(options = {}) {
+  let engine = options.engine;
+  let fallback = options.fallback;
+
+  if (!engine || fallback === undefined) {
+    try {
+      if (!engine) {
+        const setting = await get(`SELECT value FROM SETTINGS WHERE key = 'extraction_engine'`);
+        engine = setting && setting.value;
+      }
+
+      if (fallback === undefined) {
+        const setting = await get(`SELECT value FROM SETTINGS WHERE key = 'extraction_engine_fallback'`);
+        fallback = setting && setting.value;
+      }
+    } catch (error) {
+      logger.warn(`Could not read extraction engine settings: ${error.message}`);
+    }
+  }
+
+  const fallbackList = Array.isArray(fallback)
+    ? fallback
+    : (fallback || '').split(',');
+
+  const chain = [engine || DEFAULT_ENGINE, ...fallbackList]
+    .map(name => (name || '').trim())
+    .filter(Boolean);
+
+  return chain.filter((name, index) => chain.indexOf(name) === index);
+}
+
+/**
+ * Extract content from a PDF with the selected engine, falling back to the
+ * next engine in the chain when one fails
+ * @param {string} pdfPath Path to the PDF file
+ * @param {object} options Run options
+ * @param {string} [options.engine] Engine to use (defaults to the extraction_engine setting)
+ * @param {string|string[]} [options.fallback] Engines to try next (defaults to the extraction_engine_fallback setting)
+ * @param {string} [options.imagesDir] Directory to write the images to (defaults to storage/images/<date>)
+ * @returns {Promise<ExtractionResult>} Normalized extraction result
+ */
+async function extractWithEngine(pdfPath, options = {}) {
+  const chain = await resolveEngines(options);
+  const errors = [];
+
+  for (const name of chain) {
+    const engine = engines.get(name);
+
+    if (!engine) {
+      logger.warn(`Extractor "${name}" is not registered, skipping`);
+      errors.push(`${name}: not registered`);
+      continue;
+    }
+
+    try {
+      logger.info(`Extracting ${pdfPath} with engine "${name}"`);
+      const content = await engine.extract(pdfPath, { imagesDir: options.imagesDir });
+      const result = finalizeResult(await engine.normalize(content, pdfPath), name, pdfPath);
+
+      if (errors.length > 0) {
+        result.metadata.failedEngines = errors;
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Extractor "${name}" failed: ${error.message}`);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All extraction engines failed (${errors.join('; ')})`);
+}
+
+/**
+ * Fill in the fields every result must carry
+ * @param {object} result Normalized result
+ * @param {string} engineName Engine that produced the result
+ * @param {string} pdfPath Path to the PDF file
+ * @returns {ExtractionResult} Completed result
+ */
+function finalizeResult(result, engineName, pdfPath) {
+  const sections = {};
+
+  for (const [sectionId, section] of Object.entries(result.sections || {})) {
+    sections[sectionId] = {
+      ...section,
+      id: sectionId,
+      name: section.name || getSectionName(sectionId),
+      type: section.type || getSectionType(sectionId),
+      pages: section.pages || [],
+      articles: section.articles || [],
+      images: section.images || []
+    };
+  }
+
+  const statistics = {
+    totalSections: Object.keys(sections).length,
+    totalArticles: 0,
+    totalImages: 0,
+    totalUrls: 0
+  };
+
+  Object.values(sections).forEach(section => {
+    statistics.totalArticles += section.articles.length;
+    statistics.totalImages += section.images.length;
+    statistics.totalUrls += section.articles.reduce((sum, article) => sum + (article.urls ? article.urls.length : 0), 0);
+  });
+
+  return {
+    ...result,
+    date: result.date || path.basename(pdfPath, '.pdf'),
+    engine: engineName,
+    sections,
+    metadata: {
+      extractedAt: new Date().toISOString(),
+      extractionMethod: engineName,
+      ...(result.metadata || {}),
+      statistics
+    }
+  };
+}
+
+/**
+ * Get the display name of a section
+ * @param {string} sectionId Section identifier
+ * @returns {string} Section name
+ */
+function getSectionName(sectionId) {
+  const section = SECTIONS.find(s => s.id === sectionId);
+  return section ? section.name : sectionId.toUpperCase().replace(/-/g, ' ');
+}
+
+/**
+ * Get the content type of a section
+ * @param {string} sectionId Section identifier
+ * @returns {string} 'image' or 'text'
+ */
+function getSectionType(sectionId) {
+  return SECTION_TYPES[sectionId] === 'image' ? 'image' : 'text';
+}
+
+/**
+ * Normalize the output of newPdfExtractor.extractComprehensiveContent
+ * @param {object} content Comprehensive extraction content
+ * @returns {object} Content in the canonical shape
+ */
+function normalizeComprehensiveContent(content) {
+  const sections = {};
+  const toPages = articles => [...new Set(articles.map(a => a.pageNumber).filter(Boolean))].sort((a, b) => a - b);
+
+  const primerasPlanas = content.primerasPlanas || [];
+  if (primerasPlanas.length > 0) {
+    sections['primeras-planas'] = {
+      pages: toPages(primerasPlanas),
+      articles: primerasPlanas,
+      images: primerasPlanas
+        .filter(article => article.imageUrl)
+        .map(article => ({
+          filename: path.basename(article.imageUrl),
+          page: article.pageNumber,
+          newspaper: article.source
+        }))
+    };
+  }
+
+  for (const [sectionId, articles] of Object.entries(content.sections || {})) {
+    if (!articles || articles.length === 0) {
+      continue;
+    }
+
+    sections[sectionId] = {
+      pages: toPages(articles),
+      articles
+    };
+  }
+
+  return {
+    date: content.date,
+    sections,
+    metadata: { ...content.metadata }
+  };
+}
+
+/**
+ * Build a normalizer for the output of pdfExtractor.extractContent, whose
+ * sections hold raw text and whose images are a flat list of paths
+ * @param {Function} extractArticles Article splitter (text, sectionId, pdfPath)
+ * @returns {Function} Async normalizer
+ */
+function createLegacyNormalizer(extractArticles) {
+  const IMAGE_PREFIXES = {
+    'portada-': 'primeras-planas',
+    'carton-': 'cartones',
+    'columna-politica-': 'columnas-politicas'
+  };
+
+  return async function normalizeLegacyContent(content, pdfPath) {
+    const sections = {};
+    const index = content.index || [];
+
+    for (const [sectionId, text] of Object.entries(content.sections || {})) {
+      const articles = text ? await extractArticles(text, sectionId, pdfPath) : [];
+      const entry = index.find(s => s.id === sectionId);
+      const pages = [];
+
+      if (entry && entry.pages) {
+        for (let page = entry.pages.start; page <= entry.pages.end; page++) {
+          pages.push(page);
+        }
+      }
+
+      sections[sectionId] = {
+        name: entry ? entry.name : undefined,
+        pages,
+        articles
+      };
+    }
+
+    for (const imagePath of content.images || []) {
+      const filename = path.basename(imagePath);
+      const prefix = Object.keys(IMAGE_PREFIXES).find(p => filename.startsWith(p));
+
+      if (!prefix) {
+        continue;
+      }
+
+      const sectionId = IMAGE_PREFIXES[prefix];
+      sections[sectionId] = sections[sectionId] || { articles: [] };
+      sections[sectionId].images = sections[sectionId].images || [];
+      sections[sectionId].images.push({ filename });
+    }
+
+    return {
+      date: content.date,
+      sections,
+      metadata: { extractionMethod: 'legacy' }
+    };
+  };
+}
+
+// Built-in engines. The extractor modules are required lazily so that
+// loading the registry does not pull in every engine's dependencies.
+registerExtractor('enhanced', {
+  description: 'Section-aware extractor with image processing and embedded URLs',
+  extract: (pdfPath, options) => require('./enhancedPdfExtractor').extractEnhancedContent(pdfPath, options)
+});
+
+registerExtractor('comprehensive', {
+  description: 'Page-image based extractor with OCR newspaper identification',
+  extract: (pdfPath, options) => require('./newPdfExtractor').extractComprehensiveContent(pdfPath, options),
+  normalize: normalizeComprehensiveContent
+});
+
+registerExtractor('legacy', {
+  description: 'Original index-driven text extractor',
+  extract: async (pdfPath, options) => {
+    const pdfExtractor = require('./pdfExtractor');
+    const content = await pdfExtractor.extractContent(pdfPath, options);
+    return createLegacyNormalizer(pdfExtractor.extractArticles)(content, pdfPath);
+  }
+});
+
+module.exports = {
+  DEFAULT_ENGINE,
+  registerExtractor,
+  getExtractor,
+  listExtractors,
+  resolveEngines,
+  extractWithEngine,
+  normalizeComprehensiveContent,
+  createLegacyNormalizer
+};
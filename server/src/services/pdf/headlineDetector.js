@@ -0,0 +1,332 @@
+/**
+ * Headline Detector
+ *
+ * This module finds the eight-column headlines of the Ocho Columnas section
+ * from the layout of the text layer. A headline is a run of lines set in a
+ * type clearly larger than the body text and (mostly) in capitals; the
+ * newspaper name, when printed as text, sits just above it, and the lead
+ * paragraph is the body text below it in the same column.
+ */
+
+const { groupLines } = require('./textLayer');
+
+// Section source used when the newspaper name is not printed as text
+const DEFAULT_SOURCE = 'Ocho Columnas';
+
+// Minimum font size, relative to the body text, of a headline line
+const HEADLINE_SIZE_RATIO = 1.3;
+
+// Headlines set close to body size must be almost entirely in capitals
+const CAPS_HEADLINE_SIZE_RATIO = 1.1;
+const CAPS_HEADLINE_UPPERCASE_RATIO = 0.9;
+
+// Minimum share of uppercase letters in a headline line
+const MIN_UPPERCASE_RATIO = 0.6;
+
+// Minimum number of letters in a headline
+const MIN_HEADLINE_LETTERS = 8;
+
+// Lines that are page furniture rather than content
+const FURNITURE_PATTERNS = [
+  /^ocho\s+columnas$/i,
+  /^s[ií]ntesis\s+informativa$/i,
+  /^(p[aá]gina\s+)?\d{1,3}(\s*(de|\/)\s*\d{1,3})?$/i,
+  /^(lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo)\b.*\d{4}$/i
+];
+
+/**
+ * Detect the headlines of the given pages
+ * @param {Array} pages Pages as returned by textLayer.getTextLayer
+ * @param {object} options Detection options
+ * @param {string[]} [options.newspapers] Newspaper names to recognize as sources
+ * @returns {Array} Headlines as {title, source, lead, pageNumber, bbox}
+ */
+function detectHeadlines(pages, options = {}) {
+  const newspapers = (options.newspapers || []).map(name => ({ name, key: normalize(name) }));
+
+  const pageLines = pages.map(page => ({
+    page,
+    lines: groupLines(page.items).filter(line => !isFurniture(line.text))
+  }));
+
+  const bodySize = getBodyFontSize(pageLines.flatMap(p => p.lines));
+  const headlines = [];
+
+  for (const { page, lines } of pageLines) {
+    const blocks = [];
+
+    // Classify each line as a source, a headline line or body text
+    for (const line of lines) {
+      const newspaper = matchNewspaper(line.text, newspapers);
+
+      if (newspaper) {
+        blocks.push({ kind: 'source', line, name: newspaper });
+      } else if (isHeadlineLine(line, bodySize)) {
+        const previous = findBlock(blocks, 'headline', line, 'source');
+
+        if (previous && continuesHeadline(previous, line)) {
+          previous.lines.push(line);
+        } else {
+          // A short capitals line right above a larger headline is the name
+          // of a newspaper that is not in the known list
+          if (previous && isUnknownSource(previous, line)) {
+            previous.kind = 'source';
+            previous.name = previous.lines[0].text;
+          }
+          blocks.push({ kind: 'headline', line, lines: [line], body: [] });
+        }
+      } else {
+        const headline = findBlock(blocks, 'headline', line, 'source');
+
+        if (headline) {
+          headline.body.push(line);
+        }
+      }
+    }
+
+    for (const block of sortByColumn(blocks.filter(b => b.kind === 'headline'))) {
+      const title = block.lines.map(l => l.text).join(' ').replace(/\s+/g, ' ').trim();
+
+      if (countLetters(title) < MIN_HEADLINE_LETTERS) {
+        continue;
+      }
+
+      const source = findBlock(blocks.slice(0, blocks.indexOf(block)), 'source', block.lines[0], 'headline');
+
+      headlines.push({
+        title,
+        source: source ? source.name : DEFAULT_SOURCE,
+        lead: joinParagraph(block.body.map(l => l.text)),
+        pageNumber: page.pageNumber,
+        bbox: getBoundingBox([...block.lines, ...block.body])
+      });
+    }
+  }
+
+  return headlines;
+}
+
+/**
+ * Sort headline blocks in reading order: column by column, from left to
+ * right, and from top to bottom within each column
+ * @param {Array} blocks Headline blocks
+ * @returns {Array} Sorted blocks
+ */
+function sortByColumn(blocks) {
+  const columns = [];
+
+  for (const block of blocks) {
+    const column = columns.find(c => c.some(other => overlapsHorizontally(other.line, block.line)));
+    if (column) {
+      column.push(block);
+    } else {
+      columns.push([block]);
+    }
+  }
+
+  return columns
+    .sort((a, b) => Math.min(...a.map(bl => bl.line.x)) - Math.min(...b.map(bl => bl.line.x)))
+    .flatMap(column => column.sort((a, b) => a.line.y - b.line.y));
+}
+
+/**
+ * Find the closest block of a kind above a line in the same column
+ * @param {Array} blocks Blocks found so far, in reading order
+ * @param {string} kind Block kind
+ * @param {object} line Line below the block
+ * @param {string} stopKind Kind of block that ends the search when met first
+ * @returns {object|null} Block
+ */
+function findBlock(blocks, kind, line, stopKind) {
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    const block = blocks[i];
+    const blockLine = block.lines ? block.lines[block.lines.length - 1] : block.line;
+
+    if (!overlapsHorizontally(blockLine, line) || blockLine.y > line.y) {
+      continue;
+    }
+
+    if (block.kind === kind) {
+      return block;
+    }
+
+    if (block.kind === stopKind) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a headline line continues the previous headline block
+ * @param {object} block Headline block
+ * @param {object} line Headline line
+ * @returns {boolean} True if the line belongs to the block
+ */
+function continuesHeadline(block, line) {
+  const last = block.lines[block.lines.length - 1];
+  const gap = line.y - (last.y + last.height);
+
+  return block.body.length === 0 &&
+    gap <= last.fontSize * 0.8 &&
+    Math.abs(line.fontSize - last.fontSize) <= last.fontSize * 0.15;
+}
+
+/**
+ * Check whether a headline block is actually a newspaper name printed above
+ * the next headline
+ * @param {object} block Headline block without body text
+ * @param {object} line First line of the next headline
+ * @returns {boolean} True if the block is a source label
+ */
+function isUnknownSource(block, line) {
+  return block.body.length === 0 &&
+    block.lines.length === 1 &&
+    block.lines[0].fontSize < line.fontSize * 0.85 &&
+    block.lines[0].text.length <= 40;
+}
+
+/**
+ * Check whether a line is set as a headline
+ * @param {object} line Line
+ * @param {number} bodySize Body font size
+ * @returns {boolean} True if the line looks like a headline
+ */
+function isHeadlineLine(line, bodySize) {
+  const sizeRatio = line.fontSize / bodySize;
+  const uppercase = getUppercaseRatio(line.text);
+
+  return (sizeRatio >= HEADLINE_SIZE_RATIO && uppercase >= MIN_UPPERCASE_RATIO) ||
+    (sizeRatio >= CAPS_HEADLINE_SIZE_RATIO && uppercase >= CAPS_HEADLINE_UPPERCASE_RATIO && countLetters(line.text) >= MIN_HEADLINE_LETTERS);
+}
+
+/**
+ * Get the font size of the body text: the size carrying the most characters
+ * @param {Array} lines Lines
+ * @returns {number} Body font size
+ */
+function getBodyFontSize(lines) {
+  const weights = new Map();
+
+  for (const line of lines) {
+    const size = Math.round(line.fontSize * 2) / 2;
+    weights.set(size, (weights.get(size) || 0) + line.text.length);
+  }
+
+  let bodySize = 10;
+  let maxWeight = 0;
+
+  for (const [size, weight] of weights) {
+    if (weight > maxWeight || (weight === maxWeight && size < bodySize)) {
+      bodySize = size;
+      maxWeight = weight;
+    }
+  }
+
+  return bodySize;
+}
+
+/**
+ * Match a line against the known newspaper names
+ * @param {string} text Line text
+ * @param {Array} newspapers Newspapers as {name, key}
+ * @returns {string|null} Newspaper name
+ */
+function matchNewspaper(text, newspapers) {
+  const key = normalize(text);
+
+  const match = newspapers.find(n => key === n.key || (key.startsWith(`${n.key} `) && key.length <= n.key.length + 20));
+  return match ? match.name : null;
+}
+
+/**
+ * Check whether a line is page furniture (section title, page number, date)
+ * @param {string} text Line text
+ * @returns {boolean} True if the line should be ignored
+ */
+function isFurniture(text) {
+  return FURNITURE_PATTERNS.some(pattern => pattern.test(text.trim()));
+}
+
+/**
+ * Check whether two lines share part of their horizontal extent
+ * @param {object} a Line
+ * @param {object} b Line
+ * @returns {boolean} True if the lines overlap horizontally
+ */
+function overlapsHorizontally(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width;
+}
+
+/**
+ * Share of uppercase letters in a text
+ * @param {string} text Text
+ * @returns {number} Ratio between 0 and 1
+ */
+function getUppercaseRatio(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) {
+    // Lines without letters (e.g. "2025" wrapped from a headline) have no lowercase
+    return 1;
+  }
+
+  return letters.filter(c => c === c.toUpperCase() && c !== c.toLowerCase()).length / letters.length;
+}
+
+/**
+ * Count the letters of a text
+ * @param {string} text Text
+ * @returns {number} Number of letters
+ */
+function countLetters(text) {
+  return (text.match(/\p{L}/gu) || []).length;
+}
+
+/**
+ * Join wrapped lines into a paragraph, rejoining hyphenated words
+ * @param {string[]} lines Lines
+ * @returns {string} Paragraph
+ */
+function joinParagraph(lines) {
+  return lines
+    .reduce((text, line) => (/\p{L}-$/u.test(text) ? text.slice(0, -1) + line : `${text} ${line}`), '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Bounding box of a set of lines
+ * @param {Array} lines Lines
+ * @returns {{x: number, y: number, width: number, height: number}} Bounding box
+ */
+function getBoundingBox(lines) {
+  const left = Math.min(...lines.map(l => l.x));
+  const top = Math.min(...lines.map(l => l.y));
+  const right = Math.max(...lines.map(l => l.x + l.width));
+  const bottom = Math.max(...lines.map(l => l.y + l.height));
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Normalize a text for name matching (no accents, uppercase, single spaces)
+ * @param {string} text Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  detectHeadlines,
+  getBodyFontSize,
+  isHeadlineLine,
+  DEFAULT_SOURCE
+};
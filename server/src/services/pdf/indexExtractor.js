@@ -9,6 +9,7 @@ const path = require('path');
 const fs = require('fs');
 const pdfParse = require('pdf-parse');
 const sharp = require('sharp');
+const { getParsedDocument } = require('./parsedDocument');
 const { createLogger } = require('../../utils/logger');
 
 // Create logger for this service
@@ -40,13 +41,47 @@ const SECTION_PATTERNS = [
   { pattern: /consejo\s+de\s+la\s+judicatura/i, id: 'consejo-judicatura', type: 'text' },
   { pattern: /suprema\s+corte/i, id: 'suprema-corte', type: 'text' },
   { pattern: /tribunal\s+electoral/i, id: 'tribunal-electoral', type: 'text' },
-  { pattern: /información\s+general/i, id: 'informacion-general', type: 'text' },
-  { pattern: /síntesis\s+informativa/i, id: 'sintesis-informativa', type: 'text' },
-  { pattern: /columnas\s+políticas/i, id: 'columnas-politicas', type: 'image' },
-  { pattern: /dof|publicaciones\s+oficiales/i, id: 'dof', type: 'text' },
+  { pattern: /informaci[oó]n\s+general/i, id: 'informacion-general', type: 'text' },
+  { pattern: /s[ií]ntesis\s+informativa/i, id: 'sintesis-informativa', type: 'text' },
+  { pattern: /columnas\s+pol[ií]ticas/i, id: 'columnas-politicas', type: 'image' },
+  { pattern: /\bdof\b|publicaciones\s+oficiales/i, id: 'dof', type: 'text' },
   { pattern: /cartones/i, id: 'cartones', type: 'image' }
 ];
 
+/**
+ * Order in which sections appear in the daily PDF. Detected start pages must
+ * follow this order, which keeps stray mentions of a section name in the
+ * body of another section from being taken as its header.
+ */
+const SECTION_ORDER = [
+  'ocho-columnas', 'primeras-planas', 'agenda', 'consejo-judicatura', 'suprema-corte',
+  'tribunal-electoral', 'informacion-general', 'sintesis-informativa',
+  'columnas-politicas', 'dof', 'cartones'
+];
+
+/**
+ * Confidence assigned to a section start depending on how it was found
+ */
+const DETECTION_CONFIDENCE = {
+  indexConfirmed: 1,      // Listed in the index and header found on that page
+  indexAdjusted: 0.9,     // Listed in the index, header found one page off
+  header: 0.8,            // Not in the index, header found by scanning pages
+  index: 0.6,             // Listed in the index, header not found
+  inferred: 0.5           // Headerless image section inferred from page content
+};
+
+// Minimum overall confidence to trust the detected ranges
+const MIN_DETECTION_CONFIDENCE = 0.5;
+
+// Number of detected sections needed for full confidence
+const EXPECTED_SECTIONS = 6;
+
+// Lines at the top of a page where a section header is looked for
+const HEADER_LINES = 5;
+
+// Pages with less text than this are treated as image pages
+const IMAGE_PAGE_TEXT_LENGTH = 100;
+
 /**
  * Alternative names for sections (for matching purposes)
  */
@@ -71,37 +106,294 @@ async function extractIndex(filePath) {
     const date = path.basename(filePath, '.pdf');
     logger.info(`Extracting index for date: ${date}`);
     
-    // Try dynamic extraction first
-    let indexStructure = null;
+    const detection = await detectSectionRanges(filePath);
+    logger.info(`Index extracted using ${detection.method} (confidence ${detection.confidence}) with ${detection.sections.length} sections`);
+    
+    return detection.sections;
+  } catch (error) {
+    logger.error(`Error extracting index information: ${error.message}`);
+    return FALLBACK_INDEX_STRUCTURE;
+  }
+}
+
+/**
+ * Detect the page range of each section. The index on the first page is
+ * parsed for section/page pairs, and each start page is confirmed by finding
+ * the section header at the top of the page. Sections missing from the index
+ * are located by scanning the pages for their header. The static ranges in
+ * FALLBACK_INDEX_STRUCTURE are only used when detection fails.
+ * @param {string} filePath Path to the PDF file
+ * @returns {Promise<object>} Detection result with method, confidence and sections
+ */
+async function detectSectionRanges(filePath) {
+  try {
+    logger.info(`Detecting section page ranges in ${filePath}...`);
+    
+    const pageTexts = await extractPageTexts(filePath);
+    const detection = buildSectionRanges(pageTexts);
+    
+    logger.info(`Section detection finished using ${detection.method} with confidence ${detection.confidence}`);
+    detection.sections.forEach(section => {
+      logger.debug(`Section ${section.id}: pages ${section.pages.start}-${section.pages.end} (${section.source}, ${section.confidence})`);
+    });
+    
+    return detection;
+  } catch (error) {
+    logger.warn(`Section detection failed: ${error.message}`);
+    return buildFallbackRanges(null, error.message);
+  }
+}
+
+/**
+ * Extract the text of every page, one string per page with one line per
+ * text row (rows are ordered from the top of the page). The text comes from
+ * the parsed document cache, so the PDF is only read once per file.
+ * @param {string} filePath Path to the PDF file
+ * @returns {Promise<string[]>} Page texts (index 0 is page 1)
+ */
+async function extractPageTexts(filePath) {
+  const parsed = await getParsedDocument(filePath);
+  // Paragraph breaks are not needed for section detection
+  return parsed.pages.map(page => (page.text || '').replace(/\n\s*\n/g, '\n'));
+}
+
+/**
+ * Build section ranges from the text of each page
+ * @param {string[]} pageTexts Page texts (index 0 is page 1)
+ * @returns {object} Detection result with method, confidence and sections
+ */
+function buildSectionRanges(pageTexts) {
+  const totalPages = pageTexts.length;
+  
+  if (totalPages < 2) {
+    return buildFallbackRanges(totalPages, 'PDF has no content pages');
+  }
+  
+  const indexEntries = parseIndexPage(pageTexts[0], totalPages);
+  const starts = {};
+  
+  // Start pages listed in the index, confirmed by the page header
+  for (const entry of indexEntries) {
+    const sectionPattern = getSectionPattern(entry.id);
+    
+    if (confirmsSectionStart(pageTexts[entry.page - 1], sectionPattern)) {
+      starts[entry.id] = { page: entry.page, source: 'index', confidence: DETECTION_CONFIDENCE.indexConfirmed };
+      continue;
+    }
+    
+    const adjusted = [entry.page - 1, entry.page + 1].find(page =>
+      page >= 2 && page <= totalPages && confirmsSectionStart(pageTexts[page - 1], sectionPattern)
+    );
+    
+    starts[entry.id] = adjusted
+      ? { page: adjusted, source: 'index', confidence: DETECTION_CONFIDENCE.indexAdjusted }
+      : { page: entry.page, source: 'index', confidence: DETECTION_CONFIDENCE.index };
+  }
+  
+  // Sections missing from the index, located by their header
+  SECTION_ORDER.forEach((sectionId, position) => {
+    if (starts[sectionId]) {
+      return;
+    }
+    
+    const { from, to } = getSearchWindow(starts, position, totalPages);
+    const pattern = getSectionPattern(sectionId).pattern;
     
-    try {
-      indexStructure = await extractDynamicIndex(filePath);
-      if (indexStructure && indexStructure.length > 0) {
-        logger.info(`Successfully extracted dynamic index with ${indexStructure.length} sections`);
-        return indexStructure;
+    for (let page = from; page <= to; page++) {
+      if (hasSectionHeader(pageTexts[page - 1], pattern)) {
+        starts[sectionId] = { page, source: 'header', confidence: DETECTION_CONFIDENCE.header };
+        break;
       }
-    } catch (error) {
-      logger.warn(`Dynamic index extraction failed: ${error.message}`);
+    }
+  });
+  
+  // Image sections without a header start at the first page with little text
+  SECTION_ORDER.forEach((sectionId, position) => {
+    if (starts[sectionId] || getSectionPattern(sectionId).type !== 'image') {
+      return;
     }
     
-    // Fallback to analyzing PDF structure
-    try {
-      indexStructure = await analyzePageStructure(filePath);
-      if (indexStructure && indexStructure.length > 0) {
-        logger.info(`Successfully extracted index using page analysis with ${indexStructure.length} sections`);
-        return indexStructure;
+    const { from, to } = getSearchWindow(starts, position, totalPages);
+    
+    for (let page = Math.max(from, 3); page <= to; page++) {
+      if (isImagePage(pageTexts[page - 1])) {
+        starts[sectionId] = { page, source: 'inferred', confidence: DETECTION_CONFIDENCE.inferred };
+        break;
       }
-    } catch (error) {
-      logger.warn(`Page structure analysis failed: ${error.message}`);
     }
+  });
+  
+  const detected = Object.entries(starts)
+    .map(([id, start]) => ({ id, ...start }))
+    .sort((a, b) => a.page - b.page || SECTION_ORDER.indexOf(a.id) - SECTION_ORDER.indexOf(b.id));
+  
+  if (detected.length === 0) {
+    return buildFallbackRanges(totalPages, 'No section headers found');
+  }
+  
+  // A short section may end on the page where the next one starts, so both
+  // keep that page
+  const sections = detected.map((section, i) => {
+    const fallback = FALLBACK_INDEX_STRUCTURE.find(s => s.id === section.id);
+    const next = detected[i + 1];
     
-    // Final fallback to predefined structure
-    logger.warn('Using fallback index structure');
-    return FALLBACK_INDEX_STRUCTURE;
-  } catch (error) {
-    logger.error(`Error extracting index information: ${error.message}`);
-    return FALLBACK_INDEX_STRUCTURE;
+    return {
+      id: section.id,
+      name: fallback ? fallback.name : section.id.toUpperCase().replace(/-/g, ' '),
+      pages: { start: section.page, end: next ? Math.max(section.page, next.page - 1) : totalPages },
+      type: getSectionPattern(section.id).type,
+      source: section.source,
+      confidence: section.confidence
+    };
+  });
+  
+  const averageConfidence = sections.reduce((sum, s) => sum + s.confidence, 0) / sections.length;
+  const confidence = Math.round(averageConfidence * Math.min(1, sections.length / EXPECTED_SECTIONS) * 100) / 100;
+  
+  if (confidence < MIN_DETECTION_CONFIDENCE) {
+    return buildFallbackRanges(totalPages, `Detection confidence ${confidence} below ${MIN_DETECTION_CONFIDENCE}`);
+  }
+  
+  return {
+    method: indexEntries.length > 0 ? 'index' : 'headers',
+    confidence,
+    totalPages,
+    indexEntries: indexEntries.length,
+    sections
+  };
+}
+
+/**
+ * Parse the index on the first page into section/page pairs. Entries look
+ * like "OCHO COLUMNAS ...... 2" or "2 OCHO COLUMNAS"; entries without a page
+ * number are ignored.
+ * @param {string} text Text of the index page
+ * @param {number} totalPages Total number of pages
+ * @returns {Array<{id: string, page: number}>} Index entries
+ */
+function parseIndexPage(text, totalPages) {
+  const entries = [];
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  
+  lines.forEach((line, i) => {
+    for (const sectionPattern of SECTION_PATTERNS) {
+      if (!sectionPattern.pattern.test(line) || entries.some(e => e.id === sectionPattern.id)) {
+        continue;
+      }
+      
+      // Page number on the same line, or alone on the next line
+      const rest = line.replace(sectionPattern.pattern, ' ');
+      let match = rest.match(/^\s*(\d{1,3})\b/) || rest.match(/\b(\d{1,3})\s*$/);
+      
+      if (!match && lines[i + 1] && /^\d{1,3}$/.test(lines[i + 1])) {
+        match = [lines[i + 1], lines[i + 1]];
+      }
+      
+      const page = match ? parseInt(match[1], 10) : NaN;
+      
+      if (page >= 2 && page <= totalPages) {
+        entries.push({ id: sectionPattern.id, page });
+      }
+      break;
+    }
+  });
+  
+  return entries;
+}
+
+/**
+ * Check whether a section header appears at the top of a page
+ * @param {string} pageText Page text
+ * @param {RegExp} pattern Section pattern
+ * @returns {boolean} True if the header was found
+ */
+function hasSectionHeader(pageText, pattern) {
+  if (!pageText) {
+    return false;
   }
+  
+  return pageText
+    .split('\n')
+    .slice(0, HEADER_LINES)
+    .some(line => line.length <= 80 && pattern.test(line));
+}
+
+/**
+ * Check whether a page looks like the first page of a section: its header is
+ * at the top or, for image sections, the page is mostly an image
+ * @param {string} pageText Page text
+ * @param {object} sectionPattern Section pattern
+ * @returns {boolean} True if the page confirms the section start
+ */
+function confirmsSectionStart(pageText, sectionPattern) {
+  return hasSectionHeader(pageText, sectionPattern.pattern) ||
+    (sectionPattern.type === 'image' && isImagePage(pageText));
+}
+
+/**
+ * Check whether a page holds little text, as scanned pages do
+ * @param {string} pageText Page text
+ * @returns {boolean} True if the page is mostly an image
+ */
+function isImagePage(pageText) {
+  return (pageText || '').replace(/\s+/g, '').length < IMAGE_PAGE_TEXT_LENGTH;
+}
+
+/**
+ * Pages where a section may start, given the sections already located
+ * before and after it in SECTION_ORDER
+ * @param {object} starts Located start pages by section id
+ * @param {number} position Position of the section in SECTION_ORDER
+ * @param {number} totalPages Total number of pages
+ * @returns {{from: number, to: number}} Page window
+ */
+function getSearchWindow(starts, position, totalPages) {
+  const before = SECTION_ORDER.slice(0, position).filter(id => starts[id]).map(id => starts[id].page);
+  const after = SECTION_ORDER.slice(position + 1).filter(id => starts[id]).map(id => starts[id].page);
+  
+  return {
+    from: before.length > 0 ? Math.max(...before) + 1 : 2,
+    to: after.length > 0 ? Math.min(...after) - 1 : totalPages
+  };
+}
+
+/**
+ * Get the recognition pattern of a section
+ * @param {string} sectionId Section identifier
+ * @returns {object} Section pattern
+ */
+function getSectionPattern(sectionId) {
+  return SECTION_PATTERNS.find(p => p.id === sectionId);
+}
+
+/**
+ * Build a detection result from the static fallback structure
+ * @param {number|null} totalPages Total number of pages, used to clip the ranges
+ * @param {string} reason Why detection failed
+ * @returns {object} Detection result
+ */
+function buildFallbackRanges(totalPages, reason) {
+  logger.warn(`Using fallback index structure: ${reason}`);
+  
+  const sections = FALLBACK_INDEX_STRUCTURE
+    .filter(section => !totalPages || section.pages.start <= totalPages)
+    .map(section => ({
+      ...section,
+      pages: {
+        start: section.pages.start,
+        end: totalPages ? Math.min(section.pages.end, totalPages) : section.pages.end
+      },
+      source: 'fallback',
+      confidence: 0
+    }));
+  
+  return {
+    method: 'fallback',
+    confidence: 0,
+    totalPages: totalPages || null,
+    reason,
+    sections
+  };
 }
 
 /**
@@ -304,6 +596,10 @@ async function detectSectionType(filePath, section) {
 
 module.exports = {
   extractIndex,
+  detectSectionRanges,
+  buildSectionRanges,
+  parseIndexPage,
+  extractPageTexts,
   extractDynamicIndex,
   analyzePageStructure,
   getSectionByName,
@@ -311,5 +607,6 @@ module.exports = {
   getAllSections,
   detectSectionType,
   FALLBACK_INDEX_STRUCTURE,
-  SECTION_PATTERNS
+  SECTION_PATTERNS,
+  SECTION_ORDER
 };
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Link Mapper
+ *
+ * This module assigns the link annotations of the PDF to the articles they
+ * belong to. Each article is given a text block (its bounding box on the
+ * page) and a link belongs to the article whose block contains it, so every
+ * article gets its own URL instead of the first URL of the page.
+ */
+
+const { groupLines } = require('./textLayer');
+
+// Margin, in points, around a block when checking whether it contains a link
+const CONTAINMENT_TOLERANCE = 2;
+
+// Minimum length of a page line matched against the start of a title
+const MIN_ANCHOR_LENGTH = 12;
+
+/**
+ * Build the text blocks of articles found in the plain text of the pages.
+ * Each title is located on the pages (in reading order); the block of an
+ * article runs from its title down to the next title in the same column, and
+ * the text above the first title of a page continues the previous article.
+ * @param {Array} pages Pages as returned by parsedDocument/textLayer (with items)
+ * @param {string[]} titles Article titles, in the order of the articles
+ * @returns {Array} Blocks as {index, pageNumber, bbox}, index being the article index
+ */
+function buildArticleBlocks(pages, titles) {
+  const pageLines = pages.map(page => ({ page, lines: groupLines(page.items || []) }));
+  const anchors = locateTitles(pageLines, titles);
+  const blocks = [];
+
+  for (const { page, lines } of pageLines) {
+    const pageAnchors = anchors.filter(anchor => anchor.pageNumber === page.pageNumber);
+
+    for (const anchor of pageAnchors) {
+      const below = pageAnchors.filter(other =>
+        other !== anchor && other.line.y > anchor.line.y && overlapsHorizontally(other.line, anchor.line)
+      );
+      const bottom = below.length > 0 ? Math.min(...below.map(other => other.line.y)) : page.height;
+      const blockLines = lines.filter(line =>
+        line.y >= anchor.line.y && line.y < bottom && overlapsHorizontally(line, anchor.line)
+      );
+
+      const left = Math.min(...blockLines.map(line => line.x));
+      const right = Math.max(...blockLines.map(line => line.x + line.width));
+
+      blocks.push({
+        index: anchor.index,
+        pageNumber: page.pageNumber,
+        bbox: { x: left, y: anchor.line.y, width: right - left, height: bottom - anchor.line.y }
+      });
+    }
+
+    // Text above the first title of the page continues the previous article
+    const previous = anchors.filter(anchor => anchor.pageNumber < page.pageNumber).pop();
+    const top = pageAnchors.length > 0 ? Math.min(...pageAnchors.map(anchor => anchor.line.y)) : page.height;
+
+    if (previous && top > 0) {
+      blocks.push({
+        index: previous.index,
+        pageNumber: page.pageNumber,
+        bbox: { x: 0, y: 0, width: page.width, height: top }
+      });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Assign links to the blocks that contain them. When blocks overlap, the
+ * smallest one wins.
+ * @param {Array} links Links as {url, rect, page}
+ * @param {Array} blocks Blocks as {index, pageNumber, bbox}
+ * @returns {object} Result as {urlsByIndex: Map<index, string[]>, unassigned: Array}
+ */
+function assignLinksToBlocks(links, blocks) {
+  const urlsByIndex = new Map();
+  const unassigned = [];
+
+  for (const link of links) {
+    if (!link.rect) {
+      unassigned.push(link);
+      continue;
+    }
+
+    const centerX = link.rect.x + link.rect.width / 2;
+    const centerY = link.rect.y + link.rect.height / 2;
+
+    const block = blocks
+      .filter(candidate => candidate.pageNumber === link.page && contains(candidate.bbox, centerX, centerY))
+      .sort((a, b) => area(a.bbox) - area(b.bbox))[0];
+
+    if (!block) {
+      unassigned.push(link);
+      continue;
+    }
+
+    const urls = urlsByIndex.get(block.index) || [];
+    if (!urls.includes(link.url)) {
+      urls.push(link.url);
+    }
+    urlsByIndex.set(block.index, urls);
+  }
+
+  return { urlsByIndex, unassigned };
+}
+
+/**
+ * Locate the line where each title starts, searching forward from the
+ * previous title
+ * @param {Array} pageLines Pages with their lines
+ * @param {string[]} titles Titles
+ * @returns {Array} Anchors as {index, pageNumber, line}
+ */
+function locateTitles(pageLines, titles) {
+  const allLines = pageLines.flatMap(({ page, lines }) =>
+    lines.map(line => ({ pageNumber: page.pageNumber, line, key: normalize(line.text) }))
+  );
+
+  const anchors = [];
+  let position = 0;
+
+  titles.forEach((title, index) => {
+    const titleKey = normalize(title || '');
+    if (!titleKey) return;
+
+    for (let i = position; i < allLines.length; i++) {
+      const { key } = allLines[i];
+
+      if (key && (titleKey.startsWith(key) || key.startsWith(titleKey)) &&
+          key.length >= Math.min(MIN_ANCHOR_LENGTH, titleKey.length)) {
+        anchors.push({ index, pageNumber: allLines[i].pageNumber, line: allLines[i].line });
+        position = i + 1;
+        return;
+      }
+    }
+  });
+
+  return anchors;
+}
+
+/**
+ * Check whether a box contains a point, with a small tolerance
+ * @param {object} box Box as {x, y, width, height}
+ * @param {number} x Point x
+ * @param {number} y Point y
+ * @returns {boolean} True if the point is inside the box
+ */
+function contains(box, x, y) {
+  return x >= box.x - CONTAINMENT_TOLERANCE &&
+    x <= box.x + box.width + CONTAINMENT_TOLERANCE &&
+    y >= box.y - CONTAINMENT_TOLERANCE &&
+    y <= box.y + box.height + CONTAINMENT_TOLERANCE;
+}
+
+/**
+ * Area of a box
+ * @param {object} box Box as {x, y, width, height}
+ * @returns {number} Area
+ */
+function area(box) {
+  return box.width * box.height;
+}
+
+/**
+ * Check whether two lines share part of their horizontal extent
+ * @param {object} a Line
+ * @param {object} b Line
+ * @returns {boolean} True if the lines overlap horizontally
+ */
+function overlapsHorizontally(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width;
+}
+
+/**
+ * Normalize a text for title matching (no accents, uppercase, letters and digits only)
+ * @param {string} text Text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+module.exports = {
+  buildArticleBlocks,
+  assignLinksToBlocks
+};
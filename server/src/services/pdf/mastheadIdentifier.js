@@ -0,0 +1,314 @@
+/**
+ * Masthead Identifier
+ *
+ * This service identifies the newspaper of a front page in Primeras Planas
+ * without OCR. The masthead (the top of the page, where the newspaper logo
+ * is) is reduced to a perceptual hash, a difference hash computed with
+ * sharp, and compared with the hashes of a reference gallery of mastheads.
+ * The confidence of a match is the share of bits the hashes have in common.
+ *
+ * The gallery lives in MASTHEAD_GALLERY_DIR (default storage/mastheads): a
+ * gallery.json index and a PNG of each reference masthead. References are
+ * added by the admin, either uploaded or from a front page whose newspaper
+ * an editor corrected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createLogger } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('masthead-identifier');
+
+// Configuration
+const GALLERY_DIR = process.env.MASTHEAD_GALLERY_DIR || path.join(__dirname, '../../../../storage/mastheads');
+const GALLERY_FILE = path.join(GALLERY_DIR, 'gallery.json');
+const MIN_CONFIDENCE = parseFloat(process.env.MASTHEAD_MIN_CONFIDENCE) || 0.85;
+
+// Share of the page height taken as the masthead
+const MASTHEAD_RATIO = 0.2;
+
+// Size of the difference hash: each row compares HASH_WIDTH + 1 pixels, so
+// the hash has HASH_WIDTH * HASH_HEIGHT bits. Mastheads are wide, so the hash is too
+const HASH_WIDTH = 16;
+const HASH_HEIGHT = 8;
+const HASH_BITS = HASH_WIDTH * HASH_HEIGHT;
+
+// Gray level difference from the page background that trim treats as content
+const TRIM_THRESHOLD = 40;
+
+// Standard deviation of the gray levels below which a masthead is blank.
+// Blank mastheads hash to zeros and would match any plain logo
+const MIN_CONTRAST = 10;
+
+/**
+ * Crop the masthead of a page image, without the margins around it
+ * @param {string|Buffer} image Path to the page image, or its content
+ * @returns {Promise<Buffer>} Grayscale PNG of the masthead
+ */
+async function cropMasthead(image) {
+  const { width, height } = await sharp(image).metadata();
+  const masthead = await sharp(image)
+    .extract({ left: 0, top: 0, width, height: Math.max(1, Math.floor(height * MASTHEAD_RATIO)) })
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .png()
+    .toBuffer();
+
+  // Pages are scanned with different margins; trimming them makes the hash
+  // depend on the logo only. A blank masthead cannot be trimmed
+  try {
+    return await sharp(masthead).trim({ background: '#ffffff', threshold: TRIM_THRESHOLD }).png().toBuffer();
+  } catch (error) {
+    return masthead;
+  }
+}
+
+/**
+ * Compute the perceptual hash of the masthead of a page
+ * @param {string|Buffer} image Path to the page image, or its content
+ * @returns {Promise<string>} Hash as a hexadecimal string of HASH_BITS bits
+ */
+async function computeMastheadHash(image) {
+  const masthead = await cropMasthead(image);
+  return hashMasthead(masthead);
+}
+
+/**
+ * Check whether a cropped masthead has nothing to compare
+ * @param {Buffer} masthead Masthead image
+ * @returns {Promise<boolean>} True if the masthead is blank
+ */
+async function isBlank(masthead) {
+  const { channels } = await sharp(masthead).stats();
+  return channels[0].stdev < MIN_CONTRAST;
+}
+
+/**
+ * Compute the difference hash of a cropped masthead: one bit per pair of
+ * neighbouring pixels of a row, set when the left one is brighter
+ * @param {Buffer} masthead Masthead image
+ * @returns {Promise<string>} Hash as a hexadecimal string
+ */
+async function hashMasthead(masthead) {
+  const pixels = await sharp(masthead)
+    .greyscale()
+    .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  let nibble = 0;
+
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH; x++) {
+      const offset = y * (HASH_WIDTH + 1) + x;
+      nibble = (nibble << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+
+      if ((y * HASH_WIDTH + x) % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Count the bits that differ between two hashes
+ * @param {string} a Hexadecimal hash
+ * @param {string} b Hexadecimal hash
+ * @returns {number} Hamming distance
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * Load the references of the gallery
+ * @returns {Array} References as {id, newspaper, hash, file, addedBy, addedAt}
+ */
+function loadGallery() {
+  if (!fs.existsSync(GALLERY_FILE)) {
+    return [];
+  }
+
+  try {
+    const gallery = JSON.parse(fs.readFileSync(GALLERY_FILE, 'utf8'));
+    return Array.isArray(gallery.references) ? gallery.references : [];
+  } catch (error) {
+    logger.warn(`Masthead gallery could not be read: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Save the references of the gallery
+ * @param {Array} references References
+ */
+function saveGallery(references) {
+  fs.mkdirSync(GALLERY_DIR, { recursive: true });
+
+  // Written to a temporary file first so that a running extraction never reads half a file
+  const tempFile = `${GALLERY_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ references }, null, 2));
+  fs.renameSync(tempFile, GALLERY_FILE);
+}
+
+/**
+ * Identify the newspaper of a front page from its masthead
+ * @param {string|Buffer} image Path to the page image, or its content
+ * @param {object} options Options
+ * @param {number} [options.minConfidence] Confidence below which no newspaper is returned
+ * @returns {Promise<object>} {newspaper, confidence, distance, reference}, where
+ *   newspaper is null if no reference is close enough; confidence is that of
+ *   the closest reference, between 0 and 1
+ */
+async function identifyMasthead(image, options = {}) {
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : MIN_CONFIDENCE;
+  const references = loadGallery();
+
+  if (references.length === 0) {
+    return { newspaper: null, confidence: 0, distance: null, reference: null };
+  }
+
+  try {
+    const masthead = await cropMasthead(image);
+    if (await isBlank(masthead)) {
+      logger.debug('Masthead is blank, nothing to identify');
+      return { newspaper: null, confidence: 0, distance: null, reference: null };
+    }
+
+    const hash = await hashMasthead(masthead);
+    let best = null;
+
+    for (const reference of references) {
+      const distance = hammingDistance(hash, reference.hash);
+      if (!best || distance < best.distance) {
+        best = { reference, distance };
+      }
+    }
+
+    const confidence = Math.round((1 - best.distance / HASH_BITS) * 1000) / 1000;
+    const newspaper = confidence >= minConfidence ? best.reference.newspaper : null;
+
+    logger.debug(`Closest masthead: ${best.reference.newspaper} (distance ${best.distance}, confidence ${confidence})`);
+    return { newspaper, confidence, distance: best.distance, reference: best.reference.id };
+  } catch (error) {
+    logger.error(`Error identifying masthead: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Add the masthead of a front page to the gallery as a reference of a newspaper
+ * @param {string} newspaper Newspaper name
+ * @param {string|Buffer} image Path to the page image, or its content
+ * @param {object} options Options
+ * @param {string} [options.addedBy] User who added the reference
+ * @returns {Promise<object>} {reference, created}; created is false if the
+ *   newspaper already had a reference with the same hash
+ * @throws {Error} If the masthead is blank
+ */
+async function addReference(newspaper, image, options = {}) {
+  try {
+    const masthead = await cropMasthead(image);
+    if (await isBlank(masthead)) {
+      throw new Error('The top of the page is blank');
+    }
+
+    const hash = await hashMasthead(masthead);
+    const references = loadGallery();
+
+    const existing = references.find(reference => reference.newspaper === newspaper && reference.hash === hash);
+    if (existing) {
+      return { reference: existing, created: false };
+    }
+
+    const id = `${slugify(newspaper)}-${hash.slice(0, 8)}`;
+    const reference = {
+      id,
+      newspaper,
+      hash,
+      file: `${id}.png`,
+      addedBy: options.addedBy || null,
+      addedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(GALLERY_DIR, { recursive: true });
+    fs.writeFileSync(path.join(GALLERY_DIR, reference.file), masthead);
+    saveGallery([...references, reference]);
+
+    logger.info(`Added masthead reference ${id} for ${newspaper}`);
+    return { reference, created: true };
+  } catch (error) {
+    logger.error(`Error adding masthead reference for ${newspaper}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Remove a reference from the gallery
+ * @param {string} id Reference id
+ * @returns {boolean} True if the reference existed
+ */
+function removeReference(id) {
+  const references = loadGallery();
+  const reference = references.find(item => item.id === id);
+
+  if (!reference) {
+    return false;
+  }
+
+  saveGallery(references.filter(item => item.id !== id));
+  fs.rmSync(path.join(GALLERY_DIR, reference.file), { force: true });
+
+  logger.info(`Removed masthead reference ${id}`);
+  return true;
+}
+
+/**
+ * Get the path of the image of a reference
+ * @param {object} reference Reference
+ * @returns {string} Path to the masthead PNG
+ */
+function getReferencePath(reference) {
+  return path.join(GALLERY_DIR, reference.file);
+}
+
+/**
+ * Turn a newspaper name into an identifier
+ * @param {string} name Newspaper name
+ * @returns {string} Slug
+ */
+function slugify(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'periodico';
+}
+
+module.exports = {
+  identifyMasthead,
+  addReference,
+  removeReference,
+  loadGallery,
+  getReferencePath,
+  computeMastheadHash,
+  hammingDistance,
+  MIN_CONFIDENCE
+};
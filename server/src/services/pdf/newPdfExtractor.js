@@ -2,7 +2,7 @@
  * New Comprehensive PDF Extractor Service
  * 
  * This service implements a complete redesign of PDF processing with the following approach:
- * 1. Identify primeras-planas (first section) without headers, with OCR for newspaper identification
+ * 1. Identify primeras-planas (first section) without headers, identifying the newspapers by their masthead
  * 2. Identify sections by page headers, associate images and text (one article per paragraph)
  * 3. Put unidentified sections in "otras" section
  * 4. Maintain original PDF resolution
@@ -12,7 +12,9 @@ const fs = require('fs');
 const path = require('path');
 const pdfParse = require('pdf-parse');
 const sharp = require('sharp');
-const { execSync } = require('child_process');
+const { runCommand, commandExists } = require('../../utils/childProcess');
+const { getParsedDocument, getPage } = require('./parsedDocument');
+const { identifyMasthead } = require('./mastheadIdentifier');
 const { createLogger } = require('../../utils/logger');
 
 const logger = createLogger('new-pdf-extractor');
@@ -44,9 +46,11 @@ const SECTION_HEADERS = {
 /**
  * Main extraction function that processes the entire PDF
  * @param {string} pdfPath Path to the PDF file
+ * @param {object} [options] Extraction options
+ * @param {string} [options.imagesDir] Directory to write the page images to (defaults to storage/images/<date>)
  * @returns {Promise<object>} Extracted content
  */
-async function extractComprehensiveContent(pdfPath) {
+async function extractComprehensiveContent(pdfPath, options = {}) {
   try {
     logger.info(`Starting comprehensive PDF extraction from ${pdfPath}`);
     
@@ -55,7 +59,7 @@ async function extractComprehensiveContent(pdfPath) {
     logger.info(`PDF analysis complete: ${pdfStructure.totalPages} pages`);
     
     // Step 2: Extract all page images at original resolution
-    const pageImages = await extractAllPagesAsImages(pdfPath, pdfStructure);
+    const pageImages = await extractAllPagesAsImages(pdfPath, pdfStructure, options.imagesDir);
     logger.info(`Extracted ${pageImages.length} page images`);
     
     // Step 3: Extract text content with page markers
@@ -120,12 +124,13 @@ async function analyzePDFStructure(pdfPath) {
  * Extract all pages as high-resolution images
  * @param {string} pdfPath Path to the PDF file
  * @param {object} structure PDF structure information
+ * @param {string} [imagesDir] Directory to write the page images to (defaults to storage/images/<date>)
  * @returns {Promise<Array>} Array of page image information
  */
-async function extractAllPagesAsImages(pdfPath, structure) {
+async function extractAllPagesAsImages(pdfPath, structure, imagesDir) {
   try {
     const date = path.basename(pdfPath, '.pdf');
-    const dateImagesDir = path.join(IMAGES_DIR, date);
+    const dateImagesDir = imagesDir || path.join(IMAGES_DIR, date);
     
     if (!fs.existsSync(dateImagesDir)) {
       fs.mkdirSync(dateImagesDir, { recursive: true });
@@ -150,9 +155,9 @@ async function extractAllPagesAsImages(pdfPath, structure) {
       try {
         // Extract batch of pages at 150 DPI (good balance of quality vs speed)
         const outputPrefix = path.join(dateImagesDir, 'batch');
-        const command = `pdftoppm -f ${startPage} -l ${endPage} -png -r 150 "${pdfPath}" "${outputPrefix}"`;
+        const args = ['-f', startPage, '-l', endPage, '-png', '-r', 150, pdfPath, outputPrefix];
         
-        execSync(command, { timeout: 30000 }); // 30 second timeout per batch
+        await runCommand('pdftoppm', args, { timeout: 30000 }); // 30 second timeout per batch
         
         // Process extracted files
         for (let pageNum = startPage; pageNum <= endPage; pageNum++) {
@@ -189,9 +194,9 @@ async function extractAllPagesAsImages(pdfPath, structure) {
           try {
             const imageName = `page-${pageNum.toString().padStart(3, '0')}.png`;
             const imagePath = path.join(dateImagesDir, imageName);
-            const command = `pdftoppm -f ${pageNum} -l ${pageNum} -png -r 150 "${pdfPath}" "${imagePath.replace('.png', '')}"`;
+            const args = ['-f', pageNum, '-l', pageNum, '-png', '-r', 150, pdfPath, imagePath.replace('.png', '')];
             
-            execSync(command, { timeout: 10000 }); // 10 second timeout per page
+            await runCommand('pdftoppm', args, { timeout: 10000 }); // 10 second timeout per page
             
             const pdfOutputFile = `${imagePath.replace('.png', '')}-${pageNum}.png`;
             if (fs.existsSync(pdfOutputFile)) {
@@ -231,12 +236,10 @@ async function extractAllPagesAsImages(pdfPath, structure) {
 async function extractTextWithPageMarkers(pdfPath) {
   try {
     // Use pdftotext with proper page-by-page extraction
-    const { execSync } = require('child_process');
     const pageTexts = {};
     
     // First get the full text to see the structure
-    const fullTextCommand = `pdftotext "${pdfPath}" -`;
-    const fullText = execSync(fullTextCommand, { encoding: 'utf8' });
+    const fullText = await runCommand('pdftotext', [pdfPath, '-']);
     
     // Use pdftotext for each page to get better text quality
     const tempDir = require('os').tmpdir();
@@ -250,9 +253,7 @@ async function extractTextWithPageMarkers(pdfPath) {
     for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
       try {
         const tempFile = path.join(tempDir, `temp-page-${pageNum}.txt`);
-        const command = `pdftotext -f ${pageNum} -l ${pageNum} "${pdfPath}" "${tempFile}"`;
-        
-        execSync(command, { timeout: 5000 });
+        await runCommand('pdftotext', ['-f', pageNum, '-l', pageNum, pdfPath, tempFile], { timeout: 5000 });
         
         if (fs.existsSync(tempFile)) {
           let pageText = fs.readFileSync(tempFile, 'utf8');
@@ -431,7 +432,7 @@ async function identifySections(textContent, pageImages) {
 }
 
 /**
- * Process primeras-planas with OCR for newspaper identification
+ * Process primeras-planas, identifying each newspaper by its masthead
  * @param {Array} primerasPages Array of primeras-planas pages
  * @param {Array} pageImages Array of all page images
  * @returns {Promise<Array>} Processed primeras-planas articles
@@ -442,8 +443,17 @@ async function processPrimerasPlanas(primerasPages, pageImages) {
     
     for (const page of primerasPages) {
       try {
-        // Try to identify newspaper using OCR on the image
-        let newspaper = await identifyNewspaperWithOCR(page.image.imagePath);
+        // Compare the masthead with the reference gallery
+        const match = await identifyMasthead(page.image.imagePath).catch(error => {
+          logger.debug(`Masthead identification failed: ${error.message}`);
+          return { newspaper: null };
+        });
+        let newspaper = match.newspaper;
+        
+        // Then try OCR on the image, when tesseract is installed
+        if (!newspaper) {
+          newspaper = await identifyNewspaperWithOCR(page.image.imagePath);
+        }
         
         // If OCR fails, try to identify from text content
         if (!newspaper) {
@@ -463,6 +473,7 @@ async function processPrimerasPlanas(primerasPages, pageImages) {
           content: `Primera plana del periódico ${newspaper}`,
           summary: page.text.substring(0, 200) + '...',
           source: newspaper,
+          sourceConfidence: match.newspaper ? match.confidence : null,
           section: 'primeras-planas',
           pageNumber: page.pageNumber,
           imageUrl: `images/${path.basename(path.dirname(page.image.imagePath))}/${page.image.filename}`,
@@ -639,9 +650,7 @@ async function processOtherSections(sections, pageImages, textContent, pdfPath =
 async function identifyNewspaperWithOCR(imagePath) {
   try {
     // Check if tesseract is available
-    try {
-      execSync('which tesseract');
-    } catch (err) {
+    if (!(await commandExists('tesseract'))) {
       logger.debug('Tesseract OCR not available, skipping OCR identification');
       return null;
     }
@@ -663,8 +672,7 @@ async function identifyNewspaperWithOCR(imagePath) {
       .toFile(croppedImage);
     
     // Run OCR
-    const command = `tesseract "${croppedImage}" "${tempFile.replace('.txt', '')}" -l spa`;
-    execSync(command);
+    await runCommand('tesseract', [croppedImage, tempFile.replace('.txt', ''), '-l', 'spa'], { timeout: 30000 });
     
     // Read OCR result
     if (fs.existsSync(tempFile)) {
@@ -728,46 +736,17 @@ function extractUrlsFromText(text) {
 }
 
 /**
- * Extract URLs from PDF page using PyMuPDF
+ * Extract the URLs of the link annotations of a PDF page
  * @param {string} pdfPath Path to the PDF file
  * @param {number} pageNum Page number (1-indexed)
- * @returns {Promise<Array>} Array of URLs found on the page
+ * @returns {Promise<Array>} Links found on the page as {uri, rect}
  */
 async function extractUrlsFromPdfPage(pdfPath, pageNum) {
   try {
-    const { execSync } = require('child_process');
-    
-    // Create a Python script to extract URLs using PyMuPDF
-    const extractScript = `
-import sys
-sys.path.append('/home/ellaguno/.local/lib/python3.11/site-packages')
-import fitz
-import json
-
-pdf_path = '${pdfPath}'
-page_num = ${pageNum - 1}  # Convert to 0-indexed
-
-try:
-    doc = fitz.open(pdf_path)
-    page = doc[page_num]
-    links = page.get_links()
-    
-    urls = []
-    for link in links:
-        if 'uri' in link and link['uri']:
-            urls.append({
-                'uri': link['uri'],
-                'rect': link.get('from', {})
-            })
-    
-    print(json.dumps(urls))
-    doc.close()
-except Exception as e:
-    print(json.dumps([]))
-`;
-    
-    const result = execSync(`python3 -c "${extractScript}"`, { encoding: 'utf8' });
-    return JSON.parse(result.trim());
+    const parsed = await getParsedDocument(pdfPath);
+    const page = getPage(parsed, pageNum);
+    
+    return page ? page.links.map(link => ({ uri: link.url, rect: link.rect })) : [];
     
   } catch (error) {
     logger.warn(`Failed to extract URLs from page ${pageNum}: ${error.message}`);
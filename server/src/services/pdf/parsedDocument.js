@@ -0,0 +1,232 @@
+/**
+ * Parsed Document Cache
+ *
+ * This service reads a PDF once (per-page text, positioned text items and
+ * link annotations) and caches the result by the SHA-256 hash of the file,
+ * in memory and in storage/cache/parsed. Every extractor works from the same
+ * parsed document, and re-extracting a date whose PDF has not changed does
+ * not read the PDF again. Rendered page images are recorded in the document
+ * too, so they are not rendered twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readDocument } = require('./textLayer');
+const { createLogger } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('parsed-document');
+
+const CACHE_DIR = process.env.PDF_CACHE_DIR || path.join(__dirname, '../../../../storage/cache/parsed');
+
+// Bump when the cached format changes, so that older entries are rebuilt
+const CACHE_VERSION = 2;
+
+// Number of parsed documents kept in memory
+const MEMORY_CACHE_SIZE = 3;
+
+// Parsed documents by hash, least recently used first
+const memoryCache = new Map();
+
+/**
+ * Get the parsed document of a PDF, reading the PDF only when it is not cached
+ * @param {string} pdfPath Path to the PDF file
+ * @param {object} options Options
+ * @param {boolean} [options.refresh] Ignore the cached document
+ * @returns {Promise<object>} Parsed document as {hash, version, totalPages, parsedAt, pages, renders}
+ */
+async function getParsedDocument(pdfPath, options = {}) {
+  try {
+    const hash = hashFile(pdfPath);
+
+    if (!options.refresh) {
+      const cached = memoryCache.get(hash) || readCachedDocument(hash);
+
+      if (cached) {
+        remember(cached);
+        return cached;
+      }
+    }
+
+    logger.info(`Parsing ${pdfPath}`);
+    const startTime = Date.now();
+    const { totalPages, pages } = await readDocument(pdfPath);
+
+    const parsed = {
+      hash,
+      version: CACHE_VERSION,
+      totalPages,
+      parsedAt: new Date().toISOString(),
+      pages,
+      renders: {}
+    };
+
+    saveParsedDocument(parsed);
+    remember(parsed);
+
+    logger.info(`Parsed ${totalPages} pages in ${Date.now() - startTime} ms`);
+    return parsed;
+  } catch (error) {
+    logger.error(`Error parsing document ${pdfPath}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of a parsed document
+ * @param {object} parsed Parsed document
+ * @param {number} pageNumber Page number
+ * @returns {object|null} Page as {pageNumber, width, height, text, items, links}
+ */
+function getPage(parsed, pageNumber) {
+  return parsed.pages[pageNumber - 1] || null;
+}
+
+/**
+ * Get the plain text of a page of a parsed document
+ * @param {object} parsed Parsed document
+ * @param {number} pageNumber Page number
+ * @returns {string} Page text (empty if the page does not exist)
+ */
+function getPageText(parsed, pageNumber) {
+  const page = getPage(parsed, pageNumber);
+  return page ? page.text : '';
+}
+
+/**
+ * Get a rendered image of a page, if it was recorded and still exists
+ * @param {object} parsed Parsed document
+ * @param {number} pageNumber Page number
+ * @param {string} key Render settings (e.g. "png-150")
+ * @returns {object|null} Render as {path, width, height}
+ */
+function getRenderedImage(parsed, pageNumber, key) {
+  const render = (parsed.renders[pageNumber] || {})[key];
+  return render && fs.existsSync(render.path) ? render : null;
+}
+
+/**
+ * Record a rendered image of a page. Call saveParsedDocument() afterwards to
+ * keep it for later extractions.
+ * @param {object} parsed Parsed document
+ * @param {number} pageNumber Page number
+ * @param {string} key Render settings (e.g. "png-150")
+ * @param {object} render Render as {path, width, height}
+ */
+function recordRenderedImage(parsed, pageNumber, key, render) {
+  parsed.renders[pageNumber] = { ...parsed.renders[pageNumber], [key]: render };
+}
+
+/**
+ * Write a parsed document to the cache directory
+ * @param {object} parsed Parsed document
+ */
+function saveParsedDocument(parsed) {
+  try {
+    if (!fs.existsSync(CACHE_DIR)) {
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+
+    // Write to a temporary file first so that a concurrent reader never sees
+    // a partial document
+    const cachePath = getCachePath(parsed.hash);
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(parsed));
+    fs.renameSync(tempPath, cachePath);
+  } catch (error) {
+    // The cache is an optimization; extraction goes on without it
+    logger.warn(`Could not write parsed document cache: ${error.message}`);
+  }
+}
+
+/**
+ * Remove cached documents
+ * @param {string} hash Hash of the document to remove (all documents if omitted)
+ */
+function clearParsedDocumentCache(hash = null) {
+  if (hash) {
+    memoryCache.delete(hash);
+    fs.rmSync(getCachePath(hash), { force: true });
+    return;
+  }
+
+  memoryCache.clear();
+  if (fs.existsSync(CACHE_DIR)) {
+    for (const file of fs.readdirSync(CACHE_DIR)) {
+      fs.rmSync(path.join(CACHE_DIR, file), { force: true });
+    }
+  }
+}
+
+/**
+ * Read a parsed document from the cache directory
+ * @param {string} hash Hash of the PDF file
+ * @returns {object|null} Parsed document, or null if missing or outdated
+ */
+function readCachedDocument(hash) {
+  const cachePath = getCachePath(hash);
+
+  if (!fs.existsSync(cachePath)) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+
+    if (parsed.version !== CACHE_VERSION) {
+      logger.info(`Ignoring parsed document ${hash} with cache version ${parsed.version}`);
+      return null;
+    }
+
+    logger.debug(`Using cached parsed document ${hash}`);
+    return parsed;
+  } catch (error) {
+    logger.warn(`Ignoring unreadable parsed document ${hash}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Keep a parsed document in the memory cache, evicting the least recently
+ * used one when the cache is full
+ * @param {object} parsed Parsed document
+ */
+function remember(parsed) {
+  memoryCache.delete(parsed.hash);
+  memoryCache.set(parsed.hash, parsed);
+
+  if (memoryCache.size > MEMORY_CACHE_SIZE) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Compute the SHA-256 hash of a file
+ * @param {string} filePath Path to the file
+ * @returns {string} Hex digest
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Get the cache file of a document
+ * @param {string} hash Hash of the PDF file
+ * @returns {string} Path to the cache file
+ */
+function getCachePath(hash) {
+  return path.join(CACHE_DIR, `${hash}.json`);
+}
+
+module.exports = {
+  getParsedDocument,
+  getPage,
+  getPageText,
+  getRenderedImage,
+  recordRenderedImage,
+  saveParsedDocument,
+  clearParsedDocumentCache,
+  hashFile,
+  CACHE_DIR
+};
@@ -0,0 +1,320 @@
+/**
+ * PDF Downloader
+ *
+ * This service downloads the daily PDF with a conditional GET, a timeout and
+ * retries with exponential backoff. The response is written to a temporary
+ * file and checked before it is used: content type, `%PDF` header, size
+ * against Content-Length, `%%EOF` trailer and page count. Failures are
+ * reported as a DownloadError with a code that the job queue and the admin
+ * UI show.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { createLogger } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('pdf-downloader');
+
+// Configuration
+const DOWNLOAD_TIMEOUT = parseInt(process.env.PDF_DOWNLOAD_TIMEOUT, 10) || 60000;
+const DOWNLOAD_RETRIES = parseInteger(process.env.PDF_DOWNLOAD_RETRIES, 3);
+const RETRY_DELAY = parseInteger(process.env.PDF_DOWNLOAD_RETRY_DELAY, 1000);
+const MIN_PAGES = parseInteger(process.env.PDF_MIN_PAGES, 1);
+
+// Content types a server may send a PDF with
+const PDF_CONTENT_TYPES = ['application/pdf', 'application/x-pdf', 'application/octet-stream', 'binary/octet-stream'];
+
+// Bytes at the end of the file searched for the %%EOF trailer
+const TRAILER_WINDOW = 2048;
+
+/**
+ * Error codes of a failed download. Retryable failures are retried before
+ * the error is thrown.
+ */
+const DOWNLOAD_ERRORS = {
+  NETWORK_ERROR: { retryable: true, description: 'The server could not be reached' },
+  TIMEOUT: { retryable: true, description: 'The server did not respond in time' },
+  HTTP_ERROR: { retryable: false, description: 'The server answered with an error status' },
+  INVALID_CONTENT_TYPE: { retryable: false, description: 'The server did not send a PDF' },
+  NOT_A_PDF: { retryable: false, description: 'The file does not start with a PDF header' },
+  TRUNCATED: { retryable: true, description: 'The file is incomplete' },
+  INVALID_PDF: { retryable: false, description: 'The file could not be read as a PDF' }
+};
+
+/**
+ * Error of a failed download
+ */
+class DownloadError extends Error {
+  /**
+   * @param {string} code Error code (see DOWNLOAD_ERRORS)
+   * @param {string} message Error message
+   * @param {object} details Details
+   * @param {number} [details.status] HTTP status of the response
+   * @param {boolean} [details.retryable] Whether the download may succeed if retried
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'DownloadError';
+    this.code = code;
+    this.status = details.status || null;
+    this.retryable = details.retryable !== undefined ? details.retryable : DOWNLOAD_ERRORS[code].retryable;
+    this.attempts = 1;
+  }
+}
+
+/**
+ * Download a PDF to a file, retrying transient failures
+ * @param {string} url URL of the PDF
+ * @param {string} filePath Path the PDF is saved to. It is written to a
+ *   temporary file next to it and renamed once it is valid
+ * @param {object} options Options
+ * @param {object} [options.headers] Request headers (If-None-Match, If-Modified-Since)
+ * @param {number} [options.timeout] Maximum wait for the response and between chunks, in milliseconds
+ * @param {number} [options.retries] Number of retries after the first attempt
+ * @param {number} [options.retryDelay] Wait before the first retry, doubled on each retry, in milliseconds
+ * @returns {Promise<object>} {notModified: true} for a 304 response, or
+ *   {notModified: false, filePath, size, etag, lastModified, document}
+ *   where document is {totalPages, info, coverText}
+ * @throws {DownloadError} If the download fails
+ */
+async function downloadToFile(url, filePath, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : DOWNLOAD_RETRIES;
+  const retryDelay = options.retryDelay !== undefined ? options.retryDelay : RETRY_DELAY;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptDownload(url, filePath, options);
+    } catch (caught) {
+      const error = caught instanceof DownloadError ? caught : toDownloadError(caught);
+      error.attempts = attempt;
+
+      if (!error.retryable || attempt > retries) {
+        logger.error(`Download of ${url} failed after ${attempt} attempt(s) [${error.code}]: ${error.message}`);
+        throw error;
+      }
+
+      const delay = retryDelay * 2 ** (attempt - 1);
+      logger.warn(`Download attempt ${attempt} of ${url} failed [${error.code}]: ${error.message}. Retrying in ${delay} ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Download and check the PDF once
+ * @param {string} url URL of the PDF
+ * @param {string} filePath Path the PDF is saved to
+ * @param {object} options Options (see downloadToFile)
+ * @returns {Promise<object>} Download result (see downloadToFile)
+ */
+async function attemptDownload(url, filePath, options) {
+  const timeout = options.timeout || DOWNLOAD_TIMEOUT;
+
+  // The wait for the response is limited here and the wait between chunks
+  // of the body by writeStream, so that a slow but steady download of a
+  // large edition is not cut short
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let response;
+
+  try {
+    response = await axios({
+      method: 'GET',
+      url,
+      headers: options.headers || {},
+      responseType: 'stream',
+      signal: controller.signal,
+      validateStatus: () => true
+    });
+  } catch (error) {
+    throw controller.signal.aborted
+      ? new DownloadError('TIMEOUT', `No response within ${timeout} ms`)
+      : error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const headers = response.headers || {};
+
+  if (response.status === 304) {
+    discard(response.data);
+    return { notModified: true };
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    discard(response.data);
+    throw new DownloadError('HTTP_ERROR', `Server responded with status ${response.status}`, {
+      status: response.status,
+      // Server errors and rate limiting are usually temporary
+      retryable: response.status >= 500 || response.status === 408 || response.status === 429
+    });
+  }
+
+  const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType && !PDF_CONTENT_TYPES.includes(contentType)) {
+    discard(response.data);
+    throw new DownloadError('INVALID_CONTENT_TYPE', `Server sent ${contentType} instead of a PDF`, { status: response.status });
+  }
+
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}-${Date.now()}.part`);
+
+  try {
+    const size = await writeStream(response.data, tempPath, timeout);
+
+    const expectedSize = parseInt(headers['content-length'], 10);
+    if (expectedSize && size < expectedSize) {
+      throw new DownloadError('TRUNCATED', `Received ${size} of ${expectedSize} bytes`);
+    }
+
+    const document = await validatePDF(tempPath);
+
+    fs.renameSync(tempPath, filePath);
+    logger.info(`Downloaded ${url} (${size} bytes, ${document.totalPages} pages)`);
+
+    return {
+      notModified: false,
+      filePath,
+      size,
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null,
+      document
+    };
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Check that a file is a complete, readable PDF with enough pages
+ * @param {string} filePath Path to the file
+ * @returns {Promise<object>} Document as {totalPages, info, coverText}
+ * @throws {DownloadError} If the file is not a valid PDF
+ */
+async function validatePDF(filePath) {
+  const { size } = fs.statSync(filePath);
+  const fd = fs.openSync(filePath, 'r');
+  let header;
+  let trailer;
+
+  try {
+    header = Buffer.alloc(Math.min(5, size));
+    fs.readSync(fd, header, 0, header.length, 0);
+
+    trailer = Buffer.alloc(Math.min(TRAILER_WINDOW, size));
+    fs.readSync(fd, trailer, 0, trailer.length, size - trailer.length);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (header.toString('latin1') !== '%PDF-') {
+    const start = header.toString('latin1').toLowerCase();
+    throw new DownloadError('NOT_A_PDF', start.startsWith('<')
+      ? 'Server sent an HTML page instead of a PDF'
+      : 'File does not start with a PDF header');
+  }
+
+  if (!trailer.toString('latin1').includes('%%EOF')) {
+    throw new DownloadError('TRUNCATED', 'File has no %%EOF trailer');
+  }
+
+  let document;
+  try {
+    const { readDocumentInfo } = require('./textLayer');
+    document = await readDocumentInfo(filePath);
+  } catch (error) {
+    throw new DownloadError('INVALID_PDF', `PDF could not be read: ${error.message}`);
+  }
+
+  if (document.totalPages < MIN_PAGES) {
+    throw new DownloadError('INVALID_PDF', `PDF has ${document.totalPages} pages, expected at least ${MIN_PAGES}`);
+  }
+
+  return document;
+}
+
+/**
+ * Write a response stream to a file, failing if no data arrives for
+ * `timeout` milliseconds
+ * @param {object} stream Readable stream
+ * @param {string} filePath Path to the file
+ * @param {number} timeout Maximum wait between chunks, in milliseconds
+ * @returns {Promise<number>} Number of bytes written
+ */
+function writeStream(stream, filePath, timeout) {
+  return new Promise((resolve, reject) => {
+    const writer = fs.createWriteStream(filePath);
+    let size = 0;
+    let timer = null;
+
+    const fail = (error) => {
+      clearTimeout(timer);
+      stream.unpipe(writer);
+      writer.destroy();
+      if (stream.destroy) stream.destroy();
+      reject(error);
+    };
+
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fail(new DownloadError('TIMEOUT', `No data received for ${timeout} ms`)), timeout);
+    };
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      resetTimer();
+    });
+    stream.on('error', error => fail(new DownloadError('TRUNCATED', `Connection lost during the download: ${error.message}`)));
+    writer.on('error', fail);
+    writer.on('finish', () => {
+      clearTimeout(timer);
+      resolve(size);
+    });
+
+    resetTimer();
+    stream.pipe(writer);
+  });
+}
+
+/**
+ * Convert an axios or system error to a DownloadError
+ * @param {Error} error Error
+ * @returns {DownloadError} Download error
+ */
+function toDownloadError(error) {
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+    return new DownloadError('TIMEOUT', error.message);
+  }
+
+  return new DownloadError('NETWORK_ERROR', error.message);
+}
+
+/**
+ * Drop a response body that is not used
+ * @param {object} stream Response stream
+ */
+function discard(stream) {
+  if (stream && stream.resume) {
+    stream.resume();
+  }
+}
+
+/**
+ * Parse an integer setting, allowing 0
+ * @param {string} value Setting value
+ * @param {number} defaultValue Value used when the setting is missing or invalid
+ * @returns {number} Setting
+ */
+function parseInteger(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+}
+
+module.exports = {
+  downloadToFile,
+  validatePDF,
+  DownloadError,
+  DOWNLOAD_ERRORS
+};
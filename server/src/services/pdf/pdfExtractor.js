@@ -6,12 +6,15 @@
 
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const pdfParse = require('pdf-parse');
 const { run, get } = require('../../../../server/database');
 const { createLogger } = require('../../utils/logger');
 const sharp = require('sharp');
 const indexExtractor = require('./indexExtractor');
+const { downloadEdition, getCurrentPath } = require('./editionStore');
+const { getParsedDocument } = require('./parsedDocument');
+const { parseColumns } = require('./columnParser');
+const { NEWSPAPER_NAMES } = require('./enhancedPdfExtractor');
 
 // Create logger for this service
 const logger = createLogger('pdf-extractor');
@@ -31,38 +34,21 @@ if (!fs.existsSync(IMAGES_DIR)) {
 }
 
 /**
- * Download the PDF file
+ * Download the PDF file, keeping it as a new revision of its edition if it
+ * changed since the last download (see editionStore)
  * @param {string} url - URL of the PDF to download (defaults to PDF_URL)
- * @returns {Promise<string>} Path to the downloaded file
+ * @returns {Promise<string>} Path to the current PDF of the edition date
  */
 async function downloadPDF(url = PDF_URL) {
   try {
-    logger.info(`Downloading PDF from ${url}...`);
-    
-    const response = await axios({
-      method: 'GET',
-      url,
-      responseType: 'stream'
-    });
-    
-    // Generate filename based on current date
-    const date = new Date().toISOString().split('T')[0];
-    const filePath = path.join(DOWNLOAD_DIR, `${date}.pdf`);
-    
-    // Save the file
-    const writer = fs.createWriteStream(filePath);
-    response.data.pipe(writer);
-    
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => {
-        logger.info(`PDF downloaded successfully to ${filePath}`);
-        resolve(filePath);
-      });
-      writer.on('error', (err) => {
-        logger.error(`Error writing PDF file: ${err.message}`);
-        reject(err);
-      });
-    });
+    const { edition, changed } = await downloadEdition(url);
+    const filePath = getCurrentPath(edition.date);
+
+    logger.info(changed
+      ? `PDF downloaded successfully to ${filePath}`
+      : `PDF is unchanged, using ${filePath}`);
+
+    return filePath;
   } catch (error) {
     logger.error(`Error downloading PDF: ${error.message}`);
     throw error;
@@ -629,9 +615,10 @@ async function extractSimpleText(filePath) {
 /**
  * Extract images from PDF
  * @param {string} filePath Path to the PDF file
+ * @param {string} [imagesDir] Directory to write the images to (defaults to storage/images/<date>)
  * @returns {Promise<Array>} Array of extracted image paths
  */
-async function extractImages(filePath) {
+async function extractImages(filePath, imagesDir) {
   try {
     logger.info(`Extracting images from ${filePath}...`);
     
@@ -647,7 +634,7 @@ async function extractImages(filePath) {
     
     // Create a directory for this date's images
     const date = path.basename(filePath, '.pdf');
-    const dateImagesDir = path.join(IMAGES_DIR, date);
+    const dateImagesDir = imagesDir || path.join(IMAGES_DIR, date);
     
     if (!fs.existsSync(dateImagesDir)) {
       logger.info(`Creating directory for images: ${dateImagesDir}`);
@@ -1141,9 +1128,11 @@ async function extractImages(filePath) {
 /**
  * Extract content from PDF
  * @param {string} filePath Path to the PDF file
+ * @param {object} [options] Extraction options
+ * @param {string} [options.imagesDir] Directory to write the images to (defaults to storage/images/<date>)
  * @returns {Promise<object>} Extracted content
  */
-async function extractContent(filePath) {
+async function extractContent(filePath, options = {}) {
   try {
     logger.info(`Extracting content from ${filePath}...`);
     logger.info(`File exists check: ${fs.existsSync(filePath)}`);
@@ -1201,7 +1190,7 @@ async function extractContent(filePath) {
     
     // Extract images
     logger.info('Starting image extraction...');
-    const images = await extractImages(filePath);
+    const images = await extractImages(filePath, options.imagesDir);
     logger.info(`Image extraction completed. Found ${images.length} images`);
     
     // Log the images found
@@ -1323,14 +1312,40 @@ async function createColumnaPoliticaPlaceholder(imagePath, pageNum, date) {
 }
 
 /**
- * Extract pages with "COLUMNAS POLÍTICAS" header as image-based articles
+ * Extract the political columns of the pages with the "COLUMNAS POLÍTICAS"
+ * header from the text layer (see columnParser). Placeholder articles are
+ * only created when the text layer has no columns.
  * @param {string} text Full PDF text content 
  * @param {string} pdfPath Path to the PDF file
- * @returns {Promise<Array>} Array of articles representing political column pages
+ * @returns {Promise<Array>} Array of articles representing political columns
  */
 async function extractColumnsPoliticasPages(text, pdfPath) {
   const articles = [];
   
+  if (pdfPath) {
+    try {
+      const parsed = await getParsedDocument(pdfPath);
+      const pages = parsed.pages.filter(page => page.pageNumber > 1 && page.text.toUpperCase().includes('COLUMNAS POLÍTICAS'));
+      const columns = parseColumns(pages, { newspapers: NEWSPAPER_NAMES });
+      
+      if (columns.length > 0) {
+        logger.info(`Parsed ${columns.length} columnas políticas from the text layer`);
+        return columns.map(column => ({
+          title: column.title,
+          content: column.body,
+          summary: column.body.length > 200 ? column.body.substring(0, 200) + '...' : column.body,
+          source: column.newspaper || 'Columnas Políticas',
+          author: column.columnist,
+          institutions: column.institutions,
+          pageNumber: column.pageNumber,
+          url: null
+        }));
+      }
+    } catch (layerError) {
+      logger.warn(`Could not read the text layer for columnas-politicas: ${layerError.message}`);
+    }
+  }
+  
   logger.info('Creating placeholder articles for columnas-politicas section');
   
   // Create a fixed number of articles that will be associated with images later
@@ -1380,5 +1395,6 @@ module.exports = {
   getPDFPath,
   pdfExists,
   getLatestPDF,
-  indexExtractor
+  indexExtractor,
+  PDF_URL
 };
\ No newline at end of file
@@ -0,0 +1,353 @@
+/**
+ * PDF Text Layer Service
+ *
+ * This service reads the positioned text and the link annotations of PDF
+ * pages with pdf.js, so that extractors can use layout information (font
+ * size, position) instead of plain text only.
+ */
+
+const fs = require('fs');
+const { createLogger } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('pdf-text-layer');
+
+// Vertical gap between two lines, relative to their font size, that marks a
+// paragraph break in the plain text of a page
+const PARAGRAPH_GAP_RATIO = 1.8;
+
+// pdf.js is distributed as an ES module, so it is loaded on first use
+let pdfjsPromise = null;
+
+/**
+ * Load the pdf.js library
+ * @returns {Promise<object>} pdf.js module
+ */
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Open a PDF document with pdf.js
+ * @param {string} pdfPath Path to the PDF file
+ * @returns {Promise<object>} pdf.js document
+ */
+async function openDocument(pdfPath) {
+  const pdfjs = await loadPdfjs();
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+
+  return pdfjs.getDocument({
+    data,
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+}
+
+/**
+ * Read the text items of the given pages. Coordinates are in PDF points with
+ * the origin at the top-left corner of the page; `y` is the top of the item.
+ * @param {string} pdfPath Path to the PDF file
+ * @param {number[]} pageNumbers Pages to read (all pages if omitted)
+ * @returns {Promise<Array>} Pages as {pageNumber, width, height, items}
+ */
+async function getTextLayer(pdfPath, pageNumbers = null) {
+  const doc = await openDocument(pdfPath);
+
+  try {
+    const numbers = pageNumbers || Array.from({ length: doc.numPages }, (_, i) => i + 1);
+    const pages = [];
+
+    for (const pageNumber of numbers) {
+      if (pageNumber < 1 || pageNumber > doc.numPages) {
+        logger.warn(`Page ${pageNumber} is out of range (1-${doc.numPages})`);
+        continue;
+      }
+
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const textContent = await page.getTextContent();
+
+      pages.push({
+        pageNumber,
+        width: viewport.width,
+        height: viewport.height,
+        items: toTextItems(textContent.items, viewport.height)
+      });
+
+      page.cleanup();
+    }
+
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Read every page of a PDF in a single pass: positioned text items, plain
+ * text and link annotations
+ * @param {string} pdfPath Path to the PDF file
+ * @returns {Promise<object>} Document as {totalPages, pages: [{pageNumber, width, height, text, items, links}]}
+ */
+async function readDocument(pdfPath) {
+  const doc = await openDocument(pdfPath);
+
+  try {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const textContent = await page.getTextContent();
+      const annotations = await page.getAnnotations();
+
+      pages.push({
+        pageNumber,
+        width: viewport.width,
+        height: viewport.height,
+        text: getPageText(textContent.items),
+        items: toTextItems(textContent.items, viewport.height),
+        links: toLinks(annotations, viewport.height)
+      });
+
+      page.cleanup();
+    }
+
+    return {
+      totalPages: doc.numPages,
+      pages
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Read the document information (title, creation date) and the plain text
+ * of the first pages of a PDF, without reading the rest of it
+ * @param {string} pdfPath Path to the PDF file
+ * @param {number} coverPages Number of pages to read
+ * @returns {Promise<object>} Document as {totalPages, info, coverText}
+ */
+async function readDocumentInfo(pdfPath, coverPages = 2) {
+  const doc = await openDocument(pdfPath);
+
+  try {
+    const { info } = await doc.getMetadata();
+    const texts = [];
+
+    for (let pageNumber = 1; pageNumber <= Math.min(coverPages, doc.numPages); pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const textContent = await page.getTextContent();
+      texts.push(getPageText(textContent.items));
+      page.cleanup();
+    }
+
+    return {
+      totalPages: doc.numPages,
+      info: info || {},
+      coverText: texts.join('\n')
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Convert the pdf.js text items of a page, skipping blank ones
+ * @param {Array} items pdf.js text items
+ * @param {number} pageHeight Page height in points
+ * @returns {Array} Text items
+ */
+function toTextItems(items, pageHeight) {
+  return items
+    .filter(item => item.str && item.str.trim().length > 0)
+    .map(item => toTextItem(item, pageHeight));
+}
+
+/**
+ * Get the plain text of a page: one line per baseline, top to bottom, with
+ * an empty line where the vertical gap between two lines shows a paragraph
+ * break
+ * @param {Array} items pdf.js text items
+ * @returns {string} Page text
+ */
+function getPageText(items) {
+  const rows = new Map();
+
+  for (const item of items) {
+    if (!item.transform || !item.str || item.str.trim().length === 0) continue;
+
+    const y = Math.round(item.transform[5]);
+    if (!rows.has(y)) {
+      rows.set(y, []);
+    }
+    rows.get(y).push(item);
+  }
+
+  const lines = [];
+  let previous = null;
+
+  for (const [y, rowItems] of Array.from(rows.entries()).sort((a, b) => b[0] - a[0])) {
+    const fontSize = Math.max(...rowItems.map(item => Math.hypot(item.transform[2], item.transform[3]) || item.height || 0));
+
+    if (previous && previous.y - y > Math.max(previous.fontSize, fontSize) * PARAGRAPH_GAP_RATIO) {
+      lines.push('');
+    }
+
+    lines.push(rowItems
+      .sort((a, b) => a.transform[4] - b.transform[4])
+      .map(item => item.str)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim());
+
+    previous = { y, fontSize };
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert the link annotations of a page to URLs with their rectangle
+ * @param {Array} annotations pdf.js annotations
+ * @param {number} pageHeight Page height in points
+ * @returns {Array} Links as {url, rect: {x, y, width, height}}
+ */
+function toLinks(annotations, pageHeight) {
+  return annotations
+    .filter(annotation => annotation.subtype === 'Link' && (annotation.url || annotation.unsafeUrl))
+    .map(annotation => {
+      const [x1, y1, x2, y2] = annotation.rect;
+
+      return {
+        url: annotation.url || annotation.unsafeUrl,
+        rect: {
+          x: round(Math.min(x1, x2)),
+          y: round(pageHeight - Math.max(y1, y2)),
+          width: round(Math.abs(x2 - x1)),
+          height: round(Math.abs(y2 - y1))
+        }
+      };
+    });
+}
+
+/**
+ * Convert a pdf.js text item to a positioned text item
+ * @param {object} item pdf.js text item
+ * @param {number} pageHeight Page height in points
+ * @returns {object} Text item as {str, x, y, width, height, fontSize, fontName}
+ */
+function toTextItem(item, pageHeight) {
+  const [, , c, d, x, baseline] = item.transform;
+  const fontSize = Math.round(Math.hypot(c, d) * 100) / 100 || item.height;
+
+  return {
+    str: item.str,
+    x: round(x),
+    y: round(pageHeight - baseline - fontSize),
+    width: round(item.width),
+    height: round(item.height || fontSize),
+    fontSize,
+    fontName: item.fontName
+  };
+}
+
+/**
+ * Group text items into lines. Items are on the same line when their
+ * vertical positions match and the horizontal gap between them is small,
+ * so that columns printed side by side stay separate.
+ * @param {Array} items Text items of one page
+ * @returns {Array} Lines as {text, x, y, width, height, fontSize, items}, top to bottom
+ */
+function groupLines(items) {
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines = [];
+
+  for (const item of sorted) {
+    const line = lines.find(l => {
+      const sameRow = Math.abs(l.baseline - (item.y + item.fontSize)) <= Math.max(l.fontSize, item.fontSize) * 0.4;
+      const gap = item.x - (l.x + l.width);
+      return sameRow && gap > -item.fontSize && gap <= Math.max(l.fontSize, item.fontSize) * 1.5;
+    });
+
+    if (line) {
+      const right = Math.max(line.x + line.width, item.x + item.width);
+      line.items.push(item);
+      line.x = Math.min(line.x, item.x);
+      line.width = right - line.x;
+      line.fontSize = Math.max(line.fontSize, item.fontSize);
+    } else {
+      lines.push({
+        x: item.x,
+        baseline: item.y + item.fontSize,
+        width: item.width,
+        fontSize: item.fontSize,
+        items: [item]
+      });
+    }
+  }
+
+  return lines
+    .map(line => {
+      const lineItems = line.items.sort((a, b) => a.x - b.x);
+      const top = Math.min(...lineItems.map(i => i.y));
+      const bottom = Math.max(...lineItems.map(i => i.y + i.height));
+
+      return {
+        text: joinItems(lineItems),
+        x: round(line.x),
+        y: round(top),
+        width: round(line.width),
+        height: round(bottom - top),
+        fontSize: line.fontSize,
+        items: lineItems
+      };
+    })
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Join the text of the items of a line, adding a space where the items do
+ * not touch
+ * @param {Array} items Items sorted by x
+ * @returns {string} Line text
+ */
+function joinItems(items) {
+  let text = '';
+  let previous = null;
+
+  for (const item of items) {
+    if (previous) {
+      const gap = item.x - (previous.x + previous.width);
+      if (gap > item.fontSize * 0.15 && !text.endsWith(' ') && !item.str.startsWith(' ')) {
+        text += ' ';
+      }
+    }
+    text += item.str;
+    previous = item;
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Round a coordinate to two decimals
+ * @param {number} value Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  getTextLayer,
+  readDocument,
+  readDocumentInfo,
+  getPageText,
+  groupLines
+};
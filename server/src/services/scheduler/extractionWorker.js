@@ -0,0 +1,103 @@
+/**
+ * Extraction Worker
+ *
+ * This module runs a PDF extraction in a child process, so that parsing and
+ * rendering a full edition does not block the event loop of the API. The
+ * parent forks this file, sends it the PDF and the engine chain, and gets
+ * the progress reports, the log entries and the normalized ExtractionResult
+ * back over IPC.
+ */
+
+const path = require('path');
+const { fork } = require('child_process');
+const { createLogger } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('extraction-worker');
+
+// Maximum time for one extraction
+const WORKER_TIMEOUT = parseInt(process.env.EXTRACTION_WORKER_TIMEOUT, 10) || 30 * 60 * 1000;
+
+/**
+ * Extract a PDF in a child process
+ * @param {string} pdfPath Path to the PDF file
+ * @param {object} options Extraction options
+ * @param {string} [options.engine] Extraction engine (defaults to the extraction_engine setting)
+ * @param {string|string[]} [options.fallback] Engines to try if the selected one fails
+ * @param {string} [options.imagesDir] Directory to write the images to (defaults to storage/images/<date>)
+ * @param {number} [options.timeout] Maximum run time in milliseconds
+ * @param {Function} [options.onProgress] Called with the progress reports of the extractors
+ * @param {Function} [options.onLog] Called with the log entries of the worker
+ * @returns {Promise<object>} Normalized extraction result
+ */
+async function extractInWorker(pdfPath, options = {}) {
+  const { resolveEngines } = require('../pdf/extractorRegistry');
+
+  // Settings are read here so the worker does not need to query the database
+  const [engine, ...fallback] = await resolveEngines(options);
+  const timeout = options.timeout || WORKER_TIMEOUT;
+
+  return new Promise((resolve, reject) => {
+    const child = fork(__filename, [], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      finish(new Error(`Extraction of ${path.basename(pdfPath)} timed out after ${timeout} ms`));
+    }, timeout);
+
+    child.on('message', message => {
+      if (message.progress) {
+        if (options.onProgress) options.onProgress(message.progress);
+      } else if (message.log) {
+        if (options.onLog) options.onLog(message.log);
+      } else if (message.error) {
+        finish(new Error(message.error));
+      } else {
+        finish(null, message.result);
+      }
+    });
+
+    child.on('error', error => finish(error));
+
+    child.on('exit', code => {
+      finish(new Error(`Extraction worker exited with code ${code} before sending a result`));
+    });
+
+    logger.info(`Started extraction worker ${child.pid} for ${pdfPath}`);
+    child.send({ pdfPath, engine, fallback, imagesDir: options.imagesDir });
+  });
+}
+
+module.exports = {
+  extractInWorker
+};
+
+// Worker side: extract the PDF received from the parent and send the result back
+if (require.main === module) {
+  process.once('message', async ({ pdfPath, engine, fallback, imagesDir }) => {
+    try {
+      const { extractWithEngine } = require('../pdf/extractorRegistry');
+      const { onProgress } = require('../pdf/extractionProgress');
+      const { onLog } = require('../../utils/logger');
+      onProgress(progress => process.send({ progress }));
+      onLog(log => process.send({ log }));
+
+      const result = await extractWithEngine(pdfPath, { engine, fallback, imagesDir });
+      process.send({ result }, () => process.exit(0));
+    } catch (error) {
+      process.send({ error: error.message }, () => process.exit(1));
+    }
+  });
+}
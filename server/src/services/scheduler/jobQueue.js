@@ -0,0 +1,456 @@
+/**
+ * Extraction Job Queue
+ *
+ * This service queues extractions and runs them one at a time. Each job is
+ * recorded in the EXTRACTION_JOB table with its status, current step and
+ * progress, so that the API can return a job id right away and clients can
+ * follow the run with GET /api/extraction/jobs/:id. While a job runs, its
+ * step transitions and log entries are published to subscribers (see
+ * subscribeToJob), which the API streams as server-sent events.
+ */
+
+const { EventEmitter } = require('events');
+const { run, get, query } = require('../../../../server/database');
+const { createLogger, onLog } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('job-queue');
+
+// Steps of an extraction, in order, with the share of the progress they take
+const STEPS = [
+  { name: 'download', weight: 10 },
+  { name: 'text', weight: 30 },
+  { name: 'images', weight: 30 },
+  { name: 'urls', weight: 10 },
+  { name: 'store', weight: 20 }
+];
+
+// Log entries kept per job for subscribers that connect late
+const MAX_JOB_LOGS = 500;
+
+// Number of jobs whose log entries are kept
+const MAX_LOGGED_JOBS = 5;
+
+// Loggers whose entries are recorded with the running job. The entries of the
+// other loggers of the process (requests, authentication, search...) are
+// not part of the extraction
+const EXTRACTION_LOGGERS = new Set([
+  'scheduler',
+  'pdf-downloader',
+  'edition-store',
+  'extractor-registry',
+  'extraction-worker',
+  'pdf-extractor',
+  'enhanced-pdf-extractor',
+  'new-pdf-extractor',
+  'pdf-index-extractor',
+  'pdf-text-layer',
+  'parsed-document',
+  'masthead-identifier',
+  'content-extractor',
+  'content-processor',
+  'enhanced-content-processor',
+  'new-content-processor',
+  'front-page-association',
+  'extraction-preview'
+]);
+
+// Jobs waiting to run, as {id, date, editionId, engine, fallback, scheduled, dryRun}
+const pendingJobs = [];
+
+// Completion promises of the jobs queued by this process, by job id
+const completions = new Map();
+
+// Events of the running jobs, emitted under the job id
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Recent log entries by job id, oldest job first
+const jobLogs = new Map();
+
+let processing = false;
+
+/**
+ * Queue an extraction
+ * @param {object} options Job options
+ * @param {string} [options.date] Date of a stored PDF to re-extract (downloads the latest PDF if omitted)
+ * @param {number} [options.editionId] Revision of the date to re-extract instead of the current one
+ * @param {string} [options.engine] Extraction engine (defaults to the extraction_engine setting)
+ * @param {string|string[]} [options.fallback] Engines to try if the selected one fails
+ * @param {boolean} [options.scheduled] The job was started by the daily schedule
+ * @param {boolean} [options.dryRun] Save the result as a preview instead of storing it
+ * @param {string} [options.requestedBy] User or service that requested the job
+ * @returns {Promise<object>} Queued job (see getJob)
+ */
+async function enqueueExtraction(options = {}) {
+  try {
+    const { date = null, editionId = null, engine = null, fallback, scheduled = false, dryRun = false, requestedBy = null } = options;
+
+    // A stored PDF is re-extracted without downloading anything, and a dry
+    // run does not store anything
+    const steps = STEPS.map(step => ({
+      name: step.name,
+      status: (date && step.name === 'download') || (dryRun && step.name === 'store') ? 'skipped' : 'pending'
+    }));
+
+    const result = await run(
+      `INSERT INTO EXTRACTION_JOB (date, engine, status, progress, steps, requested_by) VALUES (?, ?, 'queued', 0, ?, ?)`,
+      [date, engine, JSON.stringify(steps), requestedBy]
+    );
+
+    const id = result.lastID;
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    // Callers that never wait for the job must not cause an unhandled rejection
+    promise.catch(() => {});
+    completions.set(id, { promise, resolve, reject });
+
+    pendingJobs.push({ id, date, editionId, engine, fallback, scheduled, dryRun });
+    logger.info(`Queued extraction job ${id}${date ? ` for ${date}` : ''} (${pendingJobs.length} waiting)`);
+
+    // A failure outside a job (e.g. reading it back) must not crash the server
+    setImmediate(() => {
+      processQueue().catch(error => logger.error(`Error processing extraction queue: ${error.message}`));
+    });
+
+    return getJob(id);
+  } catch (error) {
+    logger.error(`Error queueing extraction job: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get an extraction job
+ * @param {number} id Job id
+ * @returns {Promise<object|null>} Job with its steps and statistics, or null if it does not exist
+ */
+async function getJob(id) {
+  try {
+    const row = await get(`SELECT * FROM EXTRACTION_JOB WHERE id = ?`, [id]);
+    return row ? formatJob(row) : null;
+  } catch (error) {
+    logger.error(`Error getting extraction job ${id}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * List the most recent extraction jobs
+ * @param {object} options Options
+ * @param {number} [options.limit] Maximum number of jobs (default 20)
+ * @param {string} [options.status] Only jobs with this status
+ * @returns {Promise<Array>} Jobs, newest first
+ */
+async function listJobs(options = {}) {
+  try {
+    const { limit = 20, status } = options;
+    const rows = status
+      ? await query(`SELECT * FROM EXTRACTION_JOB WHERE status = ? ORDER BY id DESC LIMIT ?`, [status, limit])
+      : await query(`SELECT * FROM EXTRACTION_JOB ORDER BY id DESC LIMIT ?`, [limit]);
+
+    return rows.map(formatJob);
+  } catch (error) {
+    logger.error(`Error listing extraction jobs: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Wait until a job queued by this process finishes
+ * @param {number} id Job id
+ * @returns {Promise<object>} Extraction results (rejects with the error of a failed job)
+ */
+async function waitForJob(id) {
+  const completion = completions.get(id);
+
+  if (completion) {
+    return completion.promise;
+  }
+
+  const job = await getJob(id);
+
+  if (!job) {
+    throw new Error(`Extraction job ${id} does not exist`);
+  }
+  if (job.status === 'failed') {
+    throw new Error(job.error);
+  }
+  if (job.status !== 'completed') {
+    throw new Error(`Extraction job ${id} is not running in this process`);
+  }
+
+  return job.stats;
+}
+
+/**
+ * Subscribe to the events of a job: {type: 'progress', current_step, progress,
+ * steps, section}, {type: 'log', timestamp, level, module, message} and
+ * {type: 'done', status, error}
+ * @param {number} id Job id
+ * @param {Function} listener Called with each event
+ * @returns {Function} Function that removes the listener
+ */
+function subscribeToJob(id, listener) {
+  const eventName = String(id);
+  jobEvents.on(eventName, listener);
+  return () => jobEvents.off(eventName, listener);
+}
+
+/**
+ * Get the recent log entries of a job
+ * @param {number} id Job id
+ * @returns {Array} Log entries, oldest first (empty if none are kept)
+ */
+function getJobLogs(id) {
+  return jobLogs.get(id) || [];
+}
+
+/**
+ * Mark the jobs left queued or running by a previous process as failed
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+async function recoverInterruptedJobs() {
+  try {
+    const result = await run(
+      `UPDATE EXTRACTION_JOB SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP
+       WHERE status IN ('queued', 'running')`,
+      ['Interrupted by a server restart']
+    );
+
+    if (result.changes > 0) {
+      logger.warn(`Marked ${result.changes} interrupted extraction jobs as failed`);
+    }
+
+    return result.changes;
+  } catch (error) {
+    logger.error(`Error recovering interrupted extraction jobs: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Run the queued jobs one after the other
+ */
+async function processQueue() {
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+
+  try {
+    while (pendingJobs.length > 0) {
+      const entry = pendingJobs.shift();
+      await runJob(entry).catch(error => logger.error(`Error running extraction job ${entry.id}: ${error.message}`));
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Run one job, recording its progress
+ * @param {object} entry Queued job
+ */
+async function runJob(entry) {
+  const { runExtractionJob, pdfExtractionJob } = require('./scheduler');
+  const completion = completions.get(entry.id);
+  let steps = [];
+  let stopLogging = () => {};
+
+  // Progress updates are written in order, one at a time
+  let updates = Promise.resolve();
+  const update = (fields) => {
+    updates = updates
+      .then(() => updateJob(entry.id, fields))
+      .catch(error => logger.warn(`Could not update extraction job ${entry.id}: ${error.message}`));
+    return updates;
+  };
+
+  const publish = (event) => jobEvents.emit(String(entry.id), event);
+
+  const onProgress = (event) => {
+    const fields = advanceSteps(steps, event);
+    if (event.date && !entry.date) {
+      entry.date = event.date;
+      fields.date = event.date;
+    }
+    update(fields);
+
+    if (fields.current_step) {
+      publish({ type: 'progress', current_step: fields.current_step, progress: fields.progress, steps, section: event.section || null });
+    }
+  };
+
+  // Log entries of the extraction loggers of this process and of the
+  // extraction worker
+  const logs = [];
+  jobLogs.set(entry.id, logs);
+  if (jobLogs.size > MAX_LOGGED_JOBS) {
+    jobLogs.delete(jobLogs.keys().next().value);
+  }
+
+  const onJobLog = (log) => {
+    logs.push(log);
+    if (logs.length > MAX_JOB_LOGS) logs.shift();
+    publish({ type: 'log', ...log });
+  };
+
+  try {
+    // A job that cannot be read fails like an extraction, so that the queue
+    // moves on and waitForJob() settles
+    const job = await getJob(entry.id);
+    if (!job) {
+      throw new Error(`Extraction job ${entry.id} does not exist`);
+    }
+    steps = job.steps;
+    stopLogging = onLog(log => {
+      if (EXTRACTION_LOGGERS.has(log.module)) onJobLog(log);
+    });
+
+    logger.info(`Starting extraction job ${entry.id}`);
+    update({ status: 'running', started_at: new Date().toISOString() });
+    publish({ type: 'progress', current_step: null, progress: 0, steps, section: null });
+
+    const options = {
+      engine: entry.engine || undefined,
+      fallback: entry.fallback,
+      dryRun: entry.dryRun,
+      editionId: entry.editionId || undefined,
+      onProgress,
+      onLog: onJobLog
+    };
+    const results = entry.scheduled
+      ? await pdfExtractionJob(options)
+      : await runExtractionJob(entry.date, options);
+
+    // An unchanged PDF that was already extracted is not extracted again
+    steps.forEach(step => {
+      if (results.skipped && step.status === 'pending') step.status = 'skipped';
+      else if (step.status !== 'skipped') step.status = 'completed';
+    });
+
+    await update({
+      status: 'completed',
+      engine: results.engine || entry.engine,
+      progress: 100,
+      current_step: null,
+      steps: JSON.stringify(steps),
+      stats: JSON.stringify(results.dryRun
+        ? { dryRun: true, statistics: results.statistics, diff: results.diff }
+        : results.skipped
+          ? { skipped: true, edition: { id: results.edition.id, date: results.edition.date, revision: results.edition.revision } }
+          : { statistics: results.statistics, sections: results.sections, association: results.association || null }),
+      finished_at: new Date().toISOString()
+    });
+
+    logger.info(`Extraction job ${entry.id} completed`);
+    stopLogging();
+    publish({ type: 'progress', current_step: null, progress: 100, steps, section: null });
+    publish({ type: 'done', status: 'completed', error: null });
+    completion.resolve(results);
+  } catch (error) {
+    const current = steps.find(step => step.status === 'running');
+    if (current) current.status = 'failed';
+
+    await update({
+      status: 'failed',
+      steps: JSON.stringify(steps),
+      error: error.message,
+      error_code: error.code || null,
+      finished_at: new Date().toISOString()
+    });
+
+    logger.error(`Extraction job ${entry.id} failed: ${error.message}`);
+    stopLogging();
+    publish({ type: 'done', status: 'failed', error: error.message });
+    completion.reject(error);
+  } finally {
+    completions.delete(entry.id);
+  }
+}
+
+/**
+ * Move the steps of a job forward to the step of a progress event. Steps
+ * before it that were not reported are considered completed.
+ * @param {Array} steps Steps of the job (modified in place)
+ * @param {object} event Progress event as {step, completed, total}
+ * @returns {object} Fields of the job to update
+ */
+function advanceSteps(steps, event) {
+  const index = steps.findIndex(step => step.name === event.step);
+
+  if (index === -1) {
+    return {};
+  }
+
+  let progress = 0;
+
+  steps.forEach((step, i) => {
+    const weight = STEPS[i].weight;
+
+    if (i < index) {
+      if (step.status === 'pending' || step.status === 'running') step.status = 'completed';
+      progress += weight;
+    } else if (i === index) {
+      step.status = 'running';
+      if (event.total) {
+        progress += Math.round(weight * Math.min(event.completed || 0, event.total) / event.total);
+      }
+    }
+  });
+
+  return {
+    current_step: event.step,
+    progress,
+    steps: JSON.stringify(steps)
+  };
+}
+
+/**
+ * Update the fields of a job
+ * @param {number} id Job id
+ * @param {object} fields Columns and their values
+ * @returns {Promise<void>}
+ */
+async function updateJob(id, fields) {
+  const columns = Object.keys(fields);
+
+  if (columns.length === 0) {
+    return;
+  }
+
+  await run(
+    `UPDATE EXTRACTION_JOB SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => fields[column]), id]
+  );
+}
+
+/**
+ * Format a job row, parsing its JSON columns
+ * @param {object} row EXTRACTION_JOB row
+ * @returns {object} Job
+ */
+function formatJob(row) {
+  return {
+    ...row,
+    steps: row.steps ? JSON.parse(row.steps) : [],
+    stats: row.stats ? JSON.parse(row.stats) : null
+  };
+}
+
+module.exports = {
+  enqueueExtraction,
+  getJob,
+  listJobs,
+  waitForJob,
+  subscribeToJob,
+  getJobLogs,
+  recoverInterruptedJobs,
+  STEPS
+};
@@ -7,11 +7,13 @@
 
 const schedule = require('node-schedule');
 const { run, get } = require('../../../../server/database');
-const { downloadPDF } = require('../pdf/pdfExtractor');
+const { PDF_URL } = require('../pdf/pdfExtractor');
+const { downloadEdition, getCurrentPath } = require('../pdf/editionStore');
 const { contentExtractor } = require('../content/contentExtractor');
 const { processContent } = require('../content/contentProcessor');
 const { createLogger } = require('../../utils/logger');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 // Create logger for this service
@@ -105,31 +107,135 @@ function getActiveJobs() {
   }));
 }
 
+/**
+ * Extract a PDF with the selected engine and store the result, merging it
+ * into the existing content for its date (see storeExtractedContent). A dry
+ * run saves the result as a preview instead (see extractionPreview) and
+ * renders its images into the preview, leaving the stored content and
+ * images untouched.
+ * @param {string} pdfPath Path to the PDF file
+ * @param {object} options Extraction options
+ * @param {string} [options.engine] Extraction engine (defaults to the extraction_engine setting)
+ * @param {string|string[]} [options.fallback] Engines to try if the selected one fails
+ * @param {boolean} [options.inProcess] Extract in this process instead of a worker
+ *   (also set with EXTRACTION_IN_PROCESS=true)
+ * @param {boolean} [options.dryRun] Save the result as a preview instead of storing it
+ * @param {boolean} [options.keepStale] Keep the stored articles missing from the result
+ * @param {number} [options.editionId] Revision being extracted, made the current
+ *   revision of its date when the result is stored or its preview committed
+ * @param {Function} [options.onProgress] Called with {step, ...details} as the extraction advances
+ * @param {Function} [options.onLog] Called with the log entries of the extraction worker
+ * @returns {Promise<object>} Processing results, or {dryRun, date, engine, statistics, diff} for a dry run
+ */
+async function extractAndStore(pdfPath, options = {}) {
+  const { extractWithEngine } = require('../pdf/extractorRegistry');
+  const { onProgress } = require('../pdf/extractionProgress');
+  const { extractInWorker } = require('./extractionWorker');
+  const { storeExtractedContent } = require('../content/enhancedContentProcessor');
+  const { markExtracted, setCurrentRevision } = require('../pdf/editionStore');
+  const notify = options.onProgress || (() => {});
+  const date = path.basename(pdfPath, '.pdf');
+  
+  notify({ step: 'text', date });
+  
+  if (options.dryRun) {
+    const { preparePreviewImages } = require('../content/extractionPreview');
+    options = { ...options, imagesDir: preparePreviewImages(date) };
+  }
+  
+  // Extract content using the selected engine. The extraction runs in a
+  // worker process by default so the API stays responsive meanwhile
+  const inProcess = options.inProcess || process.env.EXTRACTION_IN_PROCESS === 'true';
+  let content;
+  
+  if (inProcess) {
+    const stopListening = onProgress(notify);
+    try {
+      content = await extractWithEngine(pdfPath, options);
+    } finally {
+      stopListening();
+    }
+  } else {
+    content = await extractInWorker(pdfPath, options);
+  }
+  logger.info(`Content extracted with engine "${content.engine}"`);
+  
+  if (options.dryRun) {
+    const { savePreview } = require('../content/extractionPreview');
+    const preview = await savePreview(content, { editionId: options.editionId });
+    logger.info(`Dry run for ${date}: ${preview.diff.totals.added} added, ${preview.diff.totals.removed} removed, ${preview.diff.totals.changed} changed`);
+    return { dryRun: true, ...preview };
+  }
+  
+  notify({ step: 'store', date });
+  
+  // Merge the extracted content into the stored content of its date,
+  // keeping the fields edited by hand. The revision only becomes current
+  // once its content is stored
+  const results = await storeExtractedContent(content, { keepStale: options.keepStale });
+  if (options.editionId) {
+    await setCurrentRevision(options.editionId);
+  }
+  await markExtracted(date);
+  results.engine = content.engine;
+  results.navigation = content.metadata.navigation || null;
+  
+  return results;
+}
+
+/**
+ * Extract a stored revision of an edition. The revision is read from a copy,
+ * so storage/pdf/<date>.pdf keeps the current revision until the result is
+ * stored (see extractAndStore)
+ * @param {number} editionId Edition id
+ * @param {object} options Extraction options (see extractAndStore)
+ * @returns {Promise<object>} Processing results, or the preview summary of a dry run
+ */
+async function extractRevision(editionId, options = {}) {
+  const { getEdition, copyRevision } = require('../pdf/editionStore');
+  const edition = await getEdition(editionId);
+  
+  if (!edition) {
+    throw new Error(`Edition ${editionId} does not exist`);
+  }
+  
+  const copyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cjf-revision-'));
+  
+  try {
+    logger.info(`Extracting revision ${edition.revision} of ${edition.date}`);
+    return await extractAndStore(copyRevision(edition, copyDir), { ...options, editionId });
+  } finally {
+    fs.rmSync(copyDir, { recursive: true, force: true });
+  }
+}
+
 /**
  * PDF extraction job function
+ * @param {object} options Extraction options (see extractAndStore)
  */
-async function pdfExtractionJob() {
+async function pdfExtractionJob(options = {}) {
   try {
     logger.info('Starting comprehensive PDF extraction job');
     
-    // Download the PDF
-    const filePath = await downloadPDF();
-    
-    // Extract content using enhanced extractor
-    const { extractEnhancedContent } = require('../pdf/enhancedPdfExtractor');
-    const content = await extractEnhancedContent(filePath);
+    // Download the PDF, unless it is the same as the last download
+    if (options.onProgress) options.onProgress({ step: 'download' });
+    const { edition, changed } = await downloadEdition(PDF_URL);
     
-    // Process and store content using enhanced processor
-    const { processExtractedContent, clearExistingData } = require('../content/enhancedContentProcessor');
+    if (!changed && edition.extracted_at && !options.dryRun) {
+      logger.info(`PDF for ${edition.date} is unchanged since revision ${edition.revision} was extracted. Skipping extraction`);
+      return { skipped: true, date: edition.date, edition, statistics: null, sections: {} };
+    }
     
-    // Clear existing data for this date first
-    const date = path.basename(filePath, '.pdf');
-    await clearExistingData(date);
+    // Extract, process and store the content
+    const filePath = getCurrentPath(edition.date);
+    const results = await extractAndStore(filePath, options);
     
-    // Process the extracted content
-    const results = await processExtractedContent(content);
+    if (results.dryRun) {
+      logger.info(`PDF extraction dry run completed. Preview saved for ${results.date}`);
+      return results;
+    }
     
-    logger.info(`Enhanced PDF extraction job completed successfully.`);
+    logger.info(`PDF extraction job completed successfully using engine "${results.engine}".`);
     logger.info(`Processed ${results.statistics.totalSections} sections with ${results.statistics.totalArticles} total articles`);
     Object.entries(results.sections).forEach(([section, data]) => {
       logger.info(`Section ${section}: ${data.processed} articles processed`);
@@ -138,7 +244,7 @@ async function pdfExtractionJob() {
     
     return results;
   } catch (error) {
-    logger.error(`PDF extraction job failed: ${error.message}`);
+    logger.error(`PDF extraction job failed${error.code ? ` [${error.code}]` : ''}: ${error.message}`);
     throw error;
   }
 }
@@ -158,9 +264,17 @@ async function initializeScheduler() {
     const extractionTime = extractionTimeSetting ? extractionTimeSetting.value : '08:00';
     const [hour, minute] = extractionTime.split(':').map(Number);
     
-    // Schedule the PDF extraction job to run daily at the specified time
+    // Jobs left queued or running by a previous process will never finish
+    const { recoverInterruptedJobs, enqueueExtraction, waitForJob } = require('./jobQueue');
+    await recoverInterruptedJobs();
+    
+    // Schedule the PDF extraction job to run daily at the specified time,
+    // through the job queue so that it does not overlap with manual runs
     const cronExpression = `${minute} ${hour} * * *`;
-    scheduleJob('pdf-extraction', cronExpression, pdfExtractionJob);
+    scheduleJob('pdf-extraction', cronExpression, async () => {
+      const job = await enqueueExtraction({ scheduled: true, requestedBy: 'scheduler' });
+      return waitForJob(job.id);
+    });
     
     logger.info(`Scheduler initialized. PDF extraction scheduled to run daily at ${extractionTime}`);
   } catch (error) {
@@ -172,34 +286,35 @@ async function initializeScheduler() {
 /**
  * Run the PDF extraction job manually
  * @param {string} date - Optional date to re-extract (format: YYYY-MM-DD)
+ * @param {object} options - Extraction options
+ * @param {string} [options.engine] - Extraction engine (defaults to the extraction_engine setting)
+ * @param {string|string[]} [options.fallback] - Engines to try if the selected one fails
+ * @param {boolean} [options.dryRun] - Save the result as a preview instead of storing it
+ * @param {number} [options.editionId] - Revision of the date to extract instead of the current one
+ * @param {Function} [options.onProgress] - Called with the progress of each step (see extractAndStore)
  * @returns {Promise<object>} Extraction results
  */
-async function runExtractionJob(date = null) {
+async function runExtractionJob(date = null, options = {}) {
   try {
     if (date) {
       logger.info(`Running PDF re-extraction job manually for date: ${date}`);
       
-      // Check if PDF exists for the specified date
-      const { pdfExists } = require('../pdf/pdfExtractor');
-      const pdfPath = path.join(__dirname, '../../../../storage/pdf', `${date}.pdf`);
+      let results;
       
-      if (!fs.existsSync(pdfPath)) {
-        throw new Error(`PDF file for date ${date} does not exist`);
+      if (options.editionId) {
+        results = await extractRevision(options.editionId, options);
+      } else {
+        // Check if PDF exists for the specified date
+        const pdfPath = path.join(__dirname, '../../../../storage/pdf', `${date}.pdf`);
+        
+        if (!fs.existsSync(pdfPath)) {
+          throw new Error(`PDF file for date ${date} does not exist`);
+        }
+        
+        // Extract, process and store the content from the existing PDF
+        results = await extractAndStore(pdfPath, options);
       }
       
-      // Extract content from the existing PDF using enhanced extractor
-      const { extractEnhancedContent } = require('../pdf/enhancedPdfExtractor');
-      const content = await extractEnhancedContent(pdfPath);
-      
-      // Process and store content using enhanced processor
-      const { processExtractedContent, clearExistingData } = require('../content/enhancedContentProcessor');
-      
-      // Clear existing data for this date first
-      await clearExistingData(date);
-      
-      // Process the extracted content
-      const results = await processExtractedContent(content);
-      
       // Log to database
       await run(
         `INSERT INTO AUDIT_LOG (action, entity_type, details) VALUES (?, ?, ?)`,
@@ -211,7 +326,7 @@ async function runExtractionJob(date = null) {
       logger.info('Running PDF extraction job manually');
       
       // Run the job
-      const results = await pdfExtractionJob();
+      const results = await pdfExtractionJob(options);
       
       // Log to database
       await run(
@@ -227,7 +342,7 @@ async function runExtractionJob(date = null) {
     // Log to database
     await run(
       `INSERT INTO AUDIT_LOG (action, entity_type, details) VALUES (?, ?, ?)`,
-      ['MANUAL_JOB', 'PDF_EXTRACTION', JSON.stringify({ status: 'error', error: error.message, date })]
+      ['MANUAL_JOB', 'PDF_EXTRACTION', JSON.stringify({ status: 'error', error: error.message, code: error.code || null, date, engine: options.engine })]
     );
     
     throw error;
@@ -239,6 +354,8 @@ module.exports = {
   cancelJob,
   getActiveJobs,
   pdfExtractionJob,
+  extractAndStore,
+  extractRevision,
   initializeScheduler,
   runExtractionJob
 };
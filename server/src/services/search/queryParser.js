@@ -0,0 +1,443 @@
+/**
+ * Search Query Parser
+ *
+ * Reads the query syntax of the search box:
+ *
+ *   "reforma judicial" -TEPJF source:Reforma section:suprema-corte title:ministra
+ *
+ * - Words must all appear; `"..."` matches a phrase and `word*` a prefix
+ * - `-word` or `NOT word` excludes; `OR` matches either of the terms next
+ *   to it; `AND` is optional and parentheses group
+ * - `title:`, `summary:`, `content:`, `author:` and `source:` look in one
+ *   field only (`source:"El Universal"` takes a phrase)
+ * - `section:` narrows to a section (`-section:` leaves it out), `date:` to a
+ *   day, month or year (`date:2025-06`) or a range
+ *   (`date:2025-06-01..2025-06-15`, either end may be left open), and
+ *   `from:`/`to:` set one end of the range
+ *
+ * The text terms are compiled into an FTS5 query for the search index (see
+ * searchIndex.js); section and date filters are returned apart, for SQL.
+ * A query that cannot be read throws a SearchQueryError with the position
+ * of the problem.
+ */
+
+// Fields that scope a term to one column of the index
+const TEXT_FIELDS = ['title', 'summary', 'content', 'author', 'source'];
+
+// Fields that filter the results outside of the index
+const FILTER_FIELDS = ['section', 'date', 'from', 'to'];
+
+// Error codes of a query that cannot be read
+const QUERY_ERRORS = {
+  UNTERMINATED_PHRASE: 'A phrase is missing its closing quote',
+  UNBALANCED_PARENTHESIS: 'A parenthesis is not closed or not opened',
+  MISSING_OPERAND: 'An operator is missing the term on one of its sides',
+  EMPTY_FIELD: 'A field has no value',
+  INVALID_DATE: 'A date is not valid (use YYYY, YYYY-MM or YYYY-MM-DD)',
+  MISPLACED_FILTER: 'Section and date filters cannot be grouped or combined with OR',
+  NEGATION_ONLY: 'An exclusion needs a term to exclude from'
+};
+
+/**
+ * Error of a query that cannot be read
+ */
+class SearchQueryError extends Error {
+  /**
+   * @param {string} code Error code (see QUERY_ERRORS)
+   * @param {number} position Position of the problem in the query
+   */
+  constructor(code, position) {
+    super(QUERY_ERRORS[code]);
+    this.name = 'SearchQueryError';
+    this.code = code;
+    this.position = position;
+  }
+}
+
+/**
+ * Parse a search query
+ * @param {string} text Query typed by the reader
+ * @returns {{text: object|null, filters: object}} Syntax tree of the text
+ *   terms (null if there are none) and the filters as {sections,
+ *   excludedSections, from, to}
+ * @throws {SearchQueryError} If the query cannot be read
+ */
+function parseSearchQuery(text) {
+  const parser = { tokens: tokenize(String(text || '')), index: 0 };
+  const tree = parser.tokens.length > 0 ? parseAnd(parser) : null;
+
+  if (parser.index < parser.tokens.length) {
+    // Only a closing parenthesis can stop the parser early
+    throw new SearchQueryError('UNBALANCED_PARENTHESIS', parser.tokens[parser.index].position);
+  }
+
+  return splitFilters(tree);
+}
+
+/**
+ * Compile the text terms of a parsed query into FTS5 queries
+ * @param {object|null} tree Text terms as returned by parseSearchQuery
+ * @param {Object<string, string>} columns Index column of each text field
+ * @returns {{match: string|null, exclude: string|null}} Query the results must
+ *   match, and, when the terms are only exclusions, the query they must not
+ * @throws {SearchQueryError} If an exclusion has nothing to exclude from
+ */
+function compileMatch(tree, columns) {
+  if (!tree) {
+    return { match: null, exclude: null };
+  }
+
+  const terms = tree.type === 'and' ? tree.children : [tree];
+
+  if (terms.every(term => term.type === 'not')) {
+    return { match: null, exclude: compile({ type: 'or', children: terms.map(term => term.child) }, columns) };
+  }
+
+  return { match: compile(tree, columns), exclude: null };
+}
+
+/**
+ * Split a query into tokens: parentheses, operators, exclusion marks, words,
+ * phrases and field terms
+ * @param {string} text Query
+ * @returns {Array<{type: string, position: number}>} Tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1]) && (i === 0 || /[\s(]/.test(text[i - 1]))) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+    } else if (char === '"') {
+      const phrase = readPhrase(text, i);
+      if (/[\p{L}\p{N}]/u.test(phrase.value)) {
+        tokens.push({ type: 'term', field: null, value: phrase.value, phrase: true, prefix: false, position: i });
+      }
+      i = phrase.end;
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s()"]/.test(text[i])) {
+        i++;
+      }
+      const word = text.slice(start, i);
+      const field = word.match(/^(\p{L}+):/u);
+
+      if (['OR', 'AND', 'NOT'].includes(word)) {
+        tokens.push({ type: word, position: start });
+      } else if (field && [...TEXT_FIELDS, ...FILTER_FIELDS].includes(field[1].toLowerCase())) {
+        const value = word.slice(field[0].length);
+        const token = { type: 'term', field: field[1].toLowerCase(), value, phrase: false, prefix: false, position: start };
+
+        // A field takes a phrase right after the colon (source:"El Universal")
+        if (!value && text[i] === '"') {
+          const phrase = readPhrase(text, i);
+          token.value = phrase.value;
+          token.phrase = true;
+          i = phrase.end;
+        }
+        if (!/[\p{L}\p{N}]/u.test(token.value)) {
+          throw new SearchQueryError('EMPTY_FIELD', start);
+        }
+        tokens.push(readPrefix(token));
+      } else if (/[\p{L}\p{N}]/u.test(word)) {
+        tokens.push(readPrefix({ type: 'term', field: null, value: word, phrase: false, prefix: false, position: start }));
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a phrase between quotes
+ * @param {string} text Query
+ * @param {number} start Position of the opening quote
+ * @returns {{value: string, end: number}} Phrase and position after its closing quote
+ */
+function readPhrase(text, start) {
+  const end = text.indexOf('"', start + 1);
+
+  if (end < 0) {
+    throw new SearchQueryError('UNTERMINATED_PHRASE', start);
+  }
+
+  return { value: text.slice(start + 1, end), end: end + 1 };
+}
+
+/**
+ * Mark a word ending in * as a prefix
+ * @param {object} token Term token
+ * @returns {object} Token
+ */
+function readPrefix(token) {
+  if (!token.phrase && token.value.length > 1 && token.value.endsWith('*')) {
+    return { ...token, value: token.value.replace(/\*+$/, ''), prefix: true };
+  }
+  return token;
+}
+
+/**
+ * Parse terms that must all match, joined by AND or by nothing
+ * @param {object} parser Tokens and current index
+ * @returns {object} Syntax tree
+ */
+function parseAnd(parser) {
+  const children = [];
+
+  while (parser.index < parser.tokens.length && peek(parser) !== ')') {
+    if (peek(parser) === 'AND') {
+      const operator = parser.tokens[parser.index++];
+      if (children.length === 0 || !startsTerm(peek(parser))) {
+        throw new SearchQueryError('MISSING_OPERAND', operator.position);
+      }
+      continue;
+    }
+    children.push(parseOr(parser));
+  }
+
+  if (children.length === 0) {
+    const token = parser.tokens[parser.index] || parser.tokens[parser.index - 1];
+    throw new SearchQueryError(token && token.type === ')' ? 'UNBALANCED_PARENTHESIS' : 'MISSING_OPERAND', token ? token.position : 0);
+  }
+
+  return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+/**
+ * Parse terms joined by OR. OR binds tighter than AND, so
+ * "ministra OR ministro reforma" needs "reforma" and either of the others.
+ * @param {object} parser Tokens and current index
+ * @returns {object} Syntax tree
+ */
+function parseOr(parser) {
+  const children = [parseUnary(parser)];
+
+  while (peek(parser) === 'OR') {
+    const operator = parser.tokens[parser.index++];
+    if (!startsTerm(peek(parser))) {
+      throw new SearchQueryError('MISSING_OPERAND', operator.position);
+    }
+    children.push(parseUnary(parser));
+  }
+
+  return children.length === 1 ? children[0] : { type: 'or', children };
+}
+
+/**
+ * Parse an exclusion, a group or a term
+ * @param {object} parser Tokens and current index
+ * @returns {object} Syntax tree
+ */
+function parseUnary(parser) {
+  const token = parser.tokens[parser.index++];
+
+  if (token.type === 'NOT') {
+    if (!startsTerm(peek(parser))) {
+      throw new SearchQueryError('MISSING_OPERAND', token.position);
+    }
+    return { type: 'not', child: parseUnary(parser) };
+  }
+
+  if (token.type === '(') {
+    const group = parseAnd(parser);
+    if (peek(parser) !== ')') {
+      throw new SearchQueryError('UNBALANCED_PARENTHESIS', token.position);
+    }
+    parser.index++;
+    return { ...group, grouped: true };
+  }
+
+  if (token.type === 'term') {
+    return token;
+  }
+
+  throw new SearchQueryError(token.type === ')' ? 'UNBALANCED_PARENTHESIS' : 'MISSING_OPERAND', token.position);
+}
+
+/**
+ * Get the type of the current token
+ * @param {object} parser Tokens and current index
+ * @returns {string|undefined} Token type
+ */
+function peek(parser) {
+  return parser.tokens[parser.index]?.type;
+}
+
+/**
+ * Check whether a token can start a term
+ * @param {string|undefined} type Token type
+ * @returns {boolean} True for a term, a group or an exclusion
+ */
+function startsTerm(type) {
+  return ['term', '(', 'NOT'].includes(type);
+}
+
+/**
+ * Take the section and date filters out of the top level of a query
+ * @param {object|null} tree Syntax tree
+ * @returns {{text: object|null, filters: object}} Text terms and filters
+ */
+function splitFilters(tree) {
+  const filters = { sections: [], excludedSections: [], from: null, to: null };
+  const text = [];
+  const conjuncts = !tree ? [] : tree.type === 'and' && !tree.grouped ? tree.children : [tree];
+
+  for (const node of conjuncts) {
+    if (isFilter(node)) {
+      applyFilter(node, filters);
+    } else if (node.type === 'not' && isFilter(node.child) && node.child.field === 'section') {
+      filters.excludedSections.push(node.child.value);
+    } else {
+      assertNoFilters(node);
+      text.push(node);
+    }
+  }
+
+  return {
+    text: text.length === 0 ? null : text.length === 1 ? text[0] : { type: 'and', children: text },
+    filters
+  };
+}
+
+/**
+ * Check whether a node is a section or date filter
+ * @param {object} node Syntax tree node
+ * @returns {boolean} True for a filter
+ */
+function isFilter(node) {
+  return node.type === 'term' && FILTER_FIELDS.includes(node.field);
+}
+
+/**
+ * Fail if a filter appears inside a group, an OR or an exclusion
+ * @param {object} node Syntax tree node
+ */
+function assertNoFilters(node) {
+  if (isFilter(node)) {
+    throw new SearchQueryError('MISPLACED_FILTER', node.position);
+  }
+  for (const child of node.children || (node.child ? [node.child] : [])) {
+    assertNoFilters(child);
+  }
+}
+
+/**
+ * Add a section or date filter to the filters of a query. Date filters
+ * narrow each other.
+ * @param {object} node Filter term
+ * @param {object} filters Filters
+ */
+function applyFilter(node, filters) {
+  if (node.field === 'section') {
+    filters.sections.push(node.value);
+    return;
+  }
+
+  const range = node.field === 'date' && node.value.includes('..')
+    ? node.value.split('..')
+    : [node.field === 'to' ? '' : node.value, node.field === 'from' ? '' : node.value];
+
+  const from = range[0] ? toDate(range[0], 'start', node.position) : null;
+  const to = range[1] ? toDate(range[1], 'end', node.position) : null;
+
+  if (from && (!filters.from || from > filters.from)) {
+    filters.from = from;
+  }
+  if (to && (!filters.to || to < filters.to)) {
+    filters.to = to;
+  }
+}
+
+/**
+ * Read a year, month or day as the first or last day it covers
+ * @param {string} value YYYY, YYYY-MM or YYYY-MM-DD
+ * @param {string} end 'start' or 'end' of the period
+ * @param {number} position Position of the filter in the query
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function toDate(value, end, position) {
+  const match = value.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+  const month = match && match[2] ? Number(match[2]) : null;
+  const day = match && match[3] ? Number(match[3]) : null;
+
+  if (!match || (match[3] && !match[2]) || (month !== null && (month < 1 || month > 12))) {
+    throw new SearchQueryError('INVALID_DATE', position);
+  }
+
+  const year = Number(match[1]);
+  const lastDay = new Date(Date.UTC(year, month || 12, 0)).getUTCDate();
+
+  if (day !== null && (day < 1 || day > lastDay)) {
+    throw new SearchQueryError('INVALID_DATE', position);
+  }
+
+  const pad = number => String(number).padStart(2, '0');
+  return end === 'start'
+    ? `${year}-${pad(month || 1)}-${pad(day || 1)}`
+    : `${year}-${pad(month || 12)}-${pad(day || lastDay)}`;
+}
+
+/**
+ * Compile a syntax tree into an FTS5 query
+ * @param {object} node Syntax tree node
+ * @param {Object<string, string>} columns Index column of each text field
+ * @returns {string} FTS5 query
+ */
+function compile(node, columns) {
+  if (node.type === 'term') {
+    const phrase = `"${node.value.replace(/"/g, '""')}"${node.prefix ? ' *' : ''}`;
+    return node.field ? `${columns[node.field]} : ${phrase}` : phrase;
+  }
+
+  if (node.type === 'or') {
+    if (node.children.some(child => child.type === 'not')) {
+      throw new SearchQueryError('NEGATION_ONLY', positionOf(node.children.find(child => child.type === 'not')));
+    }
+    return `(${node.children.map(child => compile(child, columns)).join(' OR ')})`;
+  }
+
+  if (node.type === 'not') {
+    throw new SearchQueryError('NEGATION_ONLY', positionOf(node));
+  }
+
+  // AND: FTS5 has no unary NOT, so the exclusions follow the terms
+  const included = node.children.filter(child => child.type !== 'not');
+  const excluded = node.children.filter(child => child.type === 'not');
+
+  if (included.length === 0) {
+    throw new SearchQueryError('NEGATION_ONLY', positionOf(excluded[0]));
+  }
+
+  return excluded.reduce(
+    (expression, child) => `(${expression} NOT ${compile(child.child, columns)})`,
+    `(${included.map(child => compile(child, columns)).join(' AND ')})`
+  );
+}
+
+/**
+ * Get the position in the query of the first term of a node
+ * @param {object} node Syntax tree node
+ * @returns {number} Position
+ */
+function positionOf(node) {
+  if (node.position !== undefined) {
+    return node.position;
+  }
+  return positionOf(node.child || node.children[0]);
+}
+
+module.exports = {
+  QUERY_ERRORS,
+  SearchQueryError,
+  parseSearchQuery,
+  compileMatch
+};
@@ -0,0 +1,109 @@
+/**
+ * Search Index
+ *
+ * Articles and images are searched through the SQLite FTS5 indexes
+ * ARTICLE_FTS and IMAGE_FTS (created in database.js). Both index the rows of
+ * their table and are kept in sync by triggers, with a tokenizer that folds
+ * accents: "corte", "Corte" and "Córte" are the same term. This module turns
+ * the text typed by a reader into an FTS5 query and rebuilds the indexes,
+ * which is needed when they were created before the tables had data or after
+ * rows were written with the triggers disabled.
+ */
+
+const { run, get } = require('../../../database');
+const { createLogger } = require('../../utils/logger');
+
+// Create logger for this service
+const logger = createLogger('search-index');
+
+// Marks around the matched terms of highlights and snippets
+const MARK_START = '<mark>';
+const MARK_END = '</mark>';
+
+// Index column searched by each field of the query syntax (see queryParser)
+const ARTICLE_COLUMNS = { title: 'title', summary: 'summary', content: 'content', author: 'author', source: 'source' };
+const IMAGE_COLUMNS = { title: 'title', summary: 'description', content: 'caption', author: 'cartoonist', source: 'newspaper' };
+
+// Indexed tables and the FTS5 index of each
+const INDEXES = {
+  articles: { table: 'ARTICLE', index: 'ARTICLE_FTS' },
+  images: { table: 'IMAGE', index: 'IMAGE_FTS' }
+};
+
+/**
+ * Turn free text into an FTS5 query that matches the documents containing
+ * every word. Words are quoted, so operators and punctuation typed by the
+ * reader cannot make the query invalid.
+ * @param {string} text Text typed by the reader
+ * @returns {string|null} FTS5 query, or null if the text has no words
+ */
+function toMatchQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}]+/gu);
+
+  return words ? words.map(word => `"${word}"`).join(' ') : null;
+}
+
+/**
+ * Turn text being typed into an FTS5 query that matches the documents
+ * containing every word, the last one as a prefix unless it is followed by a
+ * space ("reforma jud" finds "reforma judicial")
+ * @param {string} text Text typed so far
+ * @param {string} [column] Index column to look in; all of them by default
+ * @returns {string|null} FTS5 query, or null if the text has no words
+ */
+function toPrefixQuery(text, column) {
+  const words = String(text || '').match(/[\p{L}\p{N}]+/gu);
+
+  if (!words) {
+    return null;
+  }
+
+  const last = /[\p{L}\p{N}]$/u.test(text) ? words.length - 1 : -1;
+  const scope = column ? `${column} : ` : '';
+
+  return words.map((word, index) => `${scope}"${word}"${index === last ? ' *' : ''}`).join(' AND ');
+}
+
+/**
+ * Fold a word the way the index tokenizer does, without case or accents, to
+ * compare it with the indexed terms
+ * @param {string} word Word
+ * @returns {string} Folded word
+ */
+function foldTerm(word) {
+  return String(word || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Rebuild the search indexes from the rows of their tables
+ * @returns {Promise<{articles: number, images: number}>} Indexed rows by index
+ */
+async function rebuildSearchIndex() {
+  try {
+    const counts = {};
+
+    for (const [name, { table, index }] of Object.entries(INDEXES)) {
+      await run(`INSERT INTO ${index} (${index}) VALUES ('rebuild')`);
+      const row = await get(`SELECT COUNT(*) AS count FROM ${table}`);
+      counts[name] = row.count;
+    }
+
+    logger.info(`Rebuilt search indexes: ${counts.articles} articles, ${counts.images} images`);
+    return counts;
+
+  } catch (error) {
+    logger.error(`Error rebuilding search indexes: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  ARTICLE_COLUMNS,
+  IMAGE_COLUMNS,
+  MARK_START,
+  MARK_END,
+  toMatchQuery,
+  toPrefixQuery,
+  foldTerm,
+  rebuildSearchIndex
+};
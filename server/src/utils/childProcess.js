@@ -0,0 +1,113 @@
+/**
+ * Child Process Utility
+ *
+ * This module runs external tools (pdftoppm, pdftotext, tesseract) without
+ * blocking the event loop, and limits how many of them run at once.
+ */
+
+const { spawn } = require('child_process');
+
+/**
+ * Run a command asynchronously. Arguments are passed to the command as they
+ * are, without a shell, so paths with spaces or quotes are safe.
+ * @param {string} command Command to run
+ * @param {Array} args Command arguments
+ * @param {object} options Options
+ * @param {number} [options.timeout] Maximum run time in milliseconds (no limit if omitted)
+ * @param {string} [options.cwd] Working directory
+ * @returns {Promise<string>} Standard output of the command
+ */
+function runCommand(command, args = [], options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args.map(String), {
+      cwd: options.cwd,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const stdout = [];
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = options.timeout
+      ? setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, options.timeout)
+      : null;
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', code => {
+      clearTimeout(timer);
+
+      if (timedOut) {
+        reject(new Error(`${command} timed out after ${options.timeout} ms`));
+      } else if (code !== 0) {
+        reject(new Error(`${command} exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+      } else {
+        resolve(Buffer.concat(stdout).toString('utf8'));
+      }
+    });
+  });
+}
+
+/**
+ * Check whether a command is installed
+ * @param {string} command Command name
+ * @returns {Promise<boolean>} True if the command is found in the PATH
+ */
+async function commandExists(command) {
+  try {
+    await runCommand('which', [command], { timeout: 5000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at the same time
+ * @param {number} concurrency Maximum number of tasks running at once
+ * @returns {Function} limit(task) that queues an async task and resolves with its result
+ */
+function createLimiter(concurrency) {
+  const maxRunning = Math.max(1, concurrency || 1);
+  const queue = [];
+  let running = 0;
+
+  const next = () => {
+    if (running >= maxRunning || queue.length === 0) {
+      return;
+    }
+
+    const { task, resolve, reject } = queue.shift();
+    running++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+module.exports = {
+  runCommand,
+  commandExists,
+  createLimiter
+};
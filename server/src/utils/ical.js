@@ -0,0 +1,178 @@
+/**
+ * iCalendar Utility
+ *
+ * This module writes agenda events as an iCalendar (RFC 5545) feed that
+ * calendar clients can subscribe to. Times are local to Mexico City, which
+ * has no daylight saving time since 2022, so a fixed-offset time zone is
+ * enough.
+ */
+
+const crypto = require('crypto');
+
+const TIME_ZONE = 'America/Mexico_City';
+
+// Lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+// Duration of the events whose end time is not known
+const DEFAULT_DURATION = 'PT1H';
+
+/**
+ * Build an iCalendar feed
+ * @param {Array} events Events as stored in the EVENT table
+ * @param {object} options Options
+ * @param {string} [options.name] Calendar name shown by the clients
+ * @param {string} [options.domain] Domain of the event UIDs
+ * @returns {string} Calendar in text/calendar format (CRLF line endings)
+ */
+function buildCalendar(events, options = {}) {
+  const domain = options.domain || 'cjf-noticias';
+  const stamp = formatTimestamp(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//CJF Noticias//Agenda//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.name || 'Agenda')}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIME_ZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:-0600',
+    'TZOFFSETTO:-0600',
+    'TZNAME:CST',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  // An event listed by several editions is written once
+  const uids = new Set();
+
+  for (const event of events) {
+    const uid = eventUid(event);
+    if (uids.has(uid)) continue;
+    uids.add(uid);
+
+    lines.push('BEGIN:VEVENT', `UID:${uid}@${domain}`, `DTSTAMP:${stamp}`);
+
+    if (event.start_time) {
+      lines.push(`DTSTART;TZID=${TIME_ZONE}:${formatDate(event.event_date)}T${formatTime(event.start_time)}`);
+      lines.push(event.end_time && event.end_time > event.start_time
+        ? `DTEND;TZID=${TIME_ZONE}:${formatDate(event.event_date)}T${formatTime(event.end_time)}`
+        : `DURATION:${DEFAULT_DURATION}`);
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.event_date)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay(event.event_date))}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.institution ? `${event.institution}: ${event.description}` : event.description)}`);
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the UID of an event from its content. Events are stored again on
+ * every extraction of their edition, so their ids change while the UID must
+ * not, or calendar clients would duplicate them. The publication date is left
+ * out, so that an event announced by several editions is the same event
+ * @param {object} event EVENT row
+ * @returns {string} UID without its domain
+ */
+function eventUid(event) {
+  const key = [event.event_date, event.start_time, event.institution, event.description]
+    .map(value => value || '')
+    .join('|');
+
+  return `event-${crypto.createHash('sha1').update(key).digest('hex')}`;
+}
+
+/**
+ * Escape a text value (backslashes, separators and line breaks)
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line longer than 75 octets, without splitting characters
+ * @param {string} line Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as YYYYMMDD
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {string} Date
+ */
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * Format a time as HHMMSS
+ * @param {string} time Time in HH:MM format
+ * @returns {string} Time
+ */
+function formatTime(time) {
+  return `${time.replace(':', '')}00`;
+}
+
+/**
+ * Format an instant as a UTC timestamp (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date Instant
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Get the day after a date
+ * @param {string} date Date in YYYY-MM-DD format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  buildCalendar,
+  escapeText
+};
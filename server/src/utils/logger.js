@@ -3,10 +3,13 @@
  * 
  * This module provides a centralized logging system for the application.
  * It supports different log levels and can output to console and/or database.
+ * Log entries can also be followed live with onLog() (e.g. to stream the
+ * logs of a running extraction).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const { run } = require('../../database');
 
 // Ensure logs directory exists
@@ -28,6 +31,9 @@ const currentLogLevel = process.env.LOG_LEVEL
   ? LOG_LEVELS[process.env.LOG_LEVEL.toUpperCase()] || LOG_LEVELS.INFO
   : process.env.NODE_ENV === 'production' ? LOG_LEVELS.INFO : LOG_LEVELS.DEBUG;
 
+// Listeners of the log entries (see onLog)
+const logEmitter = new EventEmitter();
+
 // File paths for different log types
 const logFiles = {
   error: path.join(logsDir, 'error.log'),
@@ -107,6 +113,34 @@ function formatConsoleOutput(level, message) {
   return `${colors[level.toUpperCase()]}[${level.toUpperCase()}]${colors.RESET} ${message}`;
 }
 
+/**
+ * Send a log entry to the listeners registered with onLog. Entries of every
+ * level are sent, whatever the current log level.
+ * @param {string} level - Log level
+ * @param {string} moduleName - Name of the module that logged the entry
+ * @param {string} message - Log message
+ */
+function publish(level, moduleName, message) {
+  if (logEmitter.listenerCount('log') > 0) {
+    logEmitter.emit('log', {
+      timestamp: new Date().toISOString(),
+      level,
+      module: moduleName,
+      message
+    });
+  }
+}
+
+/**
+ * Listen to the log entries of every logger
+ * @param {Function} listener - Called with {timestamp, level, module, message}
+ * @returns {Function} Function that removes the listener
+ */
+function onLog(listener) {
+  logEmitter.on('log', listener);
+  return () => logEmitter.off('log', listener);
+}
+
 /**
  * Create a logger instance for a specific module
  * @param {string} moduleName - Name of the module using the logger
@@ -120,6 +154,7 @@ function createLogger(moduleName) {
      * @param {Error|Object} [error] - Error object or additional metadata
      */
     error(message, error = null) {
+      publish('error', moduleName, message);
       if (currentLogLevel >= LOG_LEVELS.ERROR) {
         const meta = {};
         
@@ -148,6 +183,7 @@ function createLogger(moduleName) {
      * @param {Object} [meta] - Additional metadata
      */
     warn(message, meta = {}) {
+      publish('warn', moduleName, message);
       if (currentLogLevel >= LOG_LEVELS.WARN) {
         const formattedMessage = `[${moduleName}] ${message}`;
         console.warn(formatConsoleOutput('WARN', formattedMessage));
@@ -162,6 +198,7 @@ function createLogger(moduleName) {
      * @param {Object} [meta] - Additional metadata
      */
     info(message, meta = {}) {
+      publish('info', moduleName, message);
       if (currentLogLevel >= LOG_LEVELS.INFO) {
         const formattedMessage = `[${moduleName}] ${message}`;
         console.info(formatConsoleOutput('INFO', formattedMessage));
@@ -176,6 +213,7 @@ function createLogger(moduleName) {
      * @param {Object} [meta] - Additional metadata
      */
     debug(message, meta = {}) {
+      publish('debug', moduleName, message);
       if (currentLogLevel >= LOG_LEVELS.DEBUG) {
         const formattedMessage = `[${moduleName}] ${message}`;
         console.debug(formatConsoleOutput('DEBUG', formattedMessage));
@@ -218,5 +256,6 @@ function createLogger(moduleName) {
 
 module.exports = {
   createLogger,
+  onLog,
   LOG_LEVELS
 };
\ No newline at end of file
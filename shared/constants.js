@@ -19,7 +19,7 @@ const SECTIONS = [
 const SECTION_TYPES = {
   'primeras-planas': 'image',
   'cartones': 'image',
-  'columnas-politicas': 'image',
+  'columnas-politicas': 'article',
   'ocho-columnas': 'article',
   'informacion-general': 'article',
   'suprema-corte': 'article',
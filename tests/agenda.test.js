@@ -0,0 +1,199 @@
+/**
+ * Agenda Tests
+ *
+ * Tests for reading the events of the Agenda section (date, time,
+ * institution, description and place), storing them and serving them as a
+ * list and as an iCalendar feed.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_agenda_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, query } = require('../server/database');
+const { parseAgendaEvents } = require('../server/src/services/pdf/agendaParser');
+const { processSectionsWithArticles } = require('../server/src/services/pdf/enhancedPdfExtractor');
+const { storeExtractedContent } = require('../server/src/services/content/enhancedContentProcessor');
+const { buildCalendar } = require('../server/src/utils/ical');
+
+const app = express();
+app.use(express.json());
+app.use('/api/agenda', require('../server/routes/agenda'));
+
+const DATE = '2025-06-05';
+
+// The Agenda pages as printed, one line per line
+const TEXT = [
+  'AGENDA',
+  'Jueves 5 de junio de 2025',
+  'CONSEJO DE LA JUDICATURA FEDERAL',
+  '10:00 horas. Sesión ordinaria del Pleno del Consejo de la',
+  'Judicatura Federal.',
+  'Lugar: Sede alterna, Insurgentes Sur 2417.',
+  'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+  '11:30 a 14:00 hrs. Sesión pública del Tribunal Pleno.',
+  '5:00 p.m. Conferencia "La reforma judicial, un año después". Sede: Auditorio José María Iglesias.',
+  'Entrega del Premio Nacional de Derechos Humanos.',
+  'Viernes 6 de junio',
+  'INSTITUTO NACIONAL ELECTORAL',
+  '9.00 h - Cómputo de la elección judicial.',
+  '27'
+].join('\n');
+
+beforeAll(async () => {
+  await setupDatabase();
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM EVENT`);
+});
+
+/**
+ * Extract and store the agenda of the fixture text
+ * @returns {Promise<object>} Processing results
+ */
+async function extractAgenda() {
+  const sections = await processSectionsWithArticles(
+    { sections: { agenda: { type: 'text' } } },
+    { pages: { 26: { text: TEXT } }, sectionPages: { agenda: [26] } },
+    { sectionImages: {} },
+    { urlsByPage: {} },
+    `/tmp/${DATE}.pdf`
+  );
+
+  return storeExtractedContent({ date: DATE, metadata: { extractionMethod: 'enhanced', statistics: {} }, sections });
+}
+
+describe('Agenda', () => {
+  test('reads the date, time, institution, description and place of each event', () => {
+    const events = parseAgendaEvents(TEXT, { date: DATE });
+
+    expect(events).toEqual([
+      {
+        date: DATE,
+        time: '10:00',
+        endTime: null,
+        institution: 'CONSEJO DE LA JUDICATURA FEDERAL',
+        description: 'Sesión ordinaria del Pleno del Consejo de la Judicatura Federal.',
+        location: 'Sede alterna, Insurgentes Sur 2417.'
+      },
+      {
+        date: DATE,
+        time: '11:30',
+        endTime: '14:00',
+        institution: 'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+        description: 'Sesión pública del Tribunal Pleno.',
+        location: null
+      },
+      {
+        date: DATE,
+        time: '17:00',
+        endTime: null,
+        institution: 'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+        description: 'Conferencia "La reforma judicial, un año después".',
+        location: 'Auditorio José María Iglesias'
+      },
+      {
+        date: DATE,
+        time: null,
+        endTime: null,
+        institution: 'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+        description: 'Entrega del Premio Nacional de Derechos Humanos.',
+        location: null
+      },
+      {
+        date: '2025-06-06',
+        time: '09:00',
+        endTime: null,
+        institution: 'INSTITUTO NACIONAL ELECTORAL',
+        description: 'Cómputo de la elección judicial.',
+        location: null
+      }
+    ]);
+
+    expect(parseAgendaEvents('AGENDA\nSin eventos programados', { date: DATE })).toEqual([
+      expect.objectContaining({ time: null, description: 'Sin eventos programados' })
+    ]);
+  });
+
+  test('stores the events of an extraction and filters them by date and institution', async () => {
+    const results = await extractAgenda();
+    expect(results.statistics.totalEvents).toBe(5);
+
+    // A new extraction of the date replaces its events
+    await extractAgenda();
+    expect((await query(`SELECT COUNT(*) AS count FROM EVENT`))[0].count).toBe(5);
+
+    const byDay = await request(app).get('/api/agenda').query({ from: DATE, to: DATE });
+    expect(byDay.status).toBe(200);
+    expect(byDay.body.total).toBe(4);
+    // All-day events come first
+    expect(byDay.body.events.map(event => event.start_time)).toEqual([null, '10:00', '11:30', '17:00']);
+
+    const byInstitution = await request(app).get('/api/agenda').query({ institution: 'electoral' });
+    expect(byInstitution.body.events).toEqual([
+      expect.objectContaining({ event_date: '2025-06-06', description: 'Cómputo de la elección judicial.', publication_date: DATE })
+    ]);
+
+    expect((await request(app).get('/api/agenda').query({ from: '05/06/2025' })).status).toBe(400);
+  });
+
+  test('exports the events as an iCalendar feed', async () => {
+    await extractAgenda();
+
+    const res = await request(app).get('/api/agenda/feed.ics').query({ date: DATE });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(res.text.split('\r\n').filter(line => line === 'BEGIN:VEVENT')).toHaveLength(5);
+    expect(res.text).toContain('DTSTART;TZID=America/Mexico_City:20250605T113000\r\nDTEND;TZID=America/Mexico_City:20250605T140000');
+    expect(res.text).toContain('DTSTART;TZID=America/Mexico_City:20250605T100000\r\nDURATION:PT1H');
+    expect(res.text).toContain('DTSTART;VALUE=DATE:20250605\r\nDTEND;VALUE=DATE:20250606');
+    expect(res.text).toContain('LOCATION:Sede alterna\\, Insurgentes Sur 2417.');
+
+    // The UIDs do not change when the edition is extracted again
+    const uids = text => text.split('\r\n').filter(line => line.startsWith('UID:'));
+    expect(new Set(uids(res.text)).size).toBe(5);
+    await extractAgenda();
+    const again = await request(app).get('/api/agenda/feed.ics').query({ date: DATE });
+    expect(uids(again.text)).toEqual(uids(res.text));
+
+    // An event announced again by the next edition is the same event
+    const announced = { event_date: '2025-06-06', start_time: '10:00', institution: 'INE', description: 'Cómputo.' };
+    const twice = buildCalendar([{ ...announced, publication_date: DATE }, { ...announced, publication_date: '2025-06-06' }]);
+    expect(twice.split('\r\n').filter(line => line === 'BEGIN:VEVENT')).toHaveLength(1);
+
+    // Long lines are folded at 75 octets
+    const calendar = buildCalendar([{ id: 1, event_date: DATE, start_time: null, description: 'Sesión '.repeat(30) }]);
+    const lines = calendar.split('\r\n');
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.filter(line => line.startsWith(' ')).length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Cartoon Metadata Tests
+ *
+ * Tests for reading the cartoonist, newspaper, title and caption printed on
+ * the Cartones pages, and for storing and filtering cartoons by them.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_cartoon_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, query } = require('../server/database');
+const { readCartoonMetadata } = require('../server/src/services/pdf/cartoonMetadata');
+const { processSectionsWithArticles, NEWSPAPER_NAMES } = require('../server/src/services/pdf/enhancedPdfExtractor');
+const { storeExtractedContent } = require('../server/src/services/content/enhancedContentProcessor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sections', require('../server/routes/sections'));
+app.use('/api/search', require('../server/routes/search'));
+
+const DATE = '2025-06-05';
+
+/**
+ * Build a page from its lines, one below the other
+ * @param {string[]} lines Lines of text
+ * @returns {object} Page
+ */
+function page(lines) {
+  return {
+    pageNumber: 65,
+    width: 612,
+    height: 792,
+    items: lines.map((str, i) => ({ str, x: 40, y: 40 + i * 20, width: str.length * 5, height: 10, fontSize: 10 }))
+  };
+}
+
+// Cartoon pages as printed in different editions
+const PAGES = {
+  signed: page(['CARTONES', '“La nueva Corte”', 'Los ministros electos llegan a la', 'sede del máximo tribunal.', 'Por Hernández', 'La Jornada', '65']),
+  oneLine: page(['CARTONES', 'ELECCIÓN JUDICIAL', 'Helguera / La Jornada']),
+  nameOnly: page(['CARTONES', 'Sin boletas no hay votos', 'Calderón', 'Reforma']),
+  empty: page(['CARTONES', 'Miércoles 5 de junio de 2025'])
+};
+
+beforeAll(async () => {
+  await setupDatabase();
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM ARTICLE`);
+  await run(`DELETE FROM IMAGE`);
+});
+
+describe('Cartoon Metadata', () => {
+  test('reads the cartoonist, newspaper, title and caption of a cartoon page', () => {
+    const options = { newspapers: NEWSPAPER_NAMES };
+
+    expect(readCartoonMetadata(PAGES.signed, options)).toEqual({
+      cartoonist: 'Hernández',
+      newspaper: 'La Jornada',
+      title: 'La nueva Corte',
+      caption: 'Los ministros electos llegan a la sede del máximo tribunal.'
+    });
+    expect(readCartoonMetadata(PAGES.oneLine, options)).toEqual({
+      cartoonist: 'Helguera',
+      newspaper: 'La Jornada',
+      title: 'ELECCIÓN JUDICIAL',
+      caption: null
+    });
+    expect(readCartoonMetadata(PAGES.nameOnly, options)).toEqual({
+      cartoonist: 'Calderón',
+      newspaper: 'Reforma',
+      title: null,
+      caption: 'Sin boletas no hay votos'
+    });
+    expect(readCartoonMetadata(PAGES.empty, options)).toEqual({ cartoonist: null, newspaper: null, title: null, caption: null });
+  });
+
+  test('stores the metadata with the cartoons and filters them by cartoonist and newspaper', async () => {
+    const images = Object.values(PAGES).map((cartoonPage, i) => ({
+      pageNumber: 65 + i,
+      filename: `carton-0${i + 1}.png`,
+      cartoonNumber: i + 1,
+      ...readCartoonMetadata(cartoonPage, { newspapers: NEWSPAPER_NAMES })
+    }));
+
+    const sections = await processSectionsWithArticles(
+      { sections: { cartones: { type: 'image' } } },
+      { pages: {}, sectionPages: { cartones: [65, 66, 67, 68] } },
+      { sectionImages: { cartones: images } },
+      { urlsByPage: {} },
+      `/tmp/${DATE}.pdf`
+    );
+
+    expect(sections.cartones.articles.map(article => [article.title, article.author, article.source])).toEqual([
+      ['La nueva Corte', 'Hernández', 'La Jornada'],
+      ['ELECCIÓN JUDICIAL', 'Helguera', 'La Jornada'],
+      ['Cartón de Calderón', 'Calderón', 'Reforma'],
+      ['Cartón Político 4', null, 'Cartones']
+    ]);
+
+    await storeExtractedContent({ date: DATE, metadata: { extractionMethod: 'enhanced', statistics: {} }, sections });
+
+    const stored = await query(`SELECT title, description, cartoonist, newspaper, caption FROM IMAGE ORDER BY id`);
+    expect(stored[0]).toEqual({
+      title: 'La nueva Corte',
+      description: 'Los ministros electos llegan a la sede del máximo tribunal.',
+      cartoonist: 'Hernández',
+      newspaper: 'La Jornada',
+      caption: 'Los ministros electos llegan a la sede del máximo tribunal.'
+    });
+    expect(stored[3]).toEqual({
+      title: 'Cartón 4',
+      description: 'Imagen extraída de la sección cartones',
+      cartoonist: null,
+      newspaper: null,
+      caption: null
+    });
+
+    const filters = await request(app).get('/api/sections/cartones/filters').query({ date: DATE });
+    expect(filters.body.newspapers).toEqual([{ name: 'La Jornada', count: 2 }, { name: 'Reforma', count: 1 }]);
+    expect(filters.body.cartoonists.map(c => c.name)).toEqual(['Calderón', 'Helguera', 'Hernández']);
+
+    const byNewspaper = await request(app).get('/api/sections/cartones').query({ date: DATE, newspaper: 'La Jornada' });
+    expect(byNewspaper.body.images.map(image => image.cartoonist).sort()).toEqual(['Helguera', 'Hernández']);
+    expect(byNewspaper.body.articles).toHaveLength(2);
+
+    const byCartoonist = await request(app).get('/api/sections/cartones').query({ date: DATE, cartoonist: 'Calderón' });
+    expect(byCartoonist.body.images.map(image => image.title)).toEqual(['Cartón de Calderón']);
+
+    const search = await request(app).get('/api/search/images').query({ q: 'Helguera' });
+    expect(search.body.results).toEqual([expect.objectContaining({ title: 'ELECCIÓN JUDICIAL', newspaper: 'La Jornada' })]);
+
+    const byCaption = await request(app).get('/api/search/images').query({ q: 'boletas', newspaper: 'Reforma' });
+    expect(byCaption.body.total).toBe(1);
+  });
+});
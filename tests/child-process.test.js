@@ -0,0 +1,47 @@
+/**
+ * Child Process Tests
+ *
+ * Tests for running external tools asynchronously, limiting how many run at
+ * once, and extracting a PDF in a worker process.
+ */
+
+const { runCommand, commandExists, createLimiter } = require('../server/src/utils/childProcess');
+const { extractInWorker } = require('../server/src/services/scheduler/extractionWorker');
+
+describe('Child Process', () => {
+  test('runs a command without a shell and returns its output', async () => {
+    const output = await runCommand(process.execPath, ['-e', 'process.stdout.write(process.argv[1])', 'a "quoted" $path']);
+
+    expect(output).toBe('a "quoted" $path');
+  });
+
+  test('rejects on a non-zero exit code or a timeout', async () => {
+    await expect(runCommand(process.execPath, ['-e', 'console.error("bad page"); process.exit(3)']))
+      .rejects.toThrow(/exited with code 3: bad page/);
+    await expect(runCommand(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200 }))
+      .rejects.toThrow(/timed out after 200 ms/);
+    await expect(commandExists('no-such-command-for-tests')).resolves.toBe(false);
+  });
+
+  test('limits the number of tasks running at once and keeps their results in order', async () => {
+    const limit = createLimiter(2);
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await Promise.all([30, 10, 20, 5, 15].map(delay => limit(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return delay;
+    })));
+
+    expect(results).toEqual([30, 10, 20, 5, 15]);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('reports extraction errors from the worker process', async () => {
+    await expect(extractInWorker('/nonexistent/2025-06-05.pdf', { engine: 'legacy', fallback: [] }))
+      .rejects.toThrow(/All extraction engines failed \(legacy: /);
+  }, 60000);
+});
@@ -0,0 +1,230 @@
+/**
+ * Columnas Políticas Tests
+ *
+ * Tests for splitting the Columnas Políticas pages into political columns
+ * (name, columnist, newspaper, body and mentioned institutions) and for
+ * storing them as searchable articles that keep their page image.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_columnas_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+// Serve the fixture pages as the parsed document of every PDF
+jest.mock('../server/src/services/pdf/parsedDocument', () => ({
+  getParsedDocument: jest.fn(async () => ({ pages: mockPages })),
+  getPage: (parsed, pageNumber) => parsed.pages.find(page => page.pageNumber === pageNumber) || null,
+  getPageText: jest.fn(() => ''),
+  getRenderedImage: jest.fn(() => null),
+  recordRenderedImage: jest.fn(),
+  saveParsedDocument: jest.fn()
+}));
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, query } = require('../server/database');
+const { parseColumns, findInstitutions } = require('../server/src/services/pdf/columnParser');
+const { processSectionsWithArticles, NEWSPAPER_NAMES } = require('../server/src/services/pdf/enhancedPdfExtractor');
+const { storeExtractedContent } = require('../server/src/services/content/enhancedContentProcessor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/search', require('../server/routes/search'));
+
+const DATE = '2025-06-05';
+
+/**
+ * Build a text item
+ * @param {string} str Text
+ * @param {number} x Left position
+ * @param {number} y Top position
+ * @param {number} fontSize Font size
+ * @returns {object} Text item
+ */
+function item(str, x, y, fontSize = 9) {
+  return { str, x, y, width: str.length * fontSize * 0.5, height: fontSize, fontSize };
+}
+
+// Three pages of columns: one per page, a column continued on the next
+// page, and a page with two text columns
+const mockPages = [
+  {
+    pageNumber: 53,
+    width: 612,
+    height: 792,
+    items: [
+      item('COLUMNAS POLÍTICAS', 40, 40, 16),
+      item('TEMPLO MAYOR', 40, 80, 14),
+      item('F. Bartolomé', 40, 98),
+      item('Reforma', 40, 110),
+      item('Dicen que en la Suprema Corte ya hacen cuentas', 40, 125),
+      item('para la elección judicial del próximo año.', 40, 137),
+      item('En el Senado nadie quiere hablar del tema.', 40, 160),
+      item('BAJO RESERVA / El Universal', 40, 200),
+      item('Nos cuentan que el TEPJF revisará las boletas', 40, 215),
+      item('antes de que el INE las mande imprimir, y que en', 40, 227),
+      item('el Consejo de la Judica-', 40, 239)
+    ]
+  },
+  {
+    pageNumber: 54,
+    width: 612,
+    height: 792,
+    items: [
+      item('COLUMNAS POLÍTICAS', 40, 40, 16),
+      item('tura Federal nadie se da por enterado.', 40, 80),
+      item('ITINERARIO POLÍTICO', 40, 120, 14),
+      item('Por Ricardo Alemán - Milenio', 40, 138),
+      item('URGENCIA', 40, 153),
+      item('La Cámara de Diputados aprobó la reforma.', 40, 165),
+      item('54', 300, 760)
+    ]
+  },
+  {
+    pageNumber: 55,
+    width: 612,
+    height: 792,
+    items: [
+      item('COLUMNAS POLÍTICAS', 40, 40, 16),
+      item('ESTRICTAMENTE PERSONAL', 40, 80, 14),
+      item('Raymundo Riva Palacio', 40, 98),
+      item('El Financiero', 40, 110),
+      item('La FGR abrió una carpeta contra', 40, 125),
+      item('un exfuncionario de la UIF.', 40, 137),
+      item('TRASCENDIÓ', 330, 80, 14),
+      item('Milenio', 330, 98),
+      item('Que el Poder Judicial de la Federación', 330, 113),
+      item('estrenará órganos el próximo mes.', 330, 125)
+    ]
+  },
+  {
+    pageNumber: 56,
+    width: 612,
+    height: 792,
+    items: [item('COLUMNAS POLÍTICAS', 40, 40, 16)]
+  }
+];
+
+beforeAll(async () => {
+  await setupDatabase();
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM ARTICLE`);
+  await run(`DELETE FROM IMAGE`);
+});
+
+describe('Columnas Políticas', () => {
+  test('splits the pages into columns with their columnist, newspaper and body', () => {
+    const columns = parseColumns(mockPages, { newspapers: NEWSPAPER_NAMES });
+
+    expect(columns.map(column => [column.title, column.columnist, column.newspaper])).toEqual([
+      ['TEMPLO MAYOR', 'F. Bartolomé', 'Reforma'],
+      ['BAJO RESERVA', null, 'El Universal'],
+      ['ITINERARIO POLÍTICO', 'Ricardo Alemán', 'Milenio'],
+      ['ESTRICTAMENTE PERSONAL', 'Raymundo Riva Palacio', 'El Financiero'],
+      ['TRASCENDIÓ', null, 'Milenio']
+    ]);
+
+    expect(columns[0].body).toBe(
+      'Dicen que en la Suprema Corte ya hacen cuentas para la elección judicial del próximo año.\n\n' +
+      'En el Senado nadie quiere hablar del tema.'
+    );
+
+    // Continued on the next page, rejoining the hyphenated word
+    expect(columns[1].body).toBe(
+      'Nos cuentan que el TEPJF revisará las boletas antes de que el INE las mande imprimir, y que en ' +
+      'el Consejo de la Judicatura Federal nadie se da por enterado.'
+    );
+    expect(columns[1].pages).toEqual([53, 54]);
+
+    // A line in capitals at body size without a byline is body text
+    expect(columns[2].body).toBe('URGENCIA La Cámara de Diputados aprobó la reforma.');
+  });
+
+  test('finds the institutions mentioned in a column', () => {
+    const columns = parseColumns(mockPages, { newspapers: NEWSPAPER_NAMES });
+
+    expect(columns[1].institutions).toEqual([
+      'Tribunal Electoral del Poder Judicial de la Federación',
+      'Consejo de la Judicatura Federal',
+      'Instituto Nacional Electoral'
+    ]);
+    expect(columns[3].institutions).toEqual(['Fiscalía General de la República', 'Unidad de Inteligencia Financiera']);
+    expect(findInstitutions('El Tribunal Electoral del Poder Judicial de la Federación y la SCJN')).toEqual([
+      'Tribunal Electoral del Poder Judicial de la Federación',
+      'Suprema Corte de Justicia de la Nación'
+    ]);
+    expect(findInstitutions('Una línea sin instituciones; ni siquiera INEGI.')).toEqual([]);
+  });
+
+  test('stores the columns as searchable articles that keep their page image', async () => {
+    const pdfPath = `/tmp/${DATE}.pdf`;
+    const images = [53, 54, 55, 56].map(pageNumber => ({
+      pageNumber,
+      filename: `columna-politica-${pageNumber}.png`,
+      imagePath: `/tmp/columna-politica-${pageNumber}.png`
+    }));
+
+    const sections = await processSectionsWithArticles(
+      { sections: { 'columnas-politicas': { type: 'text' } } },
+      { pages: {}, sectionPages: { 'columnas-politicas': [53, 54, 55, 56] } },
+      { sectionImages: { 'columnas-politicas': images } },
+      { urlsByPage: {} },
+      pdfPath
+    );
+
+    const section = sections['columnas-politicas'];
+    expect(section.type).toBe('text');
+    expect(section.statistics).toMatchObject({ totalColumns: 5, totalImages: 4 });
+    // The page without text keeps an image article
+    expect(section.articles[5]).toMatchObject({ title: 'Columna Política 1', imageUrl: `images/${DATE}/columna-politica-56.png` });
+
+    await storeExtractedContent({ date: DATE, metadata: { extractionMethod: 'enhanced', statistics: {} }, sections });
+
+    const stored = await query(
+      `SELECT title, source, author, institutions, image_url FROM ARTICLE WHERE section_id = 'columnas-politicas' ORDER BY id`
+    );
+    expect(stored[0]).toEqual({
+      title: 'TEMPLO MAYOR',
+      source: 'Reforma',
+      author: 'F. Bartolomé',
+      institutions: JSON.stringify(['Suprema Corte de Justicia de la Nación', 'Senado de la República']),
+      image_url: `images/${DATE}/columna-politica-53.png`
+    });
+    expect(stored[4]).toMatchObject({ title: 'TRASCENDIÓ', author: null, image_url: `images/${DATE}/columna-politica-55.png` });
+    expect((await query(`SELECT COUNT(*) AS count FROM IMAGE WHERE section_id = 'columnas-politicas'`))[0].count).toBe(4);
+
+    // Columns are found by their text and by their columnist
+    const byText = await request(app).get('/api/search').query({ q: 'carpeta contra' });
+    expect(byText.body.results).toEqual([expect.objectContaining({ title: 'ESTRICTAMENTE PERSONAL', author: 'Raymundo Riva Palacio' })]);
+
+    const byColumnist = await request(app).get('/api/search').query({ q: 'Ricardo Alemán' });
+    expect(byColumnist.body.results.map(result => result.title)).toEqual(['ITINERARIO POLÍTICO']);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * DOF Publications Tests
+ *
+ * Tests for reading the Diario Oficial publications of the DOF section
+ * (issuer, instrument type, title, DOF date and link) and for storing and
+ * filtering them as a register.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_dof_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+// Serve the fixture page as the parsed document of every PDF
+jest.mock('../server/src/services/pdf/parsedDocument', () => ({
+  getParsedDocument: jest.fn(async () => ({ pages: mockPages })),
+  getPage: (parsed, pageNumber) => parsed.pages.find(page => page.pageNumber === pageNumber) || null,
+  getPageText: jest.fn(() => ''),
+  getRenderedImage: jest.fn(() => null),
+  recordRenderedImage: jest.fn(),
+  saveParsedDocument: jest.fn()
+}));
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, query } = require('../server/database');
+const { parseDofPublications, dofIndexUrl } = require('../server/src/services/pdf/dofParser');
+const { processSectionsWithArticles } = require('../server/src/services/pdf/enhancedPdfExtractor');
+const { storeExtractedContent } = require('../server/src/services/content/enhancedContentProcessor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/dof', require('../server/routes/dof'));
+
+const DATE = '2025-06-05';
+
+// The DOF section as printed, one line per line
+const LINES = [
+  'PUBLICACIONES OFICIALES',
+  'DIARIO OFICIAL DE LA FEDERACIÓN',
+  'PODER JUDICIAL',
+  'CONSEJO DE LA JUDICATURA FEDERAL',
+  'ACUERDO General 5/2025 del Pleno del Consejo de la Judicatura Federal, que',
+  'reforma el similar que regula la integración de los tribu-',
+  'nales laborales.',
+  'https://www.dof.gob.mx/nota_detalle.php?codigo=5758000&fecha=04/06/2025',
+  'CONVOCATORIA al concurso de oposición para la designación de',
+  'jueces de distrito.',
+  'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+  'SENTENCIA dictada por el Tribunal Pleno en la Acción de Inconstitucionalidad 12/2024.',
+  'DOF: 03/06/2025',
+  'PODER EJECUTIVO',
+  'SECRETARÍA DE MEDIO AMBIENTE Y RECURSOS',
+  'NATURALES',
+  'DECRETO por el que se declara área natural protegida la región',
+  'conocida como Sierra de San Miguelito.',
+  'AVISOS',
+  'EDICTO relativo al juicio de amparo 123/2025.',
+  '63'
+];
+
+const mockPages = [
+  {
+    pageNumber: 63,
+    width: 612,
+    height: 792,
+    items: LINES.map((str, i) => ({ str, x: 40, y: 40 + i * 20, width: str.length * 5, height: 10, fontSize: 10 }))
+  }
+];
+
+// Link annotation over the CONVOCATORIA entry
+const CONVOCATORIA_URL = 'https://www.dof.gob.mx/nota_detalle.php?codigo=5758100&fecha=05/06/2025';
+
+/**
+ * Extract and store the DOF section of the fixture page
+ * @returns {Promise<object>} Processed sections
+ */
+async function extractDof() {
+  const sections = await processSectionsWithArticles(
+    { sections: { dof: { type: 'text' } } },
+    { pages: { 63: { text: LINES.join('\n') } }, sectionPages: { dof: [63] } },
+    { sectionImages: {} },
+    { urlsByPage: { 63: [{ url: CONVOCATORIA_URL, page: 63, rect: { x: 40, y: 220, width: 200, height: 10 } }] } },
+    `/tmp/${DATE}.pdf`
+  );
+
+  await storeExtractedContent({ date: DATE, metadata: { extractionMethod: 'enhanced', statistics: {} }, sections });
+  return sections;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM DOF_PUBLICATION`);
+  await run(`DELETE FROM ARTICLE`);
+});
+
+describe('DOF Publications', () => {
+  test('reads the issuer, instrument type, title, date and link of each publication', () => {
+    const publications = parseDofPublications(LINES.join('\n'), { date: DATE });
+
+    expect(publications.map(p => [p.issuer, p.instrumentType, p.dofDate])).toEqual([
+      ['CONSEJO DE LA JUDICATURA FEDERAL', 'acuerdo', '2025-06-04'],
+      ['CONSEJO DE LA JUDICATURA FEDERAL', 'convocatoria', DATE],
+      ['SUPREMA CORTE DE JUSTICIA DE LA NACIÓN', 'sentencia', '2025-06-03'],
+      ['SECRETARÍA DE MEDIO AMBIENTE Y RECURSOS NATURALES', 'decreto', DATE],
+      ['AVISOS', 'edicto', DATE]
+    ]);
+
+    // Titles run over several lines, rejoining hyphenated words
+    expect(publications[0]).toMatchObject({
+      title: 'ACUERDO General 5/2025 del Pleno del Consejo de la Judicatura Federal, que reforma el similar ' +
+        'que regula la integración de los tribunales laborales.',
+      url: 'https://www.dof.gob.mx/nota_detalle.php?codigo=5758000&fecha=04/06/2025'
+    });
+    expect(publications[1].url).toBeNull();
+    expect(parseDofPublications('INFORMACIÓN GENERAL\nUna nota sin publicaciones.')).toEqual([]);
+    expect(dofIndexUrl('2025-06-03')).toBe('https://www.dof.gob.mx/index.php?year=2025&month=06&day=03');
+  });
+
+  test('stores the publications with their articles and links to dof.gob.mx', async () => {
+    const sections = await extractDof();
+
+    expect(sections.dof.articles.map(article => article.source)).toEqual([
+      'CONSEJO DE LA JUDICATURA FEDERAL',
+      'CONSEJO DE LA JUDICATURA FEDERAL',
+      'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+      'SECRETARÍA DE MEDIO AMBIENTE Y RECURSOS NATURALES',
+      'AVISOS'
+    ]);
+
+    const stored = await query(
+      `SELECT p.instrument_type, p.dof_date, p.url, a.title AS article_title
+       FROM DOF_PUBLICATION p JOIN ARTICLE a ON a.id = p.article_id
+       ORDER BY p.id`
+    );
+    expect(stored).toHaveLength(5);
+    // The annotation over an entry is its link; without one, the index of its date
+    expect(stored[1]).toMatchObject({ instrument_type: 'convocatoria', dof_date: DATE, url: CONVOCATORIA_URL });
+    expect(stored[2]).toMatchObject({ instrument_type: 'sentencia', url: dofIndexUrl('2025-06-03') });
+    expect(stored[3].article_title).toMatch(/^DECRETO por el que se declara/);
+
+    // A new extraction of the date replaces its publications
+    await extractDof();
+    expect((await query(`SELECT COUNT(*) AS count FROM DOF_PUBLICATION`))[0].count).toBe(5);
+  });
+
+  test('keeps an article whose DOF publication cannot be stored', async () => {
+    const dof = (title, instrumentType) => ({ title, content: title, dof: { title, instrumentType, issuer: 'AVISOS' } });
+    const results = await storeExtractedContent({
+      date: DATE,
+      metadata: { extractionMethod: 'enhanced', statistics: {} },
+      sections: { dof: { name: 'DOF', articles: [dof('EDICTO de emplazamiento.', 'edicto'), dof('Publicación sin tipo.', null)] } }
+    });
+
+    expect(results.sections.dof).toMatchObject({ processed: 2, skipped: 0 });
+    expect(results.sections.dof.errors).toEqual([expect.objectContaining({ dofPublication: 'Publicación sin tipo.' })]);
+    expect((await query(`SELECT title FROM ARTICLE ORDER BY id`)).map(article => article.title))
+      .toEqual(['EDICTO de emplazamiento.', 'Publicación sin tipo.']);
+    expect(await query(`SELECT instrument_type FROM DOF_PUBLICATION`)).toEqual([{ instrument_type: 'edicto' }]);
+  });
+
+  test('filters the register by issuer, instrument type and DOF date range', async () => {
+    await extractDof();
+
+    const byIssuer = await request(app).get('/api/dof').query({ issuer: 'judicatura' });
+    expect(byIssuer.status).toBe(200);
+    expect(byIssuer.body.total).toBe(2);
+
+    const byType = await request(app).get('/api/dof').query({ type: 'Decreto' });
+    expect(byType.body.publications).toEqual([
+      expect.objectContaining({ issuer: 'SECRETARÍA DE MEDIO AMBIENTE Y RECURSOS NATURALES', instrument_type: 'decreto' })
+    ]);
+
+    const byRange = await request(app).get('/api/dof').query({ from: '2025-06-03', to: '2025-06-04' });
+    expect(byRange.body.publications.map(p => p.instrument_type)).toEqual(['acuerdo', 'sentencia']);
+
+    const filters = await request(app).get('/api/dof/filters').query({ date: DATE });
+    expect(filters.body.issuers[0]).toEqual({ name: 'CONSEJO DE LA JUDICATURA FEDERAL', count: 2 });
+    expect(filters.body.instrumentTypes.map(t => t.name)).toEqual(['acuerdo', 'convocatoria', 'decreto', 'edicto', 'sentencia']);
+
+    expect((await request(app).get('/api/dof').query({ from: '05/06/2025' })).status).toBe(400);
+  });
+});
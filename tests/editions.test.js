@@ -0,0 +1,250 @@
+/**
+ * Edition Store Tests
+ *
+ * Tests for keeping every downloaded PDF as a revision of its edition,
+ * skipping unchanged downloads and re-extracting historic revisions.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { Readable } = require('stream');
+
+// Use a temporary test database, PDF directory and preview directory
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_editions_test.sqlite');
+const TEST_PDF_DIR = path.join(os.tmpdir(), 'cjf_noticias_editions_test');
+const TEST_PREVIEW_DIR = path.join(os.tmpdir(), 'cjf_noticias_editions_test_previews');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.PDF_STORAGE_DIR = TEST_PDF_DIR;
+process.env.PREVIEW_DIR = TEST_PREVIEW_DIR;
+
+// Mock axios
+jest.mock('axios');
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+// pdf.js cannot be loaded by jest, so the cover text is mocked
+jest.mock('../server/src/services/pdf/textLayer', () => ({
+  readDocumentInfo: jest.fn()
+}));
+
+// Mock the job queue
+jest.mock('../server/src/services/scheduler/jobQueue', () => ({
+  enqueueExtraction: jest.fn().mockResolvedValue({ id: 12, status: 'queued' })
+}));
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const axios = require('axios');
+const { readDocumentInfo } = require('../server/src/services/pdf/textLayer');
+const { enqueueExtraction } = require('../server/src/services/scheduler/jobQueue');
+const { setupDatabase, run, query } = require('../server/database');
+const { generateToken } = require('../server/src/utils/auth');
+const {
+  downloadEdition,
+  storeEdition,
+  setCurrentRevision,
+  markExtracted,
+  parseCoverDate,
+  parsePdfDate
+} = require('../server/src/services/pdf/editionStore');
+
+const app = express();
+app.use(express.json());
+app.use('/api/extraction', require('../server/src/api/extraction'));
+
+const URL = 'https://example.com/resumen.pdf';
+const EDITOR = { id: 1, username: 'editor', role: 'editor' };
+
+/**
+ * Build the contents of a minimal PDF file
+ * @param {string} text Text that tells the files apart
+ * @returns {string} File contents
+ */
+function pdf(text) {
+  return `%PDF-1.4\n% ${text}\n%%EOF\n`;
+}
+
+/**
+ * Mock a 200 response with a PDF body
+ * @param {string} text Text that tells the files apart
+ * @param {object} headers Response headers
+ */
+function respondWith(text, headers = {}) {
+  axios.mockResolvedValueOnce({ status: 200, headers, data: Readable.from([Buffer.from(pdf(text))]) });
+}
+
+/**
+ * Read the current PDF of the test date
+ * @returns {string} File contents
+ */
+function currentPdf() {
+  return fs.readFileSync(path.join(TEST_PDF_DIR, '2025-06-05.pdf'), 'utf8');
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  await run(`INSERT INTO USER (id, username, password, role) VALUES (?, ?, 'x', ?)`, [EDITOR.id, EDITOR.username, EDITOR.role]);
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+  fs.rmSync(TEST_PDF_DIR, { recursive: true, force: true });
+  fs.rmSync(TEST_PREVIEW_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM EDITION`);
+  fs.rmSync(TEST_PDF_DIR, { recursive: true, force: true });
+  fs.mkdirSync(TEST_PDF_DIR, { recursive: true });
+  axios.mockReset();
+  readDocumentInfo.mockResolvedValue({ totalPages: 40, info: {}, coverText: 'SÍNTESIS INFORMATIVA\nJueves 5 de junio de 2025' });
+});
+
+describe('Edition Store', () => {
+  test('reads the edition date from the cover text or the PDF creation date', () => {
+    expect(parseCoverDate('Ciudad de México, Miércoles 1° de octubre\nLunes 3 de marzo de 2025')).toBe('2025-03-03');
+    expect(parseCoverDate('VIERNES 12 DE SETIEMBRE DEL 2025')).toBe('2025-09-12');
+    expect(parseCoverDate('Sin fecha')).toBeNull();
+    expect(parsePdfDate("D:20250605083000-06'00'")).toBe('2025-06-05');
+    expect(parsePdfDate(undefined)).toBeNull();
+  });
+
+  test('stores each changed download as a new revision and skips unchanged ones', async () => {
+    respondWith('primera', { etag: '"v1"', 'last-modified': 'Thu, 05 Jun 2025 12:00:00 GMT' });
+    const first = await downloadEdition(URL);
+
+    expect(first.changed).toBe(true);
+    expect(first.edition).toMatchObject({ date: '2025-06-05', revision: 1, etag: '"v1"', date_source: 'cover', is_current: 1 });
+    expect(fs.readFileSync(path.join(TEST_PDF_DIR, '2025-06-05.pdf'), 'utf8')).toBe(pdf('primera'));
+
+    // The server answers 304 to the conditional request
+    axios.mockResolvedValueOnce({ status: 304, headers: {}, data: null });
+    const notModified = await downloadEdition(URL);
+
+    expect(axios.mock.calls[1][0].headers).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Thu, 05 Jun 2025 12:00:00 GMT'
+    });
+    expect(notModified).toMatchObject({ changed: false, edition: { id: first.edition.id } });
+
+    // The server ignores the conditional request but sends the same file
+    respondWith('primera');
+    expect((await downloadEdition(URL)).changed).toBe(false);
+
+    respondWith('corregida', { etag: '"v2"' });
+    const second = await downloadEdition(URL);
+
+    expect(second.edition).toMatchObject({ date: '2025-06-05', revision: 2, is_current: 1 });
+    expect(fs.readFileSync(path.join(TEST_PDF_DIR, '2025-06-05.pdf'), 'utf8')).toBe(pdf('corregida'));
+
+    const editions = await query(`SELECT revision, is_current FROM EDITION ORDER BY revision`);
+    expect(editions).toEqual([{ revision: 1, is_current: 0 }, { revision: 2, is_current: 1 }]);
+    expect(fs.readdirSync(path.join(TEST_PDF_DIR, 'revisions', '2025-06-05'))).toHaveLength(2);
+  });
+
+  test('falls back to the PDF creation date when the cover has no date', async () => {
+    readDocumentInfo.mockResolvedValue({ totalPages: 5, info: { CreationDate: 'D:20250202070000Z' }, coverText: 'SÍNTESIS INFORMATIVA' });
+    const tempPath = path.join(TEST_PDF_DIR, 'upload.pdf');
+    fs.writeFileSync(tempPath, pdf('sin fecha'));
+
+    const { edition } = await storeEdition(tempPath);
+
+    expect(edition).toMatchObject({ date: '2025-02-02', date_source: 'metadata', revision: 1 });
+    expect(fs.existsSync(tempPath)).toBe(false);
+  });
+
+  test('lists revisions and re-extracts a historic one', async () => {
+    respondWith('primera');
+    const { edition: first } = await downloadEdition(URL);
+    respondWith('corregida');
+    await downloadEdition(URL);
+    await markExtracted('2025-06-05');
+
+    expect((await request(app).get('/api/extraction/editions?date=2025-06-05')).status).toBe(401);
+
+    const list = await request(app)
+      .get('/api/extraction/editions?date=2025-06-05')
+      .set('Authorization', `Bearer ${generateToken(EDITOR)}`);
+    expect(list.status).toBe(200);
+    expect(list.body.editions.map(edition => [edition.revision, Boolean(edition.extracted_at)])).toEqual([[2, true], [1, false]]);
+
+    const extract = () => request(app)
+      .post(`/api/extraction/editions/${first.id}/extract`)
+      .send({ engine: 'enhanced', dryRun: true });
+
+    expect((await extract()).status).toBe(401);
+
+    const res = await extract().set('Authorization', `Bearer ${generateToken(EDITOR)}`).set('X-CSRF-Token', 'test');
+
+    expect(res.status).toBe(202);
+    expect(res.body.jobId).toBe(12);
+    expect(enqueueExtraction).toHaveBeenCalledWith(expect.objectContaining({ date: '2025-06-05', editionId: first.id, engine: 'enhanced', dryRun: true }));
+    // The revision only becomes current when its extraction is stored
+    expect(currentPdf()).toBe(pdf('corregida'));
+
+    const missing = await request(app)
+      .post('/api/extraction/editions/999/extract')
+      .set('Authorization', `Bearer ${generateToken(EDITOR)}`)
+      .set('X-CSRF-Token', 'test');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe('EDITION_NOT_FOUND');
+  });
+
+  test('makes a re-extracted revision current only when its result is stored or its preview committed', async () => {
+    const { registerExtractor } = require('../server/src/services/pdf/extractorRegistry');
+    const { extractRevision } = require('../server/src/services/scheduler/scheduler');
+    const { commitPreview } = require('../server/src/services/content/extractionPreview');
+
+    // Record the PDF each extraction reads
+    const read = [];
+    registerExtractor('revision-test', {
+      extract: async pdfPath => {
+        read.push(fs.readFileSync(pdfPath, 'utf8'));
+        return { sections: {}, metadata: {} };
+      }
+    });
+    const options = { engine: 'revision-test', fallback: [], inProcess: true };
+
+    respondWith('primera');
+    const { edition: first } = await downloadEdition(URL);
+    respondWith('corregida');
+    const { edition: second } = await downloadEdition(URL);
+
+    const preview = await extractRevision(first.id, { ...options, dryRun: true });
+    expect(preview).toMatchObject({ dryRun: true, date: '2025-06-05' });
+    expect(read).toEqual([pdf('primera')]);
+    expect(currentPdf()).toBe(pdf('corregida'));
+
+    await commitPreview('2025-06-05');
+    expect(currentPdf()).toBe(pdf('primera'));
+
+    await setCurrentRevision(second.id);
+
+    // A result that cannot be stored leaves the current revision alone
+    const processor = require('../server/src/services/content/enhancedContentProcessor');
+    jest.spyOn(processor, 'storeExtractedContent').mockRejectedValueOnce(new Error('Database is locked'));
+    await expect(extractRevision(first.id, options)).rejects.toThrow('Database is locked');
+    expect(currentPdf()).toBe(pdf('corregida'));
+
+    await extractRevision(first.id, options);
+    expect(currentPdf()).toBe(pdf('primera'));
+    expect(await query(`SELECT revision, is_current, extracted_at IS NOT NULL AS extracted FROM EDITION ORDER BY revision`))
+      .toEqual([{ revision: 1, is_current: 1, extracted: 1 }, { revision: 2, is_current: 0, extracted: 0 }]);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Golden-file Extraction Tests
+ *
+ * Runs the enhanced extractor on the archived editions in tests/golden/pdfs
+ * (or GOLDEN_PDF_DIR) and fails when the per-section precision or recall
+ * against the expected snapshots drops below the thresholds.
+ */
+
+const {
+  findGoldenCases,
+  buildSnapshot,
+  compareSnapshots,
+  formatReport,
+  extractSnapshot,
+  readSnapshot
+} = require('./golden/harness');
+
+const expected = {
+  date: '2025-06-05',
+  sections: {
+    'ocho-columnas': {
+      articles: [
+        { title: 'Avanza la reforma judicial', source: 'Reforma', urls: ['https://example.com/a'] },
+        { title: 'Aprueban presupuesto', source: 'El Universal', urls: ['https://example.com/b'] }
+      ],
+      imageCount: 0
+    },
+    'cartones': { articles: [], imageCount: 3 }
+  }
+};
+
+describe('Golden-file harness', () => {
+  test('builds snapshots from extraction results', () => {
+    const snapshot = buildSnapshot({
+      date: '2025-06-05',
+      sections: {
+        'ocho-columnas': {
+          articles: [{ title: 'Nota', source: 'Reforma', content: 'Texto', url: 'https://example.com/a', urls: ['https://example.com/a'] }],
+          images: []
+        },
+        'cartones': { articles: [], images: [{}, {}] }
+      },
+      metadata: {}
+    });
+
+    expect(snapshot).toEqual({
+      date: '2025-06-05',
+      sections: {
+        'ocho-columnas': {
+          articles: [{ title: 'Nota', source: 'Reforma', urls: ['https://example.com/a'] }],
+          imageCount: 0
+        },
+        'cartones': { articles: [], imageCount: 2 }
+      }
+    });
+  });
+
+  test('passes when the extraction matches the snapshot', () => {
+    const actual = JSON.parse(JSON.stringify(expected));
+    actual.sections['ocho-columnas'].articles[0].title = 'AVANZA LA REFORMA JUDICIAL.';
+
+    const report = compareSnapshots(expected, actual);
+
+    expect(report.failures).toEqual([]);
+    expect(report.sections['ocho-columnas'].titles).toMatchObject({ precision: 1, recall: 1 });
+  });
+
+  test('reports per-section precision and recall regressions', () => {
+    const actual = {
+      date: '2025-06-05',
+      sections: {
+        'ocho-columnas': {
+          articles: [
+            { title: 'Avanza la reforma judicial', source: 'Ocho Columnas', urls: [] },
+            { title: 'Fecha de publicación', source: 'Reforma', urls: [] }
+          ],
+          imageCount: 0
+        },
+        'cartones': { articles: [], imageCount: 2 }
+      }
+    };
+
+    const report = compareSnapshots(expected, actual);
+    const scores = report.sections['ocho-columnas'];
+
+    expect(scores.titles).toMatchObject({
+      precision: 0.5,
+      recall: 0.5,
+      missing: ['APRUEBAN PRESUPUESTO'],
+      unexpected: ['FECHA DE PUBLICACION']
+    });
+    expect(scores.sources).toMatchObject({ precision: 0, recall: 0 });
+    expect(scores.urls).toMatchObject({ precision: 0, recall: 0 });
+    expect(report.failures).toEqual(expect.arrayContaining([
+      'ocho-columnas: titles recall 50% < 90%',
+      'cartones: 2 images, expected 3'
+    ]));
+    expect(formatReport(report)).toContain('- APRUEBAN PRESUPUESTO');
+  });
+
+  test('applies snapshot and section thresholds', () => {
+    const actual = {
+      sections: {
+        'ocho-columnas': { articles: [expected.sections['ocho-columnas'].articles[0]], imageCount: 0 }
+      }
+    };
+
+    const report = compareSnapshots({
+      ...expected,
+      thresholds: { recall: 0.5 },
+      sections: {
+        ...expected.sections,
+        'cartones': { ...expected.sections['cartones'], thresholds: { imageTolerance: 3 } }
+      }
+    }, actual);
+
+    expect(report.failures).toEqual(['cartones: section not extracted']);
+  });
+});
+
+describe('Golden-file extraction', () => {
+  const cases = findGoldenCases();
+
+  if (cases.length === 0) {
+    test.skip('no archived editions with snapshots in tests/golden', () => {});
+    return;
+  }
+
+  test.each(cases.map(goldenCase => [goldenCase.date, goldenCase]))(
+    'edition %s does not regress',
+    async (date, goldenCase) => {
+      const actual = await extractSnapshot(goldenCase.pdfPath);
+      const report = compareSnapshots(readSnapshot(goldenCase.expectedPath), actual);
+
+      if (report.failures.length > 0) {
+        throw new Error(formatReport(report));
+      }
+    },
+    15 * 60 * 1000
+  );
+});
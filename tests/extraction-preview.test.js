@@ -0,0 +1,244 @@
+/**
+ * Extraction Preview Tests
+ *
+ * Tests for comparing a dry-run extraction with the stored content of its
+ * date and for committing or discarding the preview.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database and preview directory
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_preview_test.sqlite');
+const TEST_PREVIEW_DIR = path.join(os.tmpdir(), 'cjf_noticias_preview_test');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.PREVIEW_DIR = TEST_PREVIEW_DIR;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, query } = require('../server/database');
+const { generateToken } = require('../server/src/utils/auth');
+const {
+  diffContent,
+  savePreview,
+  getPreview,
+  preparePreviewImages
+} = require('../server/src/services/content/extractionPreview');
+
+const app = express();
+app.use(express.json());
+app.use('/api/extraction', require('../server/src/api/extraction'));
+
+const DATE = '2025-07-01';
+const IMAGES_DIR = path.join(__dirname, '../storage/images', DATE);
+
+const EDITOR = { id: 1, username: 'editor', role: 'editor' };
+const READER = { id: 2, username: 'reader', role: 'reader' };
+
+/**
+ * Sign a request in as a user
+ * @param {object} req Supertest request
+ * @param {object} user User
+ * @returns {object} Request with the token and CSRF headers
+ */
+function signedIn(req, user = EDITOR) {
+  return req.set('Authorization', `Bearer ${generateToken(user)}`).set('X-CSRF-Token', 'test');
+}
+
+const CONTENT = {
+  date: DATE,
+  engine: 'enhanced',
+  metadata: { extractionMethod: 'enhanced', statistics: { totalSections: 2, totalArticles: 3, totalImages: 1 } },
+  sections: {
+    'ocho-columnas': {
+      articles: [
+        { title: 'Reforma judicial avanza en el Senado', source: 'El Universal', urls: ['https://example.com/reforma'] },
+        { title: 'Nuevo titular del CJF', source: 'Reforma', urls: ['https://example.com/titular-corregido'] },
+        { title: 'Presupuesto 2026 del Poder Judicial', source: 'Milenio', urls: [] }
+      ]
+    },
+    cartones: {
+      articles: [],
+      images: [{ filename: 'carton_1.png', pageNumber: 40 }]
+    }
+  }
+};
+
+/**
+ * Store an article for the test date
+ * @param {string} title Title
+ * @param {object} fields Other columns
+ * @returns {Promise<number>} Article id
+ */
+async function storeArticle(title, fields = {}) {
+  const { url = null, source = 'CJF', section = 'ocho-columnas', lockedFields = [] } = fields;
+  const { lastID } = await run(
+    `INSERT INTO ARTICLE (title, content, source, section_id, publication_date, url, locked_fields)
+     VALUES (?, '', ?, ?, ?, ?, ?)`,
+    [title, source, section, DATE, url, JSON.stringify(lockedFields)]
+  );
+  return lastID;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  for (const user of [EDITOR, READER]) {
+    await run(`INSERT INTO USER (id, username, password, role) VALUES (?, ?, 'x', ?)`, [user.id, user.username, user.role]);
+  }
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+  fs.rmSync(TEST_PREVIEW_DIR, { recursive: true, force: true });
+  fs.rmSync(IMAGES_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM ARTICLE`);
+  await run(`DELETE FROM IMAGE`);
+  fs.rmSync(TEST_PREVIEW_DIR, { recursive: true, force: true });
+});
+
+describe('Extraction Preview', () => {
+  test('lists added, removed, changed and kept articles and images per section', () => {
+    const article = (id, title, url, source, fields = {}) => ({
+      id, title, url, source, section_id: 'ocho-columnas', fingerprint: null, lockedFields: [], protected: false, ...fields
+    });
+    const stored = {
+      articles: [
+        article(1, 'REFORMA JUDICIAL AVANZA EN EL SENADO', 'https://example.com/reforma', 'El Universal'),
+        article(2, 'Nuevo titular del CJF', 'https://example.com/titular', 'Reforma'),
+        article(3, 'Nota retirada', null, 'CJF'),
+        article(4, 'Nota creada a mano', null, 'CJF', { protected: true })
+      ],
+      images: [{ id: 9, filename: 'images/2025-07-01/carton_2.png', section_id: 'cartones' }]
+    };
+
+    const diff = diffContent(CONTENT, stored);
+    const section = diff.sections['ocho-columnas'];
+
+    expect(section.articles.added.map(article => article.title)).toEqual(['Presupuesto 2026 del Poder Judicial']);
+    expect(section.articles.removed.map(article => article.id)).toEqual([3]);
+    expect(section.articles.changed).toEqual([
+      { id: 1, title: 'Reforma judicial avanza en el Senado', changes: { title: { from: 'REFORMA JUDICIAL AVANZA EN EL SENADO', to: 'Reforma judicial avanza en el Senado' } } },
+      { id: 2, title: 'Nuevo titular del CJF', changes: { url: { from: 'https://example.com/titular', to: 'https://example.com/titular-corregido' } } }
+    ]);
+    expect(section.articles.kept.map(article => article.id)).toEqual([4]);
+    expect(diff.sections.cartones.images.added).toEqual([{ filename: 'carton_1.png', pageNumber: 40 }]);
+    expect(diff.sections.cartones.images.removed).toEqual([{ id: 9, filename: 'images/2025-07-01/carton_2.png' }]);
+    expect(diff.totals).toEqual({ added: 2, removed: 2, changed: 2, unchanged: 0, kept: 1 });
+  });
+
+  test('saves a preview without touching the stored content', async () => {
+    await storeArticle('Nota retirada');
+
+    const summary = await savePreview(CONTENT);
+
+    expect(summary).toMatchObject({ date: DATE, engine: 'enhanced' });
+    expect(summary.diff.totals).toMatchObject({ added: 4, removed: 1 });
+    expect(await query(`SELECT title FROM ARTICLE`)).toEqual([{ title: 'Nota retirada' }]);
+
+    expect((await request(app).get(`/api/extraction/previews/${DATE}`)).status).toBe(401);
+    expect((await signedIn(request(app).get(`/api/extraction/previews/${DATE}`), READER)).status).toBe(403);
+
+    const res = await signedIn(request(app).get(`/api/extraction/previews/${DATE}`));
+    expect(res.status).toBe(200);
+    expect(res.body.sections['ocho-columnas'].articles).toHaveLength(3);
+    expect(res.body.diff.totals).toEqual(summary.diff.totals);
+  });
+
+  test('renders the images of a dry run into the preview', async () => {
+    const { registerExtractor } = require('../server/src/services/pdf/extractorRegistry');
+    const { extractAndStore } = require('../server/src/services/scheduler/scheduler');
+
+    registerExtractor('preview-test', {
+      extract: async (pdfPath, options) => {
+        fs.mkdirSync(options.imagesDir, { recursive: true });
+        fs.writeFileSync(path.join(options.imagesDir, 'carton_1.png'), 'png');
+        return { ...CONTENT, engine: 'preview-test' };
+      }
+    });
+
+    const result = await extractAndStore(path.join(os.tmpdir(), `${DATE}.pdf`), { engine: 'preview-test', fallback: [], dryRun: true, inProcess: true });
+
+    expect(result).toMatchObject({ dryRun: true, date: DATE });
+    expect(fs.existsSync(path.join(TEST_PREVIEW_DIR, DATE, 'images', 'carton_1.png'))).toBe(true);
+    expect(fs.existsSync(IMAGES_DIR)).toBe(false);
+    expect(await query(`SELECT id FROM IMAGE`)).toEqual([]);
+  });
+
+  test('commits a preview, keeping the fields locked by editors', async () => {
+    await storeArticle('Nota retirada');
+    const editedId = await storeArticle('Nuevo titular del Consejo', { url: 'https://example.com/titular-corregido', source: 'Reforma', lockedFields: ['title'] });
+    // The dry run rendered its images into the preview
+    fs.writeFileSync(path.join(preparePreviewImages(DATE), 'carton_1.png'), 'png');
+    const summary = await savePreview(CONTENT);
+
+    expect(summary.diff.sections['ocho-columnas'].articles.kept).toEqual([
+      { id: editedId, title: 'Nuevo titular del Consejo', lockedFields: ['title'], changes: { title: { from: 'Nuevo titular del Consejo', to: 'Nuevo titular del CJF' } } }
+    ]);
+
+    expect((await request(app).post(`/api/extraction/previews/${DATE}/commit`)).status).toBe(401);
+    expect((await signedIn(request(app).post(`/api/extraction/previews/${DATE}/commit`), READER)).status).toBe(403);
+    expect(fs.existsSync(path.join(IMAGES_DIR, 'carton_1.png'))).toBe(false);
+
+    const res = await signedIn(request(app).post(`/api/extraction/previews/${DATE}/commit`));
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+
+    const articles = await query(`SELECT id, title FROM ARTICLE ORDER BY title`);
+    expect(articles.map(article => article.title)).toEqual([
+      'Nuevo titular del Consejo',
+      'Presupuesto 2026 del Poder Judicial',
+      'Reforma judicial avanza en el Senado'
+    ]);
+    expect(articles[0].id).toBe(editedId);
+    expect(await query(`SELECT filename FROM IMAGE`)).toEqual([{ filename: `images/${DATE}/carton_1.png` }]);
+    expect(fs.readFileSync(path.join(IMAGES_DIR, 'carton_1.png'), 'utf8')).toBe('png');
+    expect(fs.existsSync(path.join(TEST_PREVIEW_DIR, DATE))).toBe(false);
+
+    expect(await getPreview(DATE)).toBeNull();
+    const audit = await query(`SELECT details FROM AUDIT_LOG WHERE action = 'PREVIEW_COMMITTED'`);
+    expect(JSON.parse(audit[0].details)).toMatchObject({ date: DATE, totals: { kept: 1 } });
+  });
+
+  test('discards a preview and returns 404 for missing previews', async () => {
+    preparePreviewImages(DATE);
+    await savePreview(CONTENT);
+
+    expect((await request(app).delete(`/api/extraction/previews/${DATE}`)).status).toBe(401);
+
+    const discarded = await signedIn(request(app).delete(`/api/extraction/previews/${DATE}`));
+    expect(discarded.status).toBe(200);
+    expect(fs.existsSync(path.join(TEST_PREVIEW_DIR, DATE))).toBe(false);
+
+    const missing = await signedIn(request(app).get(`/api/extraction/previews/${DATE}`));
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe('PREVIEW_NOT_FOUND');
+
+    const commit = await signedIn(request(app).post(`/api/extraction/previews/${DATE}/commit`));
+    expect(commit.status).toBe(404);
+
+    const invalid = await signedIn(request(app).get('/api/extraction/previews/latest'));
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Extractor Registry Tests
+ *
+ * Tests for engine registration, selection, fallback and result normalization.
+ */
+
+const {
+  registerExtractor,
+  getExtractor,
+  listExtractors,
+  extractWithEngine,
+  normalizeComprehensiveContent,
+  createLegacyNormalizer
+} = require('../server/src/services/pdf/extractorRegistry');
+const { get } = require('../server/database');
+
+// Mock database functions
+jest.mock('../server/database', () => ({
+  run: jest.fn(),
+  get: jest.fn(),
+  query: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  })
+}), { virtual: true });
+
+describe('Extractor Registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    get.mockResolvedValue(null);
+  });
+
+  test('registers the built-in engines', () => {
+    const names = listExtractors().map(engine => engine.name);
+
+    expect(names).toEqual(expect.arrayContaining(['enhanced', 'comprehensive', 'legacy']));
+    expect(getExtractor('enhanced')).not.toBeNull();
+    expect(getExtractor('unknown')).toBeNull();
+  });
+
+  test('rejects engines without an extract function', () => {
+    expect(() => registerExtractor('broken', {})).toThrow('must provide an extract function');
+  });
+
+  test('uses the requested engine and fills in the canonical fields', async () => {
+    registerExtractor('test-engine', {
+      extract: jest.fn().mockResolvedValue({
+        sections: {
+          'ocho-columnas': {
+            articles: [{ title: 'Test', content: 'Body', urls: ['https://example.com'] }]
+          }
+        },
+        metadata: { totalPages: 3 }
+      })
+    });
+
+    const result = await extractWithEngine('/tmp/2025-06-05.pdf', { engine: 'test-engine', fallback: [] });
+
+    expect(result.date).toBe('2025-06-05');
+    expect(result.engine).toBe('test-engine');
+    expect(result.sections['ocho-columnas']).toMatchObject({
+      id: 'ocho-columnas',
+      name: 'Ocho Columnas',
+      type: 'text',
+      pages: [],
+      images: []
+    });
+    expect(result.metadata).toMatchObject({
+      totalPages: 3,
+      extractionMethod: 'test-engine',
+      statistics: { totalSections: 1, totalArticles: 1, totalImages: 0, totalUrls: 1 }
+    });
+  });
+
+  test('reads the engine and fallback chain from SETTINGS', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('boom'));
+    const working = jest.fn().mockResolvedValue({ sections: {} });
+    registerExtractor('failing-engine', { extract: failing });
+    registerExtractor('working-engine', { extract: working });
+
+    get.mockImplementation(sql => Promise.resolve(
+      sql.includes('extraction_engine_fallback')
+        ? { value: 'working-engine' }
+        : { value: 'failing-engine' }
+    ));
+
+    const result = await extractWithEngine('/tmp/2025-06-05.pdf');
+
+    expect(failing).toHaveBeenCalled();
+    expect(working).toHaveBeenCalled();
+    expect(result.engine).toBe('working-engine');
+    expect(result.metadata.failedEngines).toEqual(['failing-engine: boom']);
+  });
+
+  test('fails when every engine in the chain fails', async () => {
+    registerExtractor('failing-engine', { extract: jest.fn().mockRejectedValue(new Error('boom')) });
+
+    await expect(extractWithEngine('/tmp/2025-06-05.pdf', { engine: 'failing-engine', fallback: 'missing-engine' }))
+      .rejects.toThrow('All extraction engines failed');
+  });
+
+  test('normalizes comprehensive content', () => {
+    const result = normalizeComprehensiveContent({
+      date: '2025-06-05',
+      primerasPlanas: [
+        { title: 'Portada Reforma', source: 'Reforma', pageNumber: 5, imageUrl: 'images/2025-06-05/page-5.png' }
+      ],
+      sections: {
+        'ocho-columnas': [{ title: 'Nota', pageNumber: 2 }, { title: 'Otra', pageNumber: 3 }],
+        'dof': []
+      },
+      metadata: { totalPages: 80, extractionMethod: 'comprehensive' }
+    });
+
+    expect(Object.keys(result.sections)).toEqual(['primeras-planas', 'ocho-columnas']);
+    expect(result.sections['primeras-planas'].images).toEqual([
+      { filename: 'page-5.png', page: 5, newspaper: 'Reforma' }
+    ]);
+    expect(result.sections['ocho-columnas'].pages).toEqual([2, 3]);
+    expect(result.metadata.totalPages).toBe(80);
+  });
+
+  test('normalizes legacy content', async () => {
+    const extractArticles = jest.fn().mockResolvedValue([{ title: 'Nota', content: 'Texto' }]);
+    const normalize = createLegacyNormalizer(extractArticles);
+
+    const result = await normalize({
+      date: '2025-06-05',
+      sections: { 'ocho-columnas': 'NOTA\nTexto', 'agenda': '' },
+      images: ['/storage/images/2025-06-05/portada-reforma.png', '/storage/images/2025-06-05/carton-1.png'],
+      index: [{ id: 'ocho-columnas', name: 'Ocho Columnas', pages: { start: 2, end: 4 } }]
+    }, '/tmp/2025-06-05.pdf');
+
+    expect(extractArticles).toHaveBeenCalledTimes(1);
+    expect(result.sections['ocho-columnas']).toMatchObject({ pages: [2, 3, 4], articles: [{ title: 'Nota' }] });
+    expect(result.sections['agenda'].articles).toEqual([]);
+    expect(result.sections['primeras-planas'].images).toEqual([{ filename: 'portada-reforma.png' }]);
+    expect(result.sections['cartones'].images).toEqual([{ filename: 'carton-1.png' }]);
+  });
+});
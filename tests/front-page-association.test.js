@@ -0,0 +1,178 @@
+/**
+ * Front Page Association Tests
+ *
+ * Tests for linking the Ocho Columnas articles of a date to the Primeras
+ * Planas front pages of their newspapers.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_front_page_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, get, query } = require('../server/database');
+const { storeExtractedContent } = require('../server/src/services/content/enhancedContentProcessor');
+const { applyEdit } = require('../server/src/services/content/protectedFields');
+const { associateFrontPages, listAssociationDates, normalizeNewspaper } = require('../server/src/services/content/frontPageAssociation');
+const { generateToken } = require('../server/src/utils/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/extraction', require('../server/src/api/extraction'));
+
+const DATE = '2025-06-05';
+
+/**
+ * Build an extraction result with Ocho Columnas headlines and front pages
+ * @param {string[]} headlines Newspapers of the Ocho Columnas headlines
+ * @param {string[]} frontPages Newspapers of the front pages
+ * @returns {object} Extraction result
+ */
+function extraction(headlines, frontPages) {
+  return {
+    date: DATE,
+    metadata: { extractionMethod: 'enhanced', statistics: {} },
+    sections: {
+      'ocho-columnas': {
+        articles: headlines.map((source, i) => ({ title: `Titular ${i + 1} de ${source}`, content: 'Texto', source }))
+      },
+      'primeras-planas': {
+        articles: frontPages.map((source, i) => ({
+          title: `Portada ${source}`,
+          content: `Primera plana del periódico ${source}`,
+          source,
+          imageUrl: `images/${DATE}/primera-plana-${i + 5}.png`
+        }))
+      }
+    }
+  };
+}
+
+/**
+ * Get the stored Ocho Columnas by source
+ * @returns {Promise<object>} {source: {image_url, front_page_id}}
+ */
+async function ochoColumnas() {
+  const rows = await query(
+    `SELECT title, image_url, front_page_id FROM ARTICLE WHERE section_id = 'ocho-columnas' ORDER BY id`
+  );
+  return Object.fromEntries(rows.map(row => [row.title, { image_url: row.image_url, front_page_id: row.front_page_id }]));
+}
+
+const EDITOR = { id: 1, username: 'editor', role: 'editor' };
+
+beforeAll(async () => {
+  await setupDatabase();
+  await run(`INSERT INTO USER (id, username, password, role) VALUES (?, ?, 'x', ?)`, [EDITOR.id, EDITOR.username, EDITOR.role]);
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM ARTICLE`);
+});
+
+describe('Front Page Association', () => {
+  test('matches newspaper names regardless of accents, case, articles and aliases', () => {
+    expect(normalizeNewspaper('EXCELSIOR')).toBe(normalizeNewspaper('Excélsior'));
+    expect(normalizeNewspaper('EL UNIVERSAL')).toBe(normalizeNewspaper('El Universal'));
+    expect(normalizeNewspaper('Indigo')).toBe(normalizeNewspaper('Reporte Índigo'));
+    expect(normalizeNewspaper('EL HERALDO')).toBe(normalizeNewspaper('El Heraldo de México'));
+    expect(normalizeNewspaper('El Economista')).not.toBe(normalizeNewspaper('El Financiero'));
+  });
+
+  test('links the Ocho Columnas to their front pages after an extraction and reports the unmatched items', async () => {
+    const results = await storeExtractedContent(extraction(
+      ['REFORMA', 'EXCELSIOR', 'MILENIO', 'MILENIO', 'CRÓNICA'],
+      ['Reforma', 'Excélsior', 'Milenio', 'La Jornada']
+    ));
+
+    const frontPages = Object.fromEntries(
+      (await query(`SELECT id, source, image_url FROM ARTICLE WHERE section_id = 'primeras-planas'`)).map(row => [row.source, row])
+    );
+    const stored = await ochoColumnas();
+
+    expect(stored['Titular 1 de REFORMA']).toEqual({ image_url: frontPages.Reforma.image_url, front_page_id: frontPages.Reforma.id });
+    expect(stored['Titular 2 de EXCELSIOR'].front_page_id).toBe(frontPages['Excélsior'].id);
+    expect(stored['Titular 3 de MILENIO'].front_page_id).toBe(frontPages.Milenio.id);
+    expect(stored['Titular 4 de MILENIO'].front_page_id).toBe(frontPages.Milenio.id);
+    expect(stored['Titular 5 de CRÓNICA']).toEqual({ image_url: null, front_page_id: null });
+
+    expect(results.statistics).toMatchObject({ associatedFrontPages: 4, unmatchedOchoColumnas: 1 });
+    expect(results.association.unmatchedArticles).toEqual([expect.objectContaining({ source: 'CRÓNICA' })]);
+    expect(results.association.unmatchedFrontPages).toEqual([expect.objectContaining({ source: 'La Jornada' })]);
+
+    // Running it again changes nothing
+    expect((await associateFrontPages(DATE)).changed).toBe(0);
+    expect(await listAssociationDates({ from: '2025-06-01', to: '2025-06-30' })).toEqual([DATE]);
+  });
+
+  test('follows corrected newspapers and keeps images chosen by an editor', async () => {
+    await storeExtractedContent(extraction(['REFORMA', 'EL UNIVERSAL', 'MILENIO'], ['Reforma', 'El Universal', 'Milenio']));
+
+    // An editor chooses the image of one article and corrects the newspaper of a front page
+    const universal = await get(`SELECT * FROM ARTICLE WHERE title = 'Titular 2 de EL UNIVERSAL'`);
+    const edit = applyEdit(universal, { image_url: '/storage/uploads/foto.jpg' });
+    await run(`UPDATE ARTICLE SET image_url = ?, locked_fields = ? WHERE id = ?`, [edit.image_url, edit.locked_fields, universal.id]);
+    await run(`UPDATE ARTICLE SET source = 'La Jornada' WHERE section_id = 'primeras-planas' AND source = 'Milenio'`);
+
+    const dryRun = await associateFrontPages(DATE, { dryRun: true });
+    expect(dryRun.changed).toBe(1);
+    expect((await ochoColumnas())['Titular 3 de MILENIO'].front_page_id).not.toBeNull();
+
+    const report = await associateFrontPages(DATE);
+    const stored = await ochoColumnas();
+
+    expect(report.locked).toEqual([expect.objectContaining({ id: universal.id })]);
+    expect(stored['Titular 2 de EL UNIVERSAL'].image_url).toBe('/storage/uploads/foto.jpg');
+    expect(stored['Titular 3 de MILENIO']).toEqual({ image_url: null, front_page_id: null });
+    expect(report.unmatchedFrontPages).toEqual([expect.objectContaining({ source: 'La Jornada' })]);
+
+    // A re-extraction keeps the association
+    await storeExtractedContent(extraction(['REFORMA', 'EL UNIVERSAL', 'MILENIO'], ['Reforma', 'El Universal', 'Milenio']));
+    expect((await ochoColumnas())['Titular 1 de REFORMA'].image_url).toBe(`images/${DATE}/primera-plana-5.png`);
+  });
+
+  test('runs the association of a date through the API', async () => {
+    await storeExtractedContent(extraction(['REFORMA', 'CRÓNICA'], ['Reforma']));
+
+    const associate = date => request(app)
+      .post(`/api/extraction/associations/${date}`)
+      .set('Authorization', `Bearer ${generateToken(EDITOR)}`)
+      .set('X-CSRF-Token', 'test');
+
+    expect((await request(app).post(`/api/extraction/associations/${DATE}`)).status).toBe(401);
+
+    const res = await associate(DATE).send({ dryRun: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, date: DATE, changed: 0, associated: [{ newspaper: 'Reforma' }] });
+    expect(res.body.unmatchedArticles).toEqual([expect.objectContaining({ source: 'CRÓNICA' })]);
+
+    expect((await associate('05-06-2025')).status).toBe(400);
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Golden-file Extraction Worker
+ *
+ * Runs extractEnhancedContent on one PDF and sends the snapshot of the
+ * result to the parent process. Started by harness.extractSnapshot().
+ */
+
+const { extractEnhancedContent } = require('../../server/src/services/pdf/enhancedPdfExtractor');
+const { buildSnapshot } = require('./harness');
+
+extractEnhancedContent(process.argv[2])
+  .then(result => {
+    process.send({ snapshot: buildSnapshot(result) }, () => process.exit(0));
+  })
+  .catch(error => {
+    process.send({ error: error.message }, () => process.exit(1));
+  });
@@ -0,0 +1,346 @@
+/**
+ * Golden-file Regression Harness
+ *
+ * This module compares the extraction of archived editions against expected
+ * snapshots (sections, article titles, sources, URLs and image counts) and
+ * reports per-section precision and recall, so that changes to the
+ * extractors can be checked against known-good output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+
+// Directory with the sample PDFs (one per edition, named YYYY-MM-DD.pdf)
+const PDF_DIR = process.env.GOLDEN_PDF_DIR || path.join(__dirname, 'pdfs');
+
+// Directory with the expected snapshots (one per edition, named YYYY-MM-DD.json)
+const EXPECTED_DIR = process.env.GOLDEN_EXPECTED_DIR || path.join(__dirname, 'expected');
+
+// Minimum scores before a section counts as a regression
+const DEFAULT_THRESHOLDS = {
+  precision: 0.9,
+  recall: 0.9,
+  imageTolerance: 0
+};
+
+// Maximum time to extract one edition
+const EXTRACTION_TIMEOUT = parseInt(process.env.GOLDEN_TIMEOUT, 10) || 10 * 60 * 1000;
+
+/**
+ * Find the editions that have both a sample PDF and an expected snapshot
+ * @param {string} pdfDir Directory with the sample PDFs
+ * @param {string} expectedDir Directory with the expected snapshots
+ * @returns {Array} Cases as {date, pdfPath, expectedPath}
+ */
+function findGoldenCases(pdfDir = PDF_DIR, expectedDir = EXPECTED_DIR) {
+  if (!fs.existsSync(pdfDir) || !fs.existsSync(expectedDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(pdfDir)
+    .filter(file => file.toLowerCase().endsWith('.pdf'))
+    .map(file => {
+      const date = path.basename(file, path.extname(file));
+      return {
+        date,
+        pdfPath: path.join(pdfDir, file),
+        expectedPath: path.join(expectedDir, `${date}.json`)
+      };
+    })
+    .filter(goldenCase => fs.existsSync(goldenCase.expectedPath))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Reduce an extraction result to the fields covered by the snapshots
+ * @param {object} result Result of extractEnhancedContent
+ * @returns {object} Snapshot as {date, sections: {[id]: {articles, imageCount}}}
+ */
+function buildSnapshot(result) {
+  const sections = {};
+
+  for (const [sectionId, section] of Object.entries(result.sections || {})) {
+    sections[sectionId] = {
+      articles: (section.articles || []).map(article => ({
+        title: article.title || '',
+        source: article.source || '',
+        urls: getArticleUrls(article)
+      })),
+      imageCount: (section.images || []).length
+    };
+  }
+
+  return {
+    date: result.date,
+    sections
+  };
+}
+
+/**
+ * Compare an extraction snapshot with the expected snapshot
+ * @param {object} expected Expected snapshot
+ * @param {object} actual Snapshot of the current extraction
+ * @param {object} thresholds Thresholds overriding the snapshot and default ones
+ * @returns {object} Report as {date, sections: {[id]: scores}, failures}
+ */
+function compareSnapshots(expected, actual, thresholds = {}) {
+  const limits = { ...DEFAULT_THRESHOLDS, ...expected.thresholds, ...thresholds };
+  const sectionIds = [...new Set([
+    ...Object.keys(expected.sections || {}),
+    ...Object.keys(actual.sections || {})
+  ])];
+
+  const report = { date: expected.date || actual.date, sections: {}, failures: [] };
+
+  for (const sectionId of sectionIds) {
+    const expectedSection = (expected.sections || {})[sectionId];
+    const actualSection = (actual.sections || {})[sectionId];
+
+    // Sections only present in the new extraction are reported but not scored
+    if (!expectedSection) {
+      report.sections[sectionId] = { unexpected: true };
+      continue;
+    }
+
+    const expectedArticles = expectedSection.articles || [];
+    const actualArticles = actualSection ? actualSection.articles || [] : [];
+
+    const scores = {
+      missing: !actualSection,
+      titles: score(
+        expectedArticles.map(a => normalizeText(a.title)),
+        actualArticles.map(a => normalizeText(a.title))
+      ),
+      sources: score(
+        expectedArticles.map(a => `${normalizeText(a.title)}|${normalizeText(a.source)}`),
+        actualArticles.map(a => `${normalizeText(a.title)}|${normalizeText(a.source)}`)
+      ),
+      urls: score(
+        expectedArticles.flatMap(a => (a.urls || []).map(normalizeUrl)),
+        actualArticles.flatMap(a => (a.urls || []).map(normalizeUrl))
+      ),
+      images: {
+        expected: expectedSection.imageCount || 0,
+        actual: actualSection ? actualSection.imageCount || 0 : 0
+      }
+    };
+
+    const sectionLimits = { ...limits, ...expectedSection.thresholds };
+
+    if (scores.missing) {
+      report.failures.push(`${sectionId}: section not extracted`);
+    }
+
+    for (const field of ['titles', 'sources', 'urls']) {
+      for (const metric of ['precision', 'recall']) {
+        if (scores[field][metric] < sectionLimits[metric]) {
+          report.failures.push(
+            `${sectionId}: ${field} ${metric} ${formatScore(scores[field][metric])} < ${formatScore(sectionLimits[metric])}`
+          );
+        }
+      }
+    }
+
+    if (Math.abs(scores.images.actual - scores.images.expected) > sectionLimits.imageTolerance) {
+      report.failures.push(`${sectionId}: ${scores.images.actual} images, expected ${scores.images.expected}`);
+    }
+
+    report.sections[sectionId] = scores;
+  }
+
+  return report;
+}
+
+/**
+ * Precision and recall of a list of values against the expected ones
+ * @param {string[]} expected Expected values
+ * @param {string[]} actual Extracted values
+ * @returns {object} Scores as {precision, recall, missing, unexpected}
+ */
+function score(expected, actual) {
+  const expectedSet = new Set(expected.filter(Boolean));
+  const actualSet = new Set(actual.filter(Boolean));
+
+  const matched = [...actualSet].filter(value => expectedSet.has(value)).length;
+
+  return {
+    precision: actualSet.size === 0 ? (expectedSet.size === 0 ? 1 : 0) : matched / actualSet.size,
+    recall: expectedSet.size === 0 ? 1 : matched / expectedSet.size,
+    missing: [...expectedSet].filter(value => !actualSet.has(value)),
+    unexpected: [...actualSet].filter(value => !expectedSet.has(value))
+  };
+}
+
+/**
+ * Format a comparison report as a per-section table with the differences
+ * @param {object} report Report from compareSnapshots
+ * @returns {string} Report text
+ */
+function formatReport(report) {
+  const lines = [`Edition ${report.date}`];
+
+  for (const [sectionId, scores] of Object.entries(report.sections)) {
+    if (scores.unexpected) {
+      lines.push(`  ${sectionId}: not in the snapshot`);
+      continue;
+    }
+
+    lines.push(
+      `  ${sectionId}: ` +
+      `titles P ${formatScore(scores.titles.precision)} R ${formatScore(scores.titles.recall)}, ` +
+      `sources P ${formatScore(scores.sources.precision)} R ${formatScore(scores.sources.recall)}, ` +
+      `urls P ${formatScore(scores.urls.precision)} R ${formatScore(scores.urls.recall)}, ` +
+      `images ${scores.images.actual}/${scores.images.expected}`
+    );
+
+    for (const title of scores.titles.missing) {
+      lines.push(`    - ${title}`);
+    }
+    for (const title of scores.titles.unexpected) {
+      lines.push(`    + ${title}`);
+    }
+  }
+
+  lines.push(report.failures.length === 0
+    ? '  OK'
+    : `  ${report.failures.length} regression(s):\n${report.failures.map(f => `    ${f}`).join('\n')}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Extract a PDF with extractEnhancedContent in a separate process and build
+ * its snapshot. pdf.js is an ES module, so it cannot be loaded inside the
+ * jest module sandbox.
+ * @param {string} pdfPath Path to the PDF file
+ * @param {object} options Options
+ * @param {number} [options.timeout] Maximum extraction time in milliseconds
+ * @returns {Promise<object>} Snapshot of the extraction
+ */
+function extractSnapshot(pdfPath, options = {}) {
+  const timeout = options.timeout || EXTRACTION_TIMEOUT;
+
+  return new Promise((resolve, reject) => {
+    const child = fork(path.join(__dirname, 'extract.js'), [pdfPath], {
+      silent: true,
+      env: { ...process.env, LOG_LEVEL: 'error' }
+    });
+
+    let stderr = '';
+    let settled = false;
+
+    const finish = (error, snapshot) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(snapshot);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      child.kill();
+      finish(new Error(`Extraction of ${pdfPath} timed out after ${timeout} ms`));
+    }, timeout);
+
+    child.stdout.resume();
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+
+    child.on('message', message => {
+      if (message.error) {
+        finish(new Error(`Extraction of ${pdfPath} failed: ${message.error}`));
+      } else {
+        finish(null, message.snapshot);
+      }
+    });
+
+    child.on('exit', code => {
+      finish(new Error(`Extraction of ${pdfPath} exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+    });
+  });
+}
+
+/**
+ * Read an expected snapshot
+ * @param {string} expectedPath Path to the snapshot file
+ * @returns {object} Snapshot
+ */
+function readSnapshot(expectedPath) {
+  return JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+}
+
+/**
+ * Write a snapshot, keeping the thresholds of the previous one
+ * @param {string} expectedPath Path to the snapshot file
+ * @param {object} snapshot Snapshot
+ */
+function writeSnapshot(expectedPath, snapshot) {
+  const previous = fs.existsSync(expectedPath) ? readSnapshot(expectedPath) : {};
+  const output = previous.thresholds ? { ...snapshot, thresholds: previous.thresholds } : snapshot;
+
+  fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+  fs.writeFileSync(expectedPath, `${JSON.stringify(output, null, 2)}\n`);
+}
+
+/**
+ * Get the URLs of an article, whichever field the extractor used
+ * @param {object} article Article
+ * @returns {string[]} URLs
+ */
+function getArticleUrls(article) {
+  const urls = Array.isArray(article.urls) ? article.urls : [];
+  const all = article.url ? [article.url, ...urls] : urls;
+
+  return [...new Set(all.map(url => (typeof url === 'string' ? url : url && url.url)).filter(Boolean))];
+}
+
+/**
+ * Normalize a title or source for comparison (no accents, uppercase, single spaces)
+ * @param {string} text Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a URL for comparison
+ * @param {string} url URL
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+  return (url || '').trim().replace(/^http:\/\//i, 'https://').replace(/\/+$/, '');
+}
+
+/**
+ * Format a score as a percentage
+ * @param {number} value Score between 0 and 1
+ * @returns {string} Percentage
+ */
+function formatScore(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+module.exports = {
+  findGoldenCases,
+  buildSnapshot,
+  compareSnapshots,
+  formatReport,
+  extractSnapshot,
+  readSnapshot,
+  writeSnapshot,
+  PDF_DIR,
+  EXPECTED_DIR,
+  DEFAULT_THRESHOLDS
+};
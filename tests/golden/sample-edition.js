@@ -0,0 +1,246 @@
+/**
+ * Sample Edition Generator
+ *
+ * Writes pdfs/2025-06-05.pdf, a small synthetic edition for the golden-file
+ * tests: an index page, the Ocho Columnas pages of the headline fixtures
+ * (with a link annotation on each headline), the Agenda and a Síntesis
+ * Informativa page. It only has a text layer, so it extracts without the
+ * PDF rendering tools. Run it with `node tests/golden/sample-edition.js`
+ * after changing it, then `npm run golden:update -- 2025-06-05` and review
+ * the snapshot diff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATE = '2025-06-05';
+
+// Letter size, in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Layout of the pages written line by line
+const MARGIN = 40;
+const LINE_HEIGHT = 14;
+const BODY_SIZE = 10;
+const HEADER_SIZE = 14;
+
+// Characters outside Latin-1 and their WinAnsiEncoding codes
+const WIN_ANSI = { '“': 0x93, '”': 0x94, '‘': 0x91, '’': 0x92, '–': 0x96, '—': 0x97, '…': 0x85 };
+
+const OCHO_COLUMNAS = require('../fixtures/ocho-columnas/2025-06-05.json');
+
+const INDEX_PAGE = [
+  'SÍNTESIS INFORMATIVA',
+  'Jueves 5 de junio de 2025',
+  'OCHO COLUMNAS ........ 2',
+  'AGENDA ........ 4',
+  'CONSEJO DE LA JUDICATURA FEDERAL ........ 5'
+];
+
+const AGENDA_PAGE = [
+  'AGENDA',
+  'Jueves 5 de junio de 2025',
+  'CONSEJO DE LA JUDICATURA FEDERAL',
+  '10:00 horas. Sesión ordinaria del Pleno del Consejo de la Judicatura Federal.',
+  'Lugar: Sede alterna, Insurgentes Sur 2417.',
+  'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+  '11:30 a 14:00 hrs. Sesión pública del Tribunal Pleno.'
+];
+
+const CONSEJO_PAGE = [
+  'CONSEJO DE LA JUDICATURA FEDERAL',
+  '',
+  'ACTIVIDADES OFICIALES DEL PJF',
+  '',
+  'Aprueban la creación de tres tribunales colegiados',
+  'El Pleno del órgano de administración aprobó la creación de tres tribunales colegiados en',
+  'materia penal en la capital. (La Jornada)',
+  '',
+  'OPINIÓN',
+  '',
+  'La carrera judicial ante la reforma',
+  'En opinión de la autora, los concursos de oposición deben mantenerse como la vía de ingreso',
+  'a la carrera judicial. (Reforma)'
+];
+
+/**
+ * Encode text for a PDF string in WinAnsiEncoding
+ * @param {string} text Text
+ * @returns {Buffer} Escaped string bytes
+ */
+function encodeText(text) {
+  const bytes = [...text].map(char => {
+    const code = WIN_ANSI[char] || char.charCodeAt(0);
+    if (code > 0xff) {
+      throw new Error(`Character not in WinAnsiEncoding: ${char}`);
+    }
+    return code;
+  });
+
+  return Buffer.concat(bytes.map(code => ([0x28, 0x29, 0x5c].includes(code)
+    ? Buffer.from([0x5c, code])
+    : Buffer.from([code]))));
+}
+
+/**
+ * Lay out lines of text from the top of the page
+ * @param {string[]} lines Lines; the first is the page header
+ * @returns {Array} Text items as {str, x, y, fontSize} (y from the top)
+ */
+function layoutLines(lines) {
+  return lines
+    .map((str, index) => ({
+      str,
+      x: MARGIN,
+      y: MARGIN + index * LINE_HEIGHT,
+      fontSize: index === 0 ? HEADER_SIZE : BODY_SIZE
+    }))
+    .filter(item => item.str);
+}
+
+/**
+ * Build the content stream and links of a page
+ * @param {Array} items Text items (y from the top)
+ * @returns {{content: Buffer, links: Array}} Content stream and link annotations
+ */
+function buildPage(items) {
+  const parts = [];
+  const links = [];
+
+  for (const item of items) {
+    const baseline = PAGE_HEIGHT - item.y - item.fontSize * 0.8;
+    parts.push(
+      Buffer.from(`BT /F1 ${item.fontSize} Tf 1 0 0 1 ${item.x} ${baseline.toFixed(2)} Tm (`, 'latin1'),
+      encodeText(item.str),
+      Buffer.from(') Tj ET\n', 'latin1')
+    );
+
+    if (item.url) {
+      const width = item.width || item.str.length * item.fontSize * 0.6;
+      links.push({ rect: [item.x, baseline - 2, item.x + width, baseline + item.fontSize], url: item.url });
+    }
+  }
+
+  return { content: Buffer.concat(parts), links };
+}
+
+/**
+ * Turn a headline into the path of its link
+ * @param {string} title Headline
+ * @returns {string} URL
+ */
+function headlineUrl(title) {
+  const slug = title.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `https://example.com/${DATE}/${slug}`;
+}
+
+/**
+ * Write a PDF with the given pages
+ * @param {Array<Array>} pages Text items of each page
+ * @returns {Buffer} PDF file
+ */
+function writePdf(pages) {
+  const objects = [];
+  const addObject = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+  const pageIds = [];
+
+  for (const items of pages) {
+    const { content, links } = buildPage(items);
+    const contentId = addObject(Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} >>\nstream\n`),
+      content,
+      Buffer.from('\nendstream')
+    ]));
+    const annotIds = links.map(link => addObject(Buffer.concat([
+      Buffer.from(`<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(value => value.toFixed(2)).join(' ')}] /Border [0 0 0] /A << /S /URI /URI (`),
+      encodeText(link.url),
+      Buffer.from(') >> >>')
+    ])));
+
+    pageIds.push(addObject(Buffer.from(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R` +
+      `${annotIds.length > 0 ? ` /Annots [${annotIds.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`
+    )));
+  }
+
+  objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+  objects[pagesId - 1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  objects.forEach((body, index) => {
+    offsets.push(length);
+    const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+    ''
+  ].join('\n');
+
+  return Buffer.concat([...chunks, Buffer.from(xref)]);
+}
+
+/**
+ * Build the text items of every page of the sample edition
+ * @returns {Array<Array>} Text items of each page
+ */
+function buildEdition() {
+  // Headlines are set larger than the body; every line of a headline links
+  // to its article
+  const ochoColumnas = OCHO_COLUMNAS.pages.map(page => page.items.map((item, index, items) => {
+    if (item.fontSize < 16) {
+      return item;
+    }
+
+    let first = index;
+    while (first > 0 && items[first - 1].fontSize >= 16) {
+      first--;
+    }
+
+    const lines = [];
+    for (let next = first; next < items.length && items[next].fontSize >= 16; next++) {
+      lines.push(items[next].str);
+    }
+
+    return { ...item, url: headlineUrl(lines.join(' ')) };
+  }));
+
+  return [
+    layoutLines(INDEX_PAGE),
+    ...ochoColumnas,
+    layoutLines(AGENDA_PAGE),
+    layoutLines(CONSEJO_PAGE)
+  ];
+}
+
+if (require.main === module) {
+  const outputPath = path.join(__dirname, 'pdfs', `${DATE}.pdf`);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, writePdf(buildEdition()));
+  console.log(`Wrote ${outputPath}`);
+}
+
+module.exports = { writePdf, buildEdition };
@@ -0,0 +1,77 @@
+/**
+ * Headline Detector Tests
+ * 
+ * Tests the layout-based Ocho Columnas headline detection against text-layer
+ * fixtures of several editions with different layouts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { detectHeadlines, getBodyFontSize, DEFAULT_SOURCE } = require('../server/src/services/pdf/headlineDetector');
+const { groupLines } = require('../server/src/services/pdf/textLayer');
+const { NEWSPAPER_NAMES } = require('../server/src/services/pdf/enhancedPdfExtractor');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/ocho-columnas');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')));
+
+describe('Headline Detector', () => {
+  test('fixtures cover several editions', () => {
+    expect(fixtures.length).toBeGreaterThanOrEqual(3);
+  });
+  
+  describe.each(fixtures.map(fixture => [fixture.date, fixture]))('edition %s', (date, fixture) => {
+    const headlines = detectHeadlines(fixture.pages, { newspapers: NEWSPAPER_NAMES });
+    
+    test('finds every headline in reading order', () => {
+      expect(headlines.map(h => h.title)).toEqual(fixture.expected.map(e => e.title));
+    });
+    
+    test('assigns the source newspaper', () => {
+      expect(headlines.map(h => h.source)).toEqual(fixture.expected.map(e => e.source));
+    });
+    
+    test('extracts the lead paragraph', () => {
+      headlines.forEach((headline, i) => {
+        expect(headline.lead).toBe(fixture.expected[i].lead);
+      });
+    });
+  });
+  
+  test('groupLines keeps side-by-side columns apart', () => {
+    const lines = groupLines([
+      { str: 'LEFT', x: 40, y: 100, width: 30, height: 10, fontSize: 10 },
+      { str: 'COLUMN', x: 73, y: 100, width: 40, height: 10, fontSize: 10 },
+      { str: 'RIGHT', x: 326, y: 100, width: 30, height: 10, fontSize: 10 }
+    ]);
+    
+    expect(lines.map(l => l.text)).toEqual(['LEFT COLUMN', 'RIGHT']);
+  });
+  
+  test('ignores large text that is not in capitals', () => {
+    const items = [
+      { str: 'Una nota con letra grande', x: 40, y: 80, width: 200, height: 18, fontSize: 18 },
+      { str: 'Texto del cuerpo de la nota con la letra habitual del resto de la página.', x: 40, y: 110, width: 300, height: 9, fontSize: 9 }
+    ];
+    
+    expect(getBodyFontSize(groupLines(items))).toBe(9);
+    expect(detectHeadlines([{ pageNumber: 2, width: 612, height: 792, items }])).toEqual([]);
+  });
+  
+  test('uses the section as source when no newspaper is printed', () => {
+    const headlines = detectHeadlines([{
+      pageNumber: 2,
+      width: 612,
+      height: 792,
+      items: [
+        { str: 'APRUEBAN PRESUPUESTO PARA 2026', x: 40, y: 80, width: 300, height: 16, fontSize: 16 },
+        { str: 'La Cámara de Diputados aprobó el gasto federal para el próximo año.', x: 40, y: 105, width: 320, height: 9, fontSize: 9 }
+      ]
+    }], { newspapers: NEWSPAPER_NAMES });
+    
+    expect(headlines).toHaveLength(1);
+    expect(headlines[0].source).toBe(DEFAULT_SOURCE);
+  });
+});
@@ -5,7 +5,39 @@
  */
 
 const path = require('path');
-const { extractIndex, getSectionByName, getSectionByPage, getAllSections } = require('../server/src/services/pdf/indexExtractor');
+const {
+  extractIndex,
+  detectSectionRanges,
+  buildSectionRanges,
+  parseIndexPage,
+  getSectionByName,
+  getSectionByPage,
+  getAllSections
+} = require('../server/src/services/pdf/indexExtractor');
+
+// Body text long enough for a page not to be taken as an image page
+const BODY = 'El Consejo de la Judicatura Federal informó hoy sobre los resultados del proceso de evaluación de los juzgados de distrito.';
+
+/**
+ * Build the page texts of a synthetic PDF
+ * @param {number} totalPages Number of pages
+ * @param {object} headers Header line by page number
+ * @param {string} indexText Text of the index page
+ * @returns {string[]} Page texts
+ */
+function buildPages(totalPages, headers, indexText = 'SÍNTESIS INFORMATIVA') {
+  const pages = [indexText];
+  
+  for (let page = 2; page <= totalPages; page++) {
+    if (headers[page] === null) {
+      pages.push('s1192_u1');
+    } else {
+      pages.push(headers[page] ? `${headers[page]}\n${BODY}` : BODY);
+    }
+  }
+  
+  return pages;
+}
 
 describe('PDF Index Extractor', () => {
   test('extractIndex should return the index structure', async () => {
@@ -90,4 +122,115 @@ describe('PDF Index Extractor', () => {
     expect(sectionIds).toContain('dof');
     expect(sectionIds).toContain('cartones');
   });
-});
\ No newline at end of file
+  
+  test('parseIndexPage should read section/page pairs from the index', () => {
+    const entries = parseIndexPage([
+      'SÍNTESIS INFORMATIVA',
+      'OCHO COLUMNAS ........ 2',
+      '6 PRIMERAS PLANAS',
+      'CONSEJO DE LA JUDICATURA FEDERAL',
+      '20',
+      'CARTONES 300'
+    ].join('\n'), 40);
+    
+    expect(entries).toEqual([
+      { id: 'ocho-columnas', page: 2 },
+      { id: 'primeras-planas', page: 6 },
+      { id: 'consejo-judicatura', page: 20 }
+    ]);
+  });
+  
+  test('buildSectionRanges should confirm index entries with page headers', () => {
+    const pages = buildPages(40, {
+      2: 'OCHO COLUMNAS',
+      6: null, 7: null, 8: null,
+      // The index says 20, but the header is one page later
+      21: 'CONSEJO DE LA JUDICATURA FEDERAL',
+      30: 'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+      35: 'COLUMNAS POLÍTICAS',
+      38: 'CARTONES'
+    }, [
+      'SÍNTESIS INFORMATIVA',
+      'OCHO COLUMNAS 2',
+      'PRIMERAS PLANAS 6',
+      'CONSEJO DE LA JUDICATURA FEDERAL 20',
+      'COLUMNAS POLÍTICAS 35',
+      'CARTONES 38'
+    ].join('\n'));
+    
+    const result = buildSectionRanges(pages);
+    const byId = Object.fromEntries(result.sections.map(s => [s.id, s]));
+    
+    expect(result.method).toBe('index');
+    expect(result.confidence).toBeGreaterThan(0.9);
+    expect(byId['ocho-columnas'].pages).toEqual({ start: 2, end: 5 });
+    expect(byId['primeras-planas'].pages).toEqual({ start: 6, end: 20 });
+    expect(byId['consejo-judicatura']).toMatchObject({ pages: { start: 21, end: 29 }, confidence: 0.9 });
+    expect(byId['suprema-corte']).toMatchObject({ pages: { start: 30, end: 34 }, source: 'header' });
+    expect(byId['cartones'].pages).toEqual({ start: 38, end: 40 });
+  });
+  
+  test('buildSectionRanges should find sections by header when the index has no pages', () => {
+    const pages = buildPages(30, {
+      2: 'OCHO COLUMNAS',
+      4: null, 5: null,
+      8: 'AGENDA',
+      10: 'CONSEJO DE LA JUDICATURA FEDERAL',
+      15: 'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+      20: 'COLUMNAS POLÍTICAS',
+      25: 'CARTONES'
+    });
+    
+    const result = buildSectionRanges(pages);
+    const byId = Object.fromEntries(result.sections.map(s => [s.id, s]));
+    
+    expect(result.method).toBe('headers');
+    expect(byId['primeras-planas']).toMatchObject({ pages: { start: 4, end: 7 }, source: 'inferred' });
+    expect(byId['agenda'].pages).toEqual({ start: 8, end: 9 });
+    expect(byId['cartones'].pages).toEqual({ start: 25, end: 30 });
+  });
+  
+  test('buildSectionRanges should keep two sections that start on the same page', () => {
+    const pages = buildPages(30, {
+      2: 'OCHO COLUMNAS',
+      4: null, 5: null,
+      // The agenda takes the top of the page and the CJF news start below it
+      8: `AGENDA\n${BODY}\nCONSEJO DE LA JUDICATURA FEDERAL`,
+      15: 'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+      20: 'COLUMNAS POLÍTICAS',
+      25: 'CARTONES'
+    }, [
+      'SÍNTESIS INFORMATIVA',
+      'OCHO COLUMNAS 2',
+      'PRIMERAS PLANAS 4',
+      'AGENDA 8',
+      'CONSEJO DE LA JUDICATURA FEDERAL 8',
+      'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN 15'
+    ].join('\n'));
+    
+    const result = buildSectionRanges(pages);
+    const byId = Object.fromEntries(result.sections.map(s => [s.id, s]));
+    
+    expect(result.method).toBe('index');
+    expect(byId['primeras-planas'].pages).toEqual({ start: 4, end: 7 });
+    expect(byId['agenda'].pages).toEqual({ start: 8, end: 8 });
+    expect(byId['consejo-judicatura']).toMatchObject({ pages: { start: 8, end: 14 }, source: 'index' });
+    expect(byId['suprema-corte'].pages).toEqual({ start: 15, end: 19 });
+  });
+  
+  test('buildSectionRanges should fall back to the static ranges when detection fails', () => {
+    const result = buildSectionRanges(buildPages(50, {}));
+    
+    expect(result.method).toBe('fallback');
+    expect(result.confidence).toBe(0);
+    expect(result.sections.every(s => s.pages.end <= 50)).toBe(true);
+    expect(result.sections.find(s => s.id === 'cartones')).toBeUndefined();
+  });
+  
+  test('detectSectionRanges should fall back when the PDF cannot be read', async () => {
+    const result = await detectSectionRanges(path.join(__dirname, 'missing.pdf'));
+    
+    expect(result.method).toBe('fallback');
+    expect(result.sections.length).toBeGreaterThan(0);
+  });
+});
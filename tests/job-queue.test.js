@@ -0,0 +1,333 @@
+/**
+ * Extraction Job Queue Tests
+ *
+ * Tests for queueing extractions, recording their progress in the
+ * EXTRACTION_JOB table, running them one at a time and streaming their
+ * progress as server-sent events.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_job_queue_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock the scheduler
+jest.mock('../server/src/services/scheduler/scheduler', () => ({
+  runExtractionJob: jest.fn(),
+  pdfExtractionJob: jest.fn(),
+  getActiveJobs: jest.fn().mockReturnValue([])
+}));
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run } = require('../server/database');
+const { generateToken } = require('../server/src/utils/auth');
+const { runExtractionJob, pdfExtractionJob } = require('../server/src/services/scheduler/scheduler');
+const {
+  enqueueExtraction,
+  getJob,
+  listJobs,
+  waitForJob,
+  subscribeToJob,
+  getJobLogs,
+  recoverInterruptedJobs
+} = require('../server/src/services/scheduler/jobQueue');
+const { onLog } = require('../server/src/utils/logger');
+
+const app = express();
+app.use(require('cookie-parser')());
+app.use('/api/extraction', require('../server/src/api/extraction'));
+
+const EDITOR = { id: 1, username: 'editor', role: 'editor' };
+
+/**
+ * Sign a request in with the session cookie, as EventSource does
+ * @param {object} req Supertest request
+ * @returns {object} Request
+ */
+function withSession(req) {
+  return req.set('Cookie', `token=${generateToken(EDITOR)}`);
+}
+
+/**
+ * Read a server-sent events response
+ * @param {object} res Response stream
+ * @param {Function} callback Called with the events as [{event, data}]
+ */
+function parseEvents(res, callback) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => {
+    text += chunk;
+  });
+  res.on('end', () => {
+    const events = text.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+    callback(null, events);
+  });
+}
+
+const RESULTS = {
+  engine: 'enhanced',
+  statistics: { totalSections: 2, totalArticles: 5, totalImages: 3 },
+  sections: { 'ocho-columnas': { processed: 3 } }
+};
+
+/**
+ * Wait until a job matches a condition
+ * @param {number} id Job id
+ * @param {Function} condition Condition on the job
+ * @returns {Promise<object>} Job
+ */
+async function waitForState(id, condition) {
+  for (let i = 0; i < 100; i++) {
+    const job = await getJob(id);
+    if (condition(job)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} did not reach the expected state`);
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  await run(`INSERT INTO USER (id, username, password, role) VALUES (?, ?, 'x', ?)`, [EDITOR.id, EDITOR.username, EDITOR.role]);
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(() => {
+  runExtractionJob.mockReset();
+  pdfExtractionJob.mockReset();
+});
+
+describe('Extraction Job Queue', () => {
+  test('returns a queued job right away and records the step progress', async () => {
+    let finishExtraction;
+    runExtractionJob.mockImplementation(async (date, { onProgress }) => {
+      onProgress({ step: 'text', date });
+      onProgress({ step: 'images', completed: 1, total: 3 });
+      await new Promise(resolve => {
+        finishExtraction = resolve;
+      });
+      onProgress({ step: 'store', date });
+      return RESULTS;
+    });
+
+    const job = await enqueueExtraction({ date: '2025-06-05', engine: 'enhanced', requestedBy: 'editor' });
+
+    expect(job).toMatchObject({ date: '2025-06-05', status: 'queued', progress: 0, requested_by: 'editor' });
+    expect(job.steps.map(step => step.status)).toEqual(['skipped', 'pending', 'pending', 'pending', 'pending']);
+
+    const running = await waitForState(job.id, j => j.current_step === 'images');
+    expect(running.status).toBe('running');
+    expect(running.progress).toBe(50);
+    expect(running.steps.map(step => step.status)).toEqual(['skipped', 'completed', 'running', 'pending', 'pending']);
+
+    finishExtraction();
+    await expect(waitForJob(job.id)).resolves.toBe(RESULTS);
+
+    const completed = await getJob(job.id);
+    expect(completed).toMatchObject({ status: 'completed', progress: 100, engine: 'enhanced' });
+    expect(completed.stats.statistics.totalArticles).toBe(5);
+    expect(completed.steps.map(step => step.status)).toEqual(['skipped', 'completed', 'completed', 'completed', 'completed']);
+    expect(completed.finished_at).toBeTruthy();
+    expect(runExtractionJob).toHaveBeenCalledWith('2025-06-05', expect.objectContaining({ engine: 'enhanced' }));
+  });
+
+  test('records the error and the failed step of a failed job', async () => {
+    runExtractionJob.mockImplementation(async (date, { onProgress }) => {
+      onProgress({ step: 'download' });
+      onProgress({ step: 'text', date: '2025-06-06' });
+      throw new Error('PDF is damaged');
+    });
+
+    const job = await enqueueExtraction();
+
+    await expect(waitForJob(job.id)).rejects.toThrow('PDF is damaged');
+
+    const failed = await getJob(job.id);
+    expect(failed).toMatchObject({ status: 'failed', error: 'PDF is damaged', date: '2025-06-06', current_step: 'text' });
+    expect(failed.steps.map(step => step.status)).toEqual(['completed', 'failed', 'pending', 'pending', 'pending']);
+  });
+
+  test('records the code of a failed download', async () => {
+    const { DownloadError } = require('../server/src/services/pdf/pdfDownloader');
+    runExtractionJob.mockImplementation(async (date, { onProgress }) => {
+      onProgress({ step: 'download' });
+      throw new DownloadError('INVALID_CONTENT_TYPE', 'Server sent text/html instead of a PDF');
+    });
+
+    const job = await enqueueExtraction();
+
+    await expect(waitForJob(job.id)).rejects.toThrow('text/html');
+    expect(await getJob(job.id)).toMatchObject({ status: 'failed', error_code: 'INVALID_CONTENT_TYPE', current_step: 'download' });
+  });
+
+  test('skips the store step of a dry run and keeps its diff', async () => {
+    const diff = { sections: {}, totals: { added: 2, removed: 1, changed: 0, unchanged: 4, kept: 0 } };
+    runExtractionJob.mockResolvedValue({ dryRun: true, date: '2025-06-09', engine: 'enhanced', statistics: RESULTS.statistics, diff });
+
+    const job = await enqueueExtraction({ date: '2025-06-09', dryRun: true });
+    expect(job.steps.map(step => step.status)).toEqual(['skipped', 'pending', 'pending', 'pending', 'skipped']);
+
+    await waitForJob(job.id);
+
+    const completed = await getJob(job.id);
+    expect(completed.stats).toEqual({ dryRun: true, statistics: RESULTS.statistics, diff });
+    expect(completed.steps.map(step => step.status)).toEqual(['skipped', 'completed', 'completed', 'completed', 'skipped']);
+    expect(runExtractionJob).toHaveBeenCalledWith('2025-06-09', expect.objectContaining({ dryRun: true }));
+  });
+
+  test('runs the queued jobs one at a time, in order', async () => {
+    const calls = [];
+    let running = 0;
+    runExtractionJob.mockImplementation(async (date) => {
+      running++;
+      calls.push({ date, running });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+      return RESULTS;
+    });
+    pdfExtractionJob.mockResolvedValue(RESULTS);
+
+    // Queued one after the other, as parallel inserts may finish in any order
+    const jobs = [];
+    for (const options of [{ date: '2025-06-01' }, { date: '2025-06-02' }, { scheduled: true, requestedBy: 'scheduler' }]) {
+      jobs.push(await enqueueExtraction(options));
+    }
+    await Promise.all(jobs.map(job => waitForJob(job.id)));
+
+    expect(calls).toEqual([{ date: '2025-06-01', running: 1 }, { date: '2025-06-02', running: 1 }]);
+    expect(pdfExtractionJob).toHaveBeenCalledTimes(1);
+
+    const recent = await listJobs({ limit: 3 });
+    expect(recent.map(job => job.id)).toEqual(jobs.map(job => job.id).reverse());
+  });
+
+  test('fails a job that cannot be read and runs the next one', async () => {
+    let finishExtraction;
+    runExtractionJob.mockImplementationOnce(async () => {
+      await new Promise(resolve => {
+        finishExtraction = resolve;
+      });
+      return RESULTS;
+    });
+    runExtractionJob.mockResolvedValue(RESULTS);
+
+    const first = await enqueueExtraction({ date: '2025-06-01' });
+    await waitForState(first.id, j => j.status === 'running');
+    const lost = await enqueueExtraction({ date: '2025-06-02' });
+    const next = await enqueueExtraction({ date: '2025-06-03' });
+    await run(`DELETE FROM EXTRACTION_JOB WHERE id = ?`, [lost.id]);
+    finishExtraction();
+
+    await expect(waitForJob(lost.id)).rejects.toThrow(`Extraction job ${lost.id} does not exist`);
+    await expect(waitForJob(next.id)).resolves.toBe(RESULTS);
+    expect(runExtractionJob.mock.calls.map(([date]) => date)).toEqual(['2025-06-01', '2025-06-03']);
+  });
+
+  test('publishes step transitions and worker log entries to subscribers', async () => {
+    runExtractionJob.mockImplementation(async (date, { onProgress, onLog }) => {
+      onProgress({ step: 'images', section: 'cartones', completed: 2, total: 3 });
+      onLog({ level: 'debug', module: 'enhanced-pdf-extractor', message: 'Extracted cartón 1 from page 40' });
+      return RESULTS;
+    });
+
+    const job = await enqueueExtraction({ date: '2025-06-07' });
+    const events = [];
+    const unsubscribe = subscribeToJob(job.id, event => events.push(event));
+    await waitForJob(job.id);
+    unsubscribe();
+
+    expect(events.map(event => event.type)).toEqual(['progress', 'progress', 'log', 'progress', 'done']);
+    expect(events[1]).toMatchObject({ current_step: 'images', section: 'cartones', progress: 60 });
+    expect(events[2].message).toBe('Extracted cartón 1 from page 40');
+    expect(events[4]).toEqual({ type: 'done', status: 'completed', error: null });
+  });
+
+  test('records only the entries of the extraction loggers of this process', async () => {
+    runExtractionJob.mockImplementation(async () => {
+      const listener = onLog.mock.calls[onLog.mock.calls.length - 1][0];
+      listener({ level: 'info', module: 'http', message: 'GET /api/articles 200' });
+      listener({ level: 'info', module: 'enhanced-content-processor', message: 'Stored 5 articles' });
+      return RESULTS;
+    });
+
+    const job = await enqueueExtraction({ date: '2025-06-07' });
+    await waitForJob(job.id);
+
+    expect(getJobLogs(job.id).map(log => log.message)).toEqual(['Stored 5 articles']);
+  });
+
+  test('streams the progress of a job as server-sent events', async () => {
+    let finishExtraction;
+    runExtractionJob.mockImplementation(async (date, { onProgress, onLog }) => {
+      onLog({ level: 'info', module: 'enhanced-pdf-extractor', message: 'Processing subsection: agenda' });
+      await new Promise(resolve => {
+        finishExtraction = resolve;
+      });
+      onProgress({ step: 'store', date });
+      return RESULTS;
+    });
+
+    const job = await enqueueExtraction({ date: '2025-06-08' });
+    await waitForState(job.id, j => j.status === 'running');
+
+    expect((await request(app).get(`/api/extraction/jobs/${job.id}/events`)).status).toBe(401);
+
+    const response = withSession(request(app).get(`/api/extraction/jobs/${job.id}/events`))
+      .buffer(true)
+      .parse(parseEvents)
+      .then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    finishExtraction();
+
+    const res = await response;
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(res.body.map(event => event.event)).toEqual(['job', 'log', 'progress', 'progress', 'done']);
+    expect(res.body[1].data.message).toBe('Processing subsection: agenda');
+    expect(res.body[2].data.current_step).toBe('store');
+    expect(res.body[4].data).toMatchObject({ id: job.id, status: 'completed', progress: 100 });
+
+    // A finished job returns its final state and ends the stream
+    const finished = await withSession(request(app).get(`/api/extraction/jobs/${job.id}/events`)).buffer(true).parse(parseEvents);
+    expect(finished.body.map(event => event.event)).toEqual(['job', 'log', 'done']);
+
+    const missing = await withSession(request(app).get('/api/extraction/jobs/999999/events'));
+    expect(missing.status).toBe(404);
+  });
+
+  test('marks jobs interrupted by a restart as failed', async () => {
+    const { lastID } = await run(`INSERT INTO EXTRACTION_JOB (date, status) VALUES ('2025-06-03', 'running')`);
+
+    await expect(recoverInterruptedJobs()).resolves.toBe(1);
+
+    const job = await getJob(lastID);
+    expect(job).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+    expect(await getJob(lastID + 100)).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Link Mapper Tests
+ *
+ * Tests for assigning link annotations to the articles whose text block
+ * contains them.
+ */
+
+const { buildArticleBlocks, assignLinksToBlocks } = require('../server/src/services/pdf/linkMapper');
+const { getPageText } = require('../server/src/services/pdf/textLayer');
+
+/**
+ * Build a text item
+ * @param {string} str Text
+ * @param {number} x Left position
+ * @param {number} y Top position
+ * @param {number} fontSize Font size
+ * @returns {object} Text item
+ */
+function item(str, x, y, fontSize = 9) {
+  return { str, x, y, width: str.length * fontSize * 0.5, height: fontSize, fontSize };
+}
+
+/**
+ * Build a link over a rectangle
+ * @param {string} url URL
+ * @param {number} page Page number
+ * @param {number} x Left position
+ * @param {number} y Top position
+ * @returns {object} Link
+ */
+function link(url, page, x, y) {
+  return { url, page, rect: { x, y, width: 200, height: 10 }, source: 'annotation' };
+}
+
+// Síntesis page with two articles in one column, and a second page that
+// continues the second article before a third one starts
+const PAGES = [
+  {
+    pageNumber: 30,
+    width: 612,
+    height: 792,
+    items: [
+      item('CONSEJO DE LA JUDICATURA FEDERAL', 50, 40, 12),
+      item('Designan nuevos jueces de distrito', 50, 80, 10),
+      item('El órgano de administración designó a doce nuevos jueces', 50, 95),
+      item('que ocuparán plazas en Jalisco, informó La Jornada.', 50, 107),
+      item('Evalúan a tribunales colegiados', 50, 160, 10),
+      item('Los resultados de la evaluación anual de los tribunales', 50, 175)
+    ]
+  },
+  {
+    pageNumber: 31,
+    width: 612,
+    height: 792,
+    items: [
+      item('colegiados se presentaron ayer, publicó Reforma.', 50, 40),
+      item('Reforma al Poder Judicial avanza en el Senado', 50, 120, 10),
+      item('Las comisiones del Senado aprobaron el dictamen.', 50, 135)
+    ]
+  }
+];
+
+const TITLES = [
+  'Designan nuevos jueces de distrito',
+  'EVALUAN A TRIBUNALES COLEGIADOS',
+  'Reforma al Poder Judicial avanza en el Senado'
+];
+
+describe('Link Mapper', () => {
+  test('builds one block per article and continuation blocks across pages', () => {
+    const blocks = buildArticleBlocks(PAGES, TITLES);
+
+    expect(blocks.map(block => [block.index, block.pageNumber])).toEqual([
+      [0, 30], [1, 30], [2, 31], [1, 31]
+    ]);
+    expect(blocks[0].bbox).toMatchObject({ y: 80, height: 80 });
+    expect(blocks[3].bbox).toMatchObject({ y: 0, height: 120 });
+  });
+
+  test('assigns each link to the article whose block contains it', () => {
+    const blocks = buildArticleBlocks(PAGES, TITLES);
+    const { urlsByIndex, unassigned } = assignLinksToBlocks([
+      link('https://example.com/evaluacion', 30, 50, 170),
+      link('https://example.com/jueces', 30, 50, 100),
+      link('https://example.com/evaluacion-2', 31, 50, 38),
+      link('https://example.com/senado', 31, 50, 130),
+      link('https://example.com/jueces', 30, 60, 82),
+      { url: 'https://example.com/texto', page: 30 }
+    ], blocks);
+
+    expect(urlsByIndex.get(0)).toEqual(['https://example.com/jueces']);
+    expect(urlsByIndex.get(1)).toEqual(['https://example.com/evaluacion', 'https://example.com/evaluacion-2']);
+    expect(urlsByIndex.get(2)).toEqual(['https://example.com/senado']);
+    expect(unassigned.map(l => l.url)).toEqual(['https://example.com/texto']);
+  });
+
+  test('prefers the smallest block and leaves links outside every block unassigned', () => {
+    const { urlsByIndex, unassigned } = assignLinksToBlocks([
+      link('https://example.com/nota', 2, 60, 105),
+      link('https://example.com/otra-pagina', 3, 60, 105)
+    ], [
+      { index: 0, pageNumber: 2, bbox: { x: 0, y: 0, width: 612, height: 792 } },
+      { index: 1, pageNumber: 2, bbox: { x: 50, y: 100, width: 300, height: 40 } }
+    ]);
+
+    expect(urlsByIndex.get(1)).toEqual(['https://example.com/nota']);
+    expect(urlsByIndex.has(0)).toBe(false);
+    expect(unassigned).toHaveLength(1);
+  });
+
+  test('page text marks paragraph breaks with an empty line', () => {
+    const pdfItem = (str, y) => ({ str, transform: [10, 0, 0, 10, 50, y], width: 100, height: 10 });
+
+    const text = getPageText([
+      pdfItem('Designan nuevos jueces', 700),
+      pdfItem('El órgano de administración', 688),
+      pdfItem('Evalúan a tribunales', 640),
+      pdfItem(' ', 600)
+    ]);
+
+    expect(text).toBe('Designan nuevos jueces\nEl órgano de administración\n\nEvalúan a tribunales');
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Masthead Identifier Tests
+ *
+ * Tests for identifying the newspaper of a front page by comparing its
+ * masthead with a reference gallery, and for the admin routes that correct
+ * the newspaper and manage the gallery.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const sharp = require('sharp');
+
+// Use a temporary test database and gallery
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_masthead_test.sqlite');
+const TEST_GALLERY_DIR = path.join(os.tmpdir(), 'cjf_noticias_masthead_test');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.MASTHEAD_GALLERY_DIR = TEST_GALLERY_DIR;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+// Authenticate every request as an editor
+jest.mock('../server/src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 1, username: 'editor', role: 'editor' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  csrfProtection: (req, res, next) => next(),
+  loginRateLimiter: (req, res, next) => next(),
+  resetLoginAttempts: jest.fn()
+}));
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, get, query } = require('../server/database');
+const { identifyMasthead, addReference, loadGallery, MIN_CONFIDENCE } = require('../server/src/services/pdf/mastheadIdentifier');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', require('../server/routes/admin'));
+
+// Shapes drawn as the logo of each test newspaper
+const LOGOS = {
+  universal: '<rect x="60" y="40" width="40" height="120"/><rect x="140" y="40" width="220" height="50"/><rect x="420" y="90" width="300" height="70"/>',
+  reforma: '<circle cx="180" cy="100" r="60"/><circle cx="400" cy="100" r="60"/><circle cx="620" cy="100" r="60"/>',
+  jornada: '<polygon points="80,170 400,30 720,170"/><rect x="300" y="120" width="200" height="40" fill="white"/>',
+  unknown: '<rect x="80" y="30" width="640" height="30"/><rect x="80" y="150" width="640" height="30"/><rect x="380" y="30" width="40" height="150"/>'
+};
+
+/**
+ * Draw a front page: a masthead with a logo over the body of the page
+ * @param {string} logo Key of LOGOS, or null for a blank masthead
+ * @param {object} options Options
+ * @param {number} [options.width] Width of the page image
+ * @param {number} [options.shift] Horizontal shift of the logo, as a scanned page may have
+ * @returns {Promise<Buffer>} PNG of the page
+ */
+function frontPage(logo, { width = 800, shift = 0 } = {}) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="1100">
+    <rect width="800" height="1100" fill="white"/>
+    <g transform="translate(${shift} 0)">${logo ? LOGOS[logo] : ''}</g>
+    <rect x="40" y="300" width="720" height="760" fill="#777"/>
+  </svg>`;
+  return sharp(Buffer.from(svg)).resize(width).png().toBuffer();
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+  await run(`INSERT INTO USER (id, username, password, role) VALUES (1, 'editor', 'x', 'editor')`);
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+  fs.rmSync(TEST_GALLERY_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(TEST_GALLERY_DIR, { recursive: true, force: true });
+});
+
+describe('Masthead Identifier', () => {
+  test('identifies a front page scanned at another size and offset from the gallery', async () => {
+    await addReference('El Universal', await frontPage('universal'));
+    await addReference('Reforma', await frontPage('reforma'));
+    await addReference('La Jornada', await frontPage('jornada'));
+
+    for (const [logo, newspaper] of [['universal', 'El Universal'], ['reforma', 'Reforma'], ['jornada', 'La Jornada']]) {
+      const match = await identifyMasthead(await frontPage(logo, { width: 1240, shift: 25 }));
+      expect(match.newspaper).toBe(newspaper);
+      expect(match.confidence).toBeGreaterThanOrEqual(MIN_CONFIDENCE);
+    }
+  });
+
+  test('does not identify unknown or blank mastheads', async () => {
+    await addReference('El Universal', await frontPage('universal'));
+    await addReference('Reforma', await frontPage('reforma'));
+
+    const unknown = await identifyMasthead(await frontPage('unknown'));
+    expect(unknown.newspaper).toBeNull();
+    expect(unknown.confidence).toBeLessThan(MIN_CONFIDENCE);
+
+    expect(await identifyMasthead(await frontPage(null))).toMatchObject({ newspaper: null, confidence: 0 });
+    await expect(addReference('Milenio', await frontPage(null))).rejects.toThrow('blank');
+
+    // Without references nothing is identified
+    fs.rmSync(TEST_GALLERY_DIR, { recursive: true, force: true });
+    expect((await identifyMasthead(await frontPage('reforma'))).newspaper).toBeNull();
+  });
+
+  test('adds the masthead of a front page to the gallery when an editor corrects its newspaper', async () => {
+    // A date no edition has, so that only the test's own image is touched
+    const date = '1999-01-04';
+    const imageDir = path.join(__dirname, '../storage/images', date);
+    const imagePath = path.join(imageDir, 'primera-plana-masthead-test.png');
+    fs.mkdirSync(imageDir, { recursive: true });
+    fs.writeFileSync(imagePath, await frontPage('jornada'));
+
+    try {
+      const { lastID } = await run(
+        `INSERT INTO ARTICLE (title, content, source, source_confidence, section_id, publication_date, image_url)
+         VALUES ('Portada Milenio', 'Primera plana', 'Milenio', NULL, 'primeras-planas', ?, ?)`,
+        [date, `images/${date}/primera-plana-masthead-test.png`]
+      );
+
+      const res = await request(app).put(`/api/admin/articles/${lastID}`).send({ source: 'La Jornada' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.locked_fields).toEqual(['source']);
+      expect(res.body.masthead).toMatchObject({ created: true, reference: { newspaper: 'La Jornada', addedBy: 'editor' } });
+      expect((await get(`SELECT source FROM ARTICLE WHERE id = ?`, [lastID])).source).toBe('La Jornada');
+
+      expect((await identifyMasthead(await frontPage('jornada', { width: 1000 }))).newspaper).toBe('La Jornada');
+    } finally {
+      fs.rmSync(imageDir, { recursive: true, force: true });
+    }
+  });
+
+  test('keeps one front page per page when the date is extracted again after a correction', async () => {
+    const { storeExtractedContent } = require('../server/src/services/content/enhancedContentProcessor');
+    const date = '1999-01-05';
+    const imageDir = path.join(__dirname, '../storage/images', date);
+    fs.mkdirSync(imageDir, { recursive: true });
+    fs.writeFileSync(path.join(imageDir, 'primera-plana-03.png'), await frontPage('jornada'));
+
+    // Front pages as the extractor returns them, named after the newspaper it identified
+    const extraction = newspapers => ({
+      date,
+      metadata: { extractionMethod: 'enhanced', statistics: {} },
+      sections: {
+        'primeras-planas': {
+          type: 'image',
+          articles: newspapers.map((newspaper, i) => ({
+            title: `Portada ${newspaper}`,
+            source: newspaper,
+            pageNumber: 3 + i,
+            imageUrl: `images/${date}/primera-plana-0${3 + i}.png`
+          }))
+        }
+      }
+    });
+
+    try {
+      await storeExtractedContent(extraction(['Milenio', 'Reforma']));
+      const misread = await get(`SELECT id FROM ARTICLE WHERE publication_date = ? AND title = 'Portada Milenio'`, [date]);
+
+      const res = await request(app).put(`/api/admin/articles/${misread.id}`).send({ source: 'La Jornada' });
+      expect(res.body.masthead).toMatchObject({ created: true });
+
+      // The next extraction identifies the page from the learned masthead
+      await storeExtractedContent(extraction(['La Jornada', 'Reforma']));
+
+      const frontPages = await query(
+        `SELECT id, source, image_url FROM ARTICLE WHERE publication_date = ? AND section_id = 'primeras-planas' ORDER BY image_url`,
+        [date]
+      );
+      expect(frontPages).toEqual([
+        { id: misread.id, source: 'La Jornada', image_url: `images/${date}/primera-plana-03.png` },
+        { id: expect.any(Number), source: 'Reforma', image_url: `images/${date}/primera-plana-04.png` }
+      ]);
+    } finally {
+      fs.rmSync(imageDir, { recursive: true, force: true });
+    }
+  });
+
+  test('lists, adds and deletes reference mastheads', async () => {
+    const created = await request(app)
+      .post('/api/admin/mastheads')
+      .field('newspaper', 'Reforma')
+      .attach('image', await frontPage('reforma'), 'reforma.png');
+
+    expect(created.status).toBe(201);
+    expect(created.body.reference.newspaper).toBe('Reforma');
+
+    const again = await request(app)
+      .post('/api/admin/mastheads')
+      .field('newspaper', 'Reforma')
+      .attach('image', await frontPage('reforma'), 'reforma.png');
+    expect(again.status).toBe(200);
+    expect(again.body.created).toBe(false);
+
+    const blank = await request(app)
+      .post('/api/admin/mastheads')
+      .field('newspaper', 'Milenio')
+      .attach('image', await frontPage(null), 'milenio.png');
+    expect(blank.status).toBe(400);
+
+    const list = await request(app).get('/api/admin/mastheads');
+    expect(list.body).toMatchObject({ minConfidence: MIN_CONFIDENCE, newspapers: { Reforma: 1 } });
+
+    const image = await request(app).get(`/api/admin/mastheads/${created.body.reference.id}/image`);
+    expect(image.status).toBe(200);
+    expect(image.headers['content-type']).toBe('image/png');
+
+    expect((await request(app).delete(`/api/admin/mastheads/${created.body.reference.id}`)).status).toBe(200);
+    expect((await request(app).delete(`/api/admin/mastheads/${created.body.reference.id}`)).status).toBe(404);
+    expect(loadGallery()).toEqual([]);
+  });
+});
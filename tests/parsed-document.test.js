@@ -0,0 +1,120 @@
+/**
+ * Parsed Document Cache Tests
+ *
+ * Tests for caching the parsed PDF by file hash, in memory and on disk.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parsed-document-'));
+process.env.PDF_CACHE_DIR = path.join(tempDir, 'cache');
+
+// Mock the pdf.js reader
+jest.mock('../server/src/services/pdf/textLayer', () => ({
+  readDocument: jest.fn()
+}));
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  })
+}), { virtual: true });
+
+const PAGES = [
+  { pageNumber: 1, width: 612, height: 792, text: 'SÍNTESIS INFORMATIVA', items: [], links: [] },
+  { pageNumber: 2, width: 612, height: 792, text: 'OCHO COLUMNAS', items: [], links: [{ url: 'https://example.com', rect: { x: 0, y: 0, width: 10, height: 10 } }] }
+];
+
+/**
+ * Load fresh copies of the cache and reader modules
+ * @returns {object} Modules as {cache, textLayer}
+ */
+function loadModules() {
+  jest.resetModules();
+  const textLayer = require('../server/src/services/pdf/textLayer');
+  textLayer.readDocument.mockResolvedValue({ totalPages: PAGES.length, pages: PAGES });
+  return { cache: require('../server/src/services/pdf/parsedDocument'), textLayer };
+}
+
+describe('Parsed Document Cache', () => {
+  const pdfPath = path.join(tempDir, '2025-06-05.pdf');
+
+  beforeEach(() => {
+    fs.writeFileSync(pdfPath, 'PDF content');
+    fs.rmSync(process.env.PDF_CACHE_DIR, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('parses a PDF once and reuses it from memory', async () => {
+    const { cache, textLayer } = loadModules();
+
+    const first = await cache.getParsedDocument(pdfPath);
+    const second = await cache.getParsedDocument(pdfPath);
+
+    expect(textLayer.readDocument).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+    expect(first).toMatchObject({ hash: cache.hashFile(pdfPath), totalPages: 2 });
+    expect(cache.getPageText(first, 2)).toBe('OCHO COLUMNAS');
+    expect(cache.getPage(first, 2).links).toHaveLength(1);
+    expect(cache.getPageText(first, 3)).toBe('');
+  });
+
+  test('reuses the document cached on disk by another process', async () => {
+    await loadModules().cache.getParsedDocument(pdfPath);
+
+    const { cache, textLayer } = loadModules();
+    const parsed = await cache.getParsedDocument(pdfPath);
+
+    expect(textLayer.readDocument).not.toHaveBeenCalled();
+    expect(parsed.pages).toEqual(PAGES);
+  });
+
+  test('parses the PDF again when the file changes or a refresh is requested', async () => {
+    const { cache, textLayer } = loadModules();
+
+    const first = await cache.getParsedDocument(pdfPath);
+    fs.writeFileSync(pdfPath, 'New PDF content');
+    const second = await cache.getParsedDocument(pdfPath);
+    await cache.getParsedDocument(pdfPath, { refresh: true });
+
+    expect(second.hash).not.toBe(first.hash);
+    expect(textLayer.readDocument).toHaveBeenCalledTimes(3);
+  });
+
+  test('ignores cached documents from an older cache version', async () => {
+    const { cache } = loadModules();
+    const hash = cache.hashFile(pdfPath);
+
+    fs.mkdirSync(process.env.PDF_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(process.env.PDF_CACHE_DIR, `${hash}.json`), JSON.stringify({ hash, version: 0, pages: [] }));
+
+    const parsed = await cache.getParsedDocument(pdfPath);
+
+    expect(parsed.pages).toEqual(PAGES);
+  });
+
+  test('records rendered page images that still exist', async () => {
+    const { cache } = loadModules();
+    const parsed = await cache.getParsedDocument(pdfPath);
+    const imagePath = path.join(tempDir, 'carton-01.png');
+
+    cache.recordRenderedImage(parsed, 2, 'png-150', { path: imagePath, width: 100, height: 200 });
+    expect(cache.getRenderedImage(parsed, 2, 'png-150')).toBeNull();
+
+    fs.writeFileSync(imagePath, 'PNG');
+    cache.saveParsedDocument(parsed);
+
+    const reloaded = await loadModules().cache.getParsedDocument(pdfPath);
+    expect(cache.getRenderedImage(reloaded, 2, 'png-150')).toEqual({ path: imagePath, width: 100, height: 200 });
+    expect(cache.getRenderedImage(reloaded, 2, 'png-300')).toBeNull();
+  });
+});
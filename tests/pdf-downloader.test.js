@@ -0,0 +1,159 @@
+/**
+ * PDF Downloader Tests
+ *
+ * Tests for downloading the daily PDF from a local HTTP stub: conditional
+ * requests, retries, timeouts and the checks that keep error pages and
+ * truncated files out of storage.
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  })
+}), { virtual: true });
+
+// pdf.js cannot be loaded by jest, so the page count is mocked
+jest.mock('../server/src/services/pdf/textLayer', () => ({
+  readDocumentInfo: jest.fn()
+}));
+
+const { readDocumentInfo } = require('../server/src/services/pdf/textLayer');
+const { downloadToFile, DownloadError } = require('../server/src/services/pdf/pdfDownloader');
+
+const TEST_DIR = path.join(os.tmpdir(), 'cjf_noticias_downloader_test');
+const FILE_PATH = path.join(TEST_DIR, 'resumen.pdf');
+const PDF = Buffer.from('%PDF-1.4\n% resumen\n%%EOF\n');
+
+// Responses of the stub server, one handler per request
+let handlers = [];
+let requests = [];
+let server;
+let baseUrl;
+
+/**
+ * Download from the stub server with short timeouts
+ * @param {object} options Options for downloadToFile
+ * @returns {Promise<object>} Download result
+ */
+function download(options = {}) {
+  return downloadToFile(`${baseUrl}/resumen.pdf`, FILE_PATH, { timeout: 500, retries: 2, retryDelay: 10, ...options });
+}
+
+/**
+ * Get the error a download fails with
+ * @param {object} options Options for downloadToFile
+ * @returns {Promise<Error>} Error
+ */
+async function downloadError(options = {}) {
+  try {
+    await download(options);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Download did not fail');
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req);
+    const handler = handlers.shift() || ((_, response) => response.writeHead(500).end());
+    handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  handlers = [];
+  requests = [];
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+  readDocumentInfo.mockResolvedValue({ totalPages: 40, info: {}, coverText: '' });
+});
+
+describe('PDF Downloader', () => {
+  test('retries server errors with backoff and saves the PDF', async () => {
+    handlers = [
+      (req, res) => res.writeHead(503).end('Service Unavailable'),
+      (req, res) => res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': PDF.length, ETag: '"v1"' }).end(PDF)
+    ];
+
+    const result = await download({ headers: { 'If-None-Match': '"v0"' } });
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].headers['if-none-match']).toBe('"v0"');
+    expect(result).toMatchObject({ notModified: false, filePath: FILE_PATH, size: PDF.length, etag: '"v1"', document: { totalPages: 40 } });
+    expect(fs.readFileSync(FILE_PATH)).toEqual(PDF);
+    expect(fs.readdirSync(TEST_DIR)).toEqual(['resumen.pdf']);
+  });
+
+  test('returns notModified for a 304 response without writing a file', async () => {
+    handlers = [(req, res) => res.writeHead(304).end()];
+
+    expect(await download({ headers: { 'If-None-Match': '"v1"' } })).toEqual({ notModified: true });
+    expect(fs.readdirSync(TEST_DIR)).toEqual([]);
+  });
+
+  test('rejects error pages without retrying', async () => {
+    const page = '<html><body>Mantenimiento</body></html>';
+    handlers = [
+      (req, res) => res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(page),
+      (req, res) => res.writeHead(200, { 'Content-Type': 'application/octet-stream' }).end(page),
+      (req, res) => res.writeHead(404).end()
+    ];
+
+    const html = await downloadError();
+    expect(html).toBeInstanceOf(DownloadError);
+    expect(html).toMatchObject({ code: 'INVALID_CONTENT_TYPE', attempts: 1 });
+
+    expect(await downloadError()).toMatchObject({ code: 'NOT_A_PDF', attempts: 1 });
+    expect(await downloadError()).toMatchObject({ code: 'HTTP_ERROR', status: 404, attempts: 1 });
+
+    expect(requests).toHaveLength(3);
+    expect(fs.readdirSync(TEST_DIR)).toEqual([]);
+  });
+
+  test('rejects truncated files and PDFs without pages', async () => {
+    const truncated = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': PDF.length * 2 });
+      res.write(PDF.subarray(0, 10));
+      setTimeout(() => res.destroy(), 20);
+    };
+    handlers = [truncated, truncated, truncated];
+
+    expect(await downloadError()).toMatchObject({ code: 'TRUNCATED', attempts: 3 });
+
+    handlers = [(req, res) => res.writeHead(200, { 'Content-Type': 'application/pdf' }).end(PDF)];
+    readDocumentInfo.mockResolvedValue({ totalPages: 0, info: {}, coverText: '' });
+
+    expect(await downloadError()).toMatchObject({ code: 'INVALID_PDF' });
+    expect(fs.readdirSync(TEST_DIR)).toEqual([]);
+  });
+
+  test('times out when the server stops sending data', async () => {
+    handlers = [(req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      res.write(PDF.subarray(0, 10));
+    }];
+
+    const error = await downloadError({ timeout: 100, retries: 0 });
+
+    expect(error).toMatchObject({ code: 'TIMEOUT', retryable: true, attempts: 1 });
+    expect(fs.readdirSync(TEST_DIR)).toEqual([]);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * PDF Upload Tests
+ *
+ * Tests for uploading the PDF of an edition through the admin API.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database and PDF directory
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_upload_test.sqlite');
+const TEST_PDF_DIR = path.join(os.tmpdir(), 'cjf_noticias_upload_test');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+process.env.PDF_STORAGE_DIR = TEST_PDF_DIR;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+// Authenticate every request as an editor
+jest.mock('../server/src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 1, username: 'editor', role: 'editor' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  csrfProtection: (req, res, next) => next(),
+  loginRateLimiter: (req, res, next) => next(),
+  resetLoginAttempts: jest.fn()
+}));
+
+// pdf.js cannot be loaded by jest, so the document information is mocked
+jest.mock('../server/src/services/pdf/textLayer', () => ({
+  readDocumentInfo: jest.fn()
+}));
+
+// Mock the job queue
+jest.mock('../server/src/services/scheduler/jobQueue', () => ({
+  enqueueExtraction: jest.fn().mockResolvedValue({ id: 21, status: 'queued' })
+}));
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { readDocumentInfo } = require('../server/src/services/pdf/textLayer');
+const { enqueueExtraction } = require('../server/src/services/scheduler/jobQueue');
+const { setupDatabase, run, query } = require('../server/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', require('../server/routes/admin'));
+
+const PDF = Buffer.from('%PDF-1.4\n% edición\n%%EOF\n');
+
+beforeAll(async () => {
+  await setupDatabase();
+  await run(`INSERT INTO USER (id, username, password, role) VALUES (1, 'editor', 'x', 'editor')`);
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+  fs.rmSync(TEST_PDF_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM EDITION`);
+  fs.rmSync(TEST_PDF_DIR, { recursive: true, force: true });
+  fs.mkdirSync(TEST_PDF_DIR, { recursive: true });
+  enqueueExtraction.mockClear();
+  readDocumentInfo.mockResolvedValue({ totalPages: 40, info: {}, coverText: 'Viernes 6 de junio de 2025' });
+});
+
+describe('PDF Upload', () => {
+  test('stores an uploaded PDF as a revision of the given date and queues its extraction', async () => {
+    const res = await request(app)
+      .post('/api/admin/extraction/upload')
+      .field('date', '2025-06-05')
+      .field('extract', 'true')
+      .attach('pdf', PDF, 'resumen.pdf');
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ duplicate: false, jobId: 21, edition: { date: '2025-06-05', revision: 1, date_source: 'provided' } });
+    expect(enqueueExtraction).toHaveBeenCalledWith({ date: '2025-06-05', requestedBy: 'editor' });
+    expect(fs.readFileSync(path.join(TEST_PDF_DIR, '2025-06-05.pdf'))).toEqual(PDF);
+
+    const audit = await query(`SELECT details FROM AUDIT_LOG WHERE action = 'PDF_UPLOADED'`);
+    expect(JSON.parse(audit[0].details)).toMatchObject({ filename: 'resumen.pdf', date: '2025-06-05', revision: 1 });
+  });
+
+  test('reads the date from the cover and reports duplicates', async () => {
+    const first = await request(app).post('/api/admin/extraction/upload').attach('pdf', PDF, 'resumen.pdf');
+
+    expect(first.status).toBe(201);
+    expect(first.body.edition).toMatchObject({ date: '2025-06-06', date_source: 'cover' });
+    expect(first.body.jobId).toBeNull();
+    expect(enqueueExtraction).not.toHaveBeenCalled();
+
+    const again = await request(app).post('/api/admin/extraction/upload').attach('pdf', PDF, 'copia.pdf');
+
+    expect(again.status).toBe(200);
+    expect(again.body).toMatchObject({ duplicate: true, edition: { id: first.body.edition.id } });
+    expect(await query(`SELECT id FROM EDITION`)).toHaveLength(1);
+  });
+
+  test('rejects files that are not valid PDFs', async () => {
+    const upload = (content, filename, fields = {}) => {
+      const req = request(app).post('/api/admin/extraction/upload');
+      Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+      return req.attach('pdf', Buffer.from(content), filename);
+    };
+
+    expect((await upload('<html>Error</html>', 'resumen.pdf')).body).toMatchObject({ code: 'NOT_A_PDF' });
+    expect((await upload(PDF, 'resumen.txt')).status).toBe(400);
+    expect((await upload(PDF, 'resumen.pdf', { date: '05/06/2025' })).body).toMatchObject({ code: 'INVALID_DATE' });
+
+    readDocumentInfo.mockRejectedValue(new Error('Invalid PDF structure'));
+    const damaged = await upload(PDF, 'resumen.pdf');
+    expect(damaged.status).toBe(400);
+    expect(damaged.body.code).toBe('INVALID_PDF');
+
+    const missing = await request(app).post('/api/admin/extraction/upload');
+    expect(missing.body.code).toBe('NO_FILE');
+
+    expect(await query(`SELECT id FROM EDITION`)).toHaveLength(0);
+    expect(fs.readdirSync(path.join(__dirname, '../storage/uploads/pdf'))).toEqual([]);
+  });
+});
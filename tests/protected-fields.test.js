@@ -0,0 +1,231 @@
+/**
+ * Protected Fields Tests
+ *
+ * Tests for locking the fields changed by editors and for merging a
+ * re-extraction into the stored articles without overwriting them.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_protected_fields_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  })
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, get, query } = require('../server/database');
+const { applyEdit, computeFingerprint, getLockedFields } = require('../server/src/services/content/protectedFields');
+const { storeExtractedContent, clearExistingData } = require('../server/src/services/content/enhancedContentProcessor');
+
+const DATE = '2025-08-04';
+
+/**
+ * Build an extraction result for the test date
+ * @param {Array} articles Articles of the ocho-columnas section
+ * @returns {object} Extraction result
+ */
+function extraction(articles) {
+  return {
+    date: DATE,
+    metadata: { extractionMethod: 'enhanced', statistics: {} },
+    sections: { 'ocho-columnas': { articles } }
+  };
+}
+
+/**
+ * Apply an edit to a stored article, as PUT /api/admin/articles/:id does
+ * @param {number} id Article id
+ * @param {object} updates New field values
+ * @param {object} options Options for applyEdit
+ */
+async function edit(id, updates, options = {}) {
+  const article = await get(`SELECT * FROM ARTICLE WHERE id = ?`, [id]);
+  const fields = applyEdit(article, updates, { userId: 7, ...options });
+  const columns = Object.keys(fields);
+  await run(
+    `UPDATE ARTICLE SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => fields[column]), id]
+  );
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM ARTICLE`);
+});
+
+describe('Protected Fields', () => {
+  test('locks only the fields an edit changes and releases unlocked ones', () => {
+    const article = { title: 'Título', summary: 'Resumen', source: 'Reforma', locked_fields: '["summary"]' };
+
+    const fields = applyEdit(article, { title: 'Título corregido', source: 'Reforma', content: '' }, { userId: 3, unlock: ['summary'] });
+
+    expect(fields).toMatchObject({ title: 'Título corregido', edited_by: 3 });
+    expect(fields).not.toHaveProperty('source');
+    expect(getLockedFields(fields)).toEqual(['title']);
+    expect(fields.edited_at).toBeTruthy();
+  });
+
+  test('fingerprints ignore accents, case and punctuation', () => {
+    expect(computeFingerprint(DATE, 'ocho-columnas', 'Reforma judicial: ¡avanza!'))
+      .toBe(computeFingerprint(DATE, 'ocho-columnas', 'REFORMA JUDICIAL AVANZA'));
+    expect(computeFingerprint(DATE, 'ocho-columnas', 'Reforma judicial'))
+      .not.toBe(computeFingerprint(DATE, 'primeras-planas', 'Reforma judicial'));
+  });
+
+  test('merges a re-extraction without overwriting locked fields or removing protected articles', async () => {
+    await storeExtractedContent(extraction([
+      { title: 'Reforma judicial avanza', content: 'Primera versión', source: 'El Universal', urls: ['https://example.com/a'] },
+      { title: 'Nota que desaparece', content: 'Texto', source: 'Milenio' },
+      { title: 'Nota editada que desaparece', content: 'Texto', source: 'Milenio' }
+    ]));
+
+    const reforma = await get(`SELECT * FROM ARTICLE WHERE title = 'Reforma judicial avanza'`);
+    const stale = await get(`SELECT * FROM ARTICLE WHERE title = 'Nota editada que desaparece'`);
+    await edit(reforma.id, { title: 'Avanza la reforma judicial', summary: 'Resumen del editor' });
+    await edit(stale.id, { source: 'La Jornada' });
+    const { lastID: manualId } = await run(
+      `INSERT INTO ARTICLE (title, section_id, publication_date, origin) VALUES ('Nota del editor', 'ocho-columnas', ?, 'manual')`,
+      [DATE]
+    );
+
+    const results = await storeExtractedContent(extraction([
+      { title: 'Reforma judicial avanza', content: 'Segunda versión', source: 'El Universal', urls: ['https://example.com/b'] },
+      { title: 'Nota nueva', content: 'Texto', source: 'Excélsior' }
+    ]));
+
+    const merged = await get(`SELECT * FROM ARTICLE WHERE id = ?`, [reforma.id]);
+    expect(merged).toMatchObject({
+      title: 'Avanza la reforma judicial',
+      summary: 'Resumen del editor',
+      content: 'Segunda versión',
+      url: 'https://example.com/b',
+      edited_by: 7
+    });
+    expect(getLockedFields(merged)).toEqual(['title', 'summary']);
+
+    const titles = (await query(`SELECT title FROM ARTICLE ORDER BY id`)).map(article => article.title);
+    expect(titles).toEqual(['Avanza la reforma judicial', 'Nota editada que desaparece', 'Nota del editor', 'Nota nueva']);
+    expect(results.statistics.removedArticles).toBe(1);
+    expect(await get(`SELECT id FROM ARTICLE WHERE id = ?`, [manualId])).toBeTruthy();
+  });
+
+  test('keeps the masthead confidence of a newspaper corrected by an editor', async () => {
+    await storeExtractedContent(extraction([
+      { title: 'Portada Reforma', source: 'Reforma', sourceConfidence: 0.9 },
+      { title: 'Portada Milenio', source: 'Milenio', sourceConfidence: null }
+    ]));
+
+    const corrected = await get(`SELECT * FROM ARTICLE WHERE title = 'Portada Reforma'`);
+    await edit(corrected.id, { source: 'El Universal' });
+
+    await storeExtractedContent(extraction([
+      { title: 'Portada Reforma', source: 'Reforma', sourceConfidence: 0.95 },
+      { title: 'Portada Milenio', source: 'Milenio', sourceConfidence: 0.88 }
+    ]));
+
+    expect(await get(`SELECT source, source_confidence FROM ARTICLE WHERE id = ?`, [corrected.id]))
+      .toEqual({ source: 'El Universal', source_confidence: 0.9 });
+    expect(await get(`SELECT source_confidence FROM ARTICLE WHERE title = 'Portada Milenio'`))
+      .toEqual({ source_confidence: 0.88 });
+  });
+
+  test('recognizes the front pages by their page', async () => {
+    const frontPages = newspapers => ({
+      date: DATE,
+      metadata: { extractionMethod: 'enhanced', statistics: {} },
+      sections: {
+        'primeras-planas': {
+          type: 'image',
+          articles: newspapers.map((newspaper, i) => ({ title: `Portada ${newspaper}`, source: newspaper, pageNumber: 3 + i }))
+        }
+      }
+    });
+
+    // A front page stored with the fingerprint of its title is still recognized
+    const { lastID: legacyId } = await run(
+      `INSERT INTO ARTICLE (title, section_id, publication_date, fingerprint) VALUES ('Portada Milenio', 'primeras-planas', ?, ?)`,
+      [DATE, computeFingerprint(DATE, 'primeras-planas', 'Portada Milenio')]
+    );
+
+    await storeExtractedContent(frontPages(['Reforma', 'Milenio']));
+    const stored = await query(`SELECT id, title FROM ARTICLE ORDER BY id`);
+    expect(stored.map(article => article.title)).toEqual(['Portada Milenio', 'Portada Reforma']);
+
+    // The masthead of page 3 is now read as another newspaper
+    await storeExtractedContent(frontPages(['El Universal', 'Milenio']));
+
+    expect(await query(`SELECT id, title FROM ARTICLE ORDER BY id`)).toEqual([
+      { id: legacyId, title: 'Portada Milenio' },
+      { id: stored[1].id, title: 'Portada El Universal' }
+    ]);
+  });
+
+  test('replaces the extracted images and keeps the ones uploaded by hand', async () => {
+    await run(`DELETE FROM IMAGE`);
+    const cartoons = (cartoonists, metadata = { extractionMethod: 'enhanced', statistics: {} }) => ({
+      date: DATE,
+      metadata,
+      sections: {
+        cartones: {
+          type: 'image',
+          articles: cartoonists.map((cartoonist, i) => ({ title: `Cartón de ${cartoonist}`, pageNumber: 40 + i })),
+          images: cartoonists.map((cartoonist, i) => ({ filename: `carton-0${i + 1}.png`, cartoonNumber: i + 1, cartoonist, pageNumber: 40 + i }))
+        }
+      }
+    });
+
+    await storeExtractedContent(cartoons(['Calderón', 'Helguera']));
+    await run(
+      `INSERT INTO IMAGE (filename, title, section_id, publication_date, origin) VALUES ('subida.png', 'Foto del editor', 'cartones', ?, 'manual')`,
+      [DATE]
+    );
+
+    await storeExtractedContent(cartoons(['Calderón']));
+    expect((await query(`SELECT filename FROM IMAGE ORDER BY filename`)).map(image => image.filename))
+      .toEqual([`images/${DATE}/carton-01.png`, 'subida.png']);
+
+    // Nothing is replaced when storing fails
+    await expect(storeExtractedContent(cartoons(['Hernández', 'Rapé'], null))).rejects.toThrow();
+    expect((await query(`SELECT filename, cartoonist FROM IMAGE ORDER BY filename`))).toEqual([
+      { filename: `images/${DATE}/carton-01.png`, cartoonist: 'Calderón' },
+      { filename: 'subida.png', cartoonist: null }
+    ]);
+    expect((await query(`SELECT title FROM ARTICLE ORDER BY id`)).map(article => article.title)).toEqual(['Cartón de Calderón']);
+  });
+
+  test('clears only unprotected articles', async () => {
+    await storeExtractedContent(extraction([
+      { title: 'Nota extraída', content: 'Texto' },
+      { title: 'Nota corregida', content: 'Texto' }
+    ]));
+    const corrected = await get(`SELECT id FROM ARTICLE WHERE title = 'Nota corregida'`);
+    await edit(corrected.id, { content: 'Texto corregido' });
+
+    await clearExistingData(DATE);
+
+    expect(await query(`SELECT title FROM ARTICLE`)).toEqual([{ title: 'Nota corregida' }]);
+  });
+});
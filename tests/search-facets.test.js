@@ -0,0 +1,131 @@
+/**
+ * Search Facets Tests
+ *
+ * Tests for the facets of the search results: the counts by section, source,
+ * month and content type, and the filters that narrow the results by them.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_search_facets_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run } = require('../server/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api/search', require('../server/routes/search'));
+
+/**
+ * Search
+ * @param {object} params Query parameters
+ * @returns {Promise<object>} Search response
+ */
+async function search(params) {
+  const res = await request(app).get('/api/search').query(params);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+
+  const articles = [
+    ['La reforma judicial avanza', 'Reforma', 'suprema-corte', '2025-06-05', null],
+    ['Ministros analizan la reforma judicial', 'El Universal', 'suprema-corte', '2025-06-02', null],
+    ['Jueces ante la reforma judicial', 'Reforma', 'consejo-judicatura', '2025-05-20', null],
+    ['Reforma judicial: lo que sigue', 'Milenio', 'external-news', '2025-05-18', 1],
+    ['El peso cierra con ganancias', 'El Financiero', 'informacion-general', '2025-06-05', null]
+  ];
+
+  for (const [title, source, section, date, externalSourceId] of articles) {
+    await run(
+      `INSERT INTO ARTICLE (title, content, summary, source, section_id, publication_date, external_source_id) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [title, title, title, source, section, date, externalSourceId]
+    );
+  }
+
+  await run(
+    `INSERT INTO IMAGE (filename, title, caption, cartoonist, newspaper, section_id, publication_date) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    ['cartones/1.png', 'La reforma judicial', 'Los ministros en la boleta', 'Helguera', 'La Jornada', 'cartones', '2025-06-05']
+  );
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+describe('Search facets', () => {
+  test('counts the results by section, source, month and content type', async () => {
+    const body = await search({ q: 'reforma judicial', sort: 'date' });
+
+    expect(body.total).toBe(4);
+    expect(body.results.map(result => result.type)).toEqual(['article', 'article', 'article', 'external']);
+    expect(body.facets.sections).toEqual([
+      { value: 'suprema-corte', name: 'Suprema Corte de Justicia de la Nación', count: 2 },
+      { value: 'consejo-judicatura', name: 'Consejo de la Judicatura Federal', count: 1 },
+      { value: 'external-news', name: 'Noticias Externas', count: 1 }
+    ]);
+    expect(body.facets.sources).toEqual([
+      { value: 'Reforma', count: 2 },
+      { value: 'El Universal', count: 1 },
+      { value: 'Milenio', count: 1 }
+    ]);
+    expect(body.facets.months).toEqual([{ value: '2025-06', count: 2 }, { value: '2025-05', count: 2 }]);
+    // The cartoon only counts as an image until images are asked for
+    expect(body.facets.types).toEqual([
+      { value: 'article', count: 3 },
+      { value: 'external', count: 1 },
+      { value: 'image', count: 1 }
+    ]);
+  });
+
+  test('narrows the results by facet and keeps the other values of the facet', async () => {
+    const bySource = await search({ q: 'reforma judicial', source: 'Reforma', sort: 'date' });
+    expect(bySource.results.map(result => result.title)).toEqual(['La reforma judicial avanza', 'Jueces ante la reforma judicial']);
+    // The other sources can still be chosen; the other facets are narrowed
+    expect(bySource.facets.sources.map(source => source.value)).toEqual(['Reforma', 'El Universal', 'Milenio']);
+    expect(bySource.facets.months).toEqual([{ value: '2025-06', count: 1 }, { value: '2025-05', count: 1 }]);
+
+    const byMonth = await search({ q: 'reforma judicial', month: '2025-05', type: 'external' });
+    expect(byMonth.results.map(result => result.title)).toEqual(['Reforma judicial: lo que sigue']);
+    expect(byMonth.facets.types).toEqual([
+      { value: 'article', count: 1 },
+      { value: 'external', count: 1 },
+      { value: 'image', count: 0 }
+    ]);
+
+    const images = await search({ q: 'reforma judicial', type: 'image' });
+    expect(images.results).toEqual([expect.objectContaining({ type: 'image', cartoonist: 'Helguera', newspaper: 'La Jornada' })]);
+    expect(images.facets.sections).toEqual([{ value: 'cartones', name: 'Cartones', count: 1 }]);
+    expect(images.facets.sources).toEqual([{ value: 'La Jornada', count: 1 }]);
+
+    // The facets narrow a search without text too
+    expect((await search({ section: 'suprema-corte' })).total).toBe(2);
+
+    expect((await request(app).get('/api/search').query({ q: 'reforma', month: 'junio' })).status).toBe(400);
+    expect((await request(app).get('/api/search').query({ q: 'reforma', type: 'video' })).status).toBe(400);
+  });
+});
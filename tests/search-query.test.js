@@ -0,0 +1,142 @@
+/**
+ * Search Query Tests
+ *
+ * Tests for the query syntax of the search box: phrases, exclusions, OR,
+ * fields, section and date filters, and the errors of queries that cannot
+ * be read.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_search_query_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run } = require('../server/database');
+const { ARTICLE_COLUMNS } = require('../server/src/services/search/searchIndex');
+const { SearchQueryError, parseSearchQuery, compileMatch } = require('../server/src/services/search/queryParser');
+
+const app = express();
+app.use(express.json());
+app.use('/api/search', require('../server/routes/search'));
+
+/**
+ * Compile a query for the article index
+ * @param {string} text Query
+ * @returns {{match: string|null, exclude: string|null, filters: object}} Compiled query
+ */
+function compileQuery(text) {
+  const { text: tree, filters } = parseSearchQuery(text);
+  return { ...compileMatch(tree, ARTICLE_COLUMNS), filters };
+}
+
+/**
+ * Search articles and return the titles found
+ * @param {string} q Query
+ * @returns {Promise<string[]>} Titles, newest first
+ */
+async function searchTitles(q) {
+  const res = await request(app).get('/api/search').query({ q, sort: 'date' });
+  expect(res.status).toBe(200);
+  return res.body.results.map(result => result.title);
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+
+  const articles = [
+    ['Avanza la reforma judicial en el Senado', 'La reforma judicial fue aprobada en comisiones.', 'Reforma', 'suprema-corte', '2025-06-05'],
+    ['El TEPJF y la reforma judicial', 'El tribunal electoral validó la reforma judicial.', 'Reforma', 'suprema-corte', '2025-06-04'],
+    ['Judicial: la reforma pendiente', 'Otra reforma, ahora judicial, sigue pendiente.', 'El Universal', 'consejo-judicatura', '2025-05-20'],
+    ['Ministra presenta proyecto', 'La ministra presentó un proyecto sobre amparos.', 'La Jornada', 'suprema-corte', '2024-11-02']
+  ];
+
+  for (const [title, content, source, section, date] of articles) {
+    await run(
+      `INSERT INTO ARTICLE (title, content, summary, source, section_id, publication_date) VALUES (?, ?, ?, ?, ?, ?)`,
+      [title, content, content, source, section, date]
+    );
+  }
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+describe('Search query syntax', () => {
+  test('compiles phrases, exclusions, fields and filters', () => {
+    const compiled = compileQuery('"reforma judicial" -TEPJF source:Reforma section:suprema-corte title:ministra');
+
+    expect(compiled.match).toBe('(("reforma judicial" AND source : "Reforma" AND title : "ministra") NOT "TEPJF")');
+    expect(compiled.filters).toEqual({ sections: ['suprema-corte'], excludedSections: [], from: null, to: null });
+
+    // OR binds tighter than the words around it
+    expect(compileQuery('ministra OR ministro proyecto').match).toBe('(("ministra" OR "ministro") AND "proyecto")');
+    expect(compileQuery('summary:amparo* content:"prisión preventiva"').match)
+      .toBe('(summary : "amparo" * AND content : "prisión preventiva")');
+
+    // Only exclusions keep everything that does not match them
+    expect(compileQuery('-TEPJF NOT senado')).toMatchObject({ match: null, exclude: '("TEPJF" OR "senado")' });
+
+    expect(compileQuery('date:2025-06').filters).toMatchObject({ from: '2025-06-01', to: '2025-06-30' });
+    expect(compileQuery('date:2024..2025-02 -section:cartones').filters)
+      .toEqual({ sections: [], excludedSections: ['cartones'], from: '2024-01-01', to: '2025-02-28' });
+  });
+
+  test('reports where a query cannot be read', () => {
+    const errorOf = text => {
+      try {
+        parseSearchQuery(text);
+      } catch (error) {
+        expect(error).toBeInstanceOf(SearchQueryError);
+        return [error.code, error.position];
+      }
+      return null;
+    };
+
+    expect(errorOf('reforma "judicial')).toEqual(['UNTERMINATED_PHRASE', 8]);
+    expect(errorOf('(reforma judicial')).toEqual(['UNBALANCED_PARENTHESIS', 0]);
+    expect(errorOf('reforma OR')).toEqual(['MISSING_OPERAND', 8]);
+    expect(errorOf('date:2025-13')).toEqual(['INVALID_DATE', 0]);
+    expect(errorOf('reforma (section:suprema-corte OR judicial)')).toEqual(['MISPLACED_FILTER', 9]);
+    expect(errorOf('-(reforma judicial) ministra')).toBeNull();
+  });
+
+  test('searches articles with the syntax and answers errors with 400', async () => {
+    expect(await searchTitles('"reforma judicial" -TEPJF')).toEqual(['Avanza la reforma judicial en el Senado']);
+    expect(await searchTitles('reforma judicial source:"El Universal"')).toEqual(['Judicial: la reforma pendiente']);
+    expect(await searchTitles('title:ministra OR title:tepjf')).toEqual(['El TEPJF y la reforma judicial', 'Ministra presenta proyecto']);
+    expect(await searchTitles('reforma section:suprema-corte date:2025-06-05')).toEqual(['Avanza la reforma judicial en el Senado']);
+    expect(await searchTitles('-reforma')).toEqual(['Ministra presenta proyecto']);
+    expect(await searchTitles('-section:suprema-corte')).toEqual(['Judicial: la reforma pendiente']);
+
+    const filtered = await request(app).get('/api/search').query({ q: 'reforma date:2025-05..', to: '2025-06-04' });
+    expect(filtered.body.results.map(result => result.title)).toEqual(['El TEPJF y la reforma judicial', 'Judicial: la reforma pendiente']);
+    expect(filtered.body.filters).toEqual({ sections: [], excludedSections: [], from: '2025-05-01', to: null });
+
+    const invalid = await request(app).get('/api/search').query({ q: 'reforma "judicial' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ error: 'A phrase is missing its closing quote', code: 'UNTERMINATED_PHRASE', position: 8 });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Search Suggestions Tests
+ *
+ * Tests for the suggestions of the search box: titles, sources, authors and
+ * sections matching the text being typed, the terms completing its last
+ * word and the section and date facets that narrow them.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_search_suggest_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run } = require('../server/database');
+const { toPrefixQuery } = require('../server/src/services/search/searchIndex');
+
+const app = express();
+app.use(express.json());
+app.use('/api/search', require('../server/routes/search'));
+
+/**
+ * Get the suggestions for a text
+ * @param {object} params Query parameters
+ * @returns {Promise<object>} Suggestions
+ */
+async function suggest(params) {
+  const res = await request(app).get('/api/search/suggest').query(params);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+
+  const articles = [
+    ['La reforma judicial avanza en el Senado', 'Los senadores discutieron la reforma judicial.', 'Reforma', null, 'suprema-corte', '2025-06-05'],
+    ['Jueces rechazan la reforma judicial', 'La jurisdicción federal se pronunció contra la reforma.', 'Reforma', null, 'consejo-judicatura', '2025-06-04'],
+    ['Templo Mayor', 'Un juzgado de distrito y la reforma judicial.', 'Reforma', 'Fray Bartolomé', 'columnas-politicas', '2025-05-20'],
+    ['El peso cierra con ganancias', 'La moneda se apreció en la jornada.', 'Reforzamiento Diario', null, 'informacion-general', '2025-06-05']
+  ];
+
+  for (const [title, content, source, author, section, date] of articles) {
+    await run(
+      `INSERT INTO ARTICLE (title, content, summary, source, author, section_id, publication_date) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [title, content, content, source, author, section, date]
+    );
+  }
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+describe('Search suggestions', () => {
+  test('suggests titles, sources, authors, sections and terms for a prefix', async () => {
+    expect(toPrefixQuery('reforma jud', 'title')).toBe('title : "reforma" AND title : "jud" *');
+    expect(toPrefixQuery('reforma ')).toBe('"reforma"');
+
+    const body = await suggest({ q: 'refor' });
+
+    expect(body.titles.map(title => title.title_highlight)).toEqual([
+      'La <mark>reforma</mark> judicial avanza en el Senado',
+      'Jueces rechazan la <mark>reforma</mark> judicial'
+    ]);
+    expect(body.sources).toEqual([{ name: 'Reforma', count: 3 }, { name: 'Reforzamiento Diario', count: 1 }]);
+    expect(body.sections.map(section => [section.id, section.count])).toEqual([
+      ['columnas-politicas', 1],
+      ['consejo-judicatura', 1],
+      ['informacion-general', 1],
+      ['suprema-corte', 1]
+    ]);
+    expect(body.sections[3].name).toBe('Suprema Corte de Justicia de la Nación');
+    // The most common completions first
+    expect(body.terms).toEqual([
+      { term: 'reforma', text: 'reforma', count: 3 },
+      { term: 'reforzamiento', text: 'reforzamiento', count: 1 }
+    ]);
+
+    // Accents are folded and the typed words are kept in the completion
+    const completed = await suggest({ q: 'reforma JUR' });
+    expect(completed.terms).toEqual([{ term: 'jurisdiccion', text: 'reforma jurisdiccion', count: 1 }]);
+
+    const authors = await suggest({ q: 'bartolo' });
+    expect(authors.authors).toEqual([{ name: 'Fray Bartolomé', count: 1 }]);
+  });
+
+  test('narrows the suggestions by section and date', async () => {
+    const bySection = await suggest({ q: 'reforma judicial', section: 'consejo-judicatura' });
+    expect(bySection.titles.map(title => title.title)).toEqual(['Jueces rechazan la reforma judicial']);
+    expect(bySection.sections).toEqual([{ id: 'consejo-judicatura', name: 'Consejo de la Judicatura Federal', count: 1 }]);
+
+    const byDate = await suggest({ q: 'reforma', from: '2025-06-05', to: '2025-06-05' });
+    expect(byDate.sources).toEqual([{ name: 'Reforma', count: 1 }]);
+    expect(byDate.sections.map(section => section.id)).toEqual(['suprema-corte']);
+
+    // Common words are not suggested, nor anything for punctuation alone
+    // ("con" and "contra" are the only indexed words starting with "co")
+    expect((await suggest({ q: 'reforma co' })).terms).toEqual([]);
+    expect(await suggest({ q: '¿?' })).toMatchObject({ titles: [], sources: [], authors: [], sections: [], terms: [] });
+    expect((await request(app).get('/api/search/suggest')).status).toBe(400);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Search Tests
+ *
+ * Tests for the full-text search of articles and images: accent folding,
+ * relevance ranking, highlighted snippets, the triggers that keep the
+ * indexes in sync and the rebuild of the indexes.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_search_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, query } = require('../server/database');
+const { toMatchQuery, rebuildSearchIndex } = require('../server/src/services/search/searchIndex');
+
+const app = express();
+app.use(express.json());
+app.use('/api/search', require('../server/routes/search'));
+
+/**
+ * Store an article
+ * @param {object} article Article fields
+ * @returns {Promise<number>} Article id
+ */
+async function addArticle({ title, content, source = 'Reforma', section = 'suprema-corte', date = '2025-06-05' }) {
+  const result = await run(
+    `INSERT INTO ARTICLE (title, content, summary, source, section_id, publication_date) VALUES (?, ?, ?, ?, ?, ?)`,
+    [title, content, content.substring(0, 100), source, section, date]
+  );
+  return result.lastID;
+}
+
+beforeAll(async () => {
+  await setupDatabase();
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM ARTICLE`);
+  await run(`DELETE FROM IMAGE`);
+});
+
+describe('Full-text search', () => {
+  test('folds accents and ranks title matches above body matches', async () => {
+    const bodyId = await addArticle({
+      title: 'Nombramientos en tribunales colegiados',
+      content: 'El órgano de administración de la judicatura publicó la lista de nombramientos.',
+      date: '2025-06-06'
+    });
+    const titleId = await addArticle({
+      title: 'La Judicatura aprueba su presupuesto',
+      content: 'El Pleno aprobó el presupuesto para el siguiente ejercicio fiscal.',
+      date: '2025-06-01'
+    });
+    await addArticle({ title: 'El peso cierra con ganancias', content: 'La moneda se apreció frente al dólar.' });
+
+    const res = await request(app).get('/api/search').query({ q: 'judicatura' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.sort).toBe('relevance');
+    // The older article ranks first because the term is in its title
+    expect(res.body.results.map(result => result.id)).toEqual([titleId, bodyId]);
+    expect(res.body.results[0].title_highlight).toBe('La <mark>Judicatura</mark> aprueba su presupuesto');
+    expect(res.body.results[1].snippet).toContain('de la <mark>judicatura</mark> publicó');
+
+    // Sorting by date keeps the matches but puts the newest first
+    const byDate = await request(app).get('/api/search').query({ q: 'judicatura', sort: 'date' });
+    expect(byDate.body.results.map(result => result.id)).toEqual([bodyId, titleId]);
+
+    // "corte" finds "Córte", and the reverse
+    await addArticle({ title: 'La Córte resuelve', content: 'Una errata en el titular de la nota impresa.' });
+    expect((await request(app).get('/api/search').query({ q: 'corte' })).body.total).toBe(1);
+    expect((await request(app).get('/api/search').query({ q: 'CÓRTE' })).body.total).toBe(1);
+  });
+
+  test('keeps the index in sync with the articles and images', async () => {
+    const id = await addArticle({ title: 'Ministra presenta proyecto', content: 'El proyecto sobre prisión preventiva se discutirá el lunes.' });
+
+    await run(`UPDATE ARTICLE SET title = ? WHERE id = ?`, ['Ministro presenta proyecto', id]);
+    expect((await request(app).get('/api/search').query({ q: 'ministra' })).body.total).toBe(0);
+    expect((await request(app).get('/api/search').query({ q: 'ministro' })).body.total).toBe(1);
+
+    await run(`DELETE FROM ARTICLE WHERE id = ?`, [id]);
+    expect((await request(app).get('/api/search').query({ q: 'ministro' })).body.total).toBe(0);
+
+    await run(
+      `INSERT INTO IMAGE (filename, title, caption, cartoonist, newspaper, section_id, publication_date) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      ['cartones/1.png', 'La reforma judicial', 'Los ministros en la boleta', 'Helguera', 'La Jornada', 'cartones', '2025-06-05']
+    );
+    const images = await request(app).get('/api/search/images').query({ q: 'helguera' });
+    expect(images.body.results).toEqual([expect.objectContaining({ cartoonist: 'Helguera', snippet: '<mark>Helguera</mark>' })]);
+
+    // Punctuation alone matches nothing rather than failing
+    const punctuation = await request(app).get('/api/search').query({ q: '¿?!.,' });
+    expect(punctuation.status).toBe(200);
+    expect(punctuation.body.total).toBe(0);
+    expect(toMatchQuery('reforma "judicial')).toBe('"reforma" "judicial"');
+  });
+
+  test('rebuilds the indexes from the stored rows', async () => {
+    await addArticle({ title: 'Convocatoria a concurso de oposición', content: 'El órgano publicó la convocatoria para jueces de distrito.' });
+
+    // Rows written while the triggers did not exist are not indexed
+    await run(`DROP TRIGGER article_fts_insert`);
+    await addArticle({ title: 'Resultados del concurso', content: 'Se publicó la lista de personas vencedoras del concurso.' });
+    await setupDatabase();
+    expect((await request(app).get('/api/search').query({ q: 'concurso' })).body.total).toBe(1);
+
+    const counts = await rebuildSearchIndex();
+
+    expect(counts).toEqual({ articles: 2, images: 0 });
+    expect((await request(app).get('/api/search').query({ q: 'concurso' })).body.total).toBe(2);
+    expect((await query(`SELECT COUNT(*) AS count FROM ARTICLE_FTS WHERE ARTICLE_FTS MATCH 'vencedoras'`))[0].count).toBe(1);
+  });
+});
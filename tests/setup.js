@@ -7,6 +7,12 @@
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 
+// Run extractions in the test process, where the mocks apply
+process.env.EXTRACTION_IN_PROCESS = 'true';
+
+// Retry failed PDF downloads without waiting
+process.env.PDF_DOWNLOAD_RETRY_DELAY = '0';
+
 // Increase timeout for async operations
 jest.setTimeout(10000);
 
@@ -0,0 +1,170 @@
+/**
+ * Subsections Tests
+ *
+ * Tests for keeping the subheaders of the síntesis informativa (the part of
+ * the report and the subheader printed inside it) as subsections of its
+ * articles, and for serving a section grouped and filtered by them.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Use a temporary test database
+const TEST_DB_PATH = path.join(os.tmpdir(), 'cjf_noticias_subsections_test.sqlite');
+process.env.DATABASE_PATH = TEST_DB_PATH;
+
+// Mock logger
+jest.mock('../server/src/utils/logger', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn()
+  }),
+  onLog: jest.fn().mockReturnValue(() => {})
+}), { virtual: true });
+
+if (fs.existsSync(TEST_DB_PATH)) {
+  fs.unlinkSync(TEST_DB_PATH);
+}
+
+const { setupDatabase, run, query } = require('../server/database');
+const { processSectionsWithArticles } = require('../server/src/services/pdf/enhancedPdfExtractor');
+const { storeExtractedContent } = require('../server/src/services/content/enhancedContentProcessor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sections', require('../server/routes/sections'));
+
+const DATE = '2025-06-05';
+
+// The síntesis informativa pages as printed: parts, subheaders and notes
+const TEXT = [
+  'CONSEJO DE LA JUDICATURA FEDERAL',
+  '',
+  'ACTIVIDADES OFICIALES DEL PJF',
+  '',
+  'Aprueban la creación de tres tribunales colegiados',
+  'El Pleno del órgano de administración aprobó la creación de tres tribunales colegiados en materia penal en la capital. (La Jornada)',
+  '',
+  'OPINIÓN',
+  '',
+  'La carrera judicial ante la reforma',
+  'En opinión de la autora, los concursos de oposición deben mantenerse como la vía de ingreso a la carrera judicial. (Reforma)',
+  '',
+  'SUPREMA CORTE DE JUSTICIA DE LA NACIÓN',
+  '',
+  'Ministros discuten la prisión preventiva oficiosa',
+  'El Pleno del máximo tribunal discutió la constitucionalidad de la prisión preventiva oficiosa en delitos fiscales. (El Universal)',
+  '',
+  'INFORMACIÓN GENERAL',
+  '',
+  'ECONOMÍA',
+  '',
+  'El peso cierra la semana con ganancias',
+  'La moneda mexicana se apreció frente al dólar tras los datos de inflación publicados el jueves pasado. (El Financiero)'
+].join('\n');
+
+beforeAll(async () => {
+  await setupDatabase();
+});
+
+afterAll(() => {
+  if (fs.existsSync(TEST_DB_PATH)) {
+    fs.unlinkSync(TEST_DB_PATH);
+  }
+});
+
+beforeEach(async () => {
+  await run(`DELETE FROM ARTICLE`);
+});
+
+/**
+ * Extract the síntesis informativa of the fixture text
+ * @returns {Promise<object>} Extracted sections
+ */
+function extractSintesis() {
+  return processSectionsWithArticles(
+    { sections: { 'sintesis-informativa': { type: 'text' } } },
+    { pages: { 30: { text: TEXT } }, sectionPages: { 'sintesis-informativa': [30] } },
+    { sectionImages: {} },
+    { urlsByPage: {} },
+    `/tmp/${DATE}.pdf`
+  );
+}
+
+describe('Síntesis informativa subsections', () => {
+  test('keeps the part and subheader each article is printed under', async () => {
+    const sections = await extractSintesis();
+    const articles = sections['sintesis-informativa'].articles;
+
+    expect(articles.map(article => [article.title, article.subsection.id])).toEqual([
+      ['Aprueban la creación de tres tribunales colegiados', 'consejo-judicatura-actividades-oficiales-del-pjf'],
+      // "En opinión de la autora" is a sentence, not the OPINIÓN subheader
+      ['La carrera judicial ante la reforma', 'consejo-judicatura-opinion'],
+      ['Ministros discuten la prisión preventiva oficiosa', 'suprema-corte'],
+      ['El peso cierra la semana con ganancias', 'informacion-general-economia']
+    ]);
+
+    expect(articles[1].subsection).toEqual({
+      id: 'consejo-judicatura-opinion',
+      name: 'OPINIÓN',
+      position: 103,
+      parent: { id: 'consejo-judicatura', name: 'CONSEJO DE LA JUDICATURA FEDERAL', position: 100, parent: null }
+    });
+  });
+
+  test('stores the subsections and serves the section grouped in printed order', async () => {
+    const sections = await extractSintesis();
+    await storeExtractedContent({ date: DATE, metadata: { extractionMethod: 'enhanced', statistics: {} }, sections });
+
+    const stored = await query(`SELECT id, parent_id, position FROM SUBSECTION ORDER BY position`);
+    expect(stored).toEqual([
+      { id: 'consejo-judicatura', parent_id: null, position: 100 },
+      { id: 'consejo-judicatura-actividades-oficiales-del-pjf', parent_id: 'consejo-judicatura', position: 101 },
+      { id: 'consejo-judicatura-opinion', parent_id: 'consejo-judicatura', position: 103 },
+      { id: 'suprema-corte', parent_id: null, position: 200 },
+      { id: 'informacion-general', parent_id: null, position: 400 },
+      { id: 'informacion-general-economia', parent_id: 'informacion-general', position: 402 }
+    ]);
+
+    const res = await request(app).get('/api/sections/sintesis-informativa').query({ date: DATE });
+
+    expect(res.status).toBe(200);
+    expect(res.body.subsections.map(({ id, parent_name, count }) => [id, parent_name, count])).toEqual([
+      ['consejo-judicatura-actividades-oficiales-del-pjf', 'CONSEJO DE LA JUDICATURA FEDERAL', 1],
+      ['consejo-judicatura-opinion', 'CONSEJO DE LA JUDICATURA FEDERAL', 1],
+      ['suprema-corte', null, 1],
+      ['informacion-general-economia', 'INFORMACIÓN GENERAL', 1]
+    ]);
+    expect(res.body.articles.map(article => article.subsection_id)).toEqual([
+      'consejo-judicatura-actividades-oficiales-del-pjf',
+      'consejo-judicatura-opinion',
+      'suprema-corte',
+      'informacion-general-economia'
+    ]);
+  });
+
+  test('filters a section by subsection and serves each part on its own page', async () => {
+    const sections = await extractSintesis();
+    await storeExtractedContent({ date: DATE, metadata: { extractionMethod: 'enhanced', statistics: {} }, sections });
+
+    // A part includes the subheaders printed inside it
+    const part = await request(app).get('/api/sections/sintesis-informativa').query({ date: DATE, subsection: 'consejo-judicatura' });
+    expect(part.body.articles.map(article => article.title)).toEqual([
+      'Aprueban la creación de tres tribunales colegiados',
+      'La carrera judicial ante la reforma'
+    ]);
+
+    const subheader = await request(app).get('/api/sections/sintesis-informativa').query({ date: DATE, subsection: 'consejo-judicatura-opinion' });
+    expect(subheader.body.articles.map(article => article.title)).toEqual(['La carrera judicial ante la reforma']);
+    // The filter keeps every subsection of the section to choose from
+    expect(subheader.body.subsections).toHaveLength(4);
+
+    const partPage = await request(app).get('/api/sections/suprema-corte').query({ date: DATE });
+    expect(partPage.body.articles.map(article => article.title)).toEqual(['Ministros discuten la prisión preventiva oficiosa']);
+  });
+});